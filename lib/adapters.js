@@ -0,0 +1,644 @@
+'use strict';
+
+/**
+ * Provider adapters: one streamed chat round-trip in each provider's wire format
+ * - openai: Chat Completions through the OpenAI SDK (OpenAI, xAI, custom OpenAI-compatible servers)
+ * - responses: the OpenAI Responses API through the OpenAI SDK, for models whose
+ *   manifest capabilities say `api: "responses"` (Azure deployments stay on Chat Completions)
+ * - azure: the same Chat Completions, routed to an Azure OpenAI deployment (api-key header)
+ * - anthropic: Messages API over Node fetch + server-sent events
+ * - gemini: Generative Language API streamGenerateContent over Node fetch + server-sent events
+ *
+ * adapter.stream({ messages, maxTokens, temperature, topP, seed, reasoningEffort, responseFormat, signal, onDelta })
+ * resolves to { text, finishReason, usage }
+ * - messages are OpenAI-shaped: [{ role: 'system' | 'user' | 'assistant', content }]
+ * - the model's manifest capabilities decide what is sent (see _allowed): parameters it
+ *   does not list are left out, `token_param` names the output limit for Chat Completions,
+ *   `streaming: false` makes one plain request (onDelta then gets the whole reply once)
+ * - finishReason is normalized to the OpenAI names ('stop', 'length', ...)
+ * - usage = { promptTokens, completionTokens, cachedTokens, reasoningTokens } as reported by
+ *   the API, or null (promptTokens includes cached tokens and completionTokens includes
+ *   reasoning tokens, as with OpenAI)
+ * Aborting `signal` rejects with an AbortError; HTTP errors carry `status` and `headers`.
+ * Requests go out through node-fetch (Node http), not the page's fetch: the window's
+ * Content-Security-Policy only lets that one reach a short list of hosts.
+ *
+ * listProviderModels({ provider, apiKey, baseURL, signal }) resolves to the model ids the
+ * provider's models endpoint reports (chat-capable ones where the API says so).
+ */
+
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+// Anthropic stop_reason -> OpenAI finish_reason
+const ANTHROPIC_STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  refusal: 'content_filter'
+};
+
+const GEMINI_API_VERSION = 'v1beta';
+
+// Gemini finishReason -> OpenAI finish_reason
+const GEMINI_FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  SPII: 'content_filter'
+};
+
+// Providers with their own wire format; everything else speaks Chat Completions
+const ADAPTER_KINDS = {
+  azure: 'azure',
+  anthropic: 'anthropic',
+  gemini: 'gemini'
+};
+
+function adapterKindForProvider(provider) {
+  return ADAPTER_KINDS[String(provider || '')] || 'openai';
+}
+
+// -------------------------
+// Capabilities (models.js capabilitiesForModel): { api, params, tokenParam, streaming, reasoningEffort }
+// -------------------------
+
+// Optional parameters go out only when set and supported: `params` null = everything the
+// adapter maps; reasoning effort only at one of the model's declared levels.
+function _allowed(capabilities, param, value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (param === 'reasoning_effort') {
+    const levels = Array.isArray(capabilities?.reasoningEffort) ? capabilities.reasoningEffort : [];
+    return levels.includes(String(value));
+  }
+  const params = capabilities?.params;
+  return !Array.isArray(params) || params.includes(param);
+}
+
+function _optional(capabilities, pairs) {
+  const out = {};
+  for (const [param, key, value] of pairs) {
+    if (_allowed(capabilities, param, value)) out[key] = value;
+  }
+  return out;
+}
+
+function _streams(capabilities) {
+  return capabilities?.streaming !== false;
+}
+
+// -------------------------
+// OpenAI Chat Completions (SDK)
+// -------------------------
+function _createOpenAiAdapter({ client, model, kind = 'openai', capabilities = null }) {
+
+  async function stream({ messages, maxTokens, temperature, topP, seed, reasoningEffort, responseFormat, signal, onDelta } = {}) {
+    const streaming = _streams(capabilities);
+    const body = {
+      model,
+      messages,
+      // Reasoning models only take max_completion_tokens
+      [capabilities?.tokenParam || 'max_tokens']: maxTokens,
+      ..._optional(capabilities, [
+        ['temperature', 'temperature', temperature],
+        ['top_p', 'top_p', topP],
+        ['seed', 'seed', seed],
+        ['reasoning_effort', 'reasoning_effort', reasoningEffort],
+        ['response_format', 'response_format', responseFormat]
+      ]),
+      ...(streaming ? { stream: true, stream_options: { include_usage: true } } : {})
+    };
+    const res = await client.chat.completions.create(body, { signal });
+
+    let text = '';
+    let usage = null;
+    let finishReason = '';
+    if (!streaming) {
+      const choice = res?.choices?.[0];
+      text = String(choice?.message?.content || '');
+      finishReason = String(choice?.finish_reason || '');
+      usage = res?.usage || null;
+      if (text) { try { onDelta?.(text); } catch { } }
+    } else {
+      for await (const chunk of res) {
+        if (chunk?.usage) usage = chunk.usage;
+        const choice = chunk?.choices?.[0];
+        if (choice?.finish_reason) finishReason = String(choice.finish_reason);
+        const delta = choice?.delta?.content;
+        if (!delta) continue;
+        text += delta;
+        try { onDelta?.(delta); } catch { }
+      }
+    }
+
+    const ok = Number.isFinite(usage?.prompt_tokens) && Number.isFinite(usage?.completion_tokens);
+    return {
+      text,
+      finishReason,
+      usage: ok ? {
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        cachedTokens: Number(usage.prompt_tokens_details?.cached_tokens) || 0,
+        reasoningTokens: Number(usage.completion_tokens_details?.reasoning_tokens) || 0
+      } : null
+    };
+  }
+
+  return { kind, stream };
+}
+
+// Azure routes by deployment in the URL and authenticates with the api-key header;
+// the request body is plain Chat Completions (`model` is ignored by Azure).
+function _createAzureOpenAiClient({ OpenAI, apiKey, endpoint, apiVersion, deployment, maxRetries }) {
+  if (!endpoint || !deployment) throw new Error('Azure OpenAI: endpoint and deployment are required');
+  return new OpenAI({
+    apiKey,
+    baseURL: `${String(endpoint).replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(deployment)}`,
+    defaultQuery: { 'api-version': apiVersion },
+    defaultHeaders: { 'api-key': apiKey },
+    ...(maxRetries != null ? { maxRetries } : {}),
+    dangerouslyAllowBrowser: true
+  });
+}
+
+// -------------------------
+// Shared fetch + SSE helpers
+// -------------------------
+function _nodeFetch(url, init) {
+  return require('node-fetch')(url, init);
+}
+
+function _httpError(status, headers, body) {
+  let detail = '';
+  try { detail = JSON.parse(body)?.error?.message || ''; } catch { }
+  const err = new Error(`${status} ${detail || String(body || '').slice(0, 200) || 'Request failed'}`);
+  err.status = status;
+  err.headers = headers;
+  return err;
+}
+
+async function _throwIfNotOk(res) {
+  if (res.ok) return;
+  const headers = {};
+  try { res.headers.forEach((v, k) => { headers[k] = v; }); } catch { }
+  let body = '';
+  try { body = await res.text(); } catch { }
+  throw _httpError(res.status, headers, body);
+}
+
+// Body chunks of a WHATWG stream (fetchImpl) or a Node Readable (node-fetch)
+async function* _bodyChunks(body) {
+  if (typeof body?.getReader !== 'function') {
+    yield* body;
+    return;
+  }
+  const reader = body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    yield value;
+  }
+}
+
+// SSE: events separated by a blank line; only the data lines matter (JSON payloads)
+async function _readSseJson(res, onData) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  const flush = (block) => {
+    const data = block.split('\n')
+      .filter(l => l.startsWith('data:'))
+      .map(l => l.slice(5).trimStart())
+      .join('\n');
+    if (!data) return;
+    let obj = null;
+    try { obj = JSON.parse(data); } catch { return; }
+    onData(obj);
+  };
+  for await (const value of _bodyChunks(res.body)) {
+    buf = (buf + decoder.decode(value, { stream: true })).replace(/\r/g, '');
+    let idx;
+    while ((idx = buf.indexOf('\n\n')) >= 0) {
+      flush(buf.slice(0, idx));
+      buf = buf.slice(idx + 2);
+    }
+  }
+  if (buf.trim()) flush(buf);
+}
+
+// -------------------------
+// Anthropic Messages API (Node fetch + SSE)
+// -------------------------
+// System messages become the top-level `system`; consecutive same-role turns are merged
+// (the Messages API wants user/assistant alternating, starting with user).
+function toAnthropicMessages(messages) {
+  const system = [];
+  const out = [];
+  for (const m of (Array.isArray(messages) ? messages : [])) {
+    const content = String(m?.content || '');
+    if (m?.role === 'system') { if (content) system.push(content); continue; }
+    const role = m?.role === 'assistant' ? 'assistant' : 'user';
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.content += `\n\n${content}`;
+    else out.push({ role, content });
+  }
+  return { system: system.join('\n\n'), messages: out };
+}
+
+function _createAnthropicAdapter({ apiKey, baseURL, model, fetchImpl, capabilities = null }) {
+  const doFetch = fetchImpl || _nodeFetch;
+  const url = `${String(baseURL || 'https://api.anthropic.com').replace(/\/+$/, '')}/v1/messages`;
+
+  async function stream({ messages, maxTokens, temperature, topP, signal, onDelta } = {}) {
+    const { system, messages: turns } = toAnthropicMessages(messages);
+    const streaming = _streams(capabilities);
+    const res = await doFetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_API_VERSION
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ..._optional(capabilities, [
+          ['temperature', 'temperature', temperature],
+          ['top_p', 'top_p', topP]
+        ]),
+        ...(system ? { system } : {}),
+        messages: turns,
+        ...(streaming ? { stream: true } : {})
+      }),
+      signal
+    });
+
+    await _throwIfNotOk(res);
+
+    let text = '';
+    let finishReason = '';
+    const usage = { input: null, cacheRead: 0, cacheWrite: 0, output: null };
+
+    const takeUsage = (u) => {
+      if (Number.isFinite(u?.input_tokens)) usage.input = u.input_tokens;
+      usage.cacheRead = Number(u?.cache_read_input_tokens) || 0;
+      usage.cacheWrite = Number(u?.cache_creation_input_tokens) || 0;
+      if (Number.isFinite(u?.output_tokens)) usage.output = u.output_tokens;
+    };
+
+    const onEvent = (data) => {
+      if (!data) return;
+      if (data.type === 'message_start') {
+        takeUsage(data.message?.usage);
+      } else if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+        const delta = String(data.delta.text || '');
+        if (!delta) return;
+        text += delta;
+        try { onDelta?.(delta); } catch { }
+      } else if (data.type === 'message_delta') {
+        const reason = String(data.delta?.stop_reason || '');
+        if (reason) finishReason = ANTHROPIC_STOP_REASONS[reason] || reason;
+        // output_tokens here is cumulative for the message
+        if (Number.isFinite(data.usage?.output_tokens)) usage.output = data.usage.output_tokens;
+      } else if (data.type === 'error') {
+        throw new Error(String(data.error?.message || data.error?.type || 'Stream error'));
+      }
+    };
+
+    if (!streaming) {
+      // One Message object: text blocks + stop_reason + usage
+      const data = await res.json();
+      takeUsage(data?.usage);
+      text = (Array.isArray(data?.content) ? data.content : [])
+        .filter(b => b?.type === 'text')
+        .map(b => String(b.text || ''))
+        .join('');
+      const reason = String(data?.stop_reason || '');
+      finishReason = ANTHROPIC_STOP_REASONS[reason] || reason;
+      if (text) { try { onDelta?.(text); } catch { } }
+    } else {
+      // Each data payload carries its event `type`
+      await _readSseJson(res, onEvent);
+    }
+
+    const ok = Number.isFinite(usage.input) && Number.isFinite(usage.output);
+    return {
+      text,
+      finishReason,
+      usage: ok ? {
+        promptTokens: usage.input + usage.cacheRead + usage.cacheWrite,
+        completionTokens: usage.output,
+        cachedTokens: usage.cacheRead,
+        reasoningTokens: 0
+      } : null
+    };
+  }
+
+  return { kind: 'anthropic', stream };
+}
+
+// -------------------------
+// Gemini generateContent (Node fetch + SSE)
+// -------------------------
+
+// System messages become `systemInstruction`; assistant turns are role "model" and
+// consecutive same-role turns are merged (contents alternate user/model).
+function toGeminiContents(messages) {
+  const { system, messages: turns } = toAnthropicMessages(messages);
+  return {
+    systemInstruction: system ? { parts: [{ text: system }] } : null,
+    contents: turns.map(m => ({
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: m.content }]
+    }))
+  };
+}
+
+function _createGeminiAdapter({ apiKey, baseURL, model, fetchImpl, capabilities = null }) {
+  const doFetch = fetchImpl || _nodeFetch;
+  const root = String(baseURL || 'https://generativelanguage.googleapis.com').replace(/\/+$/, '');
+  const streaming = _streams(capabilities);
+  const url = streaming
+    ? `${root}/${GEMINI_API_VERSION}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`
+    : `${root}/${GEMINI_API_VERSION}/models/${encodeURIComponent(model)}:generateContent`;
+
+  async function stream({ messages, maxTokens, temperature, topP, seed, signal, onDelta } = {}) {
+    const { systemInstruction, contents } = toGeminiContents(messages);
+    const res = await doFetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-goog-api-key': apiKey
+      },
+      body: JSON.stringify({
+        ...(systemInstruction ? { systemInstruction } : {}),
+        contents,
+        generationConfig: {
+          ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+          ..._optional(capabilities, [
+            ['temperature', 'temperature', temperature],
+            ['top_p', 'topP', topP],
+            ['seed', 'seed', seed]
+          ])
+        }
+      }),
+      signal
+    });
+
+    await _throwIfNotOk(res);
+
+    let text = '';
+    let finishReason = '';
+    let usage = null;
+
+    // Every chunk is a GenerateContentResponse; usageMetadata is cumulative (last one wins).
+    // Without streaming the whole reply is one GenerateContentResponse.
+    const onChunk = (data) => {
+      if (data?.error) throw new Error(String(data.error.message || data.error.status || 'Stream error'));
+      if (data?.usageMetadata) usage = data.usageMetadata;
+      const cand = data?.candidates?.[0];
+      const reason = String(cand?.finishReason || '');
+      if (reason && reason !== 'FINISH_REASON_UNSPECIFIED') {
+        finishReason = GEMINI_FINISH_REASONS[reason] || reason.toLowerCase();
+      }
+      // Thought summaries (thought: true) are not part of the answer
+      const delta = (cand?.content?.parts || [])
+        .filter(p => typeof p?.text === 'string' && !p.thought)
+        .map(p => p.text)
+        .join('');
+      if (!delta) return;
+      text += delta;
+      try { onDelta?.(delta); } catch { }
+    };
+    if (streaming) await _readSseJson(res, onChunk);
+    else onChunk(await res.json());
+
+    // Thinking tokens are billed as output; promptTokenCount already includes cached tokens
+    const ok = Number.isFinite(usage?.promptTokenCount);
+    return {
+      text,
+      finishReason,
+      usage: ok ? {
+        promptTokens: usage.promptTokenCount,
+        completionTokens: (Number(usage.candidatesTokenCount) || 0) + (Number(usage.thoughtsTokenCount) || 0),
+        cachedTokens: Number(usage.cachedContentTokenCount) || 0,
+        reasoningTokens: Number(usage.thoughtsTokenCount) || 0
+      } : null
+    };
+  }
+
+  return { kind: 'gemini', stream };
+}
+
+// -------------------------
+// OpenAI Responses API (fetch + SSE)
+// -------------------------
+// System messages become `instructions`; the other turns are the `input` messages.
+function toResponsesInput(messages) {
+  const system = [];
+  const input = [];
+  for (const m of (Array.isArray(messages) ? messages : [])) {
+    const content = String(m?.content || '');
+    if (m?.role === 'system') { if (content) system.push(content); continue; }
+    input.push({ role: m?.role === 'assistant' ? 'assistant' : 'user', content });
+  }
+  return { instructions: system.join('\n\n'), input };
+}
+
+// Chat Completions response_format -> Responses text.format
+function _responsesTextFormat(responseFormat) {
+  if (responseFormat?.type === 'json_schema' && responseFormat.json_schema) {
+    return { type: 'json_schema', ...responseFormat.json_schema };
+  }
+  return responseFormat?.type ? { type: responseFormat.type } : null;
+}
+
+// Response status / incomplete reason -> OpenAI finish_reason
+function _responsesFinishReason(response) {
+  const status = String(response?.status || '');
+  if (status === 'incomplete') {
+    const reason = String(response?.incomplete_details?.reason || '');
+    return reason === 'max_output_tokens' ? 'length' : (reason || 'length');
+  }
+  return status === 'completed' ? 'stop' : status;
+}
+
+// Non-streamed responses carry the text in output[].content[] (output_text parts);
+// the SDK adds the joined `output_text` convenience field
+function _responsesOutputText(response) {
+  if (typeof response?.output_text === 'string') return response.output_text;
+  return (Array.isArray(response?.output) ? response.output : [])
+    .filter(item => item?.type === 'message')
+    .flatMap(item => (Array.isArray(item.content) ? item.content : []))
+    .filter(part => part?.type === 'output_text')
+    .map(part => String(part.text || ''))
+    .join('');
+}
+
+function _createOpenAiResponsesAdapter({ client, model, capabilities = null }) {
+
+  async function stream({ messages, maxTokens, temperature, topP, reasoningEffort, responseFormat, signal, onDelta } = {}) {
+    const { instructions, input } = toResponsesInput(messages);
+    const streaming = _streams(capabilities);
+    const format = _allowed(capabilities, 'response_format', responseFormat) ? _responsesTextFormat(responseFormat) : null;
+    const res = await client.responses.create({
+      model,
+      ...(instructions ? { instructions } : {}),
+      input,
+      ...(maxTokens ? { max_output_tokens: maxTokens } : {}),
+      // The Responses API has no seed
+      ..._optional(capabilities, [
+        ['temperature', 'temperature', temperature],
+        ['top_p', 'top_p', topP]
+      ]),
+      ...(_allowed(capabilities, 'reasoning_effort', reasoningEffort) ? { reasoning: { effort: reasoningEffort } } : {}),
+      ...(format ? { text: { format } } : {}),
+      store: false,
+      ...(streaming ? { stream: true } : {})
+    }, { signal });
+
+    let text = '';
+    let finished = null; // the final Response object
+
+    if (!streaming) {
+      finished = res;
+      if (finished?.error) throw new Error(String(finished.error.message || 'Request failed'));
+      text = _responsesOutputText(finished);
+      if (text) { try { onDelta?.(text); } catch { } }
+    } else {
+      // Each event carries its `type`
+      for await (const data of res) {
+        const type = String(data?.type || '');
+        if (type === 'response.output_text.delta') {
+          const delta = String(data.delta || '');
+          if (!delta) continue;
+          text += delta;
+          try { onDelta?.(delta); } catch { }
+        } else if (type === 'response.completed' || type === 'response.incomplete') {
+          finished = data.response || null;
+        } else if (type === 'response.failed') {
+          throw new Error(String(data.response?.error?.message || 'Response failed'));
+        } else if (type === 'error') {
+          throw new Error(String(data.message || data.error?.message || 'Stream error'));
+        }
+      }
+    }
+
+    // input_tokens includes cached tokens; output_tokens includes reasoning tokens
+    const usage = finished?.usage;
+    const ok = Number.isFinite(usage?.input_tokens) && Number.isFinite(usage?.output_tokens);
+    return {
+      text,
+      finishReason: _responsesFinishReason(finished),
+      usage: ok ? {
+        promptTokens: usage.input_tokens,
+        completionTokens: usage.output_tokens,
+        cachedTokens: Number(usage.input_tokens_details?.cached_tokens) || 0,
+        reasoningTokens: Number(usage.output_tokens_details?.reasoning_tokens) || 0
+      } : null
+    };
+  }
+
+  return { kind: 'responses', stream };
+}
+
+// azure: { apiVersion, deployment } for provider "azure" (baseURL is the resource endpoint)
+// capabilities: the model's manifest capabilities (null = send everything the adapter maps)
+// maxRetries: the OpenAI SDK's own retries (unset = SDK default; 0 when the caller retries)
+function createProviderAdapter({ provider, apiKey, baseURL, model, OpenAI, fetchImpl, azure, capabilities = null, maxRetries } = {}) {
+  const kind = adapterKindForProvider(provider);
+  if (kind === 'anthropic') return _createAnthropicAdapter({ apiKey, baseURL, model, fetchImpl, capabilities });
+  if (kind === 'gemini') return _createGeminiAdapter({ apiKey, baseURL, model, fetchImpl, capabilities });
+  if (!OpenAI) throw new Error('createProviderAdapter: OpenAI is required');
+  if (kind === 'azure') {
+    const client = _createAzureOpenAiClient({
+      OpenAI,
+      apiKey,
+      endpoint: baseURL,
+      apiVersion: azure?.apiVersion,
+      deployment: azure?.deployment,
+      maxRetries
+    });
+    return _createOpenAiAdapter({ client, model: azure.deployment, kind, capabilities });
+  }
+  const client = new OpenAI({
+    apiKey,
+    baseURL,
+    ...(maxRetries != null ? { maxRetries } : {}),
+    dangerouslyAllowBrowser: true  // Enable for Electron renderer; key is user-provided and local
+  });
+  if (capabilities?.api === 'responses') return _createOpenAiResponsesAdapter({ client, model, capabilities });
+  return _createOpenAiAdapter({ client, model, capabilities });
+}
+
+// -------------------------
+// Model discovery (models endpoints)
+// -------------------------
+
+// OpenAI-style lists mix in embeddings, speech, image and moderation models
+const NON_CHAT_MODEL_RE = /(embed|tts|whisper|dall-e|moderation|transcribe|realtime|audio|image|search|davinci|babbage|sora)/i;
+
+async function _getJson(doFetch, url, headers, signal) {
+  const res = await doFetch(url, { method: 'GET', headers, signal });
+  await _throwIfNotOk(res);
+  return res.json();
+}
+
+async function listProviderModels({ provider, apiKey, baseURL, signal, fetchImpl } = {}) {
+  const doFetch = fetchImpl || _nodeFetch;
+  const kind = adapterKindForProvider(provider);
+  const root = String(baseURL || '').replace(/\/+$/, '');
+  const ids = [];
+
+  if (kind === 'anthropic') {
+    // Paged: has_more + last_id
+    let after = '';
+    for (let page = 0; page < 20; page++) {
+      const q = `limit=1000${after ? `&after_id=${encodeURIComponent(after)}` : ''}`;
+      const data = await _getJson(doFetch, `${root || 'https://api.anthropic.com'}/v1/models?${q}`, {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_API_VERSION
+      }, signal);
+      for (const m of (Array.isArray(data?.data) ? data.data : [])) ids.push(String(m?.id || ''));
+      if (!data?.has_more || !data?.last_id) break;
+      after = String(data.last_id);
+    }
+  } else if (kind === 'gemini') {
+    // Paged: nextPageToken; names are "models/<id>"
+    let token = '';
+    for (let page = 0; page < 20; page++) {
+      const q = `pageSize=1000${token ? `&pageToken=${encodeURIComponent(token)}` : ''}`;
+      const data = await _getJson(doFetch, `${root || 'https://generativelanguage.googleapis.com'}/${GEMINI_API_VERSION}/models?${q}`, {
+        'x-goog-api-key': apiKey
+      }, signal);
+      for (const m of (Array.isArray(data?.models) ? data.models : [])) {
+        const methods = Array.isArray(m?.supportedGenerationMethods) ? m.supportedGenerationMethods : [];
+        if (!methods.includes('generateContent')) continue;
+        ids.push(String(m?.name || '').replace(/^models\//, ''));
+      }
+      if (!data?.nextPageToken) break;
+      token = String(data.nextPageToken);
+    }
+  } else if (kind === 'openai') {
+    const data = await _getJson(doFetch, `${root}/models`, { authorization: `Bearer ${apiKey}` }, signal);
+    for (const m of (Array.isArray(data?.data) ? data.data : [])) {
+      const id = String(m?.id || '');
+      if (!NON_CHAT_MODEL_RE.test(id)) ids.push(id);
+    }
+  } else {
+    // Azure deployments are mapped by hand (azure.js); the resource's list is not routable
+    return [];
+  }
+
+  return [...new Set(ids.map(s => s.trim()).filter(Boolean))].sort();
+}
+
+module.exports = {
+  createProviderAdapter,
+  adapterKindForProvider,
+  listProviderModels,
+  toAnthropicMessages,
+  toGeminiContents,
+  toResponsesInput
+};
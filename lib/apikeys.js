@@ -8,15 +8,35 @@
 
 const PROVIDER_XAI = 'xai';
 const PROVIDER_OPENAI = 'openai';
-const PROVIDERS = [PROVIDER_XAI, PROVIDER_OPENAI];
-
-function createApiKeyManager({ t, tFmt, ipcRenderer }) {
+const PROVIDER_ANTHROPIC = 'anthropic';
+const PROVIDER_GEMINI = 'gemini';
+const PROVIDER_AZURE = 'azure';
+const PROVIDERS = [PROVIDER_XAI, PROVIDER_OPENAI, PROVIDER_ANTHROPIC, PROVIDER_GEMINI, PROVIDER_AZURE];
+
+// Azure OpenAI: one resource endpoint + API version, and deployments mapped to manifest
+// models (pricing, max_tokens, context and tokenizer come from the mapped model).
+// Deployments appear in the model dropdown as "azure:<deployment>".
+const AZURE_CONFIG_LS_KEY = 'azure_openai_v1';
+const AZURE_MODEL_PREFIX = 'azure:';
+const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+
+// Custom OpenAI-compatible servers (llama.cpp, vLLM, LM Studio, Ollama, ...):
+// definitions in localStorage; an optional key is encrypted with the same PIN
+// as the built-in providers, under api_key_enc_<id>_v1.
+const CUSTOM_PROVIDERS_LS_KEY = 'custom_providers_v1';
+const CUSTOM_PROVIDER_PREFIX = 'custom-';
+const CUSTOM_NO_KEY = 'no-key'; // the OpenAI SDK needs a non-empty key; local servers ignore it
+
+function createApiKeyManager({ t, tFmt, ipcRenderer, openCustomProviders, openAzure }) {
   // -------------------------
   // LocalStorage keys (encrypted payload)
   // -------------------------
   const LS = {
     [PROVIDER_XAI]:    { enc: 'api_key_enc_xai_v1' },
-    [PROVIDER_OPENAI]: { enc: 'api_key_enc_openai_v1' }
+    [PROVIDER_OPENAI]: { enc: 'api_key_enc_openai_v1' },
+    [PROVIDER_ANTHROPIC]: { enc: 'api_key_enc_anthropic_v1' },
+    [PROVIDER_GEMINI]: { enc: 'api_key_enc_gemini_v1' },
+    [PROVIDER_AZURE]: { enc: 'api_key_enc_azure_v1' }
   };
 
   // -------------------------
@@ -38,7 +58,10 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
   let sessionPin = '';
   const sessionApiKeys = {
     [PROVIDER_XAI]: '',
-    [PROVIDER_OPENAI]: ''
+    [PROVIDER_OPENAI]: '',
+    [PROVIDER_ANTHROPIC]: '',
+    [PROVIDER_GEMINI]: '',
+    [PROVIDER_AZURE]: ''
   };
 
   // -------------------------
@@ -91,14 +114,189 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
 
   function providerForModel(model) {
     const m = (model || '').trim();
-    // Convention: OpenAI models start with "gpt-"
+    const custom = listCustomProviders().find(p => p.models.includes(m));
+    if (custom) return custom.id;
+    if (m.startsWith(AZURE_MODEL_PREFIX)) return PROVIDER_AZURE;
+    // Convention: OpenAI models start with "gpt-", Anthropic models with "claude-", Gemini with "gemini-"
+    if (m.startsWith('claude-')) return PROVIDER_ANTHROPIC;
+    if (m.startsWith('gemini-')) return PROVIDER_GEMINI;
     return m.startsWith('gpt-') ? PROVIDER_OPENAI : PROVIDER_XAI;
   }
 
   function baseUrlForProvider(provider) {
+    const custom = getCustomProvider(provider);
+    if (custom) return custom.baseUrl;
+    if (provider === PROVIDER_AZURE) return getAzureConfig().endpoint;
+    // The Anthropic and Gemini adapters append their versioned paths themselves
+    if (provider === PROVIDER_ANTHROPIC) return 'https://api.anthropic.com';
+    if (provider === PROVIDER_GEMINI) return 'https://generativelanguage.googleapis.com';
     return provider === PROVIDER_XAI ? 'https://api.x.ai/v1' : 'https://api.openai.com/v1';
   }
 
+  // -------------------------
+  // Custom providers (OpenAI-compatible endpoints)
+  // -------------------------
+  function isCustomProvider(provider) {
+    return String(provider || '').startsWith(CUSTOM_PROVIDER_PREFIX);
+  }
+
+  function _normalizeCustomProvider(p) {
+    const id = String(p?.id || '').trim();
+    const baseUrl = String(p?.baseUrl || '').trim().replace(/\/+$/, '');
+    if (!isCustomProvider(id) || !baseUrl) return null;
+    const models = [];
+    for (const m of (Array.isArray(p?.models) ? p.models : [])) {
+      const v = String(m || '').trim();
+      if (v && !models.includes(v)) models.push(v);
+    }
+    return { id, name: String(p?.name || '').trim() || id, baseUrl, models };
+  }
+
+  function _loadCustomProviderDefs() {
+    try {
+      const raw = JSON.parse(localStorage.getItem(CUSTOM_PROVIDERS_LS_KEY) || '[]');
+      return (Array.isArray(raw) ? raw : []).map(_normalizeCustomProvider).filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
+  // [{ id, name, baseUrl, models, hasKey }]
+  function listCustomProviders() {
+    return _loadCustomProviderDefs().map(p => ({ ...p, hasKey: hasEncryptedApiKey(p.id) }));
+  }
+
+  function getCustomProvider(provider) {
+    if (!isCustomProvider(provider)) return null;
+    return listCustomProviders().find(p => p.id === provider) || null;
+  }
+
+  function _newCustomProviderId(name, taken) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32) || 'server';
+    let id = `${CUSTOM_PROVIDER_PREFIX}${slug}`;
+    for (let n = 2; taken.includes(id); n++) id = `${CUSTOM_PROVIDER_PREFIX}${slug}-${n}`;
+    return id;
+  }
+
+  // apiKey: undefined = keep the saved key, '' = remove it, otherwise encrypt it with the
+  // session PIN (or `pin`; when other keys exist it must be the PIN that encrypted them).
+  async function saveCustomProvider({ id, name, baseUrl, models, apiKey, pin } = {}) {
+    const defs = _loadCustomProviderDefs();
+    const existing = defs.find(p => p.id === id) || null;
+    const def = _normalizeCustomProvider({
+      id: existing ? existing.id : _newCustomProviderId(name, defs.map(p => p.id)),
+      name,
+      baseUrl,
+      models
+    });
+    if (!def) return { ok: false, reason: 'invalid' };
+
+    const key = (typeof apiKey === 'string') ? apiKey.trim() : undefined;
+    if (key) {
+      if (!webCrypto?.subtle) return { ok: false, reason: 'webcrypto_missing' };
+      let effectivePin = sessionPin;
+      if (!isValidPin(effectivePin)) {
+        const p = String(pin || '').trim();
+        if (!isValidPin(p)) return { ok: false, reason: 'pin_invalid' };
+        if (hasAnyEncryptedApiKey() && !(await verifyPin(p))) return { ok: false, reason: 'pin_wrong' };
+        effectivePin = p;
+      }
+      try {
+        saveEncryptedPayload(def.id, await encryptApiKeyWithPin(key, effectivePin));
+      } catch {
+        return { ok: false, reason: 'encrypt_failed' };
+      }
+      sessionPin = effectivePin;
+      sessionApiKeys[def.id] = key;
+    } else if (key === '') {
+      try { localStorage.removeItem(_encStorageKey(def.id)); } catch {}
+      delete sessionApiKeys[def.id];
+    }
+
+    const next = existing ? defs.map(p => (p.id === def.id ? def : p)) : [...defs, def];
+    localStorage.setItem(CUSTOM_PROVIDERS_LS_KEY, JSON.stringify(next));
+    _emitApiKeysChanged(def.id);
+    return { ok: true, id: def.id };
+  }
+
+  function removeCustomProvider(id) {
+    if (!isCustomProvider(id)) return false;
+    const defs = _loadCustomProviderDefs();
+    if (!defs.some(p => p.id === id)) return false;
+    try {
+      localStorage.setItem(CUSTOM_PROVIDERS_LS_KEY, JSON.stringify(defs.filter(p => p.id !== id)));
+      localStorage.removeItem(_encStorageKey(id));
+    } catch {}
+    delete sessionApiKeys[id];
+    _emitApiKeysChanged(id);
+    return true;
+  }
+
+  // -------------------------
+  // Azure OpenAI (endpoint + deployment mapping; the key uses the regular key slot)
+  // -------------------------
+  function _normalizeAzureConfig(c) {
+    const endpoint = String(c?.endpoint || '').trim().replace(/\/+$/, '');
+    const apiVersion = String(c?.apiVersion || '').trim() || AZURE_DEFAULT_API_VERSION;
+    const deployments = [];
+    for (const d of (Array.isArray(c?.deployments) ? c.deployments : [])) {
+      const deployment = String(d?.deployment || '').trim();
+      const model = String(d?.model || '').trim();
+      if (!deployment || !model || deployments.some(x => x.deployment === deployment)) continue;
+      deployments.push({ deployment, model });
+    }
+    return { endpoint, apiVersion, deployments };
+  }
+
+  // { endpoint, apiVersion, deployments: [{ deployment, model }] } (empty endpoint = not configured)
+  function getAzureConfig() {
+    try {
+      return _normalizeAzureConfig(JSON.parse(localStorage.getItem(AZURE_CONFIG_LS_KEY) || '{}'));
+    } catch {
+      return _normalizeAzureConfig({});
+    }
+  }
+
+  function saveAzureConfig({ endpoint, apiVersion, deployments } = {}) {
+    const cfg = _normalizeAzureConfig({ endpoint, apiVersion, deployments });
+    if (!cfg.endpoint) return { ok: false, reason: 'invalid' };
+    try {
+      localStorage.setItem(AZURE_CONFIG_LS_KEY, JSON.stringify(cfg));
+    } catch {
+      return { ok: false, reason: 'storage_failed' };
+    }
+    _emitApiKeysChanged(PROVIDER_AZURE);
+    return { ok: true };
+  }
+
+  // Forgets the endpoint, the deployments and the saved key
+  function removeAzureConfig() {
+    try {
+      localStorage.removeItem(AZURE_CONFIG_LS_KEY);
+      localStorage.removeItem(_encStorageKey(PROVIDER_AZURE));
+    } catch {}
+    sessionApiKeys[PROVIDER_AZURE] = '';
+    _emitApiKeysChanged(PROVIDER_AZURE);
+  }
+
+  function azureModelId(deployment) {
+    return `${AZURE_MODEL_PREFIX}${deployment}`;
+  }
+
+  // "azure:<deployment>" -> { endpoint, apiVersion, deployment, model } or null
+  function azureRouteForModel(modelId) {
+    const m = String(modelId || '').trim();
+    if (!m.startsWith(AZURE_MODEL_PREFIX)) return null;
+    const cfg = getAzureConfig();
+    const d = cfg.deployments.find(x => azureModelId(x.deployment) === m);
+    if (!cfg.endpoint || !d) return null;
+    return { endpoint: cfg.endpoint, apiVersion: cfg.apiVersion, deployment: d.deployment, model: d.model };
+  }
+
+  function isUnlocked() {
+    return isValidPin(sessionPin);
+  }
+
   function getProviderUi(provider) {
     if (provider === PROVIDER_OPENAI) {
       return {
@@ -107,6 +305,27 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
         introKey: t('providers.openai', 'OpenAI')
       };
     }
+    if (provider === PROVIDER_ANTHROPIC) {
+      return {
+        title: t('apiKey.anthropicTitle', 'Anthropic API Key'),
+        placeholder: t('apiKey.anthropicPlaceholder', 'sk-ant-...'),
+        introKey: t('providers.anthropic', 'Anthropic')
+      };
+    }
+    if (provider === PROVIDER_AZURE) {
+      return {
+        title: t('apiKey.azureTitle', 'Azure OpenAI API Key'),
+        placeholder: t('apiKey.azurePlaceholder', 'Key 1 or Key 2 of your Azure OpenAI resource'),
+        introKey: t('providers.azure', 'Azure OpenAI')
+      };
+    }
+    if (provider === PROVIDER_GEMINI) {
+      return {
+        title: t('apiKey.geminiTitle', 'Gemini API Key'),
+        placeholder: t('apiKey.geminiPlaceholder', 'AIza...'),
+        introKey: t('providers.gemini', 'Gemini')
+      };
+    }
     if (provider === PROVIDER_XAI) {
       return {
         title: t('apiKey.xaiTitle', 'xAI API Key'),
@@ -333,16 +552,26 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
   // -------------------------
   // localStorage helpers
   // -------------------------
+  function _encStorageKey(provider) {
+    if (LS[provider]) return LS[provider].enc;
+    return isCustomProvider(provider) ? `api_key_enc_${provider}_v1` : undefined;
+  }
+
+  // Built-in providers + every custom provider (whether or not it has a key)
+  function _keyProviders() {
+    return [...PROVIDERS, ..._loadCustomProviderDefs().map(p => p.id)];
+  }
+
   function hasEncryptedApiKey(provider) {
-    return !!localStorage.getItem(LS[provider]?.enc);
+    return !!localStorage.getItem(_encStorageKey(provider));
   }
 
   function hasAnyEncryptedApiKey() {
-    return PROVIDERS.some(p => hasEncryptedApiKey(p));
+    return _keyProviders().some(p => hasEncryptedApiKey(p));
   }
 
   function loadEncryptedPayload(provider) {
-    const raw = localStorage.getItem(LS[provider]?.enc);
+    const raw = localStorage.getItem(_encStorageKey(provider));
     if (!raw) return null;
     try {
       const obj = JSON.parse(raw);
@@ -366,11 +595,12 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
   }
 
   function saveEncryptedPayload(provider, payload) {
-    localStorage.setItem(LS[provider]?.enc, JSON.stringify(payload));
+    localStorage.setItem(_encStorageKey(provider), JSON.stringify(payload));
   }
 
   async function maybeDecryptProviderInSession(provider) {
     if (sessionApiKeys[provider]) return true;
+    if (isCustomProvider(provider) && !hasEncryptedApiKey(provider)) return !!getCustomProvider(provider);
     if (!isValidPin(sessionPin)) return false;
     if (!hasEncryptedApiKey(provider)) return false;
     const payload = loadEncryptedPayload(provider);
@@ -386,7 +616,28 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
   }
 
   function getStoredApiKey(provider) {
-    return sessionApiKeys[provider] || '';
+    if (sessionApiKeys[provider]) return sessionApiKeys[provider];
+    // Keyless custom server (typical for a local LLM)
+    if (isCustomProvider(provider) && !hasEncryptedApiKey(provider) && getCustomProvider(provider)) return CUSTOM_NO_KEY;
+    return '';
+  }
+
+  // True when pin decrypts a stored key (the PIN itself is never stored).
+  // Used to confirm sensitive actions, e.g. overriding a budget cap.
+  async function verifyPin(pin) {
+    const p = String(pin || '').trim();
+    if (!isValidPin(p) || !webCrypto?.subtle) return false;
+    for (const provider of _keyProviders()) {
+      const payload = loadEncryptedPayload(provider);
+      if (!payload) continue;
+      try {
+        const dec = await decryptApiKeyWithPin(payload, p);
+        return !!(dec && dec.trim());
+      } catch {
+        return false;
+      }
+    }
+    return false;
   }
 
   // -------------------------
@@ -406,7 +657,7 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
     // Collect decrypted keys first (no partial overwrite)
     const decrypted = {};
     let any = false;
-    for (const p of PROVIDERS) {
+    for (const p of _keyProviders()) {
       const payload = loadEncryptedPayload(p);
       if (!payload) continue;
       try {
@@ -444,8 +695,8 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
 
   function clearStoredKeysAndSession() {
     try {
-      for (const p of PROVIDERS) {
-        localStorage.removeItem(LS[p]?.enc);
+      for (const p of _keyProviders()) {
+        localStorage.removeItem(_encStorageKey(p));
         sessionApiKeys[p] = '';
         _emitApiKeysChanged(p);
       }
@@ -626,10 +877,10 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
       return;
     }
 
-    // UNLOCK MODE: decrypt all saved encrypted keys (xAI + OpenAI) in one go
+    // UNLOCK MODE: decrypt all saved encrypted keys (every provider) in one go
     try {
       let any = false;
-      for (const p of PROVIDERS) {
+      for (const p of _keyProviders()) {
         const payload = loadEncryptedPayload(p);
         if (!payload) continue;
         const dec = await decryptApiKeyWithPin(payload, pin);
@@ -648,7 +899,7 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
       closeApiKeyModal({ force: true });
       _emitApiKeysReady({
         mode: 'unlock',
-        providers: PROVIDERS.filter(p => !!(sessionApiKeys[p] || ''))
+        providers: _keyProviders().filter(p => !!(sessionApiKeys[p] || ''))
       });
     } catch {
       if (hintEl) hintEl.textContent = t('apiKey.pinDecryptFailed', 'Invalid PIN (or corrupted stored key). Try again.');
@@ -783,6 +1034,9 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
       return;
     }
 
+    // Only keyless custom servers: nothing to unlock or set up
+    if (_loadCustomProviderDefs().length) return;
+
     // No keys at all -> force provider selection first
     openKeyTypeModal({
       blocking: true,
@@ -793,7 +1047,25 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
   // This is the helper your renderer can call from applyPatch:
   // - Returns true if key is ready in session, false if we opened a modal
   async function ensureKeyOrPrompt({ provider, blocking = true } = {}) {
-    const p = (provider === PROVIDER_OPENAI || provider === PROVIDER_XAI) ? provider : PROVIDER_XAI;
+    // Custom server: key (if any) is set in the custom providers dialog; only unlock here
+    if (isCustomProvider(provider)) {
+      await maybeDecryptProviderInSession(provider);
+      if (getStoredApiKey(provider)) return true;
+      if (!isValidPin(sessionPin) && hasEncryptedApiKey(provider)) {
+        openApiKeyModal({
+          provider: 'all',
+          mode: 'unlock',
+          blocking: true,
+          askPin: true,
+          hint: t('apiKey.unlockHint', 'Enter your 6-digit PIN to unlock saved keys for this session.')
+        });
+      } else if (typeof openCustomProviders === 'function') {
+        openCustomProviders({ provider });
+      }
+      return false;
+    }
+
+    const p = PROVIDERS.includes(provider) ? provider : PROVIDER_XAI;
 
     // 1) Try to make key available silently
     await maybeDecryptProviderInSession(p);
@@ -823,8 +1095,8 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
       blocking: !!blocking,
       askPin: !isValidPin(sessionPin),
       hint: isValidPin(sessionPin)
-        ? `Enter your ${p === PROVIDER_OPENAI ? 'OpenAI' : 'xAI'} API key to save it (PIN already unlocked for this session).`
-        : `Enter your ${p === PROVIDER_OPENAI ? 'OpenAI' : 'xAI'} API key and a 6-digit PIN to save it.`
+        ? `Enter your ${getProviderUi(p).introKey} API key to save it (PIN already unlocked for this session).`
+        : `Enter your ${getProviderUi(p).introKey} API key and a 6-digit PIN to save it.`
     });
     return false;
   }
@@ -833,7 +1105,7 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
   // Menu-open handler (renderer keeps ipcRenderer.on('apikey:open', ...) but delegates here)
   // -------------------------
   function openFromMenu(payload) {
-    const requested = payload?.provider === PROVIDER_OPENAI ? PROVIDER_OPENAI : PROVIDER_XAI;
+    const requested = PROVIDERS.includes(payload?.provider) ? payload.provider : PROVIDER_XAI;
 
     // If PIN isn't in RAM but keys exist, force unlock first
     if (!isValidPin(sessionPin) && hasAnyEncryptedApiKey()) {
@@ -902,6 +1174,8 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
     const keyTypeOverlay = document.getElementById('keyTypeOverlay');
     const keyTypeXaiBtn = document.getElementById('keyTypeXaiBtn');
     const keyTypeOpenAiBtn = document.getElementById('keyTypeOpenAiBtn');
+    const keyTypeAnthropicBtn = document.getElementById('keyTypeAnthropicBtn');
+    const keyTypeGeminiBtn = document.getElementById('keyTypeGeminiBtn');
 
     if (keyTypeXaiBtn) {
       keyTypeXaiBtn.addEventListener('click', () => {
@@ -929,6 +1203,51 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
       });
     }
 
+    if (keyTypeAnthropicBtn) {
+      keyTypeAnthropicBtn.addEventListener('click', () => {
+        closeKeyTypeModal({ force: true });
+        openApiKeyModal({
+          provider: PROVIDER_ANTHROPIC,
+          mode: 'setup',
+          blocking: true,
+          askPin: !isValidPin(sessionPin),
+          hint: 'Enter your Anthropic API key and a 6-digit PIN to save it.'
+        });
+      });
+    }
+
+    if (keyTypeGeminiBtn) {
+      keyTypeGeminiBtn.addEventListener('click', () => {
+        closeKeyTypeModal({ force: true });
+        openApiKeyModal({
+          provider: PROVIDER_GEMINI,
+          mode: 'setup',
+          blocking: true,
+          askPin: !isValidPin(sessionPin),
+          hint: 'Enter your Gemini API key and a 6-digit PIN to save it.'
+        });
+      });
+    }
+
+    // Azure needs an endpoint and deployments before a key is useful: open its dialog
+    const keyTypeAzureBtn = document.getElementById('keyTypeAzureBtn');
+    if (keyTypeAzureBtn) {
+      keyTypeAzureBtn.classList.toggle('hidden', typeof openAzure !== 'function');
+      keyTypeAzureBtn.addEventListener('click', () => {
+        closeKeyTypeModal({ force: true });
+        openAzure?.();
+      });
+    }
+
+    const keyTypeCustomBtn = document.getElementById('keyTypeCustomBtn');
+    if (keyTypeCustomBtn) {
+      keyTypeCustomBtn.classList.toggle('hidden', typeof openCustomProviders !== 'function');
+      keyTypeCustomBtn.addEventListener('click', () => {
+        closeKeyTypeModal({ force: true });
+        openCustomProviders?.({ provider: '' });
+      });
+    }
+
     if (keyTypeOverlay) {
       keyTypeOverlay.addEventListener('click', (e) => {
         if (e.target === keyTypeOverlay) closeKeyTypeModal();
@@ -940,16 +1259,34 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
     // constants (useful if you want to compare in renderer)
     PROVIDER_XAI,
     PROVIDER_OPENAI,
+    PROVIDER_ANTHROPIC,
+    PROVIDER_GEMINI,
+    PROVIDER_AZURE,
 
     // provider helpers
     providerForModel,
     baseUrlForProvider,
 
+    // custom (OpenAI-compatible) providers
+    isCustomProvider,
+    listCustomProviders,
+    getCustomProvider,
+    saveCustomProvider,
+    removeCustomProvider,
+
+    // Azure OpenAI
+    getAzureConfig,
+    saveAzureConfig,
+    removeAzureConfig,
+    azureModelId,
+    azureRouteForModel,
+
     // storage/session helpers
     maybeDecryptProviderInSession,
     getStoredApiKey,
     hasAnyEncryptedApiKey,
     hasEncryptedApiKey,
+    isUnlocked,
 
     // flows
     bootstrapApiKeyFlow,
@@ -958,6 +1295,7 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
 
     // pin + reset helpers
     changePin,
+    verifyPin,
     clearStoredKeysAndSession,
 
     // wiring + (optional) escape-close
@@ -970,5 +1308,11 @@ function createApiKeyManager({ t, tFmt, ipcRenderer }) {
 module.exports = {
   PROVIDER_XAI,
   PROVIDER_OPENAI,
+  PROVIDER_ANTHROPIC,
+  PROVIDER_GEMINI,
+  PROVIDER_AZURE,
+  AZURE_MODEL_PREFIX,
+  AZURE_DEFAULT_API_VERSION,
+  CUSTOM_PROVIDER_PREFIX,
   createApiKeyManager
 };
\ No newline at end of file
@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * Azure OpenAI dialog: resource endpoint, API version and deployment -> model mapping
+ * - Storage lives in apikeys.js; the key uses the regular PIN-encrypted key slot
+ *   ("azure"), entered through the API key dialog
+ * - Each deployment maps to a manifest model, so pricing, max_tokens, context and
+ *   tokenizer still come from model_manifest.json (models.js)
+ * - Deployments appear in #modelSelect under "Azure OpenAI"
+ */
+
+function createAzureManager({
+  document,
+  t,
+  tFmt,
+  overlayMgr,
+  apiKeys,
+  manifestModels,
+  openKeyDialog,
+  onChanged,
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createAzureManager: document is required');
+
+  const el = {
+    overlayId: ids.overlayId || 'azureOverlay',
+    titleId: ids.titleId || 'azureTitle',
+    introId: ids.introId || 'azureIntro',
+    endpointLabelId: ids.endpointLabelId || 'azureEndpointLabel',
+    endpointId: ids.endpointId || 'azureEndpoint',
+    apiVersionLabelId: ids.apiVersionLabelId || 'azureApiVersionLabel',
+    apiVersionId: ids.apiVersionId || 'azureApiVersion',
+    deploymentsLabelId: ids.deploymentsLabelId || 'azureDeploymentsLabel',
+    deploymentsId: ids.deploymentsId || 'azureDeployments',
+    addBtnId: ids.addBtnId || 'azureAddDeploymentBtn',
+    keyStatusId: ids.keyStatusId || 'azureKeyStatus',
+    keyBtnId: ids.keyBtnId || 'azureKeyBtn',
+    hintId: ids.hintId || 'azureHint',
+    saveBtnId: ids.saveBtnId || 'azureSaveBtn',
+    removeBtnId: ids.removeBtnId || 'azureRemoveBtn',
+    cancelBtnId: ids.cancelBtnId || 'azureCancelBtn',
+    closeBtnId: ids.closeBtnId || 'azureCloseBtn'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+
+  function _hint(text) {
+    const h = _byId(el.hintId);
+    if (h) h.textContent = text || '';
+  }
+
+  function _models() {
+    try {
+      const list = manifestModels?.();
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // -------------------------
+  // Deployment rows
+  // -------------------------
+  function _row({ deployment = '', model = '' } = {}) {
+    const row = document.createElement('div');
+    row.className = 'azure-row';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'azure-deployment';
+    name.autocomplete = 'off';
+    name.spellcheck = false;
+    name.placeholder = t('azure.deploymentPlaceholder', 'Deployment name');
+    name.value = deployment;
+
+    const sel = document.createElement('select');
+    sel.className = 'azure-model';
+    const models = _models();
+    // Keep a mapping whose model left the manifest visible (it is not routable until fixed)
+    if (model && !models.some(m => m.id === model)) models.push({ id: model, label: model });
+    for (const m of models) {
+      const opt = document.createElement('option');
+      opt.value = m.id;
+      opt.textContent = m.label;
+      sel.appendChild(opt);
+    }
+    if (model) sel.value = model;
+
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'azure-row-remove';
+    del.textContent = '×';
+    del.setAttribute('aria-label', t('azure.removeDeployment', 'Remove deployment'));
+
+    row.appendChild(name);
+    row.appendChild(sel);
+    row.appendChild(del);
+    return row;
+  }
+
+  function _addRow(d) {
+    const list = _byId(el.deploymentsId);
+    if (!list) return null;
+    const row = _row(d);
+    list.appendChild(row);
+    return row;
+  }
+
+  function _readRows() {
+    const out = [];
+    for (const row of (_byId(el.deploymentsId)?.querySelectorAll('.azure-row') || [])) {
+      const deployment = String(row.querySelector('.azure-deployment')?.value || '').trim();
+      const model = String(row.querySelector('.azure-model')?.value || '').trim();
+      if (deployment) out.push({ deployment, model }); // empty rows are ignored
+    }
+    return out;
+  }
+
+  // -------------------------
+  // Form
+  // -------------------------
+  function _syncKeyStatus() {
+    const has = !!apiKeys?.hasEncryptedApiKey?.('azure');
+    const status = _byId(el.keyStatusId);
+    if (status) {
+      status.textContent = has
+        ? t('azure.keySaved', 'API key saved (encrypted with your PIN).')
+        : t('azure.keyMissing', 'No API key saved yet.');
+    }
+    const btn = _byId(el.keyBtnId);
+    if (btn) btn.textContent = has ? t('azure.keyUpdate', 'Update API key…') : t('azure.keySet', 'Set API key…');
+  }
+
+  function _fillForm() {
+    const cfg = apiKeys?.getAzureConfig?.() || { endpoint: '', apiVersion: '', deployments: [] };
+    const set = (id, v) => { const n = _byId(id); if (n) n.value = v; };
+    set(el.endpointId, cfg.endpoint || '');
+    set(el.apiVersionId, cfg.apiVersion || '');
+    _byId(el.deploymentsId)?.replaceChildren();
+    for (const d of cfg.deployments) _addRow(d);
+    if (!cfg.deployments.length) _addRow();
+    _byId(el.removeBtnId)?.classList.toggle('hidden', !cfg.endpoint);
+    _syncKeyStatus();
+    _hint('');
+  }
+
+  function _validEndpoint(url) {
+    try {
+      return new URL(url).protocol === 'https:';
+    } catch {
+      return false;
+    }
+  }
+
+  function _save() {
+    _hint('');
+    const endpoint = String(_byId(el.endpointId)?.value || '').trim();
+    const apiVersion = String(_byId(el.apiVersionId)?.value || '').trim();
+    const deployments = _readRows();
+
+    if (!_validEndpoint(endpoint)) {
+      _hint(t('azure.endpointInvalid', 'Endpoint must be an https URL, e.g. https://my-resource.openai.azure.com'));
+      return;
+    }
+    if (!apiVersion) { _hint(t('azure.apiVersionRequired', 'API version is required.')); return; }
+    if (!deployments.length) { _hint(t('azure.deploymentsRequired', 'Add at least one deployment.')); return; }
+    const seen = new Set();
+    for (const d of deployments) {
+      if (seen.has(d.deployment)) {
+        _hint(tFmt('azure.deploymentDuplicateFmt', { name: d.deployment }, `Deployment "${d.deployment}" is listed twice.`));
+        return;
+      }
+      seen.add(d.deployment);
+      if (!d.model) {
+        _hint(tFmt('azure.modelRequiredFmt', { name: d.deployment }, `Pick the model deployed as "${d.deployment}".`));
+        return;
+      }
+    }
+
+    const res = apiKeys.saveAzureConfig({ endpoint, apiVersion, deployments });
+    if (!res?.ok) { _hint(t('azure.saveFailed', 'Could not save the Azure settings.')); return; }
+    try { onChanged?.(); } catch { }
+
+    // First setup: go straight on to the key
+    if (!apiKeys?.hasEncryptedApiKey?.('azure')) {
+      close({ force: true });
+      openKeyDialog?.();
+      return;
+    }
+    _fillForm();
+    _hint(t('azure.saved', 'Saved.'));
+  }
+
+  function _remove() {
+    if (!confirm(t('azure.removeConfirm', 'Remove the Azure OpenAI endpoint, its deployments and the saved key?'))) return;
+    apiKeys.removeAzureConfig();
+    _fillForm();
+    try { onChanged?.(); } catch { }
+  }
+
+  // -------------------------
+  // Overlay
+  // -------------------------
+  function open() {
+    _fillForm();
+    overlayMgr?.open?.(el.overlayId);
+    setTimeout(() => { try { _byId(el.endpointId)?.focus(); } catch { } }, 0);
+  }
+
+  function close({ force = false } = {}) {
+    overlayMgr?.close?.(el.overlayId, { force });
+  }
+
+  function applyI18n() {
+    const set = (id, text) => { const n = _byId(id); if (n) n.textContent = text; };
+    set(el.titleId, t('azure.title', 'Azure OpenAI'));
+    set(el.introId, t('azure.intro', 'Map each deployment of your Azure OpenAI resource to the model it runs; pricing and limits come from that model.'));
+    set(el.endpointLabelId, t('azure.endpointLabel', 'Endpoint'));
+    set(el.apiVersionLabelId, t('azure.apiVersionLabel', 'API version'));
+    set(el.deploymentsLabelId, t('azure.deploymentsLabel', 'Deployments'));
+    set(el.addBtnId, t('azure.addDeployment', '+ Add deployment'));
+    set(el.saveBtnId, t('azure.save', 'Save'));
+    set(el.removeBtnId, t('azure.remove', 'Remove'));
+    set(el.cancelBtnId, t('azure.close', 'Close'));
+    _byId(el.closeBtnId)?.setAttribute('aria-label', t('azure.closeAria', 'Close Azure OpenAI settings'));
+    if (!_byId(el.overlayId)?.classList.contains('hidden')) _syncKeyStatus();
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    _byId(el.deploymentsId)?.addEventListener('click', (e) => {
+      const btn = e.target?.closest?.('.azure-row-remove');
+      if (!btn) return;
+      btn.closest('.azure-row')?.remove();
+      if (!_byId(el.deploymentsId)?.querySelector('.azure-row')) _addRow();
+    });
+    _byId(el.addBtnId)?.addEventListener('click', () => {
+      _addRow()?.querySelector('.azure-deployment')?.focus();
+    });
+    _byId(el.keyBtnId)?.addEventListener('click', () => {
+      close({ force: true });
+      openKeyDialog?.();
+    });
+    _byId(el.saveBtnId)?.addEventListener('click', _save);
+    _byId(el.removeBtnId)?.addEventListener('click', _remove);
+    _byId(el.cancelBtnId)?.addEventListener('click', () => close());
+    _byId(el.closeBtnId)?.addEventListener('click', () => close());
+  }
+
+  return {
+    open,
+    close,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createAzureManager };
@@ -0,0 +1,492 @@
+'use strict';
+
+/**
+ * Budget caps per provider (daily or monthly, USD from manifest pricing)
+ * - Settings overlay: cap + period + warning threshold per provider; raising or removing
+ *   a cap needs the PIN (otherwise the cap is no safety net on a shared machine)
+ * - gate({ provider, estimate }) runs before a model request goes out:
+ *   below the threshold -> go; at the threshold -> confirm; at the cap -> blocked
+ *   unless overridden with the PIN (for that one request)
+ * - Spend comes from a ledger of its own, not from history (history is capped and can be
+ *   cleared without the PIN): recordSpend() is called for every priced model response,
+ *   including truncated, failed, cancelled, compare and fallback runs. The app has no way
+ *   to clear it; entries from before the current month are dropped as they stop counting.
+ *   A new ledger starts from the priced history runs of the current month (see usage.js).
+ * - Requests in flight reserve their estimate (check({ reserve: true }) / reserve()), so
+ *   parallel runs cannot each pass the check and together go over the cap
+ *
+ * Caps live in storage under 'budget.caps.v1': { [provider]: { cap, period, warnPct } },
+ * the ledger under 'budget.spend.v1': [{ ts, provider, model, cost }].
+ */
+
+const BUDGET_LS_KEY = 'budget.caps.v1';
+const BUDGET_SPEND_LS_KEY = 'budget.spend.v1';
+const BUDGET_PERIODS = ['day', 'month'];
+const BUDGET_DEFAULT_WARN_PCT = 80;
+
+function createBudgetManager({
+  document,
+  storage,
+  t,
+  tFmt,
+  overlayMgr,
+  getProviders,
+  listRuns,
+  verifyPin,
+  pinBoxes,
+  formatCost,
+  now = () => Date.now(),
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createBudgetManager: document is required');
+
+  const el = {
+    overlayId: ids.overlayId || 'budgetOverlay',
+    titleId: ids.titleId || 'budgetTitle',
+    introId: ids.introId || 'budgetIntro',
+    rowsId: ids.rowsId || 'budgetRows',
+    pinLabelId: ids.pinLabelId || 'budgetPinLabel',
+    pinBoxesId: ids.pinBoxesId || 'budgetPinBoxes',
+    pinHiddenId: ids.pinHiddenId || 'budgetPin',
+    hintId: ids.hintId || 'budgetHint',
+    saveBtnId: ids.saveBtnId || 'budgetSaveBtn',
+    cancelBtnId: ids.cancelBtnId || 'budgetCancelBtn',
+    closeBtnId: ids.closeBtnId || 'budgetCloseBtn',
+
+    alertOverlayId: ids.alertOverlayId || 'budgetAlertOverlay',
+    alertTitleId: ids.alertTitleId || 'budgetAlertTitle',
+    alertBodyId: ids.alertBodyId || 'budgetAlertBody',
+    alertPinWrapId: ids.alertPinWrapId || 'budgetAlertPinWrap',
+    alertPinLabelId: ids.alertPinLabelId || 'budgetAlertPinLabel',
+    alertPinBoxesId: ids.alertPinBoxesId || 'budgetAlertPinBoxes',
+    alertPinHiddenId: ids.alertPinHiddenId || 'budgetAlertPin',
+    alertHintId: ids.alertHintId || 'budgetAlertHint',
+    alertOkBtnId: ids.alertOkBtnId || 'budgetAlertOkBtn',
+    alertCancelBtnId: ids.alertCancelBtnId || 'budgetAlertCancelBtn',
+    alertCloseBtnId: ids.alertCloseBtnId || 'budgetAlertCloseBtn'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+  let alertState = null; // { res, resolve }
+  const reservations = new Map(); // id -> { provider, estimate }
+  let nextReservationId = 1;
+
+  // -------------------------
+  // Storage
+  // -------------------------
+  function _normalizeCap(c) {
+    const cap = Number(c?.cap);
+    if (!Number.isFinite(cap) || cap <= 0) return null;
+    const warnPct = Math.round(Number(c?.warnPct));
+    return {
+      cap,
+      period: BUDGET_PERIODS.includes(c?.period) ? c.period : 'month',
+      warnPct: Number.isFinite(warnPct) && warnPct >= 1 && warnPct <= 100 ? warnPct : BUDGET_DEFAULT_WARN_PCT
+    };
+  }
+
+  function loadCaps() {
+    const out = {};
+    try {
+      const raw = JSON.parse(storage.getItem(BUDGET_LS_KEY) || '{}');
+      for (const [provider, c] of Object.entries(raw || {})) {
+        const n = _normalizeCap(c);
+        if (n) out[provider] = n;
+      }
+    } catch { }
+    return out;
+  }
+
+  function saveCaps(caps) {
+    try { storage.setItem(BUDGET_LS_KEY, JSON.stringify(caps || {})); } catch { }
+  }
+
+  // -------------------------
+  // Spend ledger
+  // -------------------------
+  function periodStart(period, at = now()) {
+    const d = new Date(at);
+    return period === 'day'
+      ? new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime()
+      : new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+  }
+
+  function _validEntry(e) {
+    return !!e && !!e.provider && Number.isFinite(e.ts) && Number.isFinite(e.cost) && e.cost > 0;
+  }
+
+  function _loadLedger() {
+    try {
+      const raw = JSON.parse(storage.getItem(BUDGET_SPEND_LS_KEY) || '[]');
+      return Array.isArray(raw) ? raw.filter(_validEntry) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // A month is the longest window: older entries never count again
+  function _saveLedger(list) {
+    const since = periodStart('month');
+    try { storage.setItem(BUDGET_SPEND_LS_KEY, JSON.stringify(list.filter(e => e.ts >= since))); } catch { }
+  }
+
+  function recordSpend({ provider, model = '', cost, ts = now() } = {}) {
+    const entry = { ts: Number(ts), provider: String(provider || ''), model: String(model || ''), cost: Number(cost) };
+    if (!_validEntry(entry)) return;
+    const list = _loadLedger();
+    list.push(entry);
+    _saveLedger(list);
+  }
+
+  // Once, for a ledger that does not exist yet: this month's priced history runs
+  async function seedFromHistory() {
+    try {
+      if (storage.getItem(BUDGET_SPEND_LS_KEY) != null) return;
+      const since = periodStart('month');
+      const runs = ((await listRuns?.()) || [])
+        .filter(r => r.ts >= since)
+        .map(r => ({ ts: Number(r.ts), provider: String(r.provider || ''), model: String(r.model || ''), cost: Number(r.cost) }))
+        .filter(_validEntry);
+      if (storage.getItem(BUDGET_SPEND_LS_KEY) != null) return;
+      _saveLedger(runs);
+    } catch { }
+  }
+
+  // Recorded spend of a provider in the current day / month
+  function spendFor(provider, period) {
+    const since = periodStart(period);
+    let spent = 0;
+    for (const e of _loadLedger()) {
+      if (e.provider === provider && e.ts >= since) spent += e.cost;
+    }
+    return spent;
+  }
+
+  function _reservedFor(provider) {
+    let sum = 0;
+    for (const r of reservations.values()) {
+      if (r.provider === provider) sum += r.estimate;
+    }
+    return sum;
+  }
+
+  // Holds ~estimate for a request in flight; returns release() (safe to call twice)
+  function reserve({ provider, estimate = 0 } = {}) {
+    const est = Number.isFinite(estimate) && estimate > 0 ? estimate : 0;
+    const id = nextReservationId++;
+    reservations.set(id, { provider: String(provider || ''), estimate: est });
+    return () => { reservations.delete(id); };
+  }
+
+  // { level: ok | warn | block, ... } for a request expected to cost ~estimate.
+  // With reserve, a request that is not blocked gets res.release (see reserve()).
+  function check({ provider, estimate = 0, reserve: doReserve = false } = {}) {
+    const c = loadCaps()[String(provider || '')];
+    const est = Number.isFinite(estimate) && estimate > 0 ? estimate : 0;
+    const withRelease = (res) => (doReserve && res.level !== 'block' ? { ...res, release: reserve({ provider, estimate: est }) } : res);
+    if (!c) return withRelease({ level: 'ok' });
+    const spent = spendFor(provider, c.period) + _reservedFor(provider);
+    const projected = spent + est;
+    let level = 'ok';
+    if (spent >= c.cap || projected > c.cap) level = 'block';
+    else if (projected >= c.cap * c.warnPct / 100) level = 'warn';
+    return withRelease({ level, provider, ...c, spent, estimate: est, projected });
+  }
+
+  // -------------------------
+  // Gate (before a request)
+  // -------------------------
+  function _periodText(period) {
+    return period === 'day' ? t('budget.periodDay', 'daily') : t('budget.periodMonth', 'monthly');
+  }
+
+  function _providerLabel(provider) {
+    const p = (getProviders?.() || []).find(x => x.id === provider);
+    return p?.label || provider;
+  }
+
+  function _fmt(usd) {
+    return formatCost ? formatCost(usd) : `$${usd.toFixed(2)}`;
+  }
+
+  function _renderAlert() {
+    const res = alertState?.res;
+    if (!res) return;
+    const block = res.level === 'block';
+    const vars = {
+      provider: _providerLabel(res.provider),
+      spent: _fmt(res.spent),
+      cap: _fmt(res.cap),
+      period: _periodText(res.period),
+      estimate: _fmt(res.estimate),
+      pct: String(res.warnPct)
+    };
+    const title = _byId(el.alertTitleId);
+    const body = _byId(el.alertBodyId);
+    const okBtn = _byId(el.alertOkBtnId);
+    const cancelBtn = _byId(el.alertCancelBtnId);
+    const pinWrap = _byId(el.alertPinWrapId);
+    const pinLabel = _byId(el.alertPinLabelId);
+
+    if (title) title.textContent = block ? t('budget.blockTitle', 'Budget cap reached') : t('budget.warnTitle', 'Budget warning');
+    if (body) {
+      body.textContent = block
+        ? tFmt('budget.blockFmt', vars, `${vars.provider}: ${vars.spent} of the ${vars.period} cap of ${vars.cap} is spent; this request (about ${vars.estimate}) would go over it. Enter your PIN to send it anyway.`)
+        : tFmt('budget.warnFmt', vars, `${vars.provider}: ${vars.spent} of the ${vars.period} budget of ${vars.cap} is spent; this request (about ${vars.estimate}) passes the ${vars.pct}% warning threshold.`);
+    }
+    if (pinWrap) pinWrap.classList.toggle('hidden', !block);
+    if (pinLabel) pinLabel.textContent = t('budget.pinLabel', 'PIN (6 digits)');
+    if (okBtn) okBtn.textContent = block ? t('budget.override', 'Override with PIN') : t('budget.continue', 'Send anyway');
+    if (cancelBtn) cancelBtn.textContent = t('budget.cancel', 'Cancel');
+  }
+
+  function _finishAlert(ok) {
+    const st = alertState;
+    alertState = null;
+    if (st) st.resolve(!!ok);
+    overlayMgr?.close?.(el.alertOverlayId, { force: true });
+  }
+
+  // Resolves true when the request may go out
+  async function gate({ provider, estimate = 0 } = {}) {
+    let res = null;
+    try { res = check({ provider, estimate }); } catch { res = null; }
+    if (!res || res.level === 'ok') return true;
+
+    if (alertState) _finishAlert(false);
+    return new Promise((resolve) => {
+      alertState = { res, resolve };
+      _renderAlert();
+      const hint = _byId(el.alertHintId);
+      if (hint) hint.textContent = '';
+      overlayMgr?.open?.(el.alertOverlayId);
+      if (res.level === 'block') setTimeout(() => { try { pinBoxes?.clear(el.alertPinBoxesId, el.alertPinHiddenId); } catch { } }, 0);
+    });
+  }
+
+  async function _onAlertOk() {
+    const res = alertState?.res;
+    if (!res) return;
+    if (res.level !== 'block') { _finishAlert(true); return; }
+
+    const hint = _byId(el.alertHintId);
+    const pin = pinBoxes?.read(el.alertPinBoxesId) || '';
+    if (!(await verifyPin?.(pin))) {
+      if (hint) hint.textContent = t('budget.pinWrong', 'Incorrect PIN.');
+      try { pinBoxes?.clear(el.alertPinBoxesId, el.alertPinHiddenId); } catch { }
+      return;
+    }
+    _finishAlert(true);
+  }
+
+  // overlayMgr closed the alert (ESC / outside click): same as Cancel
+  function onAlertClosed() {
+    const st = alertState;
+    alertState = null;
+    if (st) st.resolve(false);
+  }
+
+  // -------------------------
+  // Settings overlay
+  // -------------------------
+  function _renderRows() {
+    const wrap = _byId(el.rowsId);
+    if (!wrap) return;
+    const caps = loadCaps();
+    const frag = document.createDocumentFragment();
+
+    for (const p of (getProviders?.() || [])) {
+      const c = caps[p.id] || null;
+      const row = document.createElement('div');
+      row.className = 'budget-row';
+      row.dataset.provider = p.id;
+
+      const name = document.createElement('div');
+      name.className = 'budget-provider';
+      name.textContent = p.label || p.id;
+
+      const capLabel = document.createElement('label');
+      capLabel.className = 'budget-field';
+      const capText = document.createElement('span');
+      capText.textContent = t('budget.capLabel', 'Cap (USD)');
+      const capInput = document.createElement('input');
+      capInput.type = 'number';
+      capInput.min = '0';
+      capInput.step = '0.01';
+      capInput.className = 'budget-cap';
+      capInput.placeholder = t('budget.noCap', 'No cap');
+      capInput.value = c ? String(c.cap) : '';
+      capLabel.appendChild(capText);
+      capLabel.appendChild(capInput);
+
+      const periodLabel = document.createElement('label');
+      periodLabel.className = 'budget-field';
+      const periodText = document.createElement('span');
+      periodText.textContent = t('budget.periodLabel', 'Per');
+      const periodSel = document.createElement('select');
+      periodSel.className = 'budget-period';
+      for (const per of BUDGET_PERIODS) {
+        const opt = document.createElement('option');
+        opt.value = per;
+        opt.textContent = per === 'day' ? t('budget.day', 'Day') : t('budget.month', 'Month');
+        periodSel.appendChild(opt);
+      }
+      periodSel.value = c?.period || 'month';
+      periodLabel.appendChild(periodText);
+      periodLabel.appendChild(periodSel);
+
+      const warnLabel = document.createElement('label');
+      warnLabel.className = 'budget-field';
+      const warnText = document.createElement('span');
+      warnText.textContent = t('budget.warnLabel', 'Warn at %');
+      const warnInput = document.createElement('input');
+      warnInput.type = 'number';
+      warnInput.min = '1';
+      warnInput.max = '100';
+      warnInput.step = '1';
+      warnInput.className = 'budget-warn';
+      warnInput.value = String(c?.warnPct || BUDGET_DEFAULT_WARN_PCT);
+      warnLabel.appendChild(warnText);
+      warnLabel.appendChild(warnInput);
+
+      const spent = document.createElement('div');
+      spent.className = 'budget-spent';
+
+      row.appendChild(name);
+      row.appendChild(capLabel);
+      row.appendChild(periodLabel);
+      row.appendChild(warnLabel);
+      row.appendChild(spent);
+      frag.appendChild(row);
+    }
+    wrap.replaceChildren(frag);
+    void _refreshSpent();
+  }
+
+  async function _refreshSpent() {
+    const wrap = _byId(el.rowsId);
+    if (!wrap) return;
+    for (const row of wrap.querySelectorAll('.budget-row')) {
+      const period = row.querySelector('.budget-period')?.value || 'month';
+      const out = row.querySelector('.budget-spent');
+      if (!out) continue;
+      try {
+        const spent = spendFor(row.dataset.provider, period);
+        out.textContent = period === 'day'
+          ? tFmt('budget.spentTodayFmt', { spent: _fmt(spent) }, `Spent today: ${_fmt(spent)}`)
+          : tFmt('budget.spentMonthFmt', { spent: _fmt(spent) }, `Spent this month: ${_fmt(spent)}`);
+      } catch {
+        out.textContent = '';
+      }
+    }
+  }
+
+  function _readRows() {
+    const caps = {};
+    for (const row of (_byId(el.rowsId)?.querySelectorAll('.budget-row') || [])) {
+      const n = _normalizeCap({
+        cap: row.querySelector('.budget-cap')?.value,
+        period: row.querySelector('.budget-period')?.value,
+        warnPct: row.querySelector('.budget-warn')?.value
+      });
+      if (n) caps[row.dataset.provider] = n;
+    }
+    return caps;
+  }
+
+  // Removing a cap, raising it, or stretching a daily cap to monthly
+  function _loosens(before, after) {
+    for (const [provider, b] of Object.entries(before)) {
+      const a = after[provider];
+      if (!a || a.cap > b.cap || (b.period === 'day' && a.period === 'month')) return true;
+    }
+    return false;
+  }
+
+  async function _save() {
+    const hint = _byId(el.hintId);
+    if (hint) hint.textContent = '';
+    const before = loadCaps();
+    const after = _readRows();
+
+    if (_loosens(before, after)) {
+      const pin = pinBoxes?.read(el.pinBoxesId) || '';
+      if (!(await verifyPin?.(pin))) {
+        if (hint) hint.textContent = t('budget.pinNeeded', 'Raising or removing a cap needs your PIN.');
+        try { pinBoxes?.clear(el.pinBoxesId, el.pinHiddenId); } catch { }
+        return;
+      }
+    }
+    saveCaps(after);
+    close();
+  }
+
+  function open() {
+    _renderRows();
+    const hint = _byId(el.hintId);
+    if (hint) hint.textContent = '';
+    overlayMgr?.open?.(el.overlayId);
+    try { pinBoxes?.clear(el.pinBoxesId, el.pinHiddenId, { focus: false }); } catch { }
+  }
+
+  function close({ force = false } = {}) {
+    overlayMgr?.close?.(el.overlayId, { force });
+  }
+
+  function applyI18n() {
+    const set = (id, text) => { const n = _byId(id); if (n) n.textContent = text; };
+    set(el.titleId, t('budget.title', 'Budget Caps'));
+    set(el.introId, t('budget.intro', 'Daily or monthly spending limits per provider, from model_manifest.json pricing and the usage every model response reports (kept apart from history, so clearing history does not reset it). Requests warn at the threshold and are blocked at the cap unless overridden with your PIN.'));
+    set(el.pinLabelId, t('budget.pinSaveLabel', 'PIN (needed to raise or remove a cap)'));
+    set(el.saveBtnId, t('budget.save', 'Save'));
+    set(el.cancelBtnId, t('budget.cancel', 'Cancel'));
+    _byId(el.closeBtnId)?.setAttribute('aria-label', t('budget.closeAria', 'Close budget caps'));
+    _byId(el.alertCloseBtnId)?.setAttribute('aria-label', t('budget.closeAria', 'Close budget caps'));
+    if (!_byId(el.overlayId)?.classList.contains('hidden')) _renderRows();
+    _renderAlert();
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    pinBoxes?.wire({ wrapId: el.pinBoxesId, hiddenId: el.pinHiddenId, onEnter: () => { void _save(); } });
+    pinBoxes?.wire({
+      wrapId: el.alertPinBoxesId,
+      hiddenId: el.alertPinHiddenId,
+      onEnter: () => { void _onAlertOk(); },
+      onComplete: () => { void _onAlertOk(); }
+    });
+
+    _byId(el.saveBtnId)?.addEventListener('click', () => { void _save(); });
+    _byId(el.cancelBtnId)?.addEventListener('click', () => close());
+    _byId(el.closeBtnId)?.addEventListener('click', () => close());
+    _byId(el.rowsId)?.addEventListener('change', (e) => {
+      if (e.target?.classList?.contains('budget-period')) void _refreshSpent();
+    });
+
+    _byId(el.alertOkBtnId)?.addEventListener('click', () => { void _onAlertOk(); });
+    _byId(el.alertCancelBtnId)?.addEventListener('click', () => _finishAlert(false));
+    _byId(el.alertCloseBtnId)?.addEventListener('click', () => _finishAlert(false));
+    applyI18n();
+  }
+
+  return {
+    loadCaps,
+    saveCaps,
+    periodStart,
+    recordSpend,
+    seedFromHistory,
+    spendFor,
+    reserve,
+    check,
+    gate,
+    onAlertClosed,
+    open,
+    close,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createBudgetManager };
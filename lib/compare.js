@@ -0,0 +1,437 @@
+'use strict';
+
+/**
+ * "Compare models": one diff + file, several manifest models in parallel
+ * - Model picker (only providers with a key; optgroups disabled in #modelSelect are skipped)
+ * - One card per model: live elapsed time, then duration / tokens / cost + the output
+ * - Disagreements: every output line that differs from at least one other output is marked
+ * - "Use this result" hands a card back to renderer.js (stored like a normal model apply)
+ *
+ * The actual request is renderer.js's business: runModel({ model, snapshot, signal }) ->
+ *   { ok, text, error, provider, durationMs, tokens, tokensEstimated, cost, truncated }
+ * A run is snapshotted at Run time; closing the overlay aborts it.
+ */
+
+const COMPARE_TICK_MS = 1000;
+
+function createCompareManager({
+  document,
+  diffLib,
+  t,
+  tFmt,
+  overlayMgr,
+  getModelChoices,
+  getSnapshot,
+  runModel,
+  onUseResult,
+  formatDuration,
+  formatCost,
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createCompareManager: document is required');
+
+  const el = {
+    overlayId: ids.overlayId || 'compareOverlay',
+    openBtnId: ids.openBtnId || 'compareBtn',
+    closeBtnId: ids.closeBtnId || 'compareCloseBtn',
+    titleId: ids.titleId || 'compareTitle',
+    introId: ids.introId || 'compareIntro',
+    modelsId: ids.modelsId || 'compareModels',
+    summaryId: ids.summaryId || 'compareSummary',
+    gridId: ids.gridId || 'compareGrid',
+    runBtnId: ids.runBtnId || 'compareRunBtn',
+    cancelBtnId: ids.cancelBtnId || 'compareCancelBtn'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+  let selection = null;   // Set of model ids (kept across opens)
+  let current = null;     // { ctrl, snapshot, results[], done, notice }
+  let ticker = null;
+
+  // -------------------------
+  // Model picker
+  // -------------------------
+  function _choices() {
+    try { return (getModelChoices?.() || []).filter(c => c && c.id); } catch { return []; }
+  }
+
+  // Default: the tab's model + the first model of each other provider
+  function _defaultSelection(choices) {
+    const picked = new Set();
+    const cur = choices.find(c => c.current) || choices[0];
+    if (cur) picked.add(cur.id);
+    const seen = new Set(cur ? [cur.provider] : []);
+    for (const c of choices) {
+      if (seen.has(c.provider)) continue;
+      seen.add(c.provider);
+      picked.add(c.id);
+    }
+    // Single provider: compare against its next model
+    if (picked.size < 2) {
+      const other = choices.find(c => !picked.has(c.id));
+      if (other) picked.add(other.id);
+    }
+    return picked;
+  }
+
+  function _renderModels() {
+    const wrap = _byId(el.modelsId);
+    if (!wrap) return;
+    const choices = _choices();
+    const ids = new Set(choices.map(c => c.id));
+    if (!selection) selection = _defaultSelection(choices);
+    for (const id of [...selection]) if (!ids.has(id)) selection.delete(id);
+
+    const frag = document.createDocumentFragment();
+    if (!choices.length) {
+      const empty = document.createElement('div');
+      empty.className = 'compare-empty';
+      empty.textContent = t('compare.noModels', 'No models available. Add an API key first.');
+      frag.appendChild(empty);
+    }
+    for (const c of choices) {
+      const label = document.createElement('label');
+      label.className = 'compare-model';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.value = c.id;
+      cb.checked = selection.has(c.id);
+      cb.disabled = _isRunning();
+      const txt = document.createElement('span');
+      txt.textContent = c.label || c.id;
+      label.title = c.id;
+      label.appendChild(cb);
+      label.appendChild(txt);
+      frag.appendChild(label);
+    }
+    wrap.replaceChildren(frag);
+  }
+
+  // -------------------------
+  // Disagreements (line based, each output vs every other)
+  // -------------------------
+  function _lineCount(value) {
+    if (!value) return 0;
+    const n = value.split('\n').length;
+    return value.endsWith('\n') ? n - 1 : n;
+  }
+
+  // Marks, per output, which of its lines differ from some other output ("lines")
+  // and where another output has lines this one lacks ("gaps": insert before line i).
+  function computeDisagreements(texts) {
+    const marks = texts.map(() => ({ lines: new Set(), gaps: new Set() }));
+    for (let i = 0; i < texts.length; i++) {
+      for (let j = 0; j < texts.length; j++) {
+        if (i === j || texts[i] === texts[j]) continue;
+        let idx = 0;
+        let prevRemoved = false;
+        for (const part of diffLib.diffLines(texts[i], texts[j])) {
+          const count = Number.isFinite(part.count) ? part.count : _lineCount(part.value);
+          // Added right after removed = replacement (already marked), not a gap
+          if (part.added) {
+            if (!prevRemoved) marks[i].gaps.add(idx);
+            prevRemoved = false;
+            continue;
+          }
+          if (part.removed) for (let k = 0; k < count; k++) marks[i].lines.add(idx + k);
+          prevRemoved = !!part.removed;
+          idx += count;
+        }
+      }
+    }
+    return marks;
+  }
+
+  // -------------------------
+  // Grid
+  // -------------------------
+  function _isRunning() {
+    return !!current && !current.done;
+  }
+
+  function _statusText(r) {
+    if (r.status === 'running') {
+      const secs = Math.max(0, Math.floor((Date.now() - r.t0) / 1000));
+      return tFmt('compare.runningFmt', { secs: String(secs) }, `Running… ${secs}s`);
+    }
+    if (r.status === 'cancelled') return t('compare.statusCancelled', 'Cancelled');
+    if (r.status === 'error') return t('compare.statusError', 'Failed');
+    if (r.truncated) return t('compare.statusTruncated', 'Truncated');
+    return t('compare.statusDone', 'Done');
+  }
+
+  function _metaText(r) {
+    if (!Number.isFinite(r.durationMs)) return '';
+    const parts = [formatDuration ? formatDuration(r.durationMs) : `${Math.round(r.durationMs)} ms`];
+    if (Number.isFinite(r.tokens)) {
+      parts.push(r.tokensEstimated
+        ? tFmt('compare.tokensEstFmt', { n: String(r.tokens) }, `${r.tokens} tokens [est.]`)
+        : tFmt('compare.tokensFmt', { n: String(r.tokens) }, `${r.tokens} tokens`));
+    }
+    parts.push(Number.isFinite(r.cost) && formatCost
+      ? formatCost(r.cost, { estimated: !!r.tokensEstimated })
+      : t('compare.noPricing', 'no pricing'));
+    return parts.join(' · ');
+  }
+
+  function _renderOutput(text, mark) {
+    const pre = document.createElement('pre');
+    pre.className = 'compare-output';
+    const lines = String(text || '').split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    lines.forEach((line, i) => {
+      const span = document.createElement('span');
+      span.className = 'cmp-line';
+      if (mark?.lines.has(i)) span.classList.add('cmp-diff');
+      if (mark?.gaps.has(i)) span.classList.add('cmp-gap');
+      span.textContent = `${line}\n`;
+      pre.appendChild(span);
+    });
+    // Another output continues past this one's last line
+    if (mark?.gaps.has(lines.length)) pre.classList.add('cmp-gap-end');
+    return pre;
+  }
+
+  function _comparable(r) {
+    return r.status === 'done' && r.ok && !r.truncated;
+  }
+
+  function _renderSummary() {
+    const box = _byId(el.summaryId);
+    if (!box) return;
+    let msg = current?.notice || '';
+    if (!msg && current?.done) {
+      const ok = current.results.filter(_comparable);
+      const distinct = new Set(ok.map(r => r.text)).size;
+      if (ok.length < 2) {
+        msg = t('compare.summaryTooFew', 'Fewer than two usable results; nothing to compare.');
+      } else if (distinct === 1) {
+        msg = tFmt('compare.summarySameFmt', { n: String(ok.length) }, `All ${ok.length} outputs are identical.`);
+      } else {
+        msg = tFmt(
+          'compare.summaryDifferFmt',
+          { n: String(ok.length), distinct: String(distinct) },
+          `${ok.length} outputs, ${distinct} different versions. Lines that differ between them are highlighted.`
+        );
+      }
+    }
+    box.textContent = msg;
+    box.classList.toggle('hidden', !msg);
+  }
+
+  function render() {
+    const grid = _byId(el.gridId);
+    const runBtn = _byId(el.runBtnId);
+    const cancelBtn = _byId(el.cancelBtnId);
+    const running = _isRunning();
+    if (runBtn) runBtn.disabled = running;
+    if (cancelBtn) cancelBtn.textContent = running ? t('compare.cancel', 'Cancel') : t('compare.close', 'Close');
+    for (const cb of (_byId(el.modelsId)?.querySelectorAll('input[type="checkbox"]') || [])) cb.disabled = running;
+    _renderSummary();
+    if (!grid) return;
+
+    const results = current?.results || [];
+    const usable = results.filter(_comparable);
+    const marks = current?.done && usable.length > 1 ? computeDisagreements(usable.map(r => r.text)) : [];
+
+    const frag = document.createDocumentFragment();
+    results.forEach((r, i) => {
+      const card = document.createElement('div');
+      card.className = `compare-card status-${r.status}`;
+      card.dataset.resultIndex = String(i);
+
+      const head = document.createElement('div');
+      head.className = 'compare-card-head';
+      const name = document.createElement('span');
+      name.className = 'compare-card-model';
+      name.textContent = r.label || r.model;
+      name.title = r.model;
+      const status = document.createElement('span');
+      status.className = 'compare-card-status';
+      status.textContent = _statusText(r);
+      head.appendChild(name);
+      head.appendChild(status);
+
+      const meta = document.createElement('div');
+      meta.className = 'compare-card-meta';
+      meta.textContent = _metaText(r);
+
+      card.appendChild(head);
+      card.appendChild(meta);
+
+      const usableIdx = usable.indexOf(r);
+      const mark = usableIdx >= 0 ? marks[usableIdx] : null;
+      if (mark && (mark.lines.size || mark.gaps.size)) {
+        const diff = document.createElement('div');
+        diff.className = 'compare-card-diffcount';
+        diff.textContent = tFmt('compare.linesDifferFmt', { n: String(mark.lines.size) }, `${mark.lines.size} line(s) differ from another output`);
+        card.appendChild(diff);
+      }
+
+      if (r.status === 'error' || r.status === 'cancelled') {
+        const err = document.createElement('div');
+        err.className = 'compare-card-error';
+        err.textContent = String(r.error || '');
+        card.appendChild(err);
+      } else if (r.status !== 'running') {
+        card.appendChild(_renderOutput(r.text, mark));
+        const use = document.createElement('button');
+        use.type = 'button';
+        use.className = 'compare-use';
+        use.dataset.resultIndex = String(i);
+        use.disabled = !_comparable(r);
+        use.textContent = t('compare.useResult', 'Use this result');
+        card.appendChild(use);
+      }
+      frag.appendChild(card);
+    });
+    grid.replaceChildren(frag);
+    grid.classList.toggle('hidden', !results.length);
+  }
+
+  function _tickRunning() {
+    const grid = _byId(el.gridId);
+    if (!grid || !current) return;
+    current.results.forEach((r, i) => {
+      if (r.status !== 'running') return;
+      const status = grid.querySelector(`.compare-card[data-result-index="${i}"] .compare-card-status`);
+      if (status) status.textContent = _statusText(r);
+    });
+  }
+
+  function _startTicker() {
+    _stopTicker();
+    ticker = setInterval(_tickRunning, COMPARE_TICK_MS);
+  }
+
+  function _stopTicker() {
+    if (ticker) clearInterval(ticker);
+    ticker = null;
+  }
+
+  // -------------------------
+  // Run / cancel
+  // -------------------------
+  async function runComparison() {
+    if (_isRunning()) return;
+    const choices = _choices();
+    const models = choices.filter(c => selection?.has(c.id));
+
+    let snapshot = null;
+    try { snapshot = getSnapshot?.() || null; } catch { snapshot = null; }
+
+    let notice = '';
+    if (models.length < 2) notice = t('compare.needTwo', 'Pick at least two models.');
+    else if (!snapshot?.diffText || !snapshot?.fileText) notice = t('compare.needInputs', 'Please fill Diff Patch and File Content.');
+    if (notice) {
+      current = { ctrl: null, snapshot: null, results: current?.results || [], done: true, notice };
+      render();
+      return;
+    }
+
+    const run = {
+      ctrl: new AbortController(),
+      snapshot,
+      done: false,
+      notice: '',
+      results: models.map(c => ({ model: c.id, label: c.label, provider: c.provider, status: 'running', t0: Date.now() }))
+    };
+    current = run;
+    render();
+    _startTicker();
+
+    await Promise.all(run.results.map(async (r) => {
+      try {
+        const out = await runModel({ model: r.model, snapshot, signal: run.ctrl.signal });
+        Object.assign(r, out || {});
+        r.status = out?.ok ? 'done' : 'error';
+      } catch (err) {
+        const aborted = !!run.ctrl.signal.aborted;
+        r.status = aborted ? 'cancelled' : 'error';
+        r.error = aborted ? t('cancelApi.cancelled', 'Cancelled.') : String(err?.message || err || '');
+      }
+      if (!Number.isFinite(r.durationMs)) r.durationMs = Date.now() - r.t0;
+      if (current === run) render();
+    }));
+
+    if (current !== run) return;
+    run.done = true;
+    _stopTicker();
+    render();
+  }
+
+  function cancel() {
+    _stopTicker();
+    if (!current || current.done) return;
+    try { current.ctrl?.abort(); } catch { }
+  }
+
+  function useResult(index) {
+    const r = current?.results?.[index];
+    if (!r || !_comparable(r)) return;
+    try {
+      if (onUseResult?.(current.snapshot, r) !== false) close();
+    } catch { }
+  }
+
+  // -------------------------
+  // Overlay
+  // -------------------------
+  function open() {
+    _renderModels();
+    render();
+    overlayMgr?.open?.(el.overlayId);
+  }
+
+  function close({ force = false } = {}) {
+    overlayMgr?.close?.(el.overlayId, { force });
+  }
+
+  function applyI18n() {
+    const title = _byId(el.titleId);
+    const intro = _byId(el.introId);
+    const runBtn = _byId(el.runBtnId);
+    const closeBtn = _byId(el.closeBtnId);
+    if (title) title.textContent = t('compare.title', 'Compare models');
+    if (intro) intro.textContent = t('compare.intro', 'Send the current diff and file to several models at once. Each run is billed by its provider.');
+    if (runBtn) runBtn.textContent = t('compare.run', 'Run');
+    if (closeBtn) closeBtn.setAttribute('aria-label', t('compare.closeAria', 'Close comparison'));
+    try { _renderModels(); render(); } catch { }
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    _byId(el.openBtnId)?.addEventListener('click', open);
+    _byId(el.closeBtnId)?.addEventListener('click', () => close());
+    _byId(el.runBtnId)?.addEventListener('click', () => { void runComparison(); });
+    _byId(el.cancelBtnId)?.addEventListener('click', () => {
+      if (_isRunning()) cancel();
+      else close();
+    });
+    _byId(el.modelsId)?.addEventListener('change', (e) => {
+      const cb = e.target;
+      if (!cb || cb.type !== 'checkbox' || !selection) return;
+      if (cb.checked) selection.add(cb.value);
+      else selection.delete(cb.value);
+    });
+    _byId(el.gridId)?.addEventListener('click', (e) => {
+      const btn = e.target?.closest?.('.compare-use');
+      if (btn && !btn.disabled) useResult(Number(btn.dataset.resultIndex));
+    });
+    applyI18n();
+  }
+
+  return {
+    open,
+    close,
+    cancel,
+    runComparison,
+    computeDisagreements,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createCompareManager };
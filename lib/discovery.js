@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Models dialog: live model discovery + hiding models from the dropdown
+ * - "Refresh models" asks each provider with a key (and each custom server) for its
+ *   model list (adapters.js listProviderModels); ids the manifest does not know are
+ *   added to #modelSelect under "<provider> · Discovered" (models.js)
+ * - Known ids keep their manifest metadata; discovered ones have no pricing / context
+ * - Unchecking a model hides it from the dropdown (manifest or discovered)
+ */
+
+function createModelDiscoveryManager({
+  document,
+  t,
+  tFmt,
+  overlayMgr,
+  models,      // models.js manager
+  targets,     // async () => [{ providerId, label, apiKey, baseURL }] (apiKey '' = no key / locked)
+  listModels,  // async ({ provider, apiKey, baseURL, signal }) => [modelId]
+  onChanged,
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createModelDiscoveryManager: document is required');
+
+  const el = {
+    overlayId: ids.overlayId || 'modelsOverlay',
+    titleId: ids.titleId || 'modelsTitle',
+    introId: ids.introId || 'modelsIntro',
+    refreshBtnId: ids.refreshBtnId || 'modelsRefreshBtn',
+    statusId: ids.statusId || 'modelsStatus',
+    filterId: ids.filterId || 'modelsFilter',
+    listId: ids.listId || 'modelsList',
+    closeBtnId: ids.closeBtnId || 'modelsCloseBtn',
+    doneBtnId: ids.doneBtnId || 'modelsDoneBtn'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+  let busy = false;
+  let abortCtrl = null;
+
+  // -------------------------
+  // Refresh
+  // -------------------------
+  function _setStatus(lines) {
+    const box = _byId(el.statusId);
+    if (!box) return;
+    box.replaceChildren(...lines.map((line) => {
+      const row = document.createElement('div');
+      row.className = 'models-status-row';
+      row.classList.toggle('error', !!line.error);
+      row.textContent = line.text;
+      return row;
+    }));
+  }
+
+  async function refresh() {
+    if (busy) return;
+    busy = true;
+    abortCtrl = new AbortController();
+    const btn = _byId(el.refreshBtnId);
+    if (btn) btn.disabled = true;
+
+    const lines = [];
+    try {
+      const list = (await targets?.()) || [];
+      if (!list.length) lines.push({ text: t('models.noProviders', 'No providers configured yet.') });
+      for (const target of list) {
+        const line = { text: tFmt('models.checkingFmt', { provider: target.label }, `${target.label}: checking…`) };
+        lines.push(line);
+        _setStatus(lines);
+
+        if (!target.apiKey) {
+          line.text = tFmt('models.noKeyFmt', { provider: target.label }, `${target.label}: no key (or keys locked), skipped`);
+          continue;
+        }
+        try {
+          const before = models?.modelManifestIndex?.modelToProvider || new Map();
+          const found = await listModels({
+            provider: target.providerId,
+            apiKey: target.apiKey,
+            baseURL: target.baseURL,
+            signal: abortCtrl.signal
+          });
+          const added = found.filter(id => !before.has(id)).length;
+          models?.setDiscoveredModels?.(target.providerId, found);
+          line.text = tFmt('models.foundFmt', { provider: target.label, n: String(found.length), added: String(added) },
+            `${target.label}: ${found.length} model(s), ${added} new`);
+        } catch (e) {
+          if (e?.name === 'AbortError') break;
+          line.error = true;
+          line.text = tFmt('models.failedFmt', { provider: target.label, err: String(e?.message || e) },
+            `${target.label}: ${String(e?.message || e)}`);
+        }
+      }
+    } finally {
+      busy = false;
+      abortCtrl = null;
+      if (btn) btn.disabled = false;
+    }
+    _setStatus(lines);
+    try { onChanged?.(); } catch { }
+    _renderList();
+  }
+
+  // -------------------------
+  // Model list (checked = shown in the dropdown)
+  // -------------------------
+  function _renderList() {
+    const list = _byId(el.listId);
+    if (!list) return;
+    const q = String(_byId(el.filterId)?.value || '').trim().toLowerCase();
+    const frag = document.createDocumentFragment();
+
+    for (const group of (models?.listModelsByProvider?.() || [])) {
+      const rows = group.models.filter(m => !q || m.id.toLowerCase().includes(q) || m.label.toLowerCase().includes(q));
+      if (!rows.length) continue;
+
+      const head = document.createElement('div');
+      head.className = 'models-group';
+      head.textContent = group.label;
+      frag.appendChild(head);
+
+      for (const m of rows) {
+        const row = document.createElement('label');
+        row.className = 'models-row';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = !m.hidden;
+        box.dataset.modelId = m.id;
+        const name = document.createElement('span');
+        name.textContent = m.label;
+        row.appendChild(box);
+        row.appendChild(name);
+        if (m.discovered) {
+          const tag = document.createElement('span');
+          tag.className = 'models-tag';
+          tag.textContent = t('models.discoveredTag', 'discovered');
+          row.appendChild(tag);
+        }
+        frag.appendChild(row);
+      }
+    }
+    if (!frag.childNodes.length) {
+      const empty = document.createElement('div');
+      empty.className = 'models-empty';
+      empty.textContent = t('models.empty', 'No models match.');
+      frag.appendChild(empty);
+    }
+    list.replaceChildren(frag);
+  }
+
+  // -------------------------
+  // Overlay
+  // -------------------------
+  function open() {
+    const filter = _byId(el.filterId);
+    if (filter) filter.value = '';
+    _setStatus([]);
+    _renderList();
+    overlayMgr?.open?.(el.overlayId);
+  }
+
+  function close({ force = false } = {}) {
+    overlayMgr?.close?.(el.overlayId, { force });
+  }
+
+  // Closing the dialog stops a refresh in progress
+  function onClosed() {
+    try { abortCtrl?.abort(); } catch { }
+  }
+
+  function applyI18n() {
+    const set = (id, text) => { const n = _byId(id); if (n) n.textContent = text; };
+    set(el.titleId, t('models.title', 'Models'));
+    set(el.introId, t('models.intro', 'Refresh asks each provider you have a key for which models it offers; new ones are added under "Discovered". Uncheck models to hide them from the model list.'));
+    set(el.refreshBtnId, t('models.refresh', 'Refresh models'));
+    set(el.doneBtnId, t('models.close', 'Close'));
+    _byId(el.filterId)?.setAttribute('placeholder', t('models.filterPlaceholder', 'Filter models'));
+    _byId(el.closeBtnId)?.setAttribute('aria-label', t('models.closeAria', 'Close models'));
+    if (!_byId(el.overlayId)?.classList.contains('hidden')) _renderList();
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    _byId(el.refreshBtnId)?.addEventListener('click', () => { void refresh(); });
+    _byId(el.filterId)?.addEventListener('input', _renderList);
+    _byId(el.listId)?.addEventListener('change', (e) => {
+      const box = e.target;
+      const id = box?.dataset?.modelId;
+      if (!id) return;
+      models?.setModelHidden?.(id, !box.checked);
+      try { onChanged?.(); } catch { }
+    });
+    _byId(el.doneBtnId)?.addEventListener('click', () => close());
+    _byId(el.closeBtnId)?.addEventListener('click', () => close());
+  }
+
+  return {
+    open,
+    close,
+    onClosed,
+    refresh,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createModelDiscoveryManager };
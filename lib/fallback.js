@@ -0,0 +1,313 @@
+'use strict';
+
+/**
+ * Fallback model chain (View → Fallback Models…)
+ * - An ordered list of models to try when the tab's model fails: an error, no answer
+ *   within the timeout, or an "ERROR:" reply. One list for all tabs; a tab can have
+ *   its own list instead (in memory, like the tab's other settings)
+ * - chainFor(tab, primary) = [primary, ...fallbacks]; models that are not usable right
+ *   now (isAvailable, e.g. no key for their provider) and duplicates are left out
+ * - The timeout (seconds, 0 = none) applies to every model of a chain with fallbacks
+ *
+ * The global list lives in storage under 'apply.fallbackModels.v1': { models: [], timeoutSec }.
+ */
+
+const FALLBACK_LS_KEY = 'apply.fallbackModels.v1';
+const FALLBACK_MAX_TIMEOUT_SEC = 3600;
+
+function _normalizeModels(list) {
+  const out = [];
+  for (const m of (Array.isArray(list) ? list : [])) {
+    const id = String(m || '').trim();
+    if (id && !out.includes(id)) out.push(id);
+  }
+  return out;
+}
+
+function _normalizeTimeoutSec(v) {
+  const n = Math.floor(Number(v));
+  return (Number.isFinite(n) && n > 0) ? Math.min(n, FALLBACK_MAX_TIMEOUT_SEC) : 0;
+}
+
+function createFallbackManager({
+  document,
+  storage,
+  t,
+  tFmt,
+  overlayMgr,
+  getModelChoices,  // () => [{ id, label }] (models that can be picked right now)
+  isAvailable,      // (modelId) => boolean
+  getActiveTab,
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createFallbackManager: document is required');
+
+  const el = {
+    overlayId: ids.overlayId || 'fallbackOverlay',
+    titleId: ids.titleId || 'fallbackTitle',
+    introId: ids.introId || 'fallbackIntro',
+    scopeLabelId: ids.scopeLabelId || 'fallbackScopeLabel',
+    scopeId: ids.scopeId || 'fallbackScope',
+    inheritLabelId: ids.inheritLabelId || 'fallbackInheritLabel',
+    inheritId: ids.inheritId || 'fallbackInherit',
+    inheritTextId: ids.inheritTextId || 'fallbackInheritText',
+    listId: ids.listId || 'fallbackList',
+    addId: ids.addId || 'fallbackAdd',
+    addBtnId: ids.addBtnId || 'fallbackAddBtn',
+    timeoutLabelId: ids.timeoutLabelId || 'fallbackTimeoutLabel',
+    timeoutId: ids.timeoutId || 'fallbackTimeout',
+    hintId: ids.hintId || 'fallbackHint',
+    saveBtnId: ids.saveBtnId || 'fallbackSaveBtn',
+    cancelBtnId: ids.cancelBtnId || 'fallbackCancelBtn',
+    closeBtnId: ids.closeBtnId || 'fallbackCloseBtn'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+  let draft = null;   // { scope, global: [], tab: [] | null, timeoutSec }
+
+  // -------------------------
+  // Settings
+  // -------------------------
+  function loadSettings() {
+    try {
+      const raw = JSON.parse(storage.getItem(FALLBACK_LS_KEY) || '{}');
+      return { models: _normalizeModels(raw?.models), timeoutSec: _normalizeTimeoutSec(raw?.timeoutSec) };
+    } catch {
+      return { models: [], timeoutSec: 0 };
+    }
+  }
+
+  function saveSettings({ models, timeoutSec } = {}) {
+    const value = { models: _normalizeModels(models), timeoutSec: _normalizeTimeoutSec(timeoutSec) };
+    try { storage.setItem(FALLBACK_LS_KEY, JSON.stringify(value)); } catch { }
+  }
+
+  // The tab's own list, else the one for all tabs
+  function modelsForTab(tab) {
+    if (Array.isArray(tab?.fallbackModels)) return _normalizeModels(tab.fallbackModels);
+    return loadSettings().models;
+  }
+
+  function _usable(modelId) {
+    try { return isAvailable ? !!isAvailable(modelId) : true; } catch { return false; }
+  }
+
+  function chainFor(tab, primary) {
+    const first = String(primary || '').trim();
+    const chain = first ? [first] : [];
+    for (const m of modelsForTab(tab)) {
+      if (!chain.includes(m) && _usable(m)) chain.push(m);
+    }
+    return chain;
+  }
+
+  function timeoutMs() {
+    return loadSettings().timeoutSec * 1000;
+  }
+
+  // -------------------------
+  // Overlay: draft editing
+  // -------------------------
+  function _hint(text) {
+    const h = _byId(el.hintId);
+    if (h) h.textContent = text || '';
+  }
+
+  function _choices() {
+    try { return (getModelChoices?.() || []).filter(c => c && c.id); } catch { return []; }
+  }
+
+  // The list being edited (the tab's list starts as a copy of the global one)
+  function _current() {
+    if (draft.scope !== 'tab') return draft.global;
+    if (!draft.tab) draft.tab = [...draft.global];
+    return draft.tab;
+  }
+
+  function _isInherited() {
+    return draft.scope === 'tab' && draft.tab === null;
+  }
+
+  function _move(index, delta) {
+    const list = _current();
+    const j = index + delta;
+    if (j < 0 || j >= list.length) return;
+    [list[index], list[j]] = [list[j], list[index]];
+    _render();
+  }
+
+  function _remove(index) {
+    _current().splice(index, 1);
+    _render();
+  }
+
+  function _add() {
+    const id = String(_byId(el.addId)?.value || '').trim();
+    if (!id) return;
+    const list = _current();
+    if (!list.includes(id)) list.push(id);
+    _render();
+  }
+
+  function _rowButton(text, aria, onClick, disabled) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'fallback-row-btn';
+    b.textContent = text;
+    b.setAttribute('aria-label', aria);
+    b.disabled = !!disabled;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function _render() {
+    if (!draft) return;
+    const choices = _choices();
+    const labelOf = (id) => choices.find(c => c.id === id)?.label || id;
+    const inherited = _isInherited();
+    const list = inherited ? draft.global : _current();
+
+    const scope = _byId(el.scopeId);
+    if (scope) scope.value = draft.scope;
+    _byId(el.inheritLabelId)?.classList.toggle('hidden', draft.scope !== 'tab');
+    const inherit = _byId(el.inheritId);
+    if (inherit) inherit.checked = inherited;
+
+    const box = _byId(el.listId);
+    if (box) {
+      const rows = list.map((id, i) => {
+        const li = document.createElement('li');
+        li.className = 'fallback-row';
+        const name = document.createElement('span');
+        name.className = 'fallback-row-name';
+        const usable = _usable(id);
+        name.textContent = usable ? labelOf(id) : tFmt('fallback.unavailableFmt', { model: id }, `${id} (not available: skipped)`);
+        name.title = id;
+        li.classList.toggle('is-unavailable', !usable);
+        li.appendChild(name);
+        li.appendChild(_rowButton('↑', t('fallback.moveUp', 'Move up'), () => _move(i, -1), inherited || i === 0));
+        li.appendChild(_rowButton('↓', t('fallback.moveDown', 'Move down'), () => _move(i, 1), inherited || i === list.length - 1));
+        li.appendChild(_rowButton('×', t('fallback.remove', 'Remove'), () => _remove(i), inherited));
+        return li;
+      });
+      if (!rows.length) {
+        const empty = document.createElement('li');
+        empty.className = 'fallback-empty';
+        empty.textContent = t('fallback.empty', 'No fallback models: a failed request just fails.');
+        rows.push(empty);
+      }
+      box.replaceChildren(...rows);
+    }
+
+    const add = _byId(el.addId);
+    if (add) {
+      add.replaceChildren(...choices.filter(c => !list.includes(c.id)).map((c) => {
+        const opt = document.createElement('option');
+        opt.value = c.id;
+        opt.textContent = c.label || c.id;
+        return opt;
+      }));
+      add.disabled = inherited || !add.options.length;
+    }
+    const addBtn = _byId(el.addBtnId);
+    if (addBtn) addBtn.disabled = inherited || !add?.options.length;
+
+    const timeout = _byId(el.timeoutId);
+    if (timeout) timeout.value = String(draft.timeoutSec || 0);
+
+    const skipped = list.filter(id => !_usable(id));
+    _hint(skipped.length
+      ? t('fallback.skippedHint', 'Dimmed models cannot run right now (no API key for their provider, or hidden) and are skipped.')
+      : '');
+  }
+
+  function _save() {
+    const timeout = _byId(el.timeoutId);
+    if (timeout) draft.timeoutSec = _normalizeTimeoutSec(timeout.value);
+    saveSettings({ models: draft.global, timeoutSec: draft.timeoutSec });
+    const tab = getActiveTab?.() || null;
+    if (tab) tab.fallbackModels = draft.tab ? _normalizeModels(draft.tab) : null;
+    close();
+  }
+
+  // -------------------------
+  // Overlay
+  // -------------------------
+  function open() {
+    const settings = loadSettings();
+    const tab = getActiveTab?.() || null;
+    draft = {
+      scope: Array.isArray(tab?.fallbackModels) ? 'tab' : 'global',
+      global: [...settings.models],
+      tab: Array.isArray(tab?.fallbackModels) ? _normalizeModels(tab.fallbackModels) : null,
+      timeoutSec: settings.timeoutSec
+    };
+    _byId(el.scopeId)?.toggleAttribute('disabled', !tab);
+    _render();
+    overlayMgr?.open?.(el.overlayId);
+  }
+
+  function close({ force = false } = {}) {
+    overlayMgr?.close?.(el.overlayId, { force });
+  }
+
+  function applyI18n() {
+    const set = (id, text) => { const n = _byId(id); if (n) n.textContent = text; };
+    set(el.titleId, t('fallback.title', 'Fallback Models'));
+    set(el.introId, t('fallback.intro', 'When the tab\'s model fails (an error, no answer within the timeout, or an ERROR: reply), these models are tried in order. Models without an API key are skipped.'));
+    set(el.scopeLabelId, t('fallback.scopeLabel', 'List for'));
+    set(el.inheritTextId, t('fallback.inherit', 'Use the list for all tabs'));
+    set(el.addBtnId, t('fallback.add', 'Add'));
+    set(el.timeoutLabelId, t('fallback.timeoutLabel', 'Give up on a model after (seconds, 0 = no limit)'));
+    set(el.saveBtnId, t('fallback.save', 'Save'));
+    set(el.cancelBtnId, t('fallback.close', 'Close'));
+    const scope = _byId(el.scopeId);
+    if (scope) {
+      for (const opt of scope.options) {
+        opt.textContent = opt.value === 'tab'
+          ? t('fallback.scopeTab', 'This tab')
+          : t('fallback.scopeGlobal', 'All tabs');
+      }
+    }
+    _byId(el.addId)?.setAttribute('aria-label', t('fallback.addAria', 'Model to add'));
+    _byId(el.closeBtnId)?.setAttribute('aria-label', t('fallback.closeAria', 'Close fallback models'));
+    _render();
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    _byId(el.scopeId)?.addEventListener('change', (e) => {
+      if (!draft) return;
+      draft.scope = e.target.value === 'tab' ? 'tab' : 'global';
+      _render();
+    });
+    _byId(el.inheritId)?.addEventListener('change', (e) => {
+      if (!draft) return;
+      draft.tab = e.target.checked ? null : [...draft.global];
+      _render();
+    });
+    _byId(el.addBtnId)?.addEventListener('click', _add);
+    _byId(el.timeoutId)?.addEventListener('change', (e) => {
+      if (draft) draft.timeoutSec = _normalizeTimeoutSec(e.target.value);
+    });
+    _byId(el.saveBtnId)?.addEventListener('click', _save);
+    _byId(el.cancelBtnId)?.addEventListener('click', () => close());
+    _byId(el.closeBtnId)?.addEventListener('click', () => close());
+  }
+
+  return {
+    loadSettings,
+    saveSettings,
+    modelsForTab,
+    chainFor,
+    timeoutMs,
+    open,
+    close,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createFallbackManager };
@@ -202,6 +202,7 @@ function createHistoryManager(cfg) {
   const doesSystemPromptExist = cfg.doesSystemPromptExist;
   const buildDiffHtml = cfg.buildDiffHtml;
   const sanitizeModel = cfg.sanitizeModel;
+  const formatCost = cfg.formatCost || null;
 
   const tabs = cfg.tabs || {};
   const modal = cfg.modal || {};
@@ -284,7 +285,8 @@ function createHistoryManager(cfg) {
           sysPromptId: String(x.sysPromptId || DEFAULT_SYS_PROMPT_ID),
           sysPromptName: String(x.sysPromptName || 'Default'),
           fileName: String(x.fileName || ''),
-          provider: String(x.provider || '')
+          provider: String(x.provider || ''),
+          source: String(x.source || '')
         }))
         .sort((a, b) => b.ts - a.ts);
       return { v: HISTORY_VERSION, items };
@@ -309,6 +311,50 @@ function createHistoryManager(cfg) {
     try { return new Date(Number(ts)).toLocaleString(); } catch { return String(ts); }
   }
 
+  // Generation parameters as sent ({ maxTokens, temperature, topP, seed, reasoningEffort }),
+  // under their API names; null when the entry has none (local apply, older entries)
+  function _normalizeParams(p) {
+    if (!p || typeof p !== 'object') return null;
+    const out = {};
+    for (const k of ['maxTokens', 'temperature', 'topP', 'seed']) {
+      if (p[k] != null && Number.isFinite(Number(p[k]))) out[k] = Number(p[k]);
+    }
+    if (p.reasoningEffort) out.reasoningEffort = String(p.reasoningEffort);
+    return Object.keys(out).length ? out : null;
+  }
+
+  function formatParams(p) {
+    const n = _normalizeParams(p);
+    if (!n) return '';
+    const bits = [];
+    if (n.temperature != null) bits.push(`temperature ${n.temperature}`);
+    if (n.topP != null) bits.push(`top_p ${n.topP}`);
+    if (n.seed != null) bits.push(`seed ${n.seed}`);
+    if (n.reasoningEffort) bits.push(`reasoning_effort ${n.reasoningEffort}`);
+    if (n.maxTokens != null) bits.push(`max_tokens ${n.maxTokens}`);
+    return bits.join(', ');
+  }
+
+  // Models of the fallback chain that failed before `model` produced the output:
+  // [{ model, reason }] in the order they were tried ([] = the tab's model answered)
+  // [{ model, reason }] plus, for a model that ran before failing, what it cost:
+  // { provider, tokens, cost, costEstimated } (the entry's tokenCount/cost include it)
+  function _normalizeFallbackFrom(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .map((x) => {
+        const out = { model: String(x?.model || '').trim(), reason: String(x?.reason || '').trim() };
+        if (Number.isFinite(x?.tokens) && x.tokens > 0) {
+          out.provider = String(x.provider || '');
+          out.tokens = x.tokens;
+          out.cost = Number.isFinite(x.cost) ? x.cost : null;
+          out.costEstimated = !!x.costEstimated;
+        }
+        return out;
+      })
+      .filter(x => x.model);
+  }
+
   function _getExportPayloadNormalized() {
     const idx = loadHistoryIndex();
     const items = {};
@@ -403,7 +449,13 @@ function createHistoryManager(cfg) {
         sysPromptId: String(x.sysPromptId || DEFAULT_SYS_PROMPT_ID),
         sysPromptName: String(x.sysPromptName || 'Default'),
         fileName: String(x.fileName || ''),
-        provider: String(x.provider || '')
+        provider: String(x.provider || ''),
+        source: String(x.source || ''),
+        ...(('cost' in x) ? {
+          tokenCount: Number.isFinite(x.tokenCount) ? x.tokenCount : null,
+          cost: Number.isFinite(x.cost) ? x.cost : null,
+          costEstimated: !!x.costEstimated
+        } : {})
       }))
       .sort((a, b) => b.ts - a.ts)
       .slice(0, max);
@@ -448,6 +500,8 @@ function createHistoryManager(cfg) {
     ts,
     model,
     provider,
+    source,
+    sourceStats,
     sysPromptId,
     sysPromptName,
     sysPromptContent,
@@ -456,7 +510,12 @@ function createHistoryManager(cfg) {
     outputText,
     inputFileName,
     durationMs,
-    tokenCount
+    tokenCount,
+    tokensEstimated,
+    cost,
+    costEstimated,
+    params,
+    fallbackFrom
   }) {
     const settings = await ensureAppSettingsLoaded();
     const max = Math.max(1, Number(settings.historyMax || 100));
@@ -470,6 +529,8 @@ function createHistoryManager(cfg) {
       ts: when,
       model: String(model || ''),
       provider: String(provider || ''),
+      source: String(source || ''),
+      sourceStats: (sourceStats && typeof sourceStats === 'object') ? sourceStats : null,
       sysPromptId: String(sysPromptId || DEFAULT_SYS_PROMPT_ID),
       sysPromptName: String(sysPromptName || 'Default'),
       sysPromptContent: String(sysPromptContent || ''),
@@ -478,7 +539,15 @@ function createHistoryManager(cfg) {
       outputText: String(outputText || ''),
       inputFileName: String(inputFileName || ''),
       durationMs: Number.isFinite(Number(durationMs)) ? Number(durationMs) : null,
-      tokenCount: Number.isFinite(Number(tokenCount)) ? Number(tokenCount) : null
+      tokenCount: Number.isFinite(Number(tokenCount)) ? Number(tokenCount) : null,
+      // false = tokenCount is the API-reported usage
+      tokensEstimated: !!tokensEstimated,
+      // USD from manifest pricing (null = local apply or model without pricing)
+      cost: (cost != null && Number.isFinite(Number(cost))) ? Number(cost) : null,
+      costEstimated: !!costEstimated,
+      // Generation parameters as sent (null = local apply)
+      params: _normalizeParams(params),
+      fallbackFrom: _normalizeFallbackFrom(fallbackFrom)
     };
 
     const compressed = await gzipStringToB64(JSON.stringify(payload));
@@ -492,7 +561,13 @@ function createHistoryManager(cfg) {
       sysPromptId: payload.sysPromptId,
       sysPromptName: payload.sysPromptName,
       fileName: payload.inputFileName,
-      provider: payload.provider
+      provider: payload.provider,
+      source: payload.source,
+      tokenCount: payload.tokenCount,
+      cost: payload.cost,
+      costEstimated: payload.costEstimated,
+      params: payload.params,
+      fallbackFrom: payload.fallbackFrom
     });
 
     // de-dupe by id (keep first)
@@ -560,6 +635,65 @@ function createHistoryManager(cfg) {
     }
   }
 
+  // One usage record per history entry (for the Usage view), plus one per fallback model
+  // that ran and failed before the one that answered.
+  // Entries written before costs were recorded keep only tokenCount in the payload;
+  // those are loaded once and returned with promptChars so the caller can estimate a cost.
+  async function listUsageRecords() {
+    const idx = loadHistoryIndex();
+    const out = [];
+    for (const it of (idx.items || [])) {
+      if (!it || !it.id) continue;
+      const rec = {
+        id: it.id,
+        ts: Number(it.ts) || 0,
+        model: String(it.model || ''),
+        provider: String(it.provider || ''),
+        source: String(it.source || ''),
+        tokenCount: Number.isFinite(it.tokenCount) ? it.tokenCount : null,
+        cost: Number.isFinite(it.cost) ? it.cost : null,
+        costEstimated: !!it.costEstimated,
+        legacy: false,
+        promptChars: 0
+      };
+      let payload = null;
+      if (!('cost' in it)) {
+        payload = await loadHistoryPayload(it.id);
+        if (payload) {
+          rec.tokenCount = Number.isFinite(payload.tokenCount) ? payload.tokenCount : null;
+          if ('cost' in payload) {
+            rec.cost = Number.isFinite(payload.cost) ? payload.cost : null;
+            rec.costEstimated = !!payload.costEstimated;
+          } else {
+            rec.legacy = true;
+            rec.promptChars = String(payload.sysPromptContent || '').length
+              + String(payload.inputText || '').length
+              + String(payload.diffText || '').length;
+          }
+        }
+      }
+      // Fallback models that failed were billed too: each counts under its own provider and
+      // model, and the model that answered keeps the rest of the entry's totals
+      const steps = _normalizeFallbackFrom(('fallbackFrom' in it) ? it.fallbackFrom : payload?.fallbackFrom)
+        .filter(f => f.tokens > 0);
+      steps.forEach((f, i) => {
+        out.push({
+          ...rec,
+          id: `${it.id}:${i}`,
+          model: f.model,
+          provider: f.provider,
+          tokenCount: f.tokens,
+          cost: f.cost,
+          costEstimated: f.costEstimated
+        });
+        if (Number.isFinite(rec.tokenCount)) rec.tokenCount = Math.max(0, rec.tokenCount - f.tokens);
+        if (Number.isFinite(rec.cost) && Number.isFinite(f.cost)) rec.cost = Math.max(0, rec.cost - f.cost);
+      });
+      out.push(rec);
+    }
+    return out;
+  }
+
   // -------------------------
   // History modal UI
   // -------------------------
@@ -681,9 +815,19 @@ function createHistoryManager(cfg) {
           const meta = document.createElement('div');
           meta.className = 'history-meta';
           const bits = [];
-          if (it.model) bits.push(it.model);
+          if (it.source === 'local') bits.push(t('history.sourceLocal', 'Applied locally'));
+          else if (it.source === 'hybrid' && it.model) bits.push(tFmt('history.sourceHybridFmt', { model: it.model }, `${it.model} (hybrid)`));
+          else if (it.model) bits.push(it.model);
+          const fallbackFrom = _normalizeFallbackFrom(it.fallbackFrom);
+          if (fallbackFrom.length) {
+            const models = fallbackFrom.map(x => x.model).join(', ');
+            bits.push(tFmt('history.fallbackFromFmt', { models }, `fallback after ${models}`));
+          }
           if (it.sysPromptName) bits.push(it.sysPromptName);
           if (it.fileName) bits.push(it.fileName);
+          if (formatCost && Number.isFinite(it.cost)) bits.push(formatCost(it.cost, { estimated: !!it.costEstimated }));
+          const params = formatParams(it.params);
+          if (params) bits.push(params);
           meta.textContent = bits.join(' • ');
 
           left.appendChild(date);
@@ -743,6 +887,19 @@ function createHistoryManager(cfg) {
 
     tab.systemPromptId = doesSystemPromptExist(payload.sysPromptId) ? payload.sysPromptId : DEFAULT_SYS_PROMPT_ID;
 
+    // Parameters of that run come back for the same model (Confirm Apply shows them)
+    const params = _normalizeParams(payload.params);
+    if (params) {
+      if (params.maxTokens) tab.maxTokens = params.maxTokens;
+      tab.genParams = {
+        temperature: params.temperature ?? null,
+        topP: params.topP ?? null,
+        seed: params.seed ?? null,
+        reasoningEffort: params.reasoningEffort || '',
+        model: String(payload.model || '')
+      };
+    }
+
     tab.diffText = payload.diffText || '';
     tab.modelText = payload.inputText || '';
     tab.originalFileName = fileName;
@@ -754,6 +911,19 @@ function createHistoryManager(cfg) {
     tab.retryCount = 0;
     tab.lastDurationMs = Number.isFinite(Number(payload.durationMs)) ? Number(payload.durationMs) : null;
     tab.lastTokenCount = Number.isFinite(Number(payload.tokenCount)) ? Number(payload.tokenCount) : null;
+    // Older entries did not record where the count came from
+    tab.lastTokensEstimated = payload.tokensEstimated !== false;
+    tab.lastCost = Number.isFinite(payload.cost) ? { usd: payload.cost, estimated: !!payload.costEstimated } : null;
+    // Older entries predate local apply; they always came from a model
+    tab.outputSource = tab.modifiedText ? (['local', 'hybrid'].includes(payload.source) ? payload.source : 'model') : '';
+    tab.outputSourceStats = payload.sourceStats || null;
+    tab.outputModel = String(payload.model || '');
+    tab.outputFallbackFrom = _normalizeFallbackFrom(payload.fallbackFrom);
+    // History does not record the file, so a reopened output is not written back
+    tab.outputTarget = null;
+    tab.outputTruncated = false;
+    tab.errorHints = [];
+    tab.verify = null;
 
     if (tab.modelText && tab.modifiedText) {
       const html = buildDiffHtml(tab.modelText, tab.modifiedText);
@@ -870,6 +1040,7 @@ function createHistoryManager(cfg) {
     isHistoryModalOpen,
     wireDomEvents,
     clearAllHistory,
+    listUsageRecords,
     // exposed for tests/debug if needed
     _loadHistoryIndex: loadHistoryIndex,
     _loadHistoryPayload: loadHistoryPayload
@@ -249,6 +249,10 @@ function createI18nManager({
     setHtmlById('keyTypeIntro', 'keyType.introHtml', _byId('keyTypeIntro')?.innerHTML || '');
     setTextById('keyTypeXaiBtn', 'providers.xai', 'xAI');
     setTextById('keyTypeOpenAiBtn', 'providers.openai', 'OpenAI');
+    setTextById('keyTypeAnthropicBtn', 'providers.anthropic', 'Anthropic');
+    setTextById('keyTypeGeminiBtn', 'providers.gemini', 'Gemini');
+    setTextById('keyTypeAzureBtn', 'keyType.azure', 'Azure OpenAI…');
+    setTextById('keyTypeCustomBtn', 'keyType.custom', 'Custom server…');
 
     // API key modal (static labels; dynamic title/intro set in openApiKeyModal)
     setAttrById('apiKeyCloseBtn', 'aria-label', 'apiKey.closeAria', 'Close API key dialog');
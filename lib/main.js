@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const fsp = fs.promises;
 const http = require('http');
+const crypto = require('crypto');
 
 let isDark = false;
 
@@ -398,7 +399,7 @@ ipcMain.handle('output:saveText', async (_evt, payload) => {
       : path.join(app.getPath('downloads'), filename);
 
     const res = await dialog.showSaveDialog({
-      title: 'Save Modified File',
+      title: String(payload?.title || 'Save Modified File'),
       defaultPath,
       properties: ['createDirectory', 'showOverwriteConfirmation']
     });
@@ -412,6 +413,231 @@ ipcMain.handle('output:saveText', async (_evt, payload) => {
   }
 });
 
+// -------------------------
+// "Apply to file": overwrite the original file in place
+// - Current contents are copied to userData/write-backups/<timestamp>-<name> first
+// - Write goes to a temp file in the same folder, then rename() over the target
+// - Revert restores the backup, but only if the file still holds what we wrote
+// - sourceHash (optional): hash of the file when the output was made from it; a file
+//   that changed since (other than to this very output) is not overwritten
+// - mustNotExist: the file was new when the changes were planned; never overwrite it
+// - Text arrives with \n line endings (textarea); it is written with the line endings and
+//   BOM of the file it replaces. Files that are not UTF-8 are left alone.
+// -------------------------
+const WRITE_BACKUP_DIRNAME = 'write-backups';
+const WRITE_BACKUP_KEEP = 200;
+
+function _writeBackupDir() {
+  return path.join(app.getPath('userData'), WRITE_BACKUP_DIRNAME);
+}
+
+function _backupStamp(d = new Date()) {
+  const p2 = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${p2(d.getMonth() + 1)}${p2(d.getDate())}-` +
+    `${p2(d.getHours())}${p2(d.getMinutes())}${p2(d.getSeconds())}-${String(d.getMilliseconds()).padStart(3, '0')}`;
+}
+
+function _sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+const UTF8_BOM = Buffer.from([0xEF, 0xBB, 0xBF]);
+
+function _isUtf8(buf) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buf);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Same rule as patcher.js _detectEol: CRLF when most line breaks are CRLF
+function _detectEol(s) {
+  const crlf = (s.match(/\r\n/g) || []).length;
+  if (!crlf) return '\n';
+  const lf = (s.match(/\n/g) || []).length - crlf;
+  return crlf >= lf ? '\r\n' : '\n';
+}
+
+// Output text in the form of the file it replaces (current = its bytes, or null when new)
+function _encodeLikeFile(text, current) {
+  const lf = String(text).replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  if (!current) return Buffer.from(lf, 'utf8');
+  const bom = current.subarray(0, 3).equals(UTF8_BOM);
+  const eol = _detectEol(current.toString('utf8'));
+  const body = Buffer.from(eol === '\r\n' ? lf.replace(/\n/g, '\r\n') : lf, 'utf8');
+  return bom ? Buffer.concat([UTF8_BOM, body]) : body;
+}
+
+async function _atomicWriteFile(target, data, mode) {
+  const tmp = path.join(
+    path.dirname(target),
+    `.${path.basename(target)}.${process.pid}-${Date.now()}.tmp`
+  );
+  try {
+    await fsp.writeFile(tmp, data, (mode != null) ? { mode } : undefined);
+    await fsp.rename(tmp, target);
+  } catch (e) {
+    try { await fsp.unlink(tmp); } catch {}
+    throw e;
+  }
+}
+
+async function _pruneWriteBackups(dir) {
+  try {
+    const names = (await fsp.readdir(dir)).sort(); // timestamp prefix => chronological
+    const extra = names.length - WRITE_BACKUP_KEEP;
+    for (let i = 0; i < extra; i++) {
+      try { await fsp.unlink(path.join(dir, names[i])); } catch {}
+    }
+  } catch {}
+}
+
+ipcMain.handle('output:applyToFile', async (_evt, payload) => {
+  try {
+    const target = String(payload?.path || '').trim();
+    const text = (payload?.text == null) ? '' : String(payload.text);
+    if (!target || !path.isAbsolute(target)) return { ok: false, reason: 'no_path' };
+
+    let st = null;
+    try { st = await fsp.stat(target); } catch { st = null; }
+    if (st && !st.isFile()) return { ok: false, reason: 'not_a_file' };
+    if (st && payload?.mustNotExist) return { ok: false, reason: 'exists' };
+    if (!st) {
+      // New files (multi-file diffs) only; the folder must already exist
+      if (!payload?.allowCreate) return { ok: false, reason: 'missing' };
+      try {
+        if (!(await fsp.stat(path.dirname(target))).isDirectory()) return { ok: false, reason: 'missing' };
+      } catch {
+        return { ok: false, reason: 'missing' };
+      }
+    }
+
+    const current = st ? await fsp.readFile(target) : null;
+    if (current && !_isUtf8(current)) return { ok: false, reason: 'not_utf8' };
+    const data = _encodeLikeFile(text, current);
+    const sourceHash = String(payload?.sourceHash || '').trim();
+    if (current && sourceHash) {
+      // Writing the same output again is fine; anything else means the file moved on
+      const currentHash = _sha256(current);
+      if (currentHash !== sourceHash && currentHash !== _sha256(data)) return { ok: false, reason: 'source_changed' };
+    }
+
+    let backupPath = '';
+    if (st) {
+      const dir = _writeBackupDir();
+      await fsp.mkdir(dir, { recursive: true });
+      backupPath = path.join(dir, `${_backupStamp()}-${path.basename(target)}`);
+      await fsp.copyFile(target, backupPath);
+      void _pruneWriteBackups(dir);
+    }
+
+    await _atomicWriteFile(target, data, st ? (st.mode & 0o7777) : undefined);
+    return { ok: true, path: target, backupPath, created: !st, hash: _sha256(data), ts: Date.now() };
+  } catch {
+    return { ok: false, reason: 'write_failed' };
+  }
+});
+
+ipcMain.handle('output:revertWrite', async (_evt, payload) => {
+  try {
+    const target = String(payload?.path || '').trim();
+    const backupPath = String(payload?.backupPath || '').trim();
+    const created = !!payload?.created;
+    if (!target || !path.isAbsolute(target)) return { ok: false, reason: 'no_path' };
+
+    // Only restore from our own backup folder
+    const dir = path.resolve(_writeBackupDir());
+    if (!created && (!backupPath || path.dirname(path.resolve(backupPath)) !== dir)) {
+      return { ok: false, reason: 'no_backup' };
+    }
+
+    let current = null;
+    try { current = await fsp.readFile(target); } catch { current = null; }
+    if (current && payload?.hash && _sha256(current) !== String(payload.hash)) {
+      return { ok: false, reason: 'changed_since_write' };
+    }
+
+    if (created) {
+      if (current) await fsp.unlink(target);
+      return { ok: true, path: target, removed: true };
+    }
+
+    let mode;
+    try { mode = (await fsp.stat(target)).mode & 0o7777; } catch { mode = undefined; }
+    const data = await fsp.readFile(backupPath);
+    await _atomicWriteFile(target, data, mode);
+    return { ok: true, path: target };
+  } catch (e) {
+    return { ok: false, reason: (e && e.code === 'ENOENT') ? 'no_backup' : 'write_failed' };
+  }
+});
+
+// -------------------------
+// User model manifest: userData/model_manifest.user.json, deep-merged over the bundled
+// model_manifest.json by the renderer (models.js). The path is needed synchronously at startup.
+// -------------------------
+const USER_MANIFEST_FILENAME = 'model_manifest.user.json';
+
+function _userManifestPath() {
+  return path.join(app.getPath('userData'), USER_MANIFEST_FILENAME);
+}
+
+ipcMain.on('manifest:getUserPathSync', (evt) => {
+  evt.returnValue = _userManifestPath();
+});
+
+ipcMain.handle('manifest:saveUser', async (_evt, payload) => {
+  try {
+    const text = String(payload?.text ?? '');
+    try { JSON.parse(text); } catch { return { ok: false, reason: 'invalid_json' }; }
+    const target = _userManifestPath();
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await _atomicWriteFile(target, Buffer.from(text, 'utf8'));
+    return { ok: true, path: target };
+  } catch {
+    return { ok: false, reason: 'write_failed' };
+  }
+});
+
+ipcMain.handle('manifest:removeUser', async () => {
+  try {
+    await fsp.unlink(_userManifestPath());
+    return { ok: true };
+  } catch (e) {
+    return (e?.code === 'ENOENT') ? { ok: true } : { ok: false, reason: 'remove_failed' };
+  }
+});
+
+// -------------------------
+// Project root folder (multi-file diffs)
+// - Renderer reads target files itself; main only shows the folder picker
+// -------------------------
+ipcMain.handle('project:chooseFolder', async (_evt, payload) => {
+  try {
+    let defaultPath = String(payload?.defaultPath || '').trim();
+    try {
+      if (!defaultPath || !fs.existsSync(defaultPath) || !fs.statSync(defaultPath).isDirectory()) {
+        defaultPath = '';
+      }
+    } catch {
+      defaultPath = '';
+    }
+
+    const res = await dialog.showOpenDialog({
+      title: 'Choose Project Root Folder',
+      defaultPath: defaultPath || undefined,
+      properties: ['openDirectory']
+    });
+
+    if (res.canceled || !Array.isArray(res.filePaths) || !res.filePaths[0]) return { ok: false, canceled: true };
+    return { ok: true, path: String(res.filePaths[0]) };
+  } catch {
+    return { ok: false, reason: 'dialog_failed' };
+  }
+});
+
 // Full "clean reset":
 // - Delete main-process language selection file (ui_language.json)
 // - Reset main process language to EN and theme to light (best-effort)
@@ -425,6 +651,9 @@ ipcMain.handle('app:cleanReset', async () => {
     // ignore
   }
 
+  // Remove the user model manifest override (if any)
+  try { await fsp.unlink(_userManifestPath()); } catch {}
+
   // Reset main-process state to defaults
   try { currentLang = LANG_FALLBACK; } catch {}
   try { isDark = false; } catch {}
@@ -563,6 +792,42 @@ function createAppMenu() {
             }
           }
         },
+        {
+          label: tMenu('menu.file.anthropicKey', 'Anthropic API Key…'),
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+            if (win && !win.isDestroyed()) {
+              win.webContents.send('apikey:open', { provider: 'anthropic' });
+            }
+          }
+        },
+        {
+          label: tMenu('menu.file.geminiKey', 'Gemini API Key…'),
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+            if (win && !win.isDestroyed()) {
+              win.webContents.send('apikey:open', { provider: 'gemini' });
+            }
+          }
+        },
+        {
+          label: tMenu('menu.file.azure', 'Azure OpenAI…'),
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+            if (win && !win.isDestroyed()) {
+              win.webContents.send('azure:open');
+            }
+          }
+        },
+        {
+          label: tMenu('menu.file.customProviders', 'Custom Providers…'),
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+            if (win && !win.isDestroyed()) {
+              win.webContents.send('providers:open');
+            }
+          }
+        },
         { type: 'separator' },
         {
           label: tMenu('menu.file.pinChange', 'PIN Change…'),
@@ -573,6 +838,15 @@ function createAppMenu() {
             }
           }
         },
+        {
+          label: tMenu('menu.file.budget', 'Budget Caps…'),
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+            if (win && !win.isDestroyed()) {
+              win.webContents.send('budget:open');
+            }
+          }
+        },
         {
           label: tMenu('menu.file.cleanReset', 'Clean and Reset…'),
           click: () => {
@@ -630,6 +904,42 @@ function createAppMenu() {
             }
           }
         },
+        {
+          label: tMenu('menu.view.usage', 'Usage…'),
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+            if (win && !win.isDestroyed()) {
+              win.webContents.send('usage:open');
+            }
+          }
+        },
+        {
+          label: tMenu('menu.view.models', 'Models…'),
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+            if (win && !win.isDestroyed()) {
+              win.webContents.send('models:open');
+            }
+          }
+        },
+        {
+          label: tMenu('menu.view.manifest', 'Model Manifest…'),
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+            if (win && !win.isDestroyed()) {
+              win.webContents.send('manifest:open');
+            }
+          }
+        },
+        {
+          label: tMenu('menu.view.fallback', 'Fallback Models…'),
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+            if (win && !win.isDestroyed()) {
+              win.webContents.send('fallback:open');
+            }
+          }
+        },
         {
           label: tMenu('menu.view.language', 'Language…'),
           click: () => {
@@ -0,0 +1,267 @@
+'use strict';
+
+/**
+ * Model manifest editor: the user override (userData/model_manifest.user.json)
+ * - The override is deep-merged over the bundled model_manifest.json (models.js):
+ *   providers and models match by id, fields set here replace the bundled ones,
+ *   new ids are added
+ * - Validation problems of the merged result are listed; an override that does not
+ *   validate is never saved, and one broken on disk is reported instead of ignored
+ * - Quick edits (default model, model template) rewrite the JSON in the text area
+ */
+
+const MANIFEST_OVERRIDE_SKELETON = { manifest_version: 1, providers: [] };
+
+function createManifestEditorManager({
+  document,
+  t,
+  tFmt,
+  overlayMgr,
+  models,        // models.js manager
+  readUserText,  // () => string ('' when there is no override)
+  saveUserText,  // async (text) => { ok, reason? }
+  removeUser,    // async () => { ok, reason? }
+  onSaved,       // ({ defaultChanged }) => void, after the manifest was reloaded
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createManifestEditorManager: document is required');
+
+  const el = {
+    overlayId: ids.overlayId || 'manifestOverlay',
+    titleId: ids.titleId || 'manifestTitle',
+    introId: ids.introId || 'manifestIntro',
+    pathsId: ids.pathsId || 'manifestPaths',
+    errorsId: ids.errorsId || 'manifestErrors',
+    defaultLabelId: ids.defaultLabelId || 'manifestDefaultLabel',
+    defaultId: ids.defaultId || 'manifestDefault',
+    providerId: ids.providerId || 'manifestProvider',
+    addModelBtnId: ids.addModelBtnId || 'manifestAddModelBtn',
+    textLabelId: ids.textLabelId || 'manifestTextLabel',
+    textId: ids.textId || 'manifestText',
+    hintId: ids.hintId || 'manifestHint',
+    checkBtnId: ids.checkBtnId || 'manifestCheckBtn',
+    saveBtnId: ids.saveBtnId || 'manifestSaveBtn',
+    resetBtnId: ids.resetBtnId || 'manifestResetBtn',
+    cancelBtnId: ids.cancelBtnId || 'manifestCancelBtn',
+    closeBtnId: ids.closeBtnId || 'manifestCloseBtn'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+
+  function _hint(text) {
+    const h = _byId(el.hintId);
+    if (h) h.textContent = text || '';
+  }
+
+  function _renderErrors(errors) {
+    const box = _byId(el.errorsId);
+    if (!box) return;
+    const list = (errors || []).map((e) => {
+      const li = document.createElement('li');
+      li.textContent = (typeof e === 'string') ? e : (e.source === 'bundled'
+        ? tFmt('manifest.bundledErrorFmt', { message: e.message }, `Bundled manifest: ${e.message}`)
+        : e.message);
+      return li;
+    });
+    box.replaceChildren(...list);
+  }
+
+  function _text() {
+    return String(_byId(el.textId)?.value || '');
+  }
+
+  function _setText(obj) {
+    const ta = _byId(el.textId);
+    if (ta) ta.value = JSON.stringify(obj, null, 2);
+  }
+
+  // The override as an object, or null (with the parse error shown)
+  function _parsed() {
+    const raw = _text().trim();
+    if (!raw) return JSON.parse(JSON.stringify(MANIFEST_OVERRIDE_SKELETON));
+    try {
+      const obj = JSON.parse(raw);
+      if (obj && typeof obj === 'object' && !Array.isArray(obj)) return obj;
+      _renderErrors([t('manifest.notObject', 'The override must be a JSON object.')]);
+    } catch (e) {
+      _renderErrors([tFmt('manifest.invalidJsonFmt', { err: String(e?.message || e) }, `Invalid JSON: ${String(e?.message || e)}`)]);
+    }
+    return null;
+  }
+
+  // -------------------------
+  // Quick edits
+  // -------------------------
+  function _fillSelects() {
+    const groups = (models?.listModelsByProvider?.() || []);
+    const manifestProviders = (models?.modelManifest?.providers || []).map(p => String(p?.id || '')).filter(Boolean);
+    const current = String(models?.modelManifest?.defaults?.model || '');
+
+    const def = _byId(el.defaultId);
+    if (def) {
+      const opts = [];
+      for (const g of groups) {
+        if (!manifestProviders.includes(g.providerId)) continue;
+        const og = document.createElement('optgroup');
+        og.label = g.label;
+        for (const m of g.models) {
+          if (m.discovered) continue;
+          const opt = document.createElement('option');
+          opt.value = m.id;
+          opt.textContent = m.label;
+          og.appendChild(opt);
+        }
+        if (og.childNodes.length) opts.push(og);
+      }
+      def.replaceChildren(...opts);
+      def.value = current;
+    }
+
+    const prov = _byId(el.providerId);
+    if (prov) {
+      prov.replaceChildren(...manifestProviders.map((id) => {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = groups.find(g => g.providerId === id)?.label || id;
+        return opt;
+      }));
+    }
+  }
+
+  function _setDefault(modelId) {
+    const obj = _parsed();
+    if (!obj || !modelId) return;
+    obj.defaults = { ...(obj.defaults || {}), model: modelId };
+    _setText(obj);
+    _hint(tFmt('manifest.defaultSetFmt', { model: modelId }, `Default model set to ${modelId} (not saved yet).`));
+  }
+
+  function _addModelTemplate() {
+    const providerId = String(_byId(el.providerId)?.value || '').trim();
+    const obj = _parsed();
+    if (!obj || !providerId) return;
+    if (!Array.isArray(obj.providers)) obj.providers = [];
+    let prov = obj.providers.find(p => p && p.id === providerId);
+    if (!prov) {
+      prov = { id: providerId, models: [] };
+      obj.providers.push(prov);
+    }
+    if (!Array.isArray(prov.models)) prov.models = [];
+    prov.models.push({
+      id: 'new-model-id',
+      label: 'new-model-id',
+      context_tokens: 128000,
+      pricing: { input: 0, cached_input: null, output: 0 },
+      max_tokens: 16384
+    });
+    if (obj.manifest_version == null) obj.manifest_version = 1;
+    _setText(obj);
+    _hint(t('manifest.templateAdded', 'Model template added: set its id, limits and pricing, then Save.'));
+  }
+
+  // -------------------------
+  // Validate / save / reset
+  // -------------------------
+  function _check() {
+    const obj = _parsed();
+    if (!obj) return false;
+    const errors = models?.checkUserManifestText?.(JSON.stringify(obj)) || [];
+    _renderErrors(errors);
+    return errors.length === 0;
+  }
+
+  async function _save() {
+    _hint('');
+    if (!_check()) {
+      _hint(t('manifest.notSaved', 'Not saved: fix the problems listed above.'));
+      return;
+    }
+    const before = String(models?.modelManifest?.defaults?.model || '');
+    const text = `${JSON.stringify(_parsed(), null, 2)}\n`;
+    const res = await saveUserText?.(text);
+    if (!res?.ok) { _hint(t('manifest.saveFailed', 'Could not write the override file.')); return; }
+
+    const after = String(_parsed()?.defaults?.model || before);
+    try { onSaved?.({ defaultChanged: after !== before }); } catch { }
+    _fill({ keepText: true });
+    _hint(t('manifest.saved', 'Saved and reloaded.'));
+  }
+
+  async function _reset() {
+    if (!confirm(t('manifest.resetConfirm', 'Delete your manifest override and use the bundled manifest only?'))) return;
+    const res = await removeUser?.();
+    if (!res?.ok) { _hint(t('manifest.resetFailed', 'Could not delete the override file.')); return; }
+    try { onSaved?.({ defaultChanged: false }); } catch { }
+    _fill();
+    _hint(t('manifest.resetDone', 'Override deleted; using the bundled manifest.'));
+  }
+
+  // -------------------------
+  // Overlay
+  // -------------------------
+  function _fill({ keepText = false } = {}) {
+    const status = models?.manifestStatus?.() || {};
+    const paths = _byId(el.pathsId);
+    if (paths) {
+      paths.textContent = tFmt('manifest.pathsFmt', { bundled: status.bundledPath || '—', user: status.userPath || '—' },
+        `Bundled: ${status.bundledPath || '—'}\nOverride: ${status.userPath || '—'}`);
+    }
+    if (!keepText) {
+      let text = '';
+      try { text = String(readUserText?.() || ''); } catch { }
+      const ta = _byId(el.textId);
+      if (ta) ta.value = text.trim() ? text : JSON.stringify(MANIFEST_OVERRIDE_SKELETON, null, 2);
+    }
+    _renderErrors(status.errors || []);
+    _byId(el.resetBtnId)?.classList.toggle('hidden', !status.userExists);
+    _fillSelects();
+  }
+
+  function open() {
+    _fill();
+    _hint('');
+    overlayMgr?.open?.(el.overlayId);
+  }
+
+  function close({ force = false } = {}) {
+    overlayMgr?.close?.(el.overlayId, { force });
+  }
+
+  function applyI18n() {
+    const set = (id, text) => { const n = _byId(id); if (n) n.textContent = text; };
+    set(el.titleId, t('manifest.title', 'Model Manifest'));
+    set(el.introId, t('manifest.intro', 'Your override is merged over the bundled manifest: providers and models match by id, fields you set replace the bundled ones, and new ids are added.'));
+    set(el.defaultLabelId, t('manifest.defaultLabel', 'Default model'));
+    set(el.addModelBtnId, t('manifest.addModel', '+ Model template'));
+    set(el.textLabelId, t('manifest.textLabel', 'Override (JSON)'));
+    set(el.checkBtnId, t('manifest.check', 'Validate'));
+    set(el.saveBtnId, t('manifest.save', 'Save'));
+    set(el.resetBtnId, t('manifest.reset', 'Delete override'));
+    set(el.cancelBtnId, t('manifest.close', 'Close'));
+    _byId(el.closeBtnId)?.setAttribute('aria-label', t('manifest.closeAria', 'Close model manifest'));
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    _byId(el.defaultId)?.addEventListener('change', (e) => _setDefault(String(e.target.value || '')));
+    _byId(el.addModelBtnId)?.addEventListener('click', _addModelTemplate);
+    _byId(el.checkBtnId)?.addEventListener('click', () => {
+      _hint(_check() ? t('manifest.valid', 'No problems found.') : '');
+    });
+    _byId(el.saveBtnId)?.addEventListener('click', () => { void _save(); });
+    _byId(el.resetBtnId)?.addEventListener('click', () => { void _reset(); });
+    _byId(el.cancelBtnId)?.addEventListener('click', () => close());
+    _byId(el.closeBtnId)?.addEventListener('click', () => close());
+  }
+
+  return {
+    open,
+    close,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createManifestEditorManager };
@@ -5,6 +5,11 @@
 // Pattern: createXManager({ deps... }) -> { wireDomEvents(), ... }
 // No direct access to renderer globals; everything is passed in.
 
+// Output-limit parameter names a Chat Completions model may require (capabilities.token_param)
+const CAPABILITY_TOKEN_PARAMS = ['max_tokens', 'max_completion_tokens'];
+// OpenAI API a model is called through (capabilities.api); Chat Completions when unset
+const CAPABILITY_APIS = ['chat_completions', 'responses'];
+
 function createModelsManager({
   window,
   document,
@@ -12,13 +17,18 @@ function createModelsManager({
   path,
   appDirname,   // pass __dirname from renderer
   cwd,          // pass process.cwd() from renderer
+  userManifestPath = '', // userData/model_manifest.user.json: deep-merged over the bundled manifest
   storage,      // e.g. localStorage
-  apiKeys,      // { hasEncryptedApiKey(providerId), providerForModel(modelId) }
+  apiKeys,      // { hasEncryptedApiKey(providerId), providerForModel(modelId), listCustomProviders(), getAzureConfig() }
   tabsApi,      // { getActiveTab(), getTabById(id)?, onActiveTabChanged(cb)? }
+  t = (_key, fallback) => fallback,
   modelSelectId = 'modelSelect',
   storageKey = 'selectedModel',
+  discoveredStorageKey = 'models.discovered.v1', // { [providerId]: { ids: [], at } } from provider models endpoints
+  hiddenStorageKey = 'models.hidden.v1',         // [modelId] left out of the dropdown
 } = {}) {
   let modelManifest = null;
+  let manifestErrors = [];      // [{ source: 'bundled' | 'user', message }] from the last load
   let modelManifestIndex = {
     modelToProvider: new Map(), // modelId -> providerId
     modelMeta: new Map(),       // modelId -> { providerId, ...modelObj }
@@ -85,19 +95,116 @@ function createModelsManager({
     return ids;
   }
 
+  // Custom OpenAI-compatible servers (apikeys.js): [{ id, name, baseUrl, models, hasKey }]
+  function _customProviders() {
+    try {
+      const list = apiKeys?.listCustomProviders?.();
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Azure OpenAI (apikeys.js): { endpoint, apiVersion, deployments: [{ deployment, model }] }
+  function _azureConfig() {
+    try {
+      const cfg = apiKeys?.getAzureConfig?.();
+      return (cfg && cfg.endpoint && Array.isArray(cfg.deployments)) ? cfg : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function _azureModelId(deployment) {
+    return `azure:${deployment}`;
+  }
+
+  // -------------------------
+  // Discovered + hidden models (discovery.js fills these from the providers' models endpoints)
+  // -------------------------
+  function _readJson(k, fallback) {
+    try {
+      const v = JSON.parse(_safeGetItem(k) || 'null');
+      return v ?? fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function discoveredModels() {
+    const raw = _readJson(discoveredStorageKey, {});
+    const out = {};
+    if (!_isPlainObj(raw)) return out;
+    for (const [providerId, entry] of Object.entries(raw)) {
+      const ids = Array.isArray(entry?.ids) ? entry.ids.map(s => String(s || '').trim()).filter(Boolean) : [];
+      out[providerId] = { ids, at: Number(entry?.at) || 0 };
+    }
+    return out;
+  }
+
+  // Replaces what was discovered for one provider (ids = everything its endpoint listed)
+  function setDiscoveredModels(providerId, ids) {
+    const p = String(providerId || '').trim();
+    if (!p) return;
+    const all = discoveredModels();
+    all[p] = { ids: [...new Set((ids || []).map(s => String(s || '').trim()).filter(Boolean))], at: Date.now() };
+    _safeSetItem(discoveredStorageKey, JSON.stringify(all));
+  }
+
+  function hiddenModelIds() {
+    const raw = _readJson(hiddenStorageKey, []);
+    return new Set(Array.isArray(raw) ? raw.map(s => String(s || '').trim()).filter(Boolean) : []);
+  }
+
+  function setModelHidden(modelId, hidden) {
+    const id = String(modelId || '').trim();
+    if (!id) return;
+    const set = hiddenModelIds();
+    if (hidden) set.add(id); else set.delete(id);
+    _safeSetItem(hiddenStorageKey, JSON.stringify([...set]));
+  }
+
+  function _providerLabel(providerId) {
+    const p = String(providerId || '').trim();
+    const prov = (modelManifest?.providers || []).find(x => _isPlainObj(x) && String(x.id || '').trim() === p);
+    if (prov) return String(prov.label || prov.id);
+    if (p === 'azure') return 'Azure OpenAI';
+    return _customProviders().find(x => x.id === p)?.name || p;
+  }
+
+  // Every indexed model grouped by provider (dropdown order), hidden ones included:
+  // [{ providerId, label, models: [{ id, label, discovered, hidden }] }]
+  function listModelsByProvider() {
+    const hidden = hiddenModelIds();
+    const groups = new Map();
+    for (const [id, meta] of (modelManifestIndex?.modelMeta || new Map())) {
+      const p = String(meta?.providerId || '');
+      if (!groups.has(p)) groups.set(p, { providerId: p, label: _providerLabel(p), models: [] });
+      groups.get(p).models.push({ id, label: String(meta.label || id), discovered: !!meta.discovered, hidden: hidden.has(id) });
+    }
+    return [...groups.values()];
+  }
+
   function _hasKeyForProvider(providerId) {
     const p = String(providerId || '').trim();
     if (!p) return false;
     try { return !!apiKeys?.hasEncryptedApiKey?.(p); } catch { return false; }
   }
 
+  // Custom server without a key (typical local LLM): usable without one
+  function _isKeylessProvider(providerId) {
+    const p = String(providerId || '').trim();
+    return !!p && _customProviders().some(x => x.id === p && !x.hasKey);
+  }
+
   // Enabled providers:
   // - if ANY keys exist for providers present in dropdown => enabled = those providers with keys
+  //   (+ keyless custom servers, which need none)
   // - else (no keys at all) => enabled = all providers (so the user can choose; apply will prompt)
   function _enabledProvidersSetFromDropdown() {
     const providers = _providerIdsInDropdown();
     const withKeys = providers.filter(_hasKeyForProvider);
-    const enabled = (withKeys.length > 0) ? withKeys : providers;
+    const enabled = (withKeys.length > 0) ? [...withKeys, ...providers.filter(_isKeylessProvider)] : providers;
     return new Set(enabled);
   }
 
@@ -155,33 +262,260 @@ function createModelsManager({
     return null;
   }
 
+  // -------------------------
+  // Validation + user overlay merge
+  // -------------------------
+  function _isNonNegNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v) && v >= 0;
+  }
+
+  function _isPositiveInt(v) {
+    return Number.isInteger(v) && v > 0;
+  }
+
+  function _isStringArray(v) {
+    return Array.isArray(v) && v.every(x => typeof x === 'string' && x.trim());
+  }
+
+  // "capabilities" (provider-level defaults, per-model overrides); `at` names the entry
+  function _validateCapabilities(caps, at, errors) {
+    if (caps == null) return;
+    if (!_isPlainObj(caps)) { errors.push(`${at}.capabilities must be an object.`); return; }
+    if (caps.api != null && !CAPABILITY_APIS.includes(caps.api)) {
+      errors.push(`${at}.capabilities.api must be one of ${CAPABILITY_APIS.join(', ')}.`);
+    }
+    if (caps.params != null && !_isStringArray(caps.params)) errors.push(`${at}.capabilities.params must be an array of parameter names.`);
+    if (caps.token_param != null && !CAPABILITY_TOKEN_PARAMS.includes(caps.token_param)) {
+      errors.push(`${at}.capabilities.token_param must be one of ${CAPABILITY_TOKEN_PARAMS.join(', ')}.`);
+    }
+    if (caps.streaming != null && typeof caps.streaming !== 'boolean') errors.push(`${at}.capabilities.streaming must be true or false.`);
+    if (caps.reasoning_effort != null && !_isStringArray(caps.reasoning_effort)) {
+      errors.push(`${at}.capabilities.reasoning_effort must be an array of levels.`);
+    }
+  }
+
+  // Human-readable problems with a (merged) manifest; [] when it is usable
+  function validateManifest(obj) {
+    const errors = [];
+    if (!_isPlainObj(obj)) return ['The manifest must be a JSON object.'];
+    if (obj.manifest_version !== 1) errors.push(`manifest_version must be 1 (found ${JSON.stringify(obj.manifest_version)}).`);
+    if (!Array.isArray(obj.providers) || obj.providers.length === 0) {
+      errors.push('providers must be a non-empty array.');
+      return errors;
+    }
+
+    const modelIds = new Set();
+    // Paths name entries by id where there is one (indexes are those of the merged manifest)
+    obj.providers.forEach((prov, i) => {
+      if (!_isPlainObj(prov)) { errors.push(`providers[${i}] must be an object.`); return; }
+      const provId = String(prov.id || '').trim();
+      const at = provId ? `provider "${provId}"` : `providers[${i}]`;
+      if (!provId) errors.push(`${at}.id is missing.`);
+      if (prov.tokenizer != null && typeof prov.tokenizer !== 'string') errors.push(`${at}.tokenizer must be a string.`);
+      _validateCapabilities(prov.capabilities, at, errors);
+      if (!Array.isArray(prov.models)) { errors.push(`${at}.models must be an array.`); return; }
+      prov.models.forEach((m, j) => {
+        if (!_isPlainObj(m)) { errors.push(`${at}.models[${j}] must be an object.`); return; }
+        const id = String(m.id || '').trim();
+        const mat = id ? `model "${id}"` : `${at}.models[${j}]`;
+        if (!id) errors.push(`${mat}.id is missing.`);
+        else if (modelIds.has(id)) errors.push(`${mat}: model id "${id}" appears more than once.`);
+        else modelIds.add(id);
+        if (m.pricing != null) {
+          if (!_isPlainObj(m.pricing)) errors.push(`${mat}.pricing must be an object.`);
+          else {
+            for (const k of ['input', 'cached_input', 'output']) {
+              const v = m.pricing[k];
+              if (v != null && !_isNonNegNumber(v)) errors.push(`${mat}.pricing.${k} must be a number >= 0 or null.`);
+            }
+          }
+        }
+        for (const k of ['context_tokens', 'max_tokens']) {
+          if (m[k] != null && !_isPositiveInt(m[k])) errors.push(`${mat}.${k} must be a positive integer.`);
+        }
+        if (m.tokenizer != null && typeof m.tokenizer !== 'string') errors.push(`${mat}.tokenizer must be a string.`);
+        _validateCapabilities(m.capabilities, mat, errors);
+      });
+    });
+
+    if (!modelIds.size) errors.push('The manifest lists no models.');
+    const def = obj.defaults?.model;
+    if (def != null && !modelIds.has(String(def).trim())) errors.push(`defaults.model "${def}" is not a model in the manifest.`);
+    return errors;
+  }
+
+  function _clone(x) {
+    return (x === undefined) ? undefined : JSON.parse(JSON.stringify(x));
+  }
+
+  function _deepMerge(base, over) {
+    if (!_isPlainObj(base) || !_isPlainObj(over)) return _clone(over);
+    const out = _clone(base);
+    for (const [k, v] of Object.entries(over)) out[k] = _deepMerge(base[k], v);
+    return out;
+  }
+
+  // Arrays of { id } merge by id: matching entries are merged, new ones appended
+  function _mergeById(base, over, mergeOne) {
+    const out = Array.isArray(base) ? _clone(base) : [];
+    for (const item of (Array.isArray(over) ? over : [])) {
+      const id = _isPlainObj(item) ? String(item.id || '').trim() : '';
+      const i = id ? out.findIndex(x => _isPlainObj(x) && String(x.id || '').trim() === id) : -1;
+      if (i >= 0) out[i] = mergeOne(out[i], item);
+      else out.push(_clone(item));
+    }
+    return out;
+  }
+
+  // User overlay over the bundled manifest: objects deep-merge, providers and their
+  // models merge by id (fields you set replace the bundled ones, new ids are added).
+  function mergeManifests(base, overlay) {
+    if (!_isPlainObj(overlay)) return _clone(base);
+    const { providers, ...rest } = overlay;
+    const out = _deepMerge(_isPlainObj(base) ? base : {}, rest);
+    out.providers = Array.isArray(providers)
+      ? _mergeById(base?.providers, providers, (a, b) => {
+        const { models, ...provRest } = b;
+        const merged = _deepMerge(a, provRest);
+        merged.models = Array.isArray(models) ? _mergeById(a?.models, models, _deepMerge) : _clone(a?.models);
+        return merged;
+      })
+      : _clone(base?.providers);
+    return out;
+  }
+
+  function _readJsonFile(p) {
+    let raw = '';
+    try {
+      raw = fs.readFileSync(p, 'utf8');
+    } catch (e) {
+      return { obj: null, error: `Cannot read ${p}: ${e?.message || e}` };
+    }
+    try {
+      return { obj: JSON.parse(raw), error: '' };
+    } catch (e) {
+      return { obj: null, error: `Invalid JSON in ${p}: ${e?.message || e}` };
+    }
+  }
+
+  function _userManifestExists() {
+    try { return !!userManifestPath && !!fs?.existsSync?.(userManifestPath); } catch { return false; }
+  }
+
+  // Problems `text` would cause as the user overlay (nothing is saved or applied)
+  function checkUserManifestText(text) {
+    let overlay = null;
+    try {
+      overlay = JSON.parse(String(text || ''));
+    } catch (e) {
+      return [`Invalid JSON: ${e?.message || e}`];
+    }
+    if (!_isPlainObj(overlay)) return ['The override must be a JSON object.'];
+    const p = _findModelManifestPath();
+    const bundled = p ? _readJsonFile(p).obj : null;
+    return validateManifest(mergeManifests(bundled, overlay));
+  }
+
+  function manifestStatus() {
+    return {
+      bundledPath: _findModelManifestPath() || '',
+      userPath: userManifestPath || '',
+      userExists: _userManifestExists(),
+      errors: manifestErrors.slice()
+    };
+  }
+
+  // Bundled manifest, with the user overlay merged in when the result validates.
+  // Problems are kept in manifestErrors (shown by the renderer) instead of being swallowed.
   function _loadModelManifestSync() {
+    manifestErrors = [];
     const p = _findModelManifestPath();
-    if (!p) return null;
-    let obj = null;
-    try {
-      const raw = fs.readFileSync(p, 'utf8');
-      obj = JSON.parse(raw);
-    } catch {
-      return null;
+    let bundled = null;
+    if (!p) {
+      manifestErrors.push({ source: 'bundled', message: 'model_manifest.json was not found next to the app.' });
+    } else {
+      const r = _readJsonFile(p);
+      if (r.error) manifestErrors.push({ source: 'bundled', message: r.error });
+      else {
+        const errs = validateManifest(r.obj);
+        if (errs.length) errs.forEach(message => manifestErrors.push({ source: 'bundled', message }));
+        else bundled = r.obj;
+      }
     }
 
-    if (!_isPlainObj(obj)) return null;
-    if (obj.manifest_version !== 1) return null;
-    if (!Array.isArray(obj.providers) || obj.providers.length === 0) return null;
+    let obj = bundled;
+    if (_userManifestExists()) {
+      const r = _readJsonFile(userManifestPath);
+      if (r.error) manifestErrors.push({ source: 'user', message: r.error });
+      else if (!_isPlainObj(r.obj)) manifestErrors.push({ source: 'user', message: 'The override must be a JSON object.' });
+      else {
+        const merged = mergeManifests(bundled || r.obj, bundled ? r.obj : null);
+        const errs = validateManifest(merged);
+        if (errs.length) errs.forEach(message => manifestErrors.push({ source: 'user', message }));
+        else obj = merged;
+      }
+    }
+    if (!obj) return null;
 
     const idx = { modelToProvider: new Map(), modelMeta: new Map() };
+    const tokenizers = new Map(); // providerId -> provider-level tokenizer
+    const capabilities = new Map(); // providerId -> provider-level capabilities
     for (const prov of obj.providers) {
       if (!_isPlainObj(prov)) continue;
       const providerId = String(prov.id || '').trim();
       if (!providerId) continue;
+      tokenizers.set(providerId, prov.tokenizer);
+      capabilities.set(providerId, prov.capabilities);
       const models = Array.isArray(prov.models) ? prov.models : [];
       for (const m of models) {
         if (!_isPlainObj(m)) continue;
         const modelId = String(m.id || '').trim();
         if (!modelId) continue;
         idx.modelToProvider.set(modelId, providerId);
-        idx.modelMeta.set(modelId, { providerId, ...m });
+        // A provider-level "tokenizer" is the default for its models; provider-level
+        // "capabilities" fields are defaults the model's own fields replace
+        idx.modelMeta.set(modelId, {
+          providerId,
+          tokenizer: prov.tokenizer,
+          ...m,
+          capabilities: { ...(prov.capabilities || {}), ...(m.capabilities || {}) }
+        });
+      }
+    }
+    // Azure deployments borrow the mapped manifest model's pricing / limits / tokenizer and
+    // capabilities, except `api`: Azure requests always go through Chat Completions
+    for (const d of (_azureConfig()?.deployments || [])) {
+      const base = idx.modelMeta.get(d.model);
+      const modelId = _azureModelId(d.deployment);
+      if (!base || idx.modelToProvider.has(modelId)) continue;
+      const { api: _api, ...capabilities } = base.capabilities || {};
+      idx.modelToProvider.set(modelId, 'azure');
+      idx.modelMeta.set(modelId, { ...base, capabilities, providerId: 'azure', id: modelId, label: `${d.deployment} (${d.model})`, baseModel: d.model });
+    }
+    // Custom servers: no pricing / context / tokenizer (their models are not in the manifest)
+    for (const prov of _customProviders()) {
+      for (const modelId of prov.models) {
+        if (idx.modelToProvider.has(modelId)) continue;
+        idx.modelToProvider.set(modelId, prov.id);
+        idx.modelMeta.set(modelId, { providerId: prov.id, id: modelId, label: modelId, custom: true });
+      }
+    }
+    // Discovered ids unknown to all of the above (known ids keep their manifest metadata);
+    // no pricing / context, the provider's tokenizer and capabilities
+    const customIds = new Set(_customProviders().map(p => p.id));
+    for (const [providerId, entry] of Object.entries(discoveredModels())) {
+      if (!tokenizers.has(providerId) && !customIds.has(providerId)) continue; // provider gone
+      for (const modelId of entry.ids) {
+        if (idx.modelToProvider.has(modelId)) continue;
+        idx.modelToProvider.set(modelId, providerId);
+        idx.modelMeta.set(modelId, {
+          providerId,
+          id: modelId,
+          label: modelId,
+          tokenizer: tokenizers.get(providerId),
+          capabilities: { ...(capabilities.get(providerId) || {}) },
+          discovered: true
+        });
       }
     }
     if (idx.modelMeta.size === 0) return null;
@@ -191,10 +525,11 @@ function createModelsManager({
     return obj;
   }
 
-  function buildModelSelectFromManifest(manifest) {
+  function buildModelSelectFromManifest(manifest, { ignoreHidden = false } = {}) {
     const sel = _getModelSelect();
     if (!sel) return false;
     if (!_isPlainObj(manifest) || !Array.isArray(manifest.providers)) return false;
+    const hidden = ignoreHidden ? new Set() : hiddenModelIds();
 
     // Clear hardcoded options; manifest is source of truth.
     try { sel.replaceChildren(); } catch { sel.innerHTML = ''; }
@@ -213,7 +548,7 @@ function createModelsManager({
       for (const m of models) {
         if (!_isPlainObj(m)) continue;
         const modelId = String(m.id || '').trim();
-        if (!modelId) continue;
+        if (!modelId || hidden.has(modelId)) continue;
 
         const opt = document.createElement('option');
         opt.value = modelId;
@@ -232,6 +567,60 @@ function createModelsManager({
       if (og.querySelector('option')) sel.appendChild(og);
     }
 
+    // Azure deployments, after the manifest providers
+    const azureGroup = document.createElement('optgroup');
+    azureGroup.label = 'Azure OpenAI';
+    azureGroup.dataset.provider = 'azure';
+    for (const d of (_azureConfig()?.deployments || [])) {
+      const meta = modelManifestIndex.modelMeta.get(_azureModelId(d.deployment));
+      if (meta?.providerId !== 'azure' || hidden.has(meta.id)) continue;
+      const opt = document.createElement('option');
+      opt.value = meta.id;
+      opt.textContent = meta.label;
+      opt.dataset.provider = 'azure';
+      azureGroup.appendChild(opt);
+    }
+    if (azureGroup.querySelector('option')) sel.appendChild(azureGroup);
+
+    // One optgroup per custom server, after the manifest providers
+    for (const prov of _customProviders()) {
+      const og = document.createElement('optgroup');
+      og.label = prov.name;
+      og.dataset.provider = prov.id;
+      og.dataset.custom = '1';
+      for (const modelId of prov.models) {
+        if (modelManifestIndex.modelToProvider.get(modelId) !== prov.id || hidden.has(modelId)) continue;
+        const opt = document.createElement('option');
+        opt.value = modelId;
+        opt.textContent = modelId;
+        opt.dataset.provider = prov.id;
+        og.appendChild(opt);
+      }
+      if (og.querySelector('option')) sel.appendChild(og);
+    }
+
+    // Discovered models: one "<provider> · Discovered" group per provider, last
+    for (const [providerId, entry] of Object.entries(discoveredModels())) {
+      const og = document.createElement('optgroup');
+      og.label = `${_providerLabel(providerId)} · ${t('models.discoveredGroup', 'Discovered')}`;
+      og.dataset.provider = providerId;
+      og.dataset.discovered = '1';
+      for (const modelId of entry.ids) {
+        const meta = modelManifestIndex.modelMeta.get(modelId);
+        if (!meta?.discovered || meta.providerId !== providerId || hidden.has(modelId)) continue;
+        const opt = document.createElement('option');
+        opt.value = modelId;
+        opt.textContent = modelId;
+        opt.dataset.provider = providerId;
+        og.appendChild(opt);
+      }
+      if (og.querySelector('option')) sel.appendChild(og);
+    }
+
+    // Everything hidden: show everything rather than an empty dropdown
+    if (!ignoreHidden && hidden.size && !sel.querySelector('option')) {
+      return buildModelSelectFromManifest(manifest, { ignoreHidden: true });
+    }
     return true;
   }
 
@@ -241,6 +630,27 @@ function createModelsManager({
     return m;
   }
 
+  // Rebuild after custom providers, Azure, discovered or hidden models change; keeps the current model when it still exists
+  function reloadModelDropdown() {
+    const sel = _getModelSelect();
+    const before = String(sel?.value || '').trim();
+    initModelManifestAndDropdown();
+    if (sel && before && _modelExistsInDropdown(before)) sel.value = before;
+    updateModelDropdownGating({ coerceActive: true });
+  }
+
+  // [{ id, label }] of one manifest provider (e.g. the OpenAI models an Azure deployment can map to)
+  function manifestModelsForProvider(providerId) {
+    const p = String(providerId || '').trim();
+    const prov = (modelManifest?.providers || []).find(x => _isPlainObj(x) && String(x.id || '').trim() === p);
+    const out = [];
+    for (const m of (Array.isArray(prov?.models) ? prov.models : [])) {
+      const id = String(m?.id || '').trim();
+      if (id) out.push({ id, label: String(m.label || id) });
+    }
+    return out;
+  }
+
   function manifestMaxTokensForModel(modelId) {
     try {
       const meta = modelManifestIndex?.modelMeta?.get?.(String(modelId || '').trim());
@@ -249,11 +659,102 @@ function createModelsManager({
     return null;
   }
 
+  function manifestContextTokensForModel(modelId) {
+    try {
+      const meta = modelManifestIndex?.modelMeta?.get?.(String(modelId || '').trim());
+      if (meta && Number.isFinite(meta.context_tokens)) return Math.floor(meta.context_tokens);
+    } catch { }
+    return null;
+  }
+
+  // BPE encoding name for offline token counts ("o200k_base", ...); '' = not declared
+  function manifestTokenizerForModel(modelId) {
+    try {
+      const meta = modelManifestIndex?.modelMeta?.get?.(String(modelId || '').trim());
+      return String(meta?.tokenizer || '').trim();
+    } catch {
+      return '';
+    }
+  }
+
+  // Request capabilities for the adapter (adapters.js); unset fields keep the adapter's defaults:
+  // { api: 'chat_completions' | 'responses', params: [name] | null (null = all),
+  //   tokenParam: '' | 'max_tokens' | 'max_completion_tokens', streaming: bool, reasoningEffort: [level] }
+  function capabilitiesForModel(modelId) {
+    let caps = null;
+    try { caps = modelManifestIndex?.modelMeta?.get?.(String(modelId || '').trim())?.capabilities || null; } catch { }
+    return {
+      api: CAPABILITY_APIS.includes(caps?.api) ? caps.api : 'chat_completions',
+      params: Array.isArray(caps?.params) ? caps.params.slice() : null,
+      tokenParam: String(caps?.token_param || ''),
+      streaming: caps?.streaming !== false,
+      reasoningEffort: Array.isArray(caps?.reasoning_effort) ? caps.reasoning_effort.slice() : []
+    };
+  }
+
+  // Whether the model takes an optional request parameter ("temperature", "response_format", ...)
+  function modelSupportsParam(modelId, param) {
+    const caps = capabilitiesForModel(modelId);
+    const p = String(param || '');
+    if (caps.api === 'responses' && p === 'seed') return false; // the Responses API has no seed
+    return !caps.params || caps.params.includes(p);
+  }
+
+  // Smallest manifest context window that holds `neededTokens`, among enabled providers.
+  // Same provider first (no key switch), then any other enabled provider. null = none fits.
+  function modelWithContextFor(neededTokens, { preferProvider = '' } = {}) {
+    const need = Math.max(0, Number(neededTokens) || 0);
+    const enabled = _enabledProvidersSetFromDropdown();
+    let best = null;
+    try {
+      for (const [id, meta] of modelManifestIndex.modelMeta) {
+        if (!enabled.has(meta.providerId) || !_modelExistsInDropdown(id)) continue;
+        const ctx = Number(meta.context_tokens);
+        if (!Number.isFinite(ctx) || ctx < need) continue;
+        const same = meta.providerId === preferProvider;
+        const better = !best ||
+          (same && !best.same) ||
+          (same === best.same && ctx < best.contextTokens);
+        if (better) best = { model: id, provider: meta.providerId, contextTokens: Math.floor(ctx), same };
+      }
+    } catch { }
+    if (!best) return null;
+    return { model: best.model, provider: best.provider, contextTokens: best.contextTokens };
+  }
+
+  // Manifest prices are per million tokens (manifest "unit": usd_per_million_tokens)
+  function manifestPricingForModel(modelId) {
+    try {
+      if (String(modelManifest?.unit || '') !== 'usd_per_million_tokens') return null;
+      const meta = modelManifestIndex?.modelMeta?.get?.(String(modelId || '').trim());
+      const pr = _isPlainObj(meta?.pricing) ? meta.pricing : null;
+      if (!pr || !Number.isFinite(pr.input) || !Number.isFinite(pr.output)) return null;
+      return {
+        input: pr.input,
+        cachedInput: Number.isFinite(pr.cached_input) ? pr.cached_input : pr.input,
+        output: pr.output
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  // USD for a token split; null when the model has no pricing.
+  // Cached prompt tokens are billed at cached_input instead of input.
+  function costForUsage(modelId, { promptTokens = 0, completionTokens = 0, cachedTokens = 0 } = {}) {
+    const pr = manifestPricingForModel(modelId);
+    if (!pr) return null;
+    const prompt = Math.max(0, Number(promptTokens) || 0);
+    const cached = Math.min(prompt, Math.max(0, Number(cachedTokens) || 0));
+    const completion = Math.max(0, Number(completionTokens) || 0);
+    return ((prompt - cached) * pr.input + cached * pr.cachedInput + completion * pr.output) / 1e6;
+  }
+
   function providerForModelId(modelId) {
     const m = String(modelId || '').trim();
     if (!m) return '';
 
-    // Prefer manifest index
+    // Prefer the index (manifest, Azure, custom servers, discovered models)
     try {
       const p = modelManifestIndex?.modelToProvider?.get?.(m);
       if (p) return String(p);
@@ -266,6 +767,8 @@ function createModelsManager({
     } catch { }
 
     // Final fallback heuristic (kept for safety)
+    if (m.startsWith('claude-')) return 'anthropic';
+    if (m.startsWith('gemini-')) return 'gemini';
     return m.startsWith('gpt-') ? 'openai' : 'xai';
   }
 
@@ -310,6 +813,14 @@ function createModelsManager({
     return _lastOptionValueInEnabledProviders(enabled) || raw;
   }
 
+  // Usable as-is (fallback chain): listed in the dropdown and kept by coerceModelToEnabled,
+  // i.e. its provider has a key (or no provider has one yet)
+  function isModelEnabled(model) {
+    const m = String(model || '').trim();
+    if (!m || !_modelExistsInDropdown(m)) return false;
+    return coerceModelToEnabled(m) === m && _enabledProvidersSetFromDropdown().has(providerForModelId(m));
+  }
+
   function coerceActiveTabModelToEnabled(tabMaybe) {
     const tab = tabMaybe || (tabsApi?.getActiveTab?.() || null);
     const sel = _getModelSelect();
@@ -329,6 +840,21 @@ function createModelsManager({
     if (sel && after && String(sel.value || '').trim() !== after) sel.value = after;
   }
 
+  // After the manifest's default model changed: select it (and persist) when available
+  function applyManifestDefaultModel() {
+    const sel = _getModelSelect();
+    const def = String(modelManifest?.defaults?.model || '').trim();
+    if (!sel || !def || !_modelExistsInDropdown(def)) return '';
+    _safeSetItem(storageKey, def);
+    sel.value = def;
+    try {
+      const tab = tabsApi?.getActiveTab?.() || null;
+      if (tab) tab.selectedModel = def;
+    } catch { }
+    try { coerceActiveTabModelToEnabled(); } catch { }
+    return def;
+  }
+
   function initSelectedModel({ fallbackDefaultModel } = {}) {
     const sel = _getModelSelect();
     if (!sel) return '';
@@ -407,16 +933,40 @@ function createModelsManager({
     _loadModelManifestSync,
     buildModelSelectFromManifest,
     initModelManifestAndDropdown,
+    reloadModelDropdown,
+    applyManifestDefaultModel,
+
+    // validation + user overlay
+    validateManifest,
+    mergeManifests,
+    checkUserManifestText,
+    manifestStatus,
 
     // index + helpers
     get modelManifestIndex() { return modelManifestIndex; },
     get modelManifest() { return modelManifest; },
+    manifestModelsForProvider,
     manifestMaxTokensForModel,
+    manifestContextTokensForModel,
+    manifestTokenizerForModel,
+    capabilitiesForModel,
+    modelSupportsParam,
+    modelWithContextFor,
+    manifestPricingForModel,
+    costForUsage,
     providerForModelId,
 
+    // discovered / hidden models
+    discoveredModels,
+    setDiscoveredModels,
+    hiddenModelIds,
+    setModelHidden,
+    listModelsByProvider,
+
     // gating/coercion
     updateModelDropdownGating,
     coerceModelToEnabled,
+    isModelEnabled,
     coerceActiveTabModelToEnabled,
     initModelProviderGateOnce,
 
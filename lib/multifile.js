@@ -0,0 +1,338 @@
+'use strict';
+
+/**
+ * Multi-file diffs (git diff / git format-patch) against a project root folder
+ * - Project root picker per tab (folder dialog lives in main: 'project:chooseFolder')
+ * - Resolves diff paths inside the root (no escaping via ../ or absolute paths)
+ * - Loads target files from disk
+ * - Per-file results list + combined diff (diff2html file list enabled)
+ *
+ * Applying (local / hybrid / model) is orchestrated by renderer.js; this module
+ * only owns files + UI. A tab's results live in tab.multiFile:
+ *   { root, selected, files: [{ path, absPath, status, note, inputText, outputText, isNew, isDeleted, sourceHash }] }
+ * sourceHash is the sha256 of the file as read when planning (write-back checks it)
+ * status: pending | local | hybrid | model | error | missing | skipped
+ */
+
+const MULTI_FILE_DIFF_CONTEXT = 5;
+const MULTI_FILE_MAX_FILE_MB = 5;
+
+function createMultiFileManager({
+  document,
+  fs,
+  path,
+  crypto,
+  ipcRenderer,
+  t,
+  tFmt,
+  createTwoFilesPatch,
+  Diff2Html,
+  getActiveTab,
+  onSelectFile,
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createMultiFileManager: document is required');
+
+  const el = {
+    rootBtnId: ids.rootBtnId || 'projectRootBtn',
+    rootPathId: ids.rootPathId || 'projectRootPath',
+    rootClearBtnId: ids.rootClearBtnId || 'projectRootClearBtn',
+    rootLabelId: ids.rootLabelId || 'projectRootLabel',
+    resultsId: ids.resultsId || 'multiFileResults'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+
+  // -------------------------
+  // Paths + disk
+  // -------------------------
+  function resolveTargetPath(root, relPath) {
+    const r = String(root || '').trim();
+    const rel = String(relPath || '').trim();
+    if (!r || !rel || path.isAbsolute(rel)) return '';
+    const rootAbs = path.resolve(r);
+    const abs = path.resolve(rootAbs, rel);
+    const inside = abs === rootAbs ? false : abs.startsWith(rootAbs.endsWith(path.sep) ? rootAbs : rootAbs + path.sep);
+    return inside ? abs : '';
+  }
+
+  async function loadTargets(root, fileDiffs) {
+    const files = [];
+    for (const entry of (fileDiffs || [])) {
+      const file = {
+        path: entry.path,
+        absPath: '',
+        status: 'pending',
+        note: '',
+        inputText: '',
+        outputText: '',
+        isNew: !!entry.isNew,
+        isDeleted: !!entry.isDeleted,
+        sourceHash: '',
+        entry
+      };
+      files.push(file);
+
+      if (entry.isBinary) { file.status = 'skipped'; file.note = t('multiFile.noteBinary', 'binary file'); continue; }
+      if (!entry.hasHunks) {
+        file.status = 'skipped';
+        file.note = entry.isRename
+          ? t('multiFile.noteRenameOnly', 'rename only (not performed)')
+          : t('multiFile.noteNoHunks', 'no text changes');
+        continue;
+      }
+
+      // Read from the old path (renames read the source, write the target)
+      file.absPath = resolveTargetPath(root, entry.newPath || entry.oldPath);
+      const readAbs = resolveTargetPath(root, entry.oldPath || entry.newPath);
+      if (!file.absPath || (!entry.isNew && !readAbs)) {
+        file.status = 'error';
+        file.note = t('multiFile.noteOutsideRoot', 'path is outside the project root');
+        continue;
+      }
+      if (entry.isNew) continue;
+
+      try {
+        const st = await fs.promises.stat(readAbs);
+        if (!st.isFile()) throw new Error('not a file');
+        if (st.size > MULTI_FILE_MAX_FILE_MB * 1024 * 1024) {
+          file.status = 'skipped';
+          file.note = tFmt('multiFile.noteTooLargeFmt', { mb: String(MULTI_FILE_MAX_FILE_MB) }, `larger than ${MULTI_FILE_MAX_FILE_MB}MB`);
+          continue;
+        }
+        const bytes = await fs.promises.readFile(readAbs);
+        file.inputText = bytes.toString('utf8');
+        file.sourceHash = crypto.createHash('sha256').update(bytes).digest('hex');
+      } catch {
+        file.status = 'missing';
+        file.note = t('multiFile.noteMissing', 'file not found in project root');
+      }
+    }
+    return files;
+  }
+
+  // -------------------------
+  // Results
+  // -------------------------
+  function isAppliedStatus(status) {
+    return status === 'local' || status === 'hybrid' || status === 'model';
+  }
+
+  function summarize(files) {
+    const s = { total: 0, local: 0, hybrid: 0, model: 0, failed: 0, skipped: 0 };
+    for (const f of (files || [])) {
+      s.total++;
+      if (isAppliedStatus(f.status)) s[f.status]++;
+      else if (f.status === 'skipped') s.skipped++;
+      else s.failed++;
+    }
+    return s;
+  }
+
+  // One unified diff for every applied file; diff2html draws the file list on top.
+  function buildCombinedDiffHtml(files, { dark = false } = {}) {
+    const parts = [];
+    let diffIndex = 0;
+    for (const f of (files || [])) {
+      f.diffIndex = -1;
+      if (!isAppliedStatus(f.status) || f.inputText === f.outputText) continue;
+      parts.push(createTwoFilesPatch(
+        f.isNew ? '/dev/null' : `a/${f.path}`,
+        f.isDeleted ? '/dev/null' : `b/${f.path}`,
+        f.inputText || '',
+        f.outputText || '',
+        '',
+        '',
+        { context: MULTI_FILE_DIFF_CONTEXT }
+      ));
+      f.diffIndex = diffIndex++;
+    }
+    if (!parts.length) return '';
+    const html = Diff2Html.html(parts.join('\n'), {
+      drawFileList: true,
+      matching: 'none',
+      outputFormat: 'side-by-side',
+      synchronisedScroll: true,
+      colorScheme: dark ? 'dark' : 'light'
+    });
+    return `<div class="multi-file-diff">${html}</div>`;
+  }
+
+  function _statusLabel(status) {
+    const fallback = {
+      pending: 'pending',
+      local: 'local',
+      hybrid: 'hybrid',
+      model: 'model',
+      error: 'failed',
+      missing: 'missing',
+      skipped: 'skipped'
+    };
+    return t(`multiFile.status.${status}`, fallback[status] || status);
+  }
+
+  function renderResults(tab) {
+    const wrap = _byId(el.resultsId);
+    syncProjectRootUi(tab);
+    if (!wrap) return;
+
+    const mf = tab?.multiFile;
+    const files = Array.isArray(mf?.files) ? mf.files : [];
+    if (!files.length) {
+      wrap.replaceChildren();
+      wrap.classList.add('hidden');
+      return;
+    }
+
+    const frag = document.createDocumentFragment();
+    const head = document.createElement('div');
+    head.className = 'multi-file-head';
+    const s = summarize(files);
+    head.textContent = tFmt(
+      'multiFile.summaryFmt',
+      { total: String(s.total), applied: String(s.local + s.hybrid + s.model), failed: String(s.failed), skipped: String(s.skipped) },
+      `${s.total} file(s): ${s.local + s.hybrid + s.model} applied, ${s.failed} failed, ${s.skipped} skipped`
+    );
+    frag.appendChild(head);
+
+    const list = document.createElement('div');
+    list.className = 'multi-file-list';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', t('multiFile.listAria', 'Files in this diff'));
+
+    files.forEach((f, i) => {
+      const row = document.createElement('button');
+      row.type = 'button';
+      row.className = `multi-file-row status-${f.status}`;
+      row.dataset.fileIndex = String(i);
+      row.setAttribute('role', 'option');
+      const selected = i === mf.selected;
+      row.classList.toggle('selected', selected);
+      row.setAttribute('aria-selected', selected ? 'true' : 'false');
+      row.disabled = !isAppliedStatus(f.status);
+
+      const badge = document.createElement('span');
+      badge.className = 'multi-file-badge';
+      badge.textContent = _statusLabel(f.status);
+
+      const name = document.createElement('span');
+      name.className = 'multi-file-path';
+      let label = f.path;
+      if (f.isNew) label += ` ${t('multiFile.tagNew', '(new)')}`;
+      if (f.isDeleted) label += ` ${t('multiFile.tagDeleted', '(deleted)')}`;
+      name.textContent = label;
+
+      row.appendChild(badge);
+      row.appendChild(name);
+      if (f.note) {
+        const note = document.createElement('span');
+        note.className = 'multi-file-note';
+        note.textContent = f.note;
+        row.appendChild(note);
+        row.title = `${f.path} — ${f.note}`;
+      } else {
+        row.title = f.path;
+      }
+      list.appendChild(row);
+    });
+    frag.appendChild(list);
+
+    wrap.replaceChildren(frag);
+    wrap.classList.remove('hidden');
+  }
+
+  function selectFile(tab, index) {
+    const mf = tab?.multiFile;
+    const f = mf?.files?.[index];
+    if (!f || !isAppliedStatus(f.status)) return;
+    mf.selected = index;
+    tab.modifiedText = f.outputText || '';
+    renderResults(tab);
+    try { onSelectFile?.(tab, f); } catch { }
+  }
+
+  function firstAppliedIndex(files) {
+    return (files || []).findIndex(f => isAppliedStatus(f.status));
+  }
+
+  function selectedFile(tab) {
+    const mf = tab?.multiFile;
+    return mf?.files?.[mf.selected] || null;
+  }
+
+  // -------------------------
+  // Project root (per tab)
+  // -------------------------
+  function syncProjectRootUi(tab) {
+    const pathEl = _byId(el.rootPathId);
+    const clearBtn = _byId(el.rootClearBtnId);
+    const root = String(tab?.projectRoot || '').trim();
+    if (pathEl) {
+      pathEl.textContent = root || t('multiFile.noRoot', 'No project folder (single-file mode)');
+      pathEl.dataset.hasFile = root ? '1' : '0';
+    }
+    if (clearBtn) clearBtn.classList.toggle('hidden', !root);
+  }
+
+  async function chooseProjectRoot(tab) {
+    if (!tab) return;
+    let res = null;
+    try {
+      res = await ipcRenderer?.invoke?.('project:chooseFolder', { defaultPath: tab.projectRoot || '' });
+    } catch {
+      res = null;
+    }
+    if (!res?.ok || !res.path) return;
+    tab.projectRoot = String(res.path);
+    syncProjectRootUi(tab);
+  }
+
+  function clearProjectRoot(tab) {
+    if (!tab) return;
+    tab.projectRoot = '';
+    syncProjectRootUi(tab);
+  }
+
+  function applyI18n() {
+    const btn = _byId(el.rootBtnId);
+    const clearBtn = _byId(el.rootClearBtnId);
+    const label = _byId(el.rootLabelId);
+    if (label) label.textContent = t('multiFile.rootLabel', 'Project root (for multi-file diffs):');
+    if (btn) btn.textContent = t('multiFile.chooseRoot', 'Choose folder');
+    if (clearBtn) clearBtn.textContent = t('buttons.clear', 'Clear');
+    try { renderResults(getActiveTab?.()); } catch { }
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    _byId(el.rootBtnId)?.addEventListener('click', () => { void chooseProjectRoot(getActiveTab?.()); });
+    _byId(el.rootClearBtnId)?.addEventListener('click', () => clearProjectRoot(getActiveTab?.()));
+    _byId(el.resultsId)?.addEventListener('click', (e) => {
+      const row = e.target?.closest?.('.multi-file-row');
+      if (!row || row.disabled) return;
+      selectFile(getActiveTab?.(), Number(row.dataset.fileIndex));
+    });
+    applyI18n();
+  }
+
+  return {
+    resolveTargetPath,
+    loadTargets,
+    isAppliedStatus,
+    summarize,
+    buildCombinedDiffHtml,
+    renderResults,
+    selectFile,
+    selectedFile,
+    firstAppliedIndex,
+    syncProjectRootUi,
+    chooseProjectRoot,
+    clearProjectRoot,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createMultiFileManager };
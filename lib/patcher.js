@@ -0,0 +1,575 @@
+'use strict';
+
+/**
+ * Local patch engine (no network)
+ * - Parses unified diffs with the `diff` package
+ * - Strict local apply: exact context match (line offsets allowed, no fuzz)
+ * - Hunk-level apply: offset search + fuzz (edge context trimming) + whitespace-loose match
+ * - Hybrid plan: hunks that still fail become line windows ("segments") that the
+ *   caller sends to a model; the answers are spliced back in by spliceSegments()
+ * - Preserves the original file's line endings (LF / CRLF)
+ * - Output review: checks a (model) output against the regions the diff asked to change
+ *
+ * Used by renderer.js in "local first" mode: when a patch applies cleanly we
+ * never call a model; otherwise the caller falls back to the selected model.
+ */
+
+function _str(v) { return String(v == null ? '' : v); }
+
+function _detectEol(text) {
+  const s = _str(text);
+  const crlf = (s.match(/\r\n/g) || []).length;
+  if (!crlf) return '\n';
+  const lf = (s.match(/\n/g) || []).length - crlf;
+  return crlf >= lf ? '\r\n' : '\n';
+}
+
+function _toLf(text) {
+  return _str(text).replace(/\r\n/g, '\n');
+}
+
+function _fromLf(text, eol) {
+  const s = _str(text);
+  return eol === '\r\n' ? s.replace(/\n/g, '\r\n') : s;
+}
+
+// Hunk header counts must match the body; LLM-written diffs often get them
+// wrong (or omit line numbers entirely), and we don't guess in strict mode.
+function _hunkIsWellFormed(h) {
+  if (!h || !Array.isArray(h.lines) || !h.lines.length) return false;
+  if (!Number.isFinite(h.oldStart) || !Number.isFinite(h.newStart)) return false;
+  let oldCount = 0;
+  let newCount = 0;
+  for (const line of h.lines) {
+    const op = line[0];
+    if (op === ' ') { oldCount++; newCount++; }
+    else if (op === '-') oldCount++;
+    else if (op === '+') newCount++;
+    else if (op !== '\\') return false;
+  }
+  return oldCount === h.oldLines && newCount === h.newLines;
+}
+
+const DEFAULT_MAX_FUZZ = 2;          // context lines that may be ignored at each hunk edge
+const DEFAULT_WINDOW_LINES = 20;     // lines of surrounding context sent with a failing hunk
+const VERIFY_SLACK_LINES = 3;        // output lines around a hunk searched for its added lines
+
+function _splitLines(lfText) {
+  const s = _str(lfText);
+  if (!s) return { lines: [], trailingNewline: false };
+  const lines = s.split('\n');
+  const trailingNewline = lines[lines.length - 1] === '';
+  if (trailingNewline) lines.pop();
+  return { lines, trailingNewline };
+}
+
+function _joinLines(lines, trailingNewline) {
+  const body = (lines || []).join('\n');
+  return (trailingNewline && lines.length) ? `${body}\n` : body;
+}
+
+function _looseLine(s) {
+  return _str(s).replace(/\s+/g, ' ').trim();
+}
+
+function _hunkHeader(h) {
+  return `@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`;
+}
+
+function _hunkToText(h) {
+  return [_hunkHeader(h), ...(h.lines || [])].join('\n');
+}
+
+// Drop up to `fuzz` context lines from each edge of the hunk (GNU patch style).
+function _trimHunkEdges(ops, fuzz) {
+  let start = 0;
+  let end = ops.length;
+  for (let i = 0; i < fuzz && start < end && ops[start].op === ' '; i++) start++;
+  for (let i = 0; i < fuzz && end > start && ops[end - 1].op === ' '; i++) end--;
+  return { ops: ops.slice(start, end), skippedLead: start };
+}
+
+function _matchAt(fileLines, pos, oldLines, loose) {
+  if (pos < 0 || pos + oldLines.length > fileLines.length) return false;
+  for (let i = 0; i < oldLines.length; i++) {
+    const a = fileLines[pos + i];
+    const b = oldLines[i];
+    if (loose ? _looseLine(a) !== _looseLine(b) : a !== b) return false;
+  }
+  return true;
+}
+
+// Nearest-first search around `expected` within [minPos, fileLines.length - oldLen].
+function _findHunk(fileLines, oldLines, expected, minPos, loose) {
+  const maxPos = fileLines.length - oldLines.length;
+  if (maxPos < minPos) return -1;
+  const start = Math.min(Math.max(expected, minPos), maxPos);
+  const span = Math.max(start - minPos, maxPos - start);
+  for (let d = 0; d <= span; d++) {
+    const down = start + d;
+    if (down <= maxPos && _matchAt(fileLines, down, oldLines, loose)) return down;
+    const up = start - d;
+    if (d > 0 && up >= minPos && _matchAt(fileLines, up, oldLines, loose)) return up;
+  }
+  return -1;
+}
+
+// Models tend to drop blank lines at the edges of an excerpt; the window edges
+// are never part of a hunk, so keep the file's own blank lines there.
+function _answerLinesForSegment(seg, answer) {
+  const excerpt = _str(seg?.excerpt).split('\n');
+  let lead = 0;
+  while (lead < excerpt.length && !excerpt[lead].trim()) lead++;
+  let trail = 0;
+  while (trail < excerpt.length - lead && !excerpt[excerpt.length - 1 - trail].trim()) trail++;
+
+  const body = _toLf(answer).split('\n');
+  while (body.length && !body[0].trim()) body.shift();
+  while (body.length && !body[body.length - 1].trim()) body.pop();
+  if (!body.length) return [];
+  return [...excerpt.slice(0, lead), ...body, ...excerpt.slice(excerpt.length - trail)];
+}
+
+// "a/src/x.js" -> "src/x.js"; "/dev/null" -> ""
+function _cleanDiffPath(p) {
+  const s = _str(p).trim().replace(/^"(.*)"$/, '$1');
+  if (!s || s === '/dev/null') return '';
+  return s.replace(/^[ab]\//, '');
+}
+
+// Split a multi-file diff into per-file chunks of raw text. `diff --git` headers
+// win; otherwise a "--- x" line directly followed by "+++ y" starts a new file.
+function _splitDiffChunks(lfText) {
+  const lines = _str(lfText).split('\n');
+  const isGit = lines.some(l => l.startsWith('diff --git '));
+  const starts = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (isGit) {
+      if (lines[i].startsWith('diff --git ')) starts.push(i);
+    } else if (lines[i].startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+      starts.push(i);
+    }
+  }
+  return starts.map((start, k) => {
+    const end = (k + 1 < starts.length) ? starts[k + 1] : lines.length;
+    return lines.slice(start, end).join('\n');
+  });
+}
+
+function createPatcher({ diffLib } = {}) {
+  if (!diffLib || typeof diffLib.parsePatch !== 'function' || typeof diffLib.applyPatch !== 'function') {
+    throw new Error('createPatcher: diffLib (the "diff" package) is required');
+  }
+
+  /**
+   * Parse a unified diff into per-file patches.
+   * Returns { ok, files, reason } — files only contains entries with hunks.
+   */
+  function parseUnifiedDiff(diffText) {
+    const src = _toLf(diffText);
+    if (!src.trim()) return { ok: false, files: [], reason: 'empty' };
+    let parsed = [];
+    try {
+      parsed = diffLib.parsePatch(src);
+    } catch (e) {
+      return { ok: false, files: [], reason: 'parse_error', detail: _str(e?.message) };
+    }
+    const files = (Array.isArray(parsed) ? parsed : []).filter(p => p && Array.isArray(p.hunks) && p.hunks.length);
+    if (!files.length) return { ok: false, files: [], reason: 'no_hunks' };
+    return { ok: true, files, reason: '' };
+  }
+
+  /**
+   * Strict local apply of a single-file unified diff.
+   * Returns { ok, text, reason, detail, hunkCount }
+   * reason: '' | empty | parse_error | no_hunks | multi_file | malformed_hunk | context_mismatch | no_change
+   */
+  function applyStrict(originalText, diffText) {
+    const parsed = parseUnifiedDiff(diffText);
+    if (!parsed.ok) return { ok: false, text: '', reason: parsed.reason, detail: parsed.detail || '', hunkCount: 0 };
+    if (parsed.files.length > 1) {
+      return { ok: false, text: '', reason: 'multi_file', detail: '', hunkCount: 0 };
+    }
+
+    const filePatch = parsed.files[0];
+    const hunkCount = filePatch.hunks.length;
+    if (!filePatch.hunks.every(_hunkIsWellFormed)) {
+      return { ok: false, text: '', reason: 'malformed_hunk', detail: '', hunkCount };
+    }
+
+    const eol = _detectEol(originalText);
+    const source = _toLf(originalText);
+
+    let out = false;
+    try {
+      out = diffLib.applyPatch(source, filePatch, { fuzzFactor: 0 });
+    } catch (e) {
+      return { ok: false, text: '', reason: 'parse_error', detail: _str(e?.message), hunkCount };
+    }
+    if (out === false || typeof out !== 'string') {
+      return { ok: false, text: '', reason: 'context_mismatch', detail: '', hunkCount };
+    }
+    if (out === source) {
+      return { ok: false, text: '', reason: 'no_change', detail: '', hunkCount };
+    }
+
+    return { ok: true, text: _fromLf(out, eol), reason: '', detail: '', hunkCount };
+  }
+
+  /**
+   * Apply hunks one by one with offset/fuzz tolerance. Hunks that cannot be
+   * placed are skipped (reported as failed) and the rest are still applied.
+   * Context lines always keep the file's own text, so loose matches never
+   * rewrite lines the diff did not ask to change.
+   *
+   * Returns { ok, lines, trailingNewline, eol, hunks: [{ index, status, at, offset, fuzz, loose }], failed: [...] }
+   * where failed entries carry { index, hunk, at, oldLen } positioned in `lines`.
+   */
+  function applyHunks(originalText, filePatch, { maxFuzz = DEFAULT_MAX_FUZZ } = {}) {
+    const eol = _detectEol(originalText);
+    const { lines: srcLines, trailingNewline } = _splitLines(_toLf(originalText));
+    const lines = srcLines.slice();
+
+    const hunks = [];
+    const failed = [];
+    const growth = []; // { index, at, grow } for applied hunks (to re-position failed ones)
+    let delta = 0;   // line shift caused by hunks applied so far
+    let minPos = 0;  // hunks must not overlap (diffs list them top-down)
+
+    (filePatch?.hunks || []).forEach((h, index) => {
+      const ops = (h.lines || [])
+        .filter(l => l && l[0] !== '\\')
+        .map(l => ({ op: l[0], text: l.slice(1) }));
+      const expected = Math.max(0, (Number.isFinite(h.oldStart) ? h.oldStart - 1 : 0) + delta);
+      const fullOldLen = ops.filter(o => o.op !== '+').length;
+
+      let placed = null;
+      for (let fuzz = 0; fuzz <= maxFuzz && !placed; fuzz++) {
+        const trimmed = _trimHunkEdges(ops, fuzz);
+        const oldLines = trimmed.ops.filter(o => o.op !== '+').map(o => o.text);
+        if (fuzz > 0 && trimmed.ops.length === ops.length) break; // nothing more to trim
+        for (const loose of [false, true]) {
+          if (!oldLines.length) {
+            // Pure insertion without context: only trust the stated position
+            if (fuzz === 0 && !loose && expected >= minPos && expected <= lines.length) {
+              placed = { at: expected, ops: trimmed.ops, fuzz, loose };
+            }
+            break;
+          }
+          const at = _findHunk(lines, oldLines, expected + trimmed.skippedLead, minPos, loose);
+          if (at !== -1) { placed = { at, ops: trimmed.ops, fuzz, loose }; break; }
+        }
+      }
+
+      if (!placed) {
+        const at = Math.min(Math.max(expected, minPos), lines.length);
+        hunks.push({ index, status: 'failed', at, offset: 0, fuzz: 0, loose: false });
+        failed.push({ index, hunk: h, at, oldLen: fullOldLen });
+        return;
+      }
+
+      // Walk the hunk over the file: keep context from the file, drop '-', insert '+'
+      const out = [];
+      let cursor = placed.at;
+      for (const o of placed.ops) {
+        if (o.op === ' ') out.push(lines[cursor++]);
+        else if (o.op === '-') cursor++;
+        else if (o.op === '+') out.push(o.text);
+      }
+      const removed = cursor - placed.at;
+      lines.splice(placed.at, removed, ...out);
+
+      const offset = placed.at - (expected + _trimHunkEdges(ops, placed.fuzz).skippedLead);
+      hunks.push({ index, status: 'applied', at: placed.at, offset, fuzz: placed.fuzz, loose: placed.loose });
+      delta += out.length - removed + offset;
+      minPos = placed.at + out.length;
+      growth.push({ index, at: placed.at, grow: out.length - removed });
+    });
+
+    // A later hunk may have landed above a failed one (offset search); shift the
+    // failed hunk's position so it still points into the final `lines`.
+    for (const f of failed) {
+      for (const g of growth) {
+        if (g.index > f.index && g.at <= f.at) f.at = Math.max(0, f.at + g.grow);
+      }
+      f.at = Math.min(f.at, lines.length);
+    }
+    failed.sort((a, b) => a.at - b.at);
+
+    return { ok: failed.length === 0, lines, trailingNewline, eol, hunks, failed };
+  }
+
+  /**
+   * Decide how a diff can be applied without (or with less) model work:
+   * - exact:  strict apply succeeded (byte-exact)
+   * - fuzzy:  every hunk applied locally with offset/fuzz/whitespace tolerance
+   * - hybrid: some hunks applied; failing hunks are grouped into `segments`
+   *           (line windows) for the model, then merged with spliceSegments()
+   * - none:   nothing applies locally (or the diff is not a single-file unified diff)
+   */
+  function planLocalApply(originalText, diffText, { maxFuzz = DEFAULT_MAX_FUZZ, windowLines = DEFAULT_WINDOW_LINES } = {}) {
+    const strict = applyStrict(originalText, diffText);
+    if (strict.ok) {
+      return { mode: 'exact', text: strict.text, reason: '', hunkCount: strict.hunkCount, appliedCount: strict.hunkCount, failedCount: 0, segments: [] };
+    }
+    if (['empty', 'parse_error', 'no_hunks', 'multi_file', 'no_change'].includes(strict.reason)) {
+      return { mode: 'none', text: '', reason: strict.reason, hunkCount: strict.hunkCount, appliedCount: 0, failedCount: strict.hunkCount, segments: [] };
+    }
+
+    const parsed = parseUnifiedDiff(diffText);
+    const filePatch = parsed.files[0];
+    const res = applyHunks(originalText, filePatch, { maxFuzz });
+    const hunkCount = res.hunks.length;
+    const appliedCount = hunkCount - res.failed.length;
+
+    if (res.ok) {
+      const text = _fromLf(_joinLines(res.lines, res.trailingNewline), res.eol);
+      if (_toLf(text) === _toLf(originalText)) {
+        return { mode: 'none', text: '', reason: 'no_change', hunkCount, appliedCount: 0, failedCount: hunkCount, segments: [] };
+      }
+      const maxFuzzUsed = Math.max(0, ...res.hunks.map(h => h.fuzz));
+      const anyLoose = res.hunks.some(h => h.loose);
+      const anyOffset = res.hunks.some(h => h.offset !== 0);
+      return { mode: 'fuzzy', text, reason: '', hunkCount, appliedCount, failedCount: 0, segments: [], maxFuzz: maxFuzzUsed, loose: anyLoose, offset: anyOffset };
+    }
+    if (!appliedCount) {
+      return { mode: 'none', text: '', reason: 'context_mismatch', hunkCount, appliedCount: 0, failedCount: hunkCount, segments: [] };
+    }
+
+    // Group failing hunks into non-overlapping windows of the partially patched file
+    const w = Math.max(0, Number(windowLines) || 0);
+    const segments = [];
+    for (const f of res.failed) {
+      const start = Math.max(0, f.at - w);
+      const end = Math.min(res.lines.length, f.at + f.oldLen + w);
+      const last = segments[segments.length - 1];
+      if (last && start <= last.end) {
+        last.end = Math.max(last.end, end);
+        last.hunks.push(f.hunk);
+      } else {
+        segments.push({ start, end, hunks: [f.hunk] });
+      }
+    }
+    for (const seg of segments) {
+      seg.excerpt = res.lines.slice(seg.start, seg.end).join('\n');
+      seg.hunkText = seg.hunks.map(_hunkToText).join('\n');
+    }
+
+    return {
+      mode: 'hybrid',
+      text: '',
+      reason: '',
+      hunkCount,
+      appliedCount,
+      failedCount: res.failed.length,
+      segments,
+      totalLines: res.lines.length,
+      _lines: res.lines,
+      _trailingNewline: res.trailingNewline,
+      _eol: res.eol
+    };
+  }
+
+  /**
+   * Replace each hybrid segment's window with the model's answer (same order as
+   * plan.segments) and return the final text in the original line endings.
+   */
+  function spliceSegments(plan, answers) {
+    if (!plan || plan.mode !== 'hybrid') throw new Error('spliceSegments: hybrid plan required');
+    const list = Array.isArray(answers) ? answers : [];
+    if (list.length !== plan.segments.length) throw new Error('spliceSegments: one answer per segment is required');
+
+    const lines = plan._lines.slice();
+    // Bottom-up so earlier indexes stay valid
+    for (let i = plan.segments.length - 1; i >= 0; i--) {
+      const seg = plan.segments[i];
+      const next = _answerLinesForSegment(seg, list[i]);
+      lines.splice(seg.start, seg.end - seg.start, ...next);
+    }
+    return _fromLf(_joinLines(lines, plan._trailingNewline), plan._eol);
+  }
+
+  /**
+   * Split a (possibly multi-file) diff — git diff, git format-patch, or plain
+   * ---/+++ pairs — into one entry per file:
+   * { path, oldPath, newPath, isNew, isDeleted, isRename, isBinary, hasHunks, diffText }
+   * `path` is the target path relative to the project root (a/ b/ prefixes removed).
+   */
+  function splitFileDiffs(diffText) {
+    const src = _toLf(diffText);
+    if (!src.trim()) return [];
+
+    const out = [];
+    for (const chunk of _splitDiffChunks(src)) {
+      let fp = null;
+      try {
+        fp = (diffLib.parsePatch(chunk) || []).find(p => p && (p.oldFileName || p.newFileName || (p.hunks || []).length)) || null;
+      } catch {
+        fp = null;
+      }
+
+      const gitHead = chunk.match(/^diff --git (?:"?a\/)?(.+?)"? (?:"?b\/)?(.+?)"?$/m);
+      const renameFrom = chunk.match(/^rename from (.+)$/m);
+      const renameTo = chunk.match(/^rename to (.+)$/m);
+
+      let oldPath = _cleanDiffPath(fp?.oldFileName);
+      let newPath = _cleanDiffPath(fp?.newFileName);
+      const isNew = /^new file mode /m.test(chunk) || (_str(fp?.oldFileName).trim() === '/dev/null');
+      const isDeleted = /^deleted file mode /m.test(chunk) || (_str(fp?.newFileName).trim() === '/dev/null');
+      if (!oldPath && !isNew) oldPath = renameFrom ? renameFrom[1].trim() : _cleanDiffPath(gitHead?.[1]);
+      if (!newPath && !isDeleted) newPath = renameTo ? renameTo[1].trim() : _cleanDiffPath(gitHead?.[2]);
+
+      const hasHunks = !!(fp && Array.isArray(fp.hunks) && fp.hunks.length);
+      out.push({
+        path: newPath || oldPath,
+        oldPath,
+        newPath,
+        isNew,
+        isDeleted,
+        isRename: !!(renameFrom || (oldPath && newPath && oldPath !== newPath)),
+        isBinary: /^Binary files .* differ$/m.test(chunk) || /^GIT binary patch$/m.test(chunk),
+        hasHunks,
+        diffText: chunk
+      });
+    }
+    return out.filter(e => e.path);
+  }
+
+  // Line-level changes original -> output as blocks (0-based, original + output coordinates)
+  function _changeBlocks(origLines, outLines) {
+    const a = origLines.length ? `${origLines.join('\n')}\n` : '';
+    const b = outLines.length ? `${outLines.join('\n')}\n` : '';
+    const blocks = [];
+    let o = 0;
+    let n = 0;
+    let cur = null;
+    for (const part of diffLib.diffLines(a, b)) {
+      const cnt = Number.isFinite(part.count) ? part.count : _splitLines(part.value).lines.length;
+      if (!part.added && !part.removed) {
+        if (cur) { blocks.push(cur); cur = null; }
+        o += cnt;
+        n += cnt;
+        continue;
+      }
+      if (!cur) cur = { oldStart: o, oldLen: 0, newStart: n, newLen: 0 };
+      if (part.removed) { cur.oldLen += cnt; o += cnt; } else { cur.newLen += cnt; n += cnt; }
+    }
+    if (cur) blocks.push(cur);
+    return blocks;
+  }
+
+  /**
+   * Review an output against the diff it was supposed to apply (nothing is applied).
+   * Each requested hunk is located in the original (offset/fuzz/whitespace-loose
+   * search); the real original->output changes are then matched to those regions.
+   *
+   * Returns { ok, reason, hunks, unexpected } where
+   * - hunks: [{ index, header, status: applied | partial | missing | unlocated, line, preview, missingLines }]
+   * - unexpected: changes outside every requested region, 1-based:
+   *   [{ oldStart, oldLines, newStart, newLines, preview }]
+   */
+  function verifyOutput(originalText, diffText, outputText, { maxFuzz = DEFAULT_MAX_FUZZ } = {}) {
+    const parsed = parseUnifiedDiff(diffText);
+    if (!parsed.ok) return { ok: false, reason: parsed.reason, hunks: [], unexpected: [] };
+    if (parsed.files.length !== 1) return { ok: false, reason: 'multi_file', hunks: [], unexpected: [] };
+
+    const origLines = _splitLines(_toLf(originalText)).lines;
+    const outLines = _splitLines(_toLf(outputText)).lines;
+
+    // 1) Where each requested hunk sits in the original
+    const regions = [];
+    const hunks = [];
+    let delta = 0;
+    let minPos = 0;
+    (parsed.files[0].hunks || []).forEach((h, index) => {
+      const ops = (h.lines || [])
+        .filter(l => l && l[0] !== '\\')
+        .map(l => ({ op: l[0], text: l.slice(1) }));
+      const added = ops.filter(o => o.op === '+').map(o => o.text);
+      const removed = ops.filter(o => o.op === '-').map(o => o.text);
+      const firstChange = ops.find(o => o.op !== ' ');
+      const entry = {
+        index,
+        header: _hunkHeader(h),
+        status: 'unlocated',
+        line: 0,
+        preview: firstChange ? `${firstChange.op}${firstChange.text}` : '',
+        missingLines: []
+      };
+      hunks.push(entry);
+      if (!added.length && !removed.length) { entry.status = 'applied'; return; }
+
+      const stated = Number.isFinite(h.oldStart) ? h.oldStart - 1 : 0;
+      const expected = Math.max(0, stated + delta);
+      let found = null;
+      for (let fuzz = 0; fuzz <= maxFuzz && !found; fuzz++) {
+        const trimmed = _trimHunkEdges(ops, fuzz);
+        if (fuzz > 0 && trimmed.ops.length === ops.length) break;
+        const oldLines = trimmed.ops.filter(o => o.op !== '+').map(o => o.text);
+        if (!oldLines.length) {
+          if (fuzz === 0 && expected >= minPos && expected <= origLines.length) found = { at: expected, len: 0, lead: 0 };
+          break;
+        }
+        for (const loose of [false, true]) {
+          const at = _findHunk(origLines, oldLines, expected + trimmed.skippedLead, minPos, loose);
+          if (at !== -1) { found = { at, len: oldLines.length, lead: trimmed.skippedLead }; break; }
+        }
+      }
+      if (!found) return;
+
+      regions.push({ entry, start: found.at, end: found.at + found.len, added });
+      entry.line = found.at + 1;
+      delta = found.at - found.lead - stated;
+      minPos = found.at + found.len;
+    });
+
+    // 2) What actually changed, and whether each change belongs to a requested region
+    const blocks = _changeBlocks(origLines, outLines);
+    const touches = (b, r) => b.oldStart <= r.end && b.oldStart + b.oldLen >= r.start;
+    const unexpected = [];
+    for (const b of blocks) {
+      if (regions.some(r => touches(b, r))) continue;
+      const first = b.newLen ? `+${outLines[b.newStart]}` : `-${origLines[b.oldStart]}`;
+      unexpected.push({
+        oldStart: b.oldStart + 1,
+        oldLines: b.oldLen,
+        newStart: b.newStart + 1,
+        newLines: b.newLen,
+        preview: first
+      });
+    }
+
+    // 3) Requested hunks: changed at all? are their added lines in the output nearby?
+    const toNew = (p) => {
+      let shift = 0;
+      for (const b of blocks) {
+        if (b.oldStart + b.oldLen <= p) shift += b.newLen - b.oldLen;
+      }
+      return p + shift;
+    };
+    for (const r of regions) {
+      const hit = blocks.some(b => touches(b, r));
+      const from = Math.max(0, toNew(r.start) - VERIFY_SLACK_LINES);
+      const to = Math.min(outLines.length, toNew(r.end) + r.added.length + VERIFY_SLACK_LINES);
+      const windowSet = new Set(outLines.slice(from, to).map(_looseLine));
+      const missing = r.added.filter(l => l.trim() && !windowSet.has(_looseLine(l)));
+      r.entry.missingLines = missing;
+      if (!hit) r.entry.status = 'missing';
+      else r.entry.status = missing.length ? 'partial' : 'applied';
+    }
+
+    return { ok: true, reason: '', hunks, unexpected };
+  }
+
+  return {
+    parseUnifiedDiff,
+    splitFileDiffs,
+    applyStrict,
+    applyHunks,
+    planLocalApply,
+    spliceSegments,
+    verifyOutput
+  };
+}
+
+module.exports = { createPatcher };
@@ -0,0 +1,301 @@
+'use strict';
+
+/**
+ * Custom providers dialog: OpenAI-compatible servers (llama.cpp server, vLLM, LM Studio,
+ * Ollama's /v1 endpoint, ...) with a name, base URL, optional API key and model list
+ * - Storage + key encryption live in apikeys.js (same PIN as the built-in keys)
+ * - Each server becomes its own optgroup in #modelSelect (models.js)
+ * - A key is optional; the PIN is asked only when a key is entered and keys are locked
+ */
+
+// Default OpenAI-compatible endpoints of common local servers
+const PROVIDER_PRESETS = [
+  { id: 'llamacpp', name: 'llama.cpp', baseUrl: 'http://localhost:8080/v1' },
+  { id: 'vllm', name: 'vLLM', baseUrl: 'http://localhost:8000/v1' },
+  { id: 'lmstudio', name: 'LM Studio', baseUrl: 'http://localhost:1234/v1' },
+  { id: 'ollama', name: 'Ollama', baseUrl: 'http://localhost:11434/v1' }
+];
+
+function createCustomProvidersManager({
+  document,
+  t,
+  tFmt,
+  overlayMgr,
+  apiKeys,
+  pinBoxes,
+  modelOwner,
+  onChanged,
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createCustomProvidersManager: document is required');
+
+  const el = {
+    overlayId: ids.overlayId || 'providersOverlay',
+    titleId: ids.titleId || 'providersTitle',
+    introId: ids.introId || 'providersIntro',
+    listId: ids.listId || 'providersList',
+    addBtnId: ids.addBtnId || 'providersAddBtn',
+    presetLabelId: ids.presetLabelId || 'providersPresetLabel',
+    presetId: ids.presetId || 'providersPreset',
+    nameLabelId: ids.nameLabelId || 'providersNameLabel',
+    nameId: ids.nameId || 'providersName',
+    baseUrlLabelId: ids.baseUrlLabelId || 'providersBaseUrlLabel',
+    baseUrlId: ids.baseUrlId || 'providersBaseUrl',
+    keyLabelId: ids.keyLabelId || 'providersKeyLabel',
+    keyId: ids.keyId || 'providersKey',
+    keyClearWrapId: ids.keyClearWrapId || 'providersKeyClearWrap',
+    keyClearId: ids.keyClearId || 'providersKeyClear',
+    keyClearTextId: ids.keyClearTextId || 'providersKeyClearText',
+    modelsLabelId: ids.modelsLabelId || 'providersModelsLabel',
+    modelsId: ids.modelsId || 'providersModels',
+    pinWrapId: ids.pinWrapId || 'providersPinWrap',
+    pinLabelId: ids.pinLabelId || 'providersPinLabel',
+    pinBoxesId: ids.pinBoxesId || 'providersPinBoxes',
+    pinHiddenId: ids.pinHiddenId || 'providersPin',
+    hintId: ids.hintId || 'providersHint',
+    saveBtnId: ids.saveBtnId || 'providersSaveBtn',
+    deleteBtnId: ids.deleteBtnId || 'providersDeleteBtn',
+    cancelBtnId: ids.cancelBtnId || 'providersCancelBtn',
+    closeBtnId: ids.closeBtnId || 'providersCloseBtn'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+  let editingId = ''; // '' = new server
+
+  function _hint(text) {
+    const h = _byId(el.hintId);
+    if (h) h.textContent = text || '';
+  }
+
+  function _current() {
+    return editingId ? (apiKeys?.getCustomProvider?.(editingId) || null) : null;
+  }
+
+  // -------------------------
+  // List
+  // -------------------------
+  function _renderList() {
+    const list = _byId(el.listId);
+    if (!list) return;
+    const frag = document.createDocumentFragment();
+    for (const p of (apiKeys?.listCustomProviders?.() || [])) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'providers-item';
+      btn.classList.toggle('active', p.id === editingId);
+      btn.dataset.providerId = p.id;
+
+      const name = document.createElement('span');
+      name.className = 'providers-item-name';
+      name.textContent = p.name;
+      const meta = document.createElement('span');
+      meta.className = 'providers-item-meta';
+      meta.textContent = tFmt('customProviders.itemMetaFmt', { url: p.baseUrl, n: String(p.models.length) }, `${p.baseUrl} · ${p.models.length} model(s)`);
+
+      btn.appendChild(name);
+      btn.appendChild(meta);
+      frag.appendChild(btn);
+    }
+    if (!frag.childNodes.length) {
+      const empty = document.createElement('div');
+      empty.className = 'providers-empty';
+      empty.textContent = t('customProviders.empty', 'No custom servers yet.');
+      frag.appendChild(empty);
+    }
+    list.replaceChildren(frag);
+  }
+
+  // -------------------------
+  // Form
+  // -------------------------
+  function _fillForm() {
+    const p = _current();
+    const set = (id, v) => { const n = _byId(id); if (n) n.value = v; };
+    set(el.presetId, '');
+    set(el.nameId, p?.name || '');
+    set(el.baseUrlId, p?.baseUrl || '');
+    set(el.keyId, '');
+    set(el.modelsId, (p?.models || []).join('\n'));
+    const keyInput = _byId(el.keyId);
+    if (keyInput) {
+      keyInput.placeholder = p?.hasKey
+        ? t('customProviders.keySavedPlaceholder', 'Saved (leave empty to keep)')
+        : t('customProviders.keyOptionalPlaceholder', 'Optional');
+    }
+    const clear = _byId(el.keyClearId);
+    if (clear) clear.checked = false;
+    _byId(el.keyClearWrapId)?.classList.toggle('hidden', !p?.hasKey);
+    _byId(el.deleteBtnId)?.classList.toggle('hidden', !p);
+    _syncPinVisibility();
+    _hint('');
+  }
+
+  function _syncPinVisibility() {
+    const needsPin = !!String(_byId(el.keyId)?.value || '').trim() && !apiKeys?.isUnlocked?.();
+    _byId(el.pinWrapId)?.classList.toggle('hidden', !needsPin);
+  }
+
+  function _select(id) {
+    editingId = id || '';
+    _renderList();
+    _fillForm();
+    setTimeout(() => { try { _byId(el.nameId)?.focus(); } catch { } }, 0);
+  }
+
+  function _readModels() {
+    const out = [];
+    for (const line of String(_byId(el.modelsId)?.value || '').split(/[\r\n,]+/)) {
+      const v = line.trim();
+      if (v && !out.includes(v)) out.push(v);
+    }
+    return out;
+  }
+
+  function _validBaseUrl(url) {
+    try {
+      const u = new URL(url);
+      return u.protocol === 'http:' || u.protocol === 'https:';
+    } catch {
+      return false;
+    }
+  }
+
+  async function _save() {
+    _hint('');
+    const name = String(_byId(el.nameId)?.value || '').trim();
+    const baseUrl = String(_byId(el.baseUrlId)?.value || '').trim();
+    const models = _readModels();
+    const key = String(_byId(el.keyId)?.value || '').trim();
+    const clearKey = !!_byId(el.keyClearId)?.checked;
+
+    if (!name) { _hint(t('customProviders.nameRequired', 'Name is required.')); return; }
+    if (!_validBaseUrl(baseUrl)) {
+      _hint(t('customProviders.baseUrlInvalid', 'Base URL must be an http(s) URL, e.g. http://localhost:8080/v1'));
+      return;
+    }
+    if (!models.length) { _hint(t('customProviders.modelsRequired', 'Add at least one model.')); return; }
+    for (const m of models) {
+      const owner = modelOwner?.(m, editingId);
+      if (owner) {
+        _hint(tFmt('customProviders.modelTakenFmt', { model: m, provider: owner }, `Model "${m}" is already provided by ${owner}.`));
+        return;
+      }
+    }
+
+    const res = await apiKeys.saveCustomProvider({
+      id: editingId,
+      name,
+      baseUrl,
+      models,
+      apiKey: key ? key : (clearKey ? '' : undefined),
+      pin: pinBoxes?.read(el.pinBoxesId) || ''
+    });
+    if (!res?.ok) {
+      if (res?.reason === 'pin_invalid') _hint(t('customProviders.pinInvalid', 'Enter your 6-digit PIN to encrypt the key.'));
+      else if (res?.reason === 'pin_wrong') _hint(t('customProviders.pinWrong', 'Incorrect PIN.'));
+      else _hint(t('customProviders.saveFailed', 'Could not save this server.'));
+      try { pinBoxes?.clear(el.pinBoxesId, el.pinHiddenId); } catch { }
+      return;
+    }
+
+    editingId = res.id;
+    try { pinBoxes?.clear(el.pinBoxesId, el.pinHiddenId, { focus: false }); } catch { }
+    _renderList();
+    _fillForm();
+    _hint(t('customProviders.saved', 'Saved.'));
+    try { onChanged?.(); } catch { }
+  }
+
+  function _delete() {
+    const p = _current();
+    if (!p) return;
+    if (!confirm(tFmt('customProviders.deleteConfirmFmt', { name: p.name }, `Remove "${p.name}" and its saved key?`))) return;
+    apiKeys.removeCustomProvider(p.id);
+    _select('');
+    try { onChanged?.(); } catch { }
+  }
+
+  function _applyPreset(presetId) {
+    const preset = PROVIDER_PRESETS.find(p => p.id === presetId);
+    if (!preset) return;
+    const name = _byId(el.nameId);
+    const url = _byId(el.baseUrlId);
+    if (name && !name.value.trim()) name.value = preset.name;
+    if (url) url.value = preset.baseUrl;
+  }
+
+  // -------------------------
+  // Overlay
+  // -------------------------
+  // provider: '' = new server; an id selects that server
+  function open({ provider = '' } = {}) {
+    const list = apiKeys?.listCustomProviders?.() || [];
+    _select(list.some(p => p.id === provider) ? provider : '');
+    overlayMgr?.open?.(el.overlayId);
+  }
+
+  function close({ force = false } = {}) {
+    overlayMgr?.close?.(el.overlayId, { force });
+  }
+
+  function applyI18n() {
+    const set = (id, text) => { const n = _byId(id); if (n) n.textContent = text; };
+    set(el.titleId, t('customProviders.title', 'Custom Providers'));
+    set(el.introId, t('customProviders.intro', 'OpenAI-compatible servers such as llama.cpp, vLLM, LM Studio or Ollama. Requests go only to the base URL you enter.'));
+    set(el.addBtnId, t('customProviders.add', '+ Add server'));
+    set(el.presetLabelId, t('customProviders.presetLabel', 'Preset'));
+    set(el.nameLabelId, t('customProviders.nameLabel', 'Name'));
+    set(el.baseUrlLabelId, t('customProviders.baseUrlLabel', 'Base URL'));
+    set(el.keyLabelId, t('customProviders.keyLabel', 'API key (optional)'));
+    set(el.keyClearTextId, t('customProviders.keyClear', 'Remove saved key'));
+    set(el.modelsLabelId, t('customProviders.modelsLabel', 'Models (one per line, as the server names them)'));
+    set(el.pinLabelId, t('customProviders.pinLabel', 'PIN (6 digits, encrypts the key)'));
+    set(el.saveBtnId, t('customProviders.save', 'Save'));
+    set(el.deleteBtnId, t('customProviders.delete', 'Delete'));
+    set(el.cancelBtnId, t('customProviders.close', 'Close'));
+    _byId(el.closeBtnId)?.setAttribute('aria-label', t('customProviders.closeAria', 'Close custom providers'));
+
+    const preset = _byId(el.presetId);
+    if (preset) {
+      const opts = [{ id: '', name: t('customProviders.presetNone', 'Choose…') }, ...PROVIDER_PRESETS];
+      preset.replaceChildren(...opts.map((p) => {
+        const opt = document.createElement('option');
+        opt.value = p.id;
+        opt.textContent = p.id ? `${p.name} (${p.baseUrl})` : p.name;
+        return opt;
+      }));
+    }
+    if (!_byId(el.overlayId)?.classList.contains('hidden')) {
+      _renderList();
+      _fillForm();
+    }
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    pinBoxes?.wire({ wrapId: el.pinBoxesId, hiddenId: el.pinHiddenId, onEnter: () => { void _save(); } });
+
+    _byId(el.listId)?.addEventListener('click', (e) => {
+      const btn = e.target?.closest?.('[data-provider-id]');
+      if (btn) _select(btn.dataset.providerId);
+    });
+    _byId(el.addBtnId)?.addEventListener('click', () => _select(''));
+    _byId(el.presetId)?.addEventListener('change', (e) => _applyPreset(e.target.value));
+    _byId(el.keyId)?.addEventListener('input', _syncPinVisibility);
+    _byId(el.saveBtnId)?.addEventListener('click', () => { void _save(); });
+    _byId(el.deleteBtnId)?.addEventListener('click', _delete);
+    _byId(el.cancelBtnId)?.addEventListener('click', () => close());
+    _byId(el.closeBtnId)?.addEventListener('click', () => close());
+  }
+
+  return {
+    open,
+    close,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createCustomProvidersManager, PROVIDER_PRESETS };
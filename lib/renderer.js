@@ -1,6 +1,7 @@
 /* renderer.js */
 const OpenAI = require('openai');  // Loaded via Node integration
-const { createTwoFilesPatch } = require('diff');  // For computing diff
+const DiffLib = require('diff');  // For computing diff + local patch apply
+const { createTwoFilesPatch } = DiffLib;
 // (no new deps)
 
 const Diff2Html = require('diff2html');  // For rendering as HTML
@@ -8,6 +9,7 @@ const { ipcRenderer, clipboard } = require('electron');
 const { pathToFileURL } = require('url');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { createSystemPromptsManager, DEFAULT_SYS_PROMPT_ID } = require('./systemPrompts');
 const { createTabsManager } = require('./tabs');
 const { createApiKeyManager } = require('./apikeys');
@@ -16,6 +18,21 @@ const { createI18nManager } = require('./i18n');
 const { createHistoryManager } = require('./history');
 const { createVersionManager } = require('./version');
 const { createOverlayManager } = require('./overlays');
+const { createPatcher } = require('./patcher');
+const { createTokenizer } = require('./tokenizer');
+const { createMultiFileManager } = require('./multifile');
+const { createWriteBackManager } = require('./writeback');
+const { createVerifyManager } = require('./verify');
+const { createCompareManager } = require('./compare');
+const { createUsageManager } = require('./usage');
+const { createBudgetManager } = require('./budget');
+const { createCustomProvidersManager } = require('./providers');
+const { createAzureManager } = require('./azure');
+const { createModelDiscoveryManager } = require('./discovery');
+const { createManifestEditorManager } = require('./manifest');
+const { createProviderAdapter, listProviderModels } = require('./adapters');
+const { createRetryPolicy } = require('./retry');
+const { createFallbackManager } = require('./fallback');
 
 let versionMgr = null;
 
@@ -101,6 +118,32 @@ overlayMgr.register({
     } catch { }
   }
 });
+overlayMgr.register({
+  id: 'compareOverlay',
+  closeOnEsc: true,
+  closeOnOutside: true,
+  // Closing the comparison aborts whatever is still running
+  onClose: () => { try { initCompareManagerOnce().cancel(); } catch { } }
+});
+overlayMgr.register({ id: 'usageOverlay', closeOnEsc: true, closeOnOutside: true });
+overlayMgr.register({ id: 'budgetOverlay', closeOnEsc: true, closeOnOutside: true });
+overlayMgr.register({ id: 'providersOverlay', closeOnEsc: true, closeOnOutside: true });
+overlayMgr.register({ id: 'azureOverlay', closeOnEsc: true, closeOnOutside: true });
+overlayMgr.register({
+  id: 'modelsOverlay',
+  closeOnEsc: true,
+  closeOnOutside: true,
+  onClose: () => { try { initModelDiscoveryManagerOnce().onClosed(); } catch { } }
+});
+overlayMgr.register({ id: 'manifestOverlay', closeOnEsc: true, closeOnOutside: true });
+overlayMgr.register({ id: 'fallbackOverlay', closeOnEsc: true, closeOnOutside: true });
+overlayMgr.register({
+  id: 'budgetAlertOverlay',
+  closeOnEsc: { preventDefault: true, stopPropagation: true },
+  closeOnOutside: true,
+  // Dismissed = request not sent
+  onClose: () => { try { initBudgetManagerOnce().onAlertClosed(); } catch { } }
+});
 overlayMgr.register({
   id: 'versionOverlay',
   closeOnEsc: true,
@@ -230,6 +273,16 @@ function syncFilePickerNamesFromTab(tab) {
   } catch { }
 }
 
+// The File Content file as loaded: a hash of its bytes (write-back refuses a file that has
+// changed since) and of its text as the textarea holds it (\n line endings, no BOM)
+function _sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function _loadedTextHash(text) {
+  return _sha256Hex(String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'));
+}
+
 function _pickedFileInfoFromInput(inputEl) {
   try {
     const f = inputEl?.files?.[0];
@@ -292,6 +345,8 @@ function initFilePickerTabSyncObserver() {
         initModelsManagerOnce()?.coerceActiveTabModelToEnabled?.(tab);
         // Keep Cancel/Apply/loader/timer synced on tab switch
         syncInFlightUiForActiveTab();
+        // Apply to file / Revert last write are per tab
+        initWriteBackManagerOnce().syncUi(tab);
       }
     } catch { }
   };
@@ -312,8 +367,24 @@ function refreshUiAfterLanguageChange() {
   // 2) System prompt button label (uses t/tFmt)
   try { initSystemPromptsManagerOnce()?.updateSystemPromptButtonForTab?.(getActiveTab()); } catch { }
 
-  // 3) Model time string (uses tFmt)
+  // 3) Model time string + output source (uses tFmt)
   try { setModelTimeUi(getActiveTab()); } catch { }
+  try { setOutputSourceUi(getActiveTab()); } catch { }
+  try { applyI18nToLocalFirstToggle(); } catch { }
+  try { applyI18nToStructuredOutputToggle(); } catch { }
+  try { applyI18nToAutoRetryToggle(); } catch { }
+  try { initVerifyManagerOnce().applyI18n(); } catch { }
+  try { initMultiFileManagerOnce().applyI18n(); } catch { }
+  try { initWriteBackManagerOnce().applyI18n(); } catch { }
+  try { initCompareManagerOnce().applyI18n(); } catch { }
+  try { initUsageManagerOnce().applyI18n(); } catch { }
+  try { initBudgetManagerOnce().applyI18n(); } catch { }
+  try { initCustomProvidersManagerOnce().applyI18n(); } catch { }
+  try { initAzureManagerOnce().applyI18n(); } catch { }
+  try { initModelDiscoveryManagerOnce().applyI18n(); } catch { }
+  try { initManifestEditorManagerOnce().applyI18n(); } catch { }
+  try { initFallbackManagerOnce().applyI18n(); } catch { }
+  try { syncManifestWarning(); } catch { }
 
   // 4) Diff nav labels already handled by applyI18nToStaticUi,
   //    but visibility/disabled state can be refreshed.
@@ -379,7 +450,7 @@ function _setPinBoxesFromString(wrapId, hiddenId, pin) {
   if (boxes.length) _focusPinBoxIn(wrapId, nextIdx);
 }
 
-function _wireSixDigitBoxes({ wrapId, hiddenId, onComplete } = {}) {
+function _wireSixDigitBoxes({ wrapId, hiddenId, onComplete, onEnter = _doPinChange } = {}) {
   const wrap = document.getElementById(wrapId);
   if (!wrap) return;
   if (wrap.dataset.wired === '1') return;
@@ -421,7 +492,7 @@ function _wireSixDigitBoxes({ wrapId, hiddenId, onComplete } = {}) {
       if (key === 'Enter') {
         // let Enter behave like "Apply" anywhere in this modal
         e.preventDefault();
-        void _doPinChange();
+        void onEnter?.();
         return;
       }
 
@@ -521,13 +592,23 @@ const CONFIRM_APPLY_MODEL_TOKEN = '__MODEL__';
       path,
       appDirname: __dirname,
       cwd: (typeof process !== 'undefined' && process?.cwd) ? process.cwd() : '',
+      userManifestPath: (() => { try { return String(ipcRenderer.sendSync('manifest:getUserPathSync') || ''); } catch { return ''; } })(),
       storage: localStorage,
+      t,
       apiKeys: {
+        // A custom server counts as keyed: it either has a key or needs none
         hasEncryptedApiKey: (providerId) => {
-          try { return !!apiKeysMgr?.hasEncryptedApiKey?.(String(providerId || '').trim()); } catch { return false; }
+          const p = String(providerId || '').trim();
+          try { return !!(apiKeysMgr?.hasEncryptedApiKey?.(p) || apiKeysMgr?.getCustomProvider?.(p)); } catch { return false; }
         },
         providerForModel: (modelId) => {
           try { return String(apiKeysMgr?.providerForModel?.(String(modelId || '').trim()) || ''); } catch { return ''; }
+        },
+        listCustomProviders: () => {
+          try { return initApiKeysManagerOnce().listCustomProviders(); } catch { return []; }
+        },
+        getAzureConfig: () => {
+          try { return initApiKeysManagerOnce().getAzureConfig(); } catch { return null; }
         }
       },
       tabsApi: {
@@ -542,10 +623,13 @@ const CONFIRM_APPLY_MODEL_TOKEN = '__MODEL__';
  const CONFIRM_APPLY_TOKENS_LABEL_ID = 'confirmApplyTokensLabel';
  const CONFIRM_APPLY_TOKENS_INPUT_ID = 'confirmApplyTokensInput';
  const CONFIRM_APPLY_TOKENS_HINT_ID = 'confirmApplyTokensHint';
+ const CONFIRM_APPLY_COST_ID = 'confirmApplyCostEstimate';
 
  const CONFIRM_APPLY_MAXTOKENS_LS_PREFIX = 'confirmApply.maxTokens.'; // +provider
  const CONFIRM_APPLY_MAXTOKENS_DEFAULT_OPENAI = 32768;
  const CONFIRM_APPLY_MAXTOKENS_DEFAULT_XAI = 8192;
+ const CONFIRM_APPLY_MAXTOKENS_DEFAULT_ANTHROPIC = 32000;
+ const CONFIRM_APPLY_MAXTOKENS_DEFAULT_GEMINI = 32768;
  const CONFIRM_APPLY_MAXTOKENS_SOFT_MAX = 200000; // UI clamp only; API may reject higher
 
  function _clampConfirmApplyMaxTokens(n) {
@@ -580,8 +664,10 @@ const CONFIRM_APPLY_MODEL_TOKEN = '__MODEL__';
    const p = String(providerId || '').trim();
    const stored = _readStoredConfirmApplyMaxTokens(p);
    if (stored > 0) return stored;
-   if (p === 'openai') return CONFIRM_APPLY_MAXTOKENS_DEFAULT_OPENAI;
+   if (p === 'openai' || p === 'azure') return CONFIRM_APPLY_MAXTOKENS_DEFAULT_OPENAI;
    if (p === 'xai') return CONFIRM_APPLY_MAXTOKENS_DEFAULT_XAI;
+   if (p === 'anthropic') return CONFIRM_APPLY_MAXTOKENS_DEFAULT_ANTHROPIC;
+   if (p === 'gemini') return CONFIRM_APPLY_MAXTOKENS_DEFAULT_GEMINI;
    return CONFIRM_APPLY_MAXTOKENS_DEFAULT_XAI; // fallback
  }
 
@@ -618,9 +704,15 @@ const CONFIRM_APPLY_MODEL_TOKEN = '__MODEL__';
    hint.className = 'confirm-apply-tokens__hint';
    hint.textContent = '';
 
+   const cost = document.createElement('div');
+   cost.id = CONFIRM_APPLY_COST_ID;
+   cost.className = 'confirm-apply-tokens__hint confirm-apply-cost';
+   cost.textContent = '';
+
    wrap.appendChild(lbl);
    wrap.appendChild(input);
    wrap.appendChild(hint);
+   wrap.appendChild(cost);
 
    // Insert directly after the body line (no HTML edits required)
    try { bodyEl.insertAdjacentElement('afterend', wrap); } catch { bodyEl.parentElement?.appendChild?.(wrap); }
@@ -638,6 +730,7 @@ const CONFIRM_APPLY_MODEL_TOKEN = '__MODEL__';
      if (v > 0 && String(v) !== String(input.value || '').trim()) {
        input.value = String(v);
      }
+     _updateConfirmApplyCostEstimate();
    });
 
    return wrap;
@@ -689,7 +782,7 @@ const CONFIRM_APPLY_MODEL_TOKEN = '__MODEL__';
      const modelSel = document.getElementById('modelSelect');
      const modelId = String(modelSel?.value || '').trim();
      const manifestMax = initModelsManagerOnce()?.manifestMaxTokensForModel?.(modelId);
-     const provLabel = p === 'openai' ? 'OpenAI' : p === 'xai' ? 'xAI' : p;
+     const provLabel = p === 'openai' ? 'OpenAI' : p === 'xai' ? 'xAI' : p === 'anthropic' ? 'Anthropic' : p === 'gemini' ? 'Gemini' : p === 'azure' ? 'Azure OpenAI' : (initApiKeysManagerOnce().getCustomProvider(p)?.name || p);
      if (manifestMax > 0) {
        hint.textContent = tFmt(
          'confirmApply.maxTokensHintModelFmt',
@@ -706,6 +799,244 @@ const CONFIRM_APPLY_MODEL_TOKEN = '__MODEL__';
        );
      }
    }
+   _updateConfirmApplyCostEstimate();
+ }
+
+ // Estimated cost from manifest pricing: prompt (file + diff + system prompt, estimated)
+ // plus max_tokens as the output ceiling. Real cost is known only after the run.
+ function _updateConfirmApplyCostEstimate() {
+   const costEl = document.getElementById(CONFIRM_APPLY_COST_ID);
+   if (!costEl) return;
+   const overlay = document.getElementById('confirmApplyOverlay');
+   const modelId = String(overlay?.dataset?.modelName || document.getElementById('modelSelect')?.value || '').trim();
+   const models = initModelsManagerOnce();
+
+   let text = '';
+   try {
+     const tId = String(overlay?.dataset?.tabId || '').trim();
+     const tab = tId && Array.isArray(tabs) ? tabs.find(tt => String(tt?.id || '') === tId) : null;
+     const systemPrompt = getSystemPromptById(tab?.systemPromptId || DEFAULT_SYS_PROMPT_ID)?.content || DEFAULT_SYSTEM_PROMPT;
+     const fileText = String(document.getElementById('model')?.value || '');
+     const diffText = String(document.getElementById('diff')?.value || '');
+     const promptTokens = estimateChatTokens([
+       { role: 'system', content: systemPrompt },
+       { role: 'user', content: _buildWholeFilePrompt(fileText, diffText) }
+     ], modelId);
+     const maxTokens = _readConfirmApplyMaxTokensFromDom();
+     const inputCost = models?.costForUsage?.(modelId, { promptTokens });
+     const outputCost = models?.costForUsage?.(modelId, { completionTokens: maxTokens });
+     if (Number.isFinite(inputCost) && Number.isFinite(outputCost)) {
+       text = tFmt(
+         'confirmApply.costEstimateFmt',
+         {
+           input: formatCostUsd(inputCost),
+           tokens: String(promptTokens),
+           output: formatCostUsd(outputCost),
+           total: formatCostUsd(inputCost + outputCost)
+         },
+         `Estimated cost: ${formatCostUsd(inputCost)} input (~${promptTokens} tokens) + up to ${formatCostUsd(outputCost)} output = up to ${formatCostUsd(inputCost + outputCost)}`
+       );
+     } else {
+       text = t('confirmApply.costUnknown', 'No pricing for this model in the manifest; cost cannot be estimated.');
+     }
+   } catch { }
+   costEl.textContent = text;
+ }
+
+ // Confirm Apply: generation parameters (temperature, top_p, seed, reasoning effort)
+ // - saved per model (localStorage) and per tab (tab.genParams, with the model they were set for)
+ // - fields the model's manifest capabilities rule out are disabled and never sent
+ // - an empty field is not sent (provider default); temperature starts at 0.2 as before
+ const CONFIRM_APPLY_PARAMS_WRAP_ID = 'confirmApplyParamsWrap';
+ const CONFIRM_APPLY_PARAMS_TITLE_ID = 'confirmApplyParamsTitle';
+ const CONFIRM_APPLY_PARAMS_HINT_ID = 'confirmApplyParamsHint';
+ const CONFIRM_APPLY_EFFORT_ID = 'confirmApplyReasoningEffort';
+ const CONFIRM_APPLY_EFFORT_LABEL_ID = 'confirmApplyReasoningEffortLabel';
+ const CONFIRM_APPLY_PARAMS_LS_PREFIX = 'confirmApply.params.'; // +model
+ const CONFIRM_APPLY_TEMPERATURE_DEFAULT = 0.2;
+
+ // key (tab/history field), param (manifest capability name), numeric limits
+ const CONFIRM_APPLY_PARAM_FIELDS = [
+   { key: 'temperature', param: 'temperature', id: 'confirmApplyTemperature', labelKey: 'confirmApply.temperatureLabel', label: 'Temperature', min: 0, max: 2, step: '0.1' },
+   { key: 'topP', param: 'top_p', id: 'confirmApplyTopP', labelKey: 'confirmApply.topPLabel', label: 'Top P', min: 0, max: 1, step: '0.05' },
+   { key: 'seed', param: 'seed', id: 'confirmApplySeed', labelKey: 'confirmApply.seedLabel', label: 'Seed', min: 0, max: 2147483647, step: '1', integer: true }
+ ];
+
+ function _clampGenParam(field, raw) {
+   if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+   let v = Number(raw);
+   if (!Number.isFinite(v)) return null;
+   if (field.integer) v = Math.floor(v);
+   return Math.max(field.min, Math.min(field.max, v));
+ }
+
+ function _normalizeGenParams(p) {
+   const out = { temperature: null, topP: null, seed: null, reasoningEffort: '' };
+   if (!p || typeof p !== 'object') return out;
+   for (const f of CONFIRM_APPLY_PARAM_FIELDS) out[f.key] = _clampGenParam(f, p[f.key]);
+   out.reasoningEffort = String(p.reasoningEffort || '').trim();
+   return out;
+ }
+
+ function _defaultGenParams() {
+   return { temperature: CONFIRM_APPLY_TEMPERATURE_DEFAULT, topP: null, seed: null, reasoningEffort: '' };
+ }
+
+ function _readStoredGenParams(modelId) {
+   try {
+     const raw = localStorage.getItem(`${CONFIRM_APPLY_PARAMS_LS_PREFIX}${String(modelId || '').trim()}`);
+     if (raw) return _normalizeGenParams(JSON.parse(raw));
+   } catch { }
+   return null;
+ }
+
+ function _writeStoredGenParams(modelId, params) {
+   const m = String(modelId || '').trim();
+   if (!m) return;
+   try { localStorage.setItem(`${CONFIRM_APPLY_PARAMS_LS_PREFIX}${m}`, JSON.stringify(_normalizeGenParams(params))); } catch { }
+ }
+
+ // The tab's parameters when they were chosen for this model, else the model's saved ones
+ function _genParamsFor(tab, modelId) {
+   const m = String(modelId || '').trim();
+   if (tab?.genParams && tab.genParams.model === m) return _normalizeGenParams(tab.genParams);
+   return _readStoredGenParams(m) || _defaultGenParams();
+ }
+
+ // What a run actually sends (unsupported parameters dropped), as recorded in history
+ function _effectiveGenParams(modelId, params, maxTokens) {
+   const models = initModelsManagerOnce();
+   const p = _normalizeGenParams(params);
+   const out = { maxTokens: _clampConfirmApplyMaxTokens(maxTokens) || null };
+   for (const f of CONFIRM_APPLY_PARAM_FIELDS) {
+     if (p[f.key] != null && models.modelSupportsParam(modelId, f.param)) out[f.key] = p[f.key];
+   }
+   if (p.reasoningEffort && models.capabilitiesForModel(modelId).reasoningEffort.includes(p.reasoningEffort)) {
+     out.reasoningEffort = p.reasoningEffort;
+   }
+   return out;
+ }
+
+ function _ensureConfirmApplyParamsUi() {
+   const tokensWrap = _ensureConfirmApplyTokensUi();
+   if (!tokensWrap) return null;
+
+   let wrap = document.getElementById(CONFIRM_APPLY_PARAMS_WRAP_ID);
+   if (wrap) return wrap;
+
+   wrap = document.createElement('div');
+   wrap.id = CONFIRM_APPLY_PARAMS_WRAP_ID;
+   wrap.className = 'confirm-apply-tokens confirm-apply-params';
+
+   const title = document.createElement('div');
+   title.id = CONFIRM_APPLY_PARAMS_TITLE_ID;
+   title.className = 'confirm-apply-tokens__label';
+   wrap.appendChild(title);
+
+   const grid = document.createElement('div');
+   grid.className = 'confirm-apply-params__grid';
+
+   const field = (labelId, labelFor, control) => {
+     const cell = document.createElement('div');
+     cell.className = 'confirm-apply-params__field';
+     const lbl = document.createElement('label');
+     lbl.id = labelId;
+     lbl.setAttribute('for', labelFor);
+     cell.appendChild(lbl);
+     cell.appendChild(control);
+     grid.appendChild(cell);
+   };
+
+   for (const f of CONFIRM_APPLY_PARAM_FIELDS) {
+     const input = document.createElement('input');
+     input.id = f.id;
+     input.className = 'confirm-apply-tokens__input';
+     input.type = 'number';
+     input.min = String(f.min);
+     input.max = String(f.max);
+     input.step = f.step;
+     input.autocomplete = 'off';
+     input.spellcheck = false;
+     // Enter in a field behaves like OK (same as max tokens)
+     input.addEventListener('keydown', (e) => {
+       if (e.key !== 'Enter') return;
+       e.preventDefault();
+       try { document.getElementById('confirmApplyOkBtn')?.click?.(); } catch { }
+     });
+     field(`${f.id}Label`, f.id, input);
+   }
+
+   const effort = document.createElement('select');
+   effort.id = CONFIRM_APPLY_EFFORT_ID;
+   effort.className = 'confirm-apply-tokens__input';
+   field(CONFIRM_APPLY_EFFORT_LABEL_ID, CONFIRM_APPLY_EFFORT_ID, effort);
+
+   wrap.appendChild(grid);
+
+   const hint = document.createElement('div');
+   hint.id = CONFIRM_APPLY_PARAMS_HINT_ID;
+   hint.className = 'confirm-apply-tokens__hint';
+   wrap.appendChild(hint);
+
+   try { tokensWrap.insertAdjacentElement('afterend', wrap); } catch { tokensWrap.parentElement?.appendChild?.(wrap); }
+   return wrap;
+ }
+
+ function _readConfirmApplyParamsFromDom() {
+   const p = {};
+   for (const f of CONFIRM_APPLY_PARAM_FIELDS) p[f.key] = document.getElementById(f.id)?.value;
+   p.reasoningEffort = document.getElementById(CONFIRM_APPLY_EFFORT_ID)?.value;
+   return _normalizeGenParams(p);
+ }
+
+ function _applyConfirmApplyParamsUi({ modelId, tabId } = {}) {
+   if (!_ensureConfirmApplyParamsUi()) return;
+   const m = String(modelId || '').trim();
+   const tab = (tabId && Array.isArray(tabs)) ? tabs.find(tt => String(tt?.id || '') === String(tabId)) : null;
+   const params = _genParamsFor(tab, m);
+   const models = initModelsManagerOnce();
+   const unsupported = t('confirmApply.paramUnsupported', 'Not supported by this model');
+
+   const title = document.getElementById(CONFIRM_APPLY_PARAMS_TITLE_ID);
+   if (title) title.textContent = t('confirmApply.paramsTitle', 'Parameters');
+
+   for (const f of CONFIRM_APPLY_PARAM_FIELDS) {
+     const input = document.getElementById(f.id);
+     const lbl = document.getElementById(`${f.id}Label`);
+     if (lbl) lbl.textContent = t(f.labelKey, f.label);
+     if (!input) continue;
+     const ok = models.modelSupportsParam(m, f.param);
+     input.value = params[f.key] == null ? '' : String(params[f.key]);
+     input.disabled = !ok;
+     input.title = ok ? '' : unsupported;
+     input.placeholder = t('confirmApply.paramDefault', 'Default');
+   }
+
+   const effort = document.getElementById(CONFIRM_APPLY_EFFORT_ID);
+   const effortLbl = document.getElementById(CONFIRM_APPLY_EFFORT_LABEL_ID);
+   if (effortLbl) effortLbl.textContent = t('confirmApply.reasoningEffortLabel', 'Reasoning effort');
+   if (effort) {
+     const levels = models.capabilitiesForModel(m).reasoningEffort;
+     const opts = [''].concat(levels).map((level) => {
+       const opt = document.createElement('option');
+       opt.value = level;
+       opt.textContent = level || t('confirmApply.paramDefault', 'Default');
+       return opt;
+     });
+     effort.replaceChildren(...opts);
+     effort.value = levels.includes(params.reasoningEffort) ? params.reasoningEffort : '';
+     effort.disabled = !levels.length;
+     effort.title = levels.length ? '' : unsupported;
+   }
+
+   const hint = document.getElementById(CONFIRM_APPLY_PARAMS_HINT_ID);
+   if (hint) {
+     hint.textContent = tFmt(
+       'confirmApply.paramsHintFmt',
+       { model: m },
+       `Saved for ${m} and this tab. Empty = provider default; greyed out = not supported by this model.`
+     );
+   }
  }
 
 // -------------------------
@@ -826,6 +1157,7 @@ function applyI18nToConfirmApplyModal(modelName) {
   try {
     overlay.dataset.providerId = providerId;
     _applyConfirmApplyTokensUi({ providerId, tabId: overlay?.dataset?.tabId });
+    _applyConfirmApplyParamsUi({ modelId: model, tabId: overlay?.dataset?.tabId });
   } catch { }
 }
 
@@ -875,15 +1207,23 @@ function wireConfirmApplyModalOnce() {
     maxTokens = _clampConfirmApplyMaxTokens(maxTokens) || _defaultConfirmApplyMaxTokensForProvider(providerId);
 
     try { _writeStoredConfirmApplyMaxTokens(providerId, maxTokens); } catch { }
+
+    // Parameters: saved for the model and for the originating tab
+    const modelName = String(overlayNow?.dataset?.modelName || '').trim();
+    const params = _readConfirmApplyParamsFromDom();
+    try { _writeStoredGenParams(modelName, params); } catch { }
     try {
       if (tabId && Array.isArray(tabs)) {
         const tab = tabs.find(tt => String(tt?.id || '') === tabId);
-        if (tab) tab.maxTokens = maxTokens;
+        if (tab) {
+          tab.maxTokens = maxTokens;
+          tab.genParams = { ...params, model: modelName };
+        }
       }
     } catch { }
 
     closeConfirmApplyModal({ force: true });
-    try { cb?.({ maxTokens, providerId, tabId }); } catch { }
+    try { cb?.({ maxTokens, params, providerId, tabId }); } catch { }
   });
 
   // Intercept Apply Patch click (capture), show confirmation modal,
@@ -893,6 +1233,8 @@ function wireConfirmApplyModalOnce() {
     applyBtn.addEventListener('click', (e) => {
       if (_confirmApplyBypass) { _confirmApplyBypass = false; return; }
       if (applyBtn.disabled) return;
+      // Local first: nothing to confirm when no model call will be made
+      if (localApplyWouldSucceed()) return;
 
       e.preventDefault();
       e.stopImmediatePropagation();
@@ -1082,6 +1424,7 @@ if (document.readyState === 'loading') {
 const ICON_SVG_PROMPT = `<svg viewBox="0 0 24 24"><path d="M4 20h16"/><path d="M7 17l4-4"/><path d="M9 7l8 8"/><path d="M14 4l6 6"/></svg>`;
 const ICON_SVG_CANCEL = `<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="9"/><path d="M9 9l6 6"/><path d="M15 9l-6 6"/></svg>`;
 const ICON_SVG_APPLY = `<svg viewBox="0 0 24 24"><path d="M20 6L9 17l-5-5"/></svg>`;
+const ICON_SVG_COMPARE = `<svg viewBox="0 0 24 24"><rect x="3" y="4" width="7" height="16" rx="1"/><rect x="14" y="4" width="7" height="16" rx="1"/></svg>`;
 
 function ensureIconButtonStructure(btn, svgHtml, fallbackLabel = '') {
   if (!btn) return;
@@ -1128,6 +1471,17 @@ function stopLoadingElapsedTimer({ clear = false } = {}) {
     if (clear) el.textContent = '00:00';
     el.classList.add('hidden');
   }
+  const tokEl = document.getElementById('loadingTokens');
+  if (tokEl) {
+    if (clear) tokEl.textContent = '';
+    tokEl.classList.add('hidden');
+  }
+  for (const id of ['loadingRetry', 'loadingFallback']) {
+    const extraEl = document.getElementById(id);
+    if (!extraEl) continue;
+    if (clear) extraEl.textContent = '';
+    extraEl.classList.add('hidden');
+  }
 }
 
 function startLoadingElapsedTimerForTab(tab) {
@@ -1152,6 +1506,36 @@ function startLoadingElapsedTimerForTab(tab) {
       return;
     }
     el.textContent = _fmtMmSs(_nowMs() - (curTab.inFlightStartMs || 0));
+
+    // Live token counter while the reply streams in
+    const tokEl = document.getElementById('loadingTokens');
+    if (tokEl) {
+      const n = Number(curTab.streamTokens) || 0;
+      tokEl.textContent = n ? tFmt('loading.streamTokensFmt', { n: String(n) }, `${n} tokens`) : '';
+      tokEl.classList.toggle('hidden', !n);
+    }
+
+    // Automatic retry countdown (see _createChatRunner)
+    const retryEl = document.getElementById('loadingRetry');
+    if (retryEl) {
+      const w = curTab.retryWait;
+      const secs = w ? Math.max(1, Math.ceil((w.untilMs - _nowMs()) / 1000)) : 0;
+      retryEl.textContent = w
+        ? tFmt('loading.retryInFmt', { s: String(secs), n: String(w.attempt), max: String(w.max), reason: w.reason },
+          `${w.reason} - retry ${w.attempt}/${w.max} in ${secs}s`)
+        : '';
+      retryEl.classList.toggle('hidden', !w);
+    }
+
+    // Fallback chain: which model is answering now
+    const fbEl = document.getElementById('loadingFallback');
+    if (fbEl) {
+      const f = curTab.fallbackStep;
+      fbEl.textContent = f
+        ? tFmt('loading.fallbackFmt', { model: f.model, n: String(f.n), total: String(f.total) }, `Fallback ${f.n}/${f.total}: ${f.model}`)
+        : '';
+      fbEl.classList.toggle('hidden', !f);
+    }
   };
 
   tick();
@@ -1177,6 +1561,35 @@ function syncInFlightUiForActiveTab() {
 
   if (inFlight) startLoadingElapsedTimerForTab(tab);
   else stopLoadingElapsedTimer({ clear: true });
+
+  // Tab switch mid-stream: show what this tab has buffered so far
+  if (inFlight && tab.streamText) paintStreamForActiveTab();
+  else document.getElementById('output')?.classList.remove('streaming');
+}
+
+// -------------------------
+// Streaming output
+// - Chunks are buffered on the tab (tab.streamText); only the active tab paints
+// - Paints are throttled; the diff view is built once the stream ends
+// -------------------------
+const STREAM_PAINT_INTERVAL_MS = 100;
+let _streamPaintTimer = null;
+
+function paintStreamForActiveTab() {
+  const tab = (typeof getActiveTab === 'function') ? getActiveTab() : null;
+  const outputEl = document.getElementById('output');
+  if (!tab || !outputEl || !tab.inFlight || !tab.streamText) return;
+  outputEl.textContent = tab.streamText;
+  outputEl.classList.add('streaming');
+  autoResizeIfExpanded(outputEl);
+}
+
+function scheduleStreamPaint(tab) {
+  if (!tab || activeTabId !== tab.id || _streamPaintTimer) return;
+  _streamPaintTimer = setTimeout(() => {
+    _streamPaintTimer = null;
+    paintStreamForActiveTab();
+  }, STREAM_PAINT_INTERVAL_MS);
 }
 
 function _isAbortError(err) {
@@ -1262,9 +1675,15 @@ function applyI18nToModelActionButtons() {
   const sysBtn = document.getElementById('sysPromptBtn');
   const cancelBtn = document.getElementById('cancelBtn');
   const applyBtn = document.getElementById('applyBtn');
+  const compareBtn = document.getElementById('compareBtn');
 
   // Rebuild icon structure if any other i18n code set textContent and wiped children
   if (sysBtn) ensureIconButtonStructure(sysBtn, ICON_SVG_PROMPT, 'Prompt');
+  if (compareBtn) {
+    ensureIconButtonStructure(compareBtn, ICON_SVG_COMPARE, 'Compare');
+    setButtonLabelText(compareBtn, t('compare.button', 'Compare'));
+    compareBtn.title = t('compare.buttonTitle', 'Compare models: run this patch on several models side by side');
+  }
   if (cancelBtn) ensureIconButtonStructure(cancelBtn, ICON_SVG_CANCEL, 'Cancel');
   if (applyBtn) ensureIconButtonStructure(applyBtn, ICON_SVG_APPLY, 'Apply Patch');
 
@@ -1314,14 +1733,17 @@ function _defaultSaveDirForActiveTab() {
 
 async function _saveOutputWithDialog() {
   const tab = (typeof getActiveTab === 'function') ? getActiveTab() : null;
+  if (tab?.outputTruncated) return;
 
   // Grab output from DOM (safe even if tab storage differs)
   const outEl = document.getElementById('output');
   const text = String(outEl?.textContent || '');
   if (!text.trim()) return;
 
-  const baseName = path.basename(String(tab?.originalFileName || originalFileName || 'file.txt'));
-  const defaultDir = _defaultSaveDirForActiveTab();
+  // Multi-file results: save the selected file next to its original
+  const mfFile = tab?.multiFile ? initMultiFileManagerOnce().selectedFile(tab) : null;
+  const baseName = path.basename(String(mfFile?.path || tab?.originalFileName || originalFileName || 'file.txt'));
+  const defaultDir = mfFile ? _dirIfExists(mfFile.absPath) : _defaultSaveDirForActiveTab();
 
   const res = await ipcRenderer.invoke('output:saveText', {
     filename: baseName || 'file.txt',
@@ -1387,6 +1809,15 @@ const i18nMgr = createI18nManager({
       'pinChangeOverlay',
       'cleanResetOverlay',
       'confirmApplyOverlay',
+      'compareOverlay',
+      'usageOverlay',
+      'budgetOverlay',
+      'budgetAlertOverlay',
+      'providersOverlay',
+      'azureOverlay',
+      'modelsOverlay',
+      'manifestOverlay',
+      'fallbackOverlay',
       'versionOverlay'
     ]
   }
@@ -1618,6 +2049,7 @@ function initHistoryManagerOnce() {
     doesSystemPromptExist: (...args) => sp.doesSystemPromptExist(...args),
     buildDiffHtml,
     sanitizeModel: (m) => initModelsManagerOnce()?.coerceModelToEnabled?.(m),
+    formatCost: formatCostUsd,
     tabs: {
       initTabsManagerOnce: () => initTabsManagerOnce(),
       makeTab: (...args) => makeTab(...args),
@@ -1648,6 +2080,15 @@ function initHistoryManagerOnce() {
         , 'pinChangeOverlay'
         , 'cleanResetOverlay'
         , 'confirmApplyOverlay'
+        , 'compareOverlay'
+        , 'usageOverlay'
+        , 'budgetOverlay'
+        , 'budgetAlertOverlay'
+        , 'providersOverlay'
+        , 'azureOverlay'
+        , 'modelsOverlay'
+        , 'manifestOverlay'
+        , 'fallbackOverlay'
         , 'versionOverlay'
       ]
     }
@@ -1655,6 +2096,300 @@ function initHistoryManagerOnce() {
   return historyMgr;
 }
 
+// -------------------------
+// Usage view (./usage.js): spend per day/week/month from saved history
+// -------------------------
+let usageMgr = null;
+function initUsageManagerOnce() {
+  if (usageMgr) return usageMgr;
+  usageMgr = createUsageManager({
+    document,
+    t,
+    tFmt,
+    overlayMgr,
+    listRecords: () => initHistoryManagerOnce().listUsageRecords(),
+    costForUsage: (model, usage) => initModelsManagerOnce()?.costForUsage?.(model, usage),
+    formatCost: formatCostUsd,
+    saveCsv: ({ filename, text }) => ipcRenderer.invoke('output:saveText', {
+      filename,
+      text,
+      title: t('usage.saveTitle', 'Export Usage CSV')
+    })
+  });
+  return usageMgr;
+}
+
+// -------------------------
+// Budget caps (./budget.js): per-provider daily/monthly limits, checked before requests
+// -------------------------
+let budgetMgr = null;
+function initBudgetManagerOnce() {
+  if (budgetMgr) return budgetMgr;
+  budgetMgr = createBudgetManager({
+    document,
+    storage: localStorage,
+    t,
+    tFmt,
+    overlayMgr,
+    getProviders: () => {
+      const out = [];
+      for (const og of (document.getElementById('modelSelect')?.querySelectorAll('optgroup') || [])) {
+        const id = String(og.dataset.provider || '').trim();
+        if (id && !out.some(p => p.id === id)) out.push({ id, label: String(og.label || id) });
+      }
+      return out;
+    },
+    listRuns: async () => initUsageManagerOnce().priceRecords(await initHistoryManagerOnce().listUsageRecords()),
+    verifyPin: (pin) => initApiKeysManagerOnce().verifyPin(pin),
+    pinBoxes: _sixDigitPinBoxes,
+    formatCost: formatCostUsd
+  });
+  void budgetMgr.seedFromHistory();
+  return budgetMgr;
+}
+
+// Every priced model response goes into the budget's spend ledger, whether or not it ends
+// up in history (truncated, failed, cancelled, compare and fallback runs included)
+function _recordSpend(provider, model, usage) {
+  try {
+    const cost = initModelsManagerOnce()?.costForUsage?.(model, usage);
+    initBudgetManagerOnce().recordSpend({ provider, model, cost });
+  } catch { }
+}
+
+// PIN boxes for extracted dialogs (same behavior as the PIN Change boxes)
+const _sixDigitPinBoxes = {
+  wire: (opts) => _wireSixDigitBoxes(opts),
+  read: (wrapId) => _readPinFromBoxes(wrapId),
+  clear: (wrapId, hiddenId, { focus = true } = {}) => {
+    if (focus) { _clearPinBoxesIn(wrapId, hiddenId); return; }
+    _pinBoxesIn(wrapId).forEach(b => { b.value = ''; });
+    _syncHiddenPin(hiddenId, '');
+  }
+};
+
+// -------------------------
+// Custom providers (./providers.js): OpenAI-compatible servers, e.g. a local LLM
+// -------------------------
+let customProvidersMgr = null;
+function initCustomProvidersManagerOnce() {
+  if (customProvidersMgr) return customProvidersMgr;
+  customProvidersMgr = createCustomProvidersManager({
+    document,
+    t,
+    tFmt,
+    overlayMgr,
+    apiKeys: initApiKeysManagerOnce(),
+    pinBoxes: _sixDigitPinBoxes,
+    // Label of the provider already serving this model id (other than `exceptProvider`)
+    modelOwner: (modelId, exceptProvider) => {
+      const opt = Array.from(document.getElementById('modelSelect')?.querySelectorAll('option') || [])
+        .find(o => o.value === modelId && o.dataset.provider !== exceptProvider);
+      return opt ? String(opt.parentElement?.label || opt.dataset.provider || '') : '';
+    },
+    onChanged: () => {
+      initModelsManagerOnce().reloadModelDropdown();
+      try { initModelsManagerOnce().coerceActiveTabModelToEnabled(); } catch { }
+    }
+  });
+  return customProvidersMgr;
+}
+
+// -------------------------
+// Azure OpenAI (./azure.js): endpoint + deployments mapped to manifest models
+// -------------------------
+let azureMgr = null;
+function initAzureManagerOnce() {
+  if (azureMgr) return azureMgr;
+  azureMgr = createAzureManager({
+    document,
+    t,
+    tFmt,
+    overlayMgr,
+    apiKeys: initApiKeysManagerOnce(),
+    // Azure OpenAI serves OpenAI models
+    manifestModels: () => initModelsManagerOnce().manifestModelsForProvider('openai'),
+    openKeyDialog: () => initApiKeysManagerOnce().openFromMenu({ provider: 'azure' }),
+    onChanged: () => {
+      initModelsManagerOnce().reloadModelDropdown();
+      try { initModelsManagerOnce().coerceActiveTabModelToEnabled(); } catch { }
+    }
+  });
+  return azureMgr;
+}
+
+// -------------------------
+// Models dialog (./discovery.js): refresh from provider models endpoints, hide models
+// -------------------------
+const DISCOVERY_PROVIDERS = ['xai', 'openai', 'anthropic', 'gemini'];
+
+let modelDiscoveryMgr = null;
+function initModelDiscoveryManagerOnce() {
+  if (modelDiscoveryMgr) return modelDiscoveryMgr;
+  modelDiscoveryMgr = createModelDiscoveryManager({
+    document,
+    t,
+    tFmt,
+    overlayMgr,
+    models: initModelsManagerOnce(),
+    // Built-in providers, then custom servers; the key is decrypted if the PIN is in the session
+    targets: async () => {
+      const apiKeys = initApiKeysManagerOnce();
+      const models = initModelsManagerOnce();
+      const providers = [
+        ...DISCOVERY_PROVIDERS.filter(p => apiKeys.hasEncryptedApiKey(p)),
+        ...apiKeys.listCustomProviders().map(p => p.id)
+      ];
+      const out = [];
+      for (const p of providers) {
+        await apiKeys.maybeDecryptProviderInSession(p);
+        const label = apiKeys.getCustomProvider(p)?.name
+          || (models.listModelsByProvider().find(g => g.providerId === p)?.label) || p;
+        out.push({ providerId: p, label, apiKey: apiKeys.getStoredApiKey(p), baseURL: apiKeys.baseUrlForProvider(p) });
+      }
+      return out;
+    },
+    listModels: (opts) => listProviderModels(opts),
+    onChanged: () => {
+      initModelsManagerOnce().reloadModelDropdown();
+      try { initModelsManagerOnce().coerceActiveTabModelToEnabled(); } catch { }
+    }
+  });
+  return modelDiscoveryMgr;
+}
+
+// -------------------------
+// Model manifest editor (./manifest.js): user override merged over model_manifest.json
+// -------------------------
+let manifestEditorMgr = null;
+function initManifestEditorManagerOnce() {
+  if (manifestEditorMgr) return manifestEditorMgr;
+  manifestEditorMgr = createManifestEditorManager({
+    document,
+    t,
+    tFmt,
+    overlayMgr,
+    models: initModelsManagerOnce(),
+    readUserText: () => {
+      const p = initModelsManagerOnce().manifestStatus().userPath;
+      try { return p ? fs.readFileSync(p, 'utf8') : ''; } catch { return ''; }
+    },
+    saveUserText: (text) => ipcRenderer.invoke('manifest:saveUser', { text }),
+    removeUser: () => ipcRenderer.invoke('manifest:removeUser'),
+    onSaved: ({ defaultChanged } = {}) => {
+      const models = initModelsManagerOnce();
+      models.reloadModelDropdown();
+      if (defaultChanged) models.applyManifestDefaultModel();
+      try { models.coerceActiveTabModelToEnabled(); } catch { }
+      syncManifestWarning();
+    }
+  });
+  return manifestEditorMgr;
+}
+
+// -------------------------
+// Fallback model chain (./fallback.js): tried by applyPatch() when the tab's model fails
+// -------------------------
+let fallbackMgr = null;
+function initFallbackManagerOnce() {
+  if (fallbackMgr) return fallbackMgr;
+  fallbackMgr = createFallbackManager({
+    document,
+    storage: localStorage,
+    t,
+    tFmt,
+    overlayMgr,
+    getModelChoices: () => _enabledModelChoices(),
+    isAvailable: (model) => initModelsManagerOnce().isModelEnabled(model),
+    getActiveTab: () => (typeof getActiveTab === 'function' ? getActiveTab() : null)
+  });
+  return fallbackMgr;
+}
+
+// Problems with the bundled manifest or the user override: shown next to the model list
+function syncManifestWarning() {
+  const btn = document.getElementById('manifestWarnBtn');
+  if (!btn) return;
+  const n = (initModelsManagerOnce().manifestStatus().errors || []).length;
+  btn.classList.toggle('hidden', n === 0);
+  btn.textContent = tFmt('manifest.warnFmt', { n: String(n) }, `Manifest problems (${n})`);
+  btn.title = t('manifest.warnTitle', 'The model manifest has problems; click to see them');
+}
+
+// Expected cost of a whole-file run: estimated prompt + an output about the size of the file
+function _estimateRunCost(model, { systemPrompt, fileText, diffText } = {}) {
+  const promptTokens = estimateChatTokens([
+    { role: 'system', content: systemPrompt || '' },
+    { role: 'user', content: _buildWholeFilePrompt(fileText || '', diffText || '') }
+  ], model);
+  const usd = initModelsManagerOnce()?.costForUsage?.(model, {
+    promptTokens,
+    completionTokens: estimateTokensForText(fileText || '', model)
+  });
+  return Number.isFinite(usd) ? usd : 0;
+}
+
+// Context-window preflight (manifest context_tokens): estimated prompt + requested output
+// must fit. Returns null when it fits or the model has no context size in the manifest.
+function _contextPreflight(model, { systemPrompt, fileText, diffText, maxTokens } = {}) {
+  const models = initModelsManagerOnce();
+  const contextTokens = models?.manifestContextTokensForModel?.(model);
+  if (!Number.isFinite(contextTokens) || contextTokens <= 0) return null;
+
+  const promptTokens = estimateChatTokens([
+    { role: 'system', content: systemPrompt || '' },
+    { role: 'user', content: _buildWholeFilePrompt(fileText || '', diffText || '') }
+  ], model);
+  const outputTokens = Math.max(0, Math.floor(Number(maxTokens) || 0));
+  const total = promptTokens + outputTokens;
+  if (total <= contextTokens) return null;
+
+  // The rewritten file needs about as many tokens as the original
+  const neededOutput = estimateTokensForText(fileText || '', model);
+  const provider = models?.providerForModelId?.(model) || '';
+  return {
+    model,
+    contextTokens,
+    promptTokens,
+    outputTokens,
+    total,
+    // Room left for output if max tokens were lowered (only useful if the reply still fits)
+    lowerMaxTokens: (contextTokens - promptTokens >= neededOutput) ? contextTokens - promptTokens : 0,
+    suggestion: models?.modelWithContextFor?.(promptTokens + Math.max(outputTokens, neededOutput), { preferProvider: provider }) || null
+  };
+}
+
+function _contextOverflowError(pf) {
+  const n = (v) => Number(v).toLocaleString();
+  return tFmt(
+    'context.overflowFmt',
+    { model: pf.model, prompt: n(pf.promptTokens), output: n(pf.outputTokens), total: n(pf.total), context: n(pf.contextTokens) },
+    `Too large for ${pf.model}: ~${n(pf.promptTokens)} prompt tokens + ${n(pf.outputTokens)} max output tokens = ~${n(pf.total)}, but its context window is ${n(pf.contextTokens)} tokens. Nothing was sent.`
+  );
+}
+
+function _contextOverflowHints(pf) {
+  const n = (v) => Number(v).toLocaleString();
+  const hints = [];
+  if (pf.suggestion) {
+    hints.push(tFmt(
+      'context.suggestModelFmt',
+      { model: pf.suggestion.model, context: n(pf.suggestion.contextTokens) },
+      `Pick a model with a bigger context window, e.g. ${pf.suggestion.model} (${n(pf.suggestion.contextTokens)} tokens).`
+    ));
+  } else {
+    hints.push(t('context.noBiggerModel', 'No model in the manifest has a context window big enough; split the file or the diff.'));
+  }
+  if (pf.lowerMaxTokens > 0) {
+    hints.push(tFmt(
+      'context.lowerMaxTokensFmt',
+      { n: n(pf.lowerMaxTokens) },
+      `Or lower max tokens in Confirm Apply to ${n(pf.lowerMaxTokens)} or less.`
+    ));
+  }
+  return hints;
+}
+
 function _sysNow() { return Date.now(); }
 
 function syncDiff2HtmlTheme() {
@@ -1769,38 +2504,47 @@ function formatDurationMs(ms) {
 }
 
 // -------------------------
-// Token estimation (best-effort)
+// Token estimation (./tokenizer.js)
 // - Uses API-reported usage when available
-// - Falls back to a lightweight heuristic when usage is absent
+// - Otherwise counts offline with the model's manifest "tokenizer" (BPE),
+//   or ~4 chars per token when the model declares none
 // -------------------------
-function estimateTokensForText(text) {
-  const s = (text || '');
-  if (!s) return 0;
-  // Simple heuristic: ~4 chars per token (works reasonably for English/code mixed).
-  return Math.max(1, Math.ceil(s.length / 4));
+let tokenizer = null;
+function initTokenizerOnce() {
+  if (tokenizer) return tokenizer;
+  tokenizer = createTokenizer({
+    encodingForModel: (model) => initModelsManagerOnce()?.manifestTokenizerForModel?.(model)
+  });
+  return tokenizer;
 }
 
-function estimateChatTokens(messages) {
-  const msgs = Array.isArray(messages) ? messages : [];
-  // Rough structural overhead per message (role/formatting). Not exact, but stable.
-  const OVERHEAD_PER_MSG = 4;
-  const FINAL_OVERHEAD = 2;
-  let total = FINAL_OVERHEAD;
-  for (const m of msgs) {
-    total += OVERHEAD_PER_MSG;
-    total += estimateTokensForText(m?.content || '');
-  }
-  return Math.max(0, total);
+function estimateTokensForText(text, model) {
+  return initTokenizerOnce().countText(text, model);
+}
+
+function estimateChatTokens(messages, model) {
+  return initTokenizerOnce().countChat(messages, model);
 }
 
-function getUsageTotalTokens(completion) {
-  const u = completion?.usage;
-  if (!u) return null;
-  if (Number.isFinite(u.total_tokens)) return u.total_tokens;
-  if (Number.isFinite(u.prompt_tokens) && Number.isFinite(u.completion_tokens)) {
-    return u.prompt_tokens + u.completion_tokens;
+// Manifest pricing is USD; sub-cent amounts keep 4 decimals so they do not read as $0.00
+function formatCostUsd(cost, { estimated = false } = {}) {
+  if (!Number.isFinite(cost)) return '';
+  const amount = `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+  return estimated
+    ? tFmt('output.costEstFmt', { amount }, `~${amount} [est.]`)
+    : amount;
+}
+
+// Actual cost of a finished run ({ usd, estimated }), null when the model has no pricing.
+// estimated = the API sent no usage, so prompt/completion tokens were estimated.
+function _costForChat(model, chat) {
+  try {
+    const usage = chat?.usage;
+    const usd = initModelsManagerOnce()?.costForUsage?.(model, usage);
+    return Number.isFinite(usd) ? { usd, estimated: !!usage?.estimated } : null;
+  } catch {
+    return null;
   }
-  return null;
 }
 
 function setModelTimeUi(tab) {
@@ -1810,7 +2554,19 @@ function setModelTimeUi(tab) {
   if (tab && Number.isFinite(tab.lastDurationMs)) {
     const parts = [formatDurationMs(tab.lastDurationMs)];
     if (Number.isFinite(tab.lastTokenCount)) {
-      parts.push(tFmt('output.tokensEstFmt', { n: String(tab.lastTokenCount) }, `${tab.lastTokenCount} tokens [est.]`));
+      const n = String(tab.lastTokenCount);
+      let tokens = tab.lastTokensEstimated
+        ? tFmt('output.tokensEstFmt', { n }, `${n} tokens [est.]`)
+        : tFmt('output.tokensFmt', { n }, `${n} tokens`);
+      // Reasoning tokens are part of the output count (billed as output)
+      if (tab.lastReasoningTokens > 0) {
+        const r = String(tab.lastReasoningTokens);
+        tokens += ` ${tFmt('output.reasoningTokensFmt', { n: r }, `(${r} reasoning)`)}`;
+      }
+      parts.push(tokens);
+    }
+    if (Number.isFinite(tab.lastCost?.usd)) {
+      parts.push(formatCostUsd(tab.lastCost.usd, { estimated: tab.lastCost.estimated }));
     }
     el.textContent = parts.join(t('output.separator', ' / '));
     el.classList.remove('hidden');
@@ -1821,43 +2577,392 @@ function setModelTimeUi(tab) {
 }
 
 // -------------------------
-// Textarea / Output expand-collapse (maximize / minimize)
+// Local-first patch apply (./patcher.js)
+// - When enabled, a unified diff that applies cleanly never reaches a model
+// - Partially applying diffs go hybrid: only failing hunks (+ window) reach the model
+// - Output meta row shows which path produced the output (per tab)
 // -------------------------
-function ensureDefaultMetrics(el) {
-  if (!el || !el.dataset) return;
-  if (!el.dataset.taExpanded) el.dataset.taExpanded = '0';
+const LOCAL_FIRST_LS_KEY = 'apply.localFirst.v1';
+let patcher = null;
+function initPatcherOnce() {
+  if (patcher) return patcher;
+  patcher = createPatcher({ diffLib: DiffLib });
+  return patcher;
+}
+
+let multiFileMgr = null;
+function initMultiFileManagerOnce() {
+  if (multiFileMgr) return multiFileMgr;
+  multiFileMgr = createMultiFileManager({
+    document,
+    fs,
+    path,
+    crypto,
+    ipcRenderer,
+    t,
+    tFmt,
+    createTwoFilesPatch,
+    Diff2Html,
+    getActiveTab: () => (typeof getActiveTab === 'function' ? getActiveTab() : null),
+    onSelectFile: (tab, file) => {
+      if (!tab || activeTabId !== tab.id) return;
+      const outputEl = document.getElementById('output');
+      const hasOutput = !!String(file?.outputText || '').trim();
+      if (outputEl) {
+        outputEl.textContent = file?.outputText || '';
+        autoResizeIfExpanded(outputEl);
+      }
+      document.getElementById('download')?.classList.toggle('hidden', !hasOutput);
+      document.getElementById('copyBtn')?.classList.toggle('hidden', !hasOutput);
+      try { scheduleCopyOutputTopButtonUpdate(); } catch { }
+    }
+  });
+  return multiFileMgr;
 }
 
-function setExpandedButtonState(el) {
-  if (!el) return;
-  const wrap = el.closest('.ta-container');
-  if (!wrap) return;
-  const maxBtn = wrap.querySelector('button[data-ta-action="max"]');
-  const minBtn = wrap.querySelector('button[data-ta-action="min"]');
-  const expanded = el.dataset.taExpanded === '1';
-  if (maxBtn) maxBtn.disabled = expanded;
-  if (minBtn) minBtn.disabled = !expanded;
+// -------------------------
+// Apply to file / Revert last write (./writeback.js)
+// Target = selected multi-file entry, else the file loaded into File Content
+// -------------------------
+let writeBackMgr = null;
+function initWriteBackManagerOnce() {
+  if (writeBackMgr) return writeBackMgr;
+  writeBackMgr = createWriteBackManager({
+    document,
+    ipcRenderer,
+    path,
+    t,
+    tFmt,
+    getActiveTab: () => (typeof getActiveTab === 'function' ? getActiveTab() : null),
+    getTargetForTab: (tab) => {
+      const mfFile = tab?.multiFile ? initMultiFileManagerOnce().selectedFile(tab) : null;
+      if (mfFile) {
+        return {
+          path: mfFile.absPath,
+          text: mfFile.outputText,
+          allowCreate: !!mfFile.isNew,
+          mustNotExist: !!mfFile.isNew,
+          sourceHash: mfFile.sourceHash || ''
+        };
+      }
+      // The file the output was made from (snapshotted by _commitApplyOutput), not the one picked since
+      const tg = tab?.outputTarget || null;
+      return { path: tg?.path || '', text: tab?.modifiedText || '', sourceHash: tg?.hash || '' };
+    }
+  });
+  return writeBackMgr;
 }
 
-function maximizeElement(el) {
-  if (!el) return;
-  ensureDefaultMetrics(el);
+// -------------------------
+// Output review (./verify.js): model output vs the regions the diff asked to change
+// -------------------------
+let verifyMgr = null;
+function initVerifyManagerOnce() {
+  if (verifyMgr) return verifyMgr;
+  verifyMgr = createVerifyManager({
+    document,
+    t,
+    tFmt,
+    getActiveTab: () => (typeof getActiveTab === 'function' ? getActiveTab() : null)
+  });
+  return verifyMgr;
+}
 
-  // Remember collapsed height for smooth minimize
-  if (el.tagName === 'TEXTAREA') {
-    el.dataset.taCollapsedH = `${el.getBoundingClientRect().height}`;
-  }
+function isLocalFirstEnabled() {
+  try { return localStorage.getItem(LOCAL_FIRST_LS_KEY) !== '0'; } catch { return true; }
+}
 
-  // CSP-safe: no inline styles, just CSS classes
-  el.classList.add('ta-expanded');
-  el.dataset.taExpanded = '1';
-  setExpandedButtonState(el);
+function setLocalFirstEnabled(on) {
+  try { localStorage.setItem(LOCAL_FIRST_LS_KEY, on ? '1' : '0'); } catch { }
+}
 
-  // Fit to full content (and animate height because textarea has transition now)
-  autoResizeIfExpanded(el);
+function applyI18nToLocalFirstToggle() {
+  const label = document.getElementById('localFirstLabelText');
+  const wrap = document.getElementById('localFirstLabel');
+  if (label) label.textContent = t('model.localFirst', 'Local first');
+  if (wrap) wrap.title = t('model.localFirstTitle', 'Apply the diff locally when it matches (exactly or with offset/fuzz); only failing hunks go to the model');
 }
 
-function minimizeElement(el) {
+function wireLocalFirstToggleOnce() {
+  const cb = document.getElementById('localFirstToggle');
+  if (!cb || cb.dataset.wired === '1') return;
+  cb.dataset.wired = '1';
+  cb.checked = isLocalFirstEnabled();
+  cb.addEventListener('change', () => setLocalFirstEnabled(!!cb.checked));
+  applyI18nToLocalFirstToggle();
+}
+
+// -------------------------
+// Structured output (JSON schema via response_format)
+// The model returns { status, file_content, error, hints[] } instead of raw text, so
+// no fence stripping and no guessing whether a file starting with "ERROR:" is an error.
+// Opt-in (persisted globally); providers without json_schema support keep plain text.
+// -------------------------
+const STRUCTURED_OUTPUT_LS_KEY = 'apply.structuredOutput.v1';
+const JSON_SCHEMA_PROVIDERS = ['xai', 'openai', 'azure'];
+
+const APPLY_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok', 'error'] },
+    file_content: { type: 'string' },
+    error: { type: 'string' },
+    hints: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['status', 'file_content', 'error', 'hints'],
+  additionalProperties: false
+};
+
+const STRUCTURED_OUTPUT_INSTRUCTIONS = [
+  'Respond with a JSON object only (it is validated against a schema):',
+  '- success: {"status":"ok","file_content":"<the complete resulting text>","error":"","hints":[]}',
+  '- failure (patch not applicable): {"status":"error","file_content":"","error":"<one-line reason>","hints":["<optional hint>", ...]}',
+  'file_content is the raw text: no code fences, no commentary.'
+].join('\n');
+
+function isStructuredOutputEnabled() {
+  try { return localStorage.getItem(STRUCTURED_OUTPUT_LS_KEY) === '1'; } catch { return false; }
+}
+
+function setStructuredOutputEnabled(on) {
+  try { localStorage.setItem(STRUCTURED_OUTPUT_LS_KEY, on ? '1' : '0'); } catch { }
+}
+
+// The model's manifest capabilities can also rule response_format out
+function structuredOutputForProvider(provider, model) {
+  if (!isStructuredOutputEnabled() || !JSON_SCHEMA_PROVIDERS.includes(String(provider || ''))) return false;
+  try { return initModelsManagerOnce().modelSupportsParam(model, 'response_format'); } catch { return true; }
+}
+
+function applyI18nToStructuredOutputToggle() {
+  const label = document.getElementById('structuredOutputLabelText');
+  const wrap = document.getElementById('structuredOutputLabel');
+  if (label) label.textContent = t('model.structuredOutput', 'JSON output');
+  if (wrap) wrap.title = t('model.structuredOutputTitle', 'Ask the model for a JSON result (file content, or an error with hints) instead of raw text, where the provider supports JSON schema');
+}
+
+function wireStructuredOutputToggleOnce() {
+  const cb = document.getElementById('structuredOutputToggle');
+  if (!cb || cb.dataset.wired === '1') return;
+  cb.dataset.wired = '1';
+  cb.checked = isStructuredOutputEnabled();
+  cb.addEventListener('change', () => setStructuredOutputEnabled(!!cb.checked));
+  applyI18nToStructuredOutputToggle();
+}
+
+// Streaming preview: decode the (possibly unfinished) "file_content" string value
+function _partialStructuredFileContent(raw) {
+  const m = /"file_content"\s*:\s*"/.exec(String(raw || ''));
+  if (!m) return '';
+  const s = raw.slice(m.index + m[0].length);
+  let out = '';
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === '"') break;
+    if (c !== '\\') { out += c; continue; }
+    const n = s[i + 1];
+    if (n === undefined) break;
+    if (n === 'u') {
+      const hex = s.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      out += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+    out += ({ n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' })[n] ?? n;
+    i++;
+  }
+  return out;
+}
+
+// Turn a model reply into { ok: true, text } or { ok: false, error, hints }.
+// Plain text: strip fences; "ERROR: reason" + "- hint" lines is an error.
+function _interpretModelReply(raw, { structured = false, keepIndent = false } = {}) {
+  if (structured) {
+    let obj = null;
+    try { obj = JSON.parse(String(raw || '')); } catch { obj = null; }
+    if (!obj || typeof obj !== 'object') {
+      return { ok: false, error: t('output.structuredInvalid', 'ERROR: the model did not return valid JSON'), hints: [] };
+    }
+    const hints = Array.isArray(obj.hints) ? obj.hints.map(h => String(h || '').trim()).filter(Boolean) : [];
+    if (String(obj.status || '') !== 'ok') {
+      const reason = String(obj.error || '').trim() || t('output.structuredNoReason', 'the model reported an error without a reason');
+      return { ok: false, error: /^ERROR:/i.test(reason) ? reason : `ERROR: ${reason}`, hints };
+    }
+    const text = String(obj.file_content ?? '');
+    return { ok: true, text: keepIndent ? text.replace(/^\n+/, '').replace(/\s+$/, '') : text };
+  }
+
+  const text = _stripCodeFences(raw, { keepIndent });
+  if (/^ERROR:/i.test(text.trim())) {
+    const lines = text.trim().split(/\r?\n/);
+    const hints = lines.slice(1).map(l => l.replace(/^\s*[-*]\s*/, '').trim()).filter(Boolean);
+    return { ok: false, error: lines[0].trim(), hints };
+  }
+  return { ok: true, text };
+}
+
+function setErrorHintsUi(tab) {
+  const el = document.getElementById('errorHints');
+  if (!el) return;
+  const hints = Array.isArray(tab?.errorHints) ? tab.errorHints : [];
+  el.replaceChildren(...hints.map((h) => {
+    const li = document.createElement('li');
+    li.textContent = h;
+    return li;
+  }));
+  el.classList.toggle('hidden', !hints.length);
+}
+
+// Used by the Confirm Apply interceptor: no confirmation needed when no model will be called.
+function localApplyWouldSucceed() {
+  if (!isLocalFirstEnabled()) return false;
+  const diffText = document.getElementById('diff')?.value || '';
+  const fileText = document.getElementById('model')?.value || '';
+  if (!diffText || !fileText) return false;
+  try {
+    const mode = initPatcherOnce().planLocalApply(fileText, diffText).mode;
+    return mode === 'exact' || mode === 'fuzzy';
+  } catch { return false; }
+}
+
+function _localFuzzyNoteText(plan) {
+  const bits = [];
+  if (plan?.offset) bits.push(t('output.localFuzzy.offset', 'line offset'));
+  if (plan?.maxFuzz) bits.push(tFmt('output.localFuzzy.fuzzFmt', { n: String(plan.maxFuzz) }, `fuzz ${plan.maxFuzz}`));
+  if (plan?.loose) bits.push(t('output.localFuzzy.whitespace', 'whitespace-insensitive match'));
+  return bits.join(', ');
+}
+
+// Strip a wrapping ``` fence. Whole-file answers are trimmed (as before); hybrid
+// excerpts keep their first-line indentation since they are spliced mid-file.
+function _stripCodeFences(text, { keepIndent = false } = {}) {
+  const s = String(text || '').replace(/^\s*```[\w]*\n?|\n?```\s*$/g, '');
+  return keepIndent ? s.replace(/^\n+/, '').replace(/\s+$/, '') : s.trim();
+}
+
+function _buildHybridSegmentPrompt(plan, seg) {
+  return [
+    `Excerpt of the original file (lines ${seg.start + 1}-${seg.end} of ${plan.totalLines}):`,
+    '',
+    seg.excerpt,
+    '',
+    'Diff hunk(s) to apply to this excerpt (line numbers refer to the full file and may be off):',
+    '',
+    seg.hunkText,
+    '',
+    'Apply the hunk(s) to the excerpt and output the exact resulting excerpt only: same first and last lines, no line numbers, no commentary.'
+  ].join('\n');
+}
+
+function _localApplyReasonText(reason) {
+  const r = String(reason || '').trim();
+  const fallback = {
+    empty: 'empty diff',
+    parse_error: 'not a parseable unified diff',
+    no_hunks: 'no unified diff hunks found',
+    multi_file: 'diff touches more than one file',
+    malformed_hunk: 'hunk header does not match its lines',
+    context_mismatch: 'context does not match the file',
+    no_change: 'diff does not change the file'
+  };
+  return t(`output.localReason.${r}`, fallback[r] || r);
+}
+
+function setOutputSourceUi(tab) {
+  const el = document.getElementById('outputSource');
+  if (!el) return;
+
+  const src = String(tab?.outputSource || '');
+  const hasOutput = !!(tab && ((tab.modifiedText && String(tab.modifiedText).trim()) || tab.multiFile));
+  el.classList.remove('is-local', 'is-hybrid', 'is-model', 'is-truncated');
+  if (!hasOutput || !src) {
+    el.textContent = '';
+    el.removeAttribute('title');
+    el.classList.add('hidden');
+    return;
+  }
+
+  if (src === 'local') {
+    const note = String(tab.outputSourceNote || '');
+    el.textContent = note
+      ? tFmt('output.sourceLocalNoteFmt', { note }, `Applied locally (no model call; ${note})`)
+      : t('output.sourceLocal', 'Applied locally (exact match, no model call)');
+    el.classList.add('is-local');
+  } else if (src === 'multi') {
+    const st = tab.outputSourceStats || {};
+    const n = (k) => String(Number(st[k]) || 0);
+    el.textContent = tFmt(
+      'output.sourceMultiFmt',
+      { total: n('total'), local: n('local'), hybrid: n('hybrid'), remote: n('model'), failed: n('failed') },
+      `${n('total')} files: ${n('local')} local, ${n('hybrid')} hybrid, ${n('model')} by model, ${n('failed')} failed`
+    );
+    el.classList.add('is-hybrid');
+  } else if (src === 'hybrid') {
+    const model = String(tab.outputModel || tab.selectedModel || '');
+    const stats = tab.outputSourceStats || {};
+    const local = String(Number(stats.local) || 0);
+    const remote = String(Number(stats.model) || 0);
+    el.textContent = tFmt('output.sourceHybridFmt', { local, remote, model }, `Hybrid: ${local} hunk(s) applied locally, ${remote} by model: ${model}`);
+    el.classList.add('is-hybrid');
+  } else {
+    const model = String(tab.outputModel || tab.selectedModel || '');
+    const note = String(tab.outputSourceNote || '');
+    el.textContent = note
+      ? tFmt('output.sourceModelLocalFailedFmt', { model, reason: note }, `Applied by model: ${model} (local apply failed: ${note})`)
+      : tFmt('output.sourceModelFmt', { model }, `Applied by model: ${model}`);
+    el.classList.add('is-model');
+  }
+  if ((src === 'model' || src === 'hybrid') && tab.outputFallbackFrom?.length) {
+    const list = _formatFallbackFrom(tab.outputFallbackFrom);
+    el.textContent = tFmt('output.sourceFallbackFmt', { source: el.textContent, list }, `${el.textContent} - fallback after ${list}`);
+  }
+  if (tab.outputTruncated) {
+    el.textContent = tFmt('output.sourceTruncatedFmt', { source: el.textContent }, `Truncated: ${el.textContent}`);
+    el.classList.add('is-truncated');
+  }
+  el.title = el.textContent;
+  el.classList.remove('hidden');
+}
+
+// -------------------------
+// Textarea / Output expand-collapse (maximize / minimize)
+// -------------------------
+function ensureDefaultMetrics(el) {
+  if (!el || !el.dataset) return;
+  if (!el.dataset.taExpanded) el.dataset.taExpanded = '0';
+}
+
+function setExpandedButtonState(el) {
+  if (!el) return;
+  const wrap = el.closest('.ta-container');
+  if (!wrap) return;
+  const maxBtn = wrap.querySelector('button[data-ta-action="max"]');
+  const minBtn = wrap.querySelector('button[data-ta-action="min"]');
+  const expanded = el.dataset.taExpanded === '1';
+  if (maxBtn) maxBtn.disabled = expanded;
+  if (minBtn) minBtn.disabled = !expanded;
+}
+
+function maximizeElement(el) {
+  if (!el) return;
+  ensureDefaultMetrics(el);
+
+  // Remember collapsed height for smooth minimize
+  if (el.tagName === 'TEXTAREA') {
+    el.dataset.taCollapsedH = `${el.getBoundingClientRect().height}`;
+  }
+
+  // CSP-safe: no inline styles, just CSS classes
+  el.classList.add('ta-expanded');
+  el.dataset.taExpanded = '1';
+  setExpandedButtonState(el);
+
+  // Fit to full content (and animate height because textarea has transition now)
+  autoResizeIfExpanded(el);
+}
+
+function minimizeElement(el) {
   if (!el) return;
   ensureDefaultMetrics(el);
 
@@ -2491,7 +3596,13 @@ async function maybeDecryptProviderInSession(provider) {
 let apiKeysMgr = null;
 function initApiKeysManagerOnce() {
   if (apiKeysMgr) return apiKeysMgr;
-  apiKeysMgr = createApiKeyManager({ t, tFmt, ipcRenderer });
+  apiKeysMgr = createApiKeyManager({
+    t,
+    tFmt,
+    ipcRenderer,
+    openCustomProviders: (opts) => initCustomProvidersManagerOnce().open(opts),
+    openAzure: () => initAzureManagerOnce().open()
+  });
 
   try { _wrapEnsureKeyOrPromptForResume(apiKeysMgr); } catch { }
   try { initModelsManagerOnce()?.initModelProviderGateOnce?.(); } catch { }
@@ -2538,6 +3649,10 @@ function initTabsManagerOnce() {
     syncDiff2HtmlTheme,
     autoResizeIfExpanded,
     setModelTimeUi,
+    setOutputSourceUi,
+    setErrorHintsUi,
+    renderVerifyBanner: (tab) => initVerifyManagerOnce().renderBanner(tab),
+    syncMultiFileUi: (tab) => initMultiFileManagerOnce().renderResults(tab),
     updateSystemPromptButtonForTab,
     openTabRenameModal,
     openTabCloseModal,
@@ -2579,7 +3694,13 @@ function updateSystemPromptButtonForTab(tab) {
 apiKeysMgr = null;
 function initApiKeysManagerOnce() {
   if (apiKeysMgr) return apiKeysMgr;
-  apiKeysMgr = createApiKeyManager({ t, tFmt, ipcRenderer });
+  apiKeysMgr = createApiKeyManager({
+    t,
+    tFmt,
+    ipcRenderer,
+    openCustomProviders: (opts) => initCustomProvidersManagerOnce().open(opts),
+    openAzure: () => initAzureManagerOnce().open()
+  });
 
   try { _wrapEnsureKeyOrPromptForResume(apiKeysMgr); } catch { }
   try { initModelsManagerOnce()?.initModelProviderGateOnce?.(); } catch { }
@@ -2798,12 +3919,37 @@ window.addEventListener('DOMContentLoaded', async () => {
   } catch (e) {
     console.error('Failed to load model_manifest.json:', e);
   }
+  try { syncManifestWarning(); } catch { }
+  document.getElementById('manifestWarnBtn')?.addEventListener('click', () => initManifestEditorManagerOnce().open());
   // Persist default selected model and apply per-tab selection (active tab when available)
   try {
     models.initSelectedModel?.({ fallbackDefaultModel: 'grok-4-fast-reasoning' });
   } catch { }
   // Wire modelSelect change -> per-tab selection + default persistence
   try { models.wireDomEvents?.(); } catch { }
+  // "Local first" toggle (persisted globally)
+  try { wireLocalFirstToggleOnce(); } catch { }
+  // "JSON output" toggle (persisted globally)
+  try { wireStructuredOutputToggleOnce(); } catch { }
+  // "Auto retry" toggle (persisted globally)
+  try { wireAutoRetryToggleOnce(); } catch { }
+  // Output review banner (checklist + jump to unexpected changes)
+  try { initVerifyManagerOnce().wireDomEvents(); } catch { }
+  // Project root picker + per-file results list (multi-file diffs)
+  try { initMultiFileManagerOnce().wireDomEvents(); } catch { }
+  // Apply to file (atomic overwrite + backup) / Revert last write
+  try { initWriteBackManagerOnce().wireDomEvents(); } catch { }
+  // Compare models (same patch on several models, results side by side)
+  try { initCompareManagerOnce().wireDomEvents(); } catch { }
+  // Usage view (spend from history, charts + CSV)
+  try { initUsageManagerOnce().wireDomEvents(); } catch { }
+  // Budget caps (settings + warn/block before requests)
+  try { initBudgetManagerOnce().wireDomEvents(); } catch { }
+  try { initCustomProvidersManagerOnce().wireDomEvents(); } catch { }
+  try { initAzureManagerOnce().wireDomEvents(); } catch { }
+  try { initModelDiscoveryManagerOnce().wireDomEvents(); } catch { }
+  try { initManifestEditorManagerOnce().wireDomEvents(); } catch { }
+  try { initFallbackManagerOnce().wireDomEvents(); } catch { }
 
   const storedTheme = localStorage.getItem('theme') || 'light';
   document.body.classList.toggle('dark', storedTheme === 'dark');
@@ -3077,10 +4223,992 @@ ipcRenderer.on('history:open', () => {
   initHistoryManagerOnce().openHistoryModal();
 });
 
+ipcRenderer.on('usage:open', () => {
+  void initUsageManagerOnce().open();
+});
+
+ipcRenderer.on('budget:open', () => {
+  initBudgetManagerOnce().open();
+});
+
+ipcRenderer.on('providers:open', () => {
+  initCustomProvidersManagerOnce().open();
+});
+
+ipcRenderer.on('azure:open', () => {
+  initAzureManagerOnce().open();
+});
+
+ipcRenderer.on('models:open', () => {
+  initModelDiscoveryManagerOnce().open();
+});
+
+ipcRenderer.on('manifest:open', () => {
+  initManifestEditorManagerOnce().open();
+});
+
+ipcRenderer.on('fallback:open', () => {
+  initFallbackManagerOnce().open();
+});
+
 ipcRenderer.on('apikey:open', (_evt, payload) => {
   initApiKeysManagerOnce().openFromMenu(payload);
 });
 
+// "Apply to file" target of a single-file output: the loaded file, and only when the output
+// was made from its text as loaded (not from pasted or edited content). The hash is the
+// file's at load time; main refuses to write over it once it has changed.
+function _outputTargetFor(tab, inputText) {
+  const lf = tab?.loadedFile || null;
+  if (!lf?.path || !lf.hash) return null;
+  if (_loadedTextHash(inputText) !== lf.textHash) return null;
+  return { path: lf.path, hash: lf.hash };
+}
+
+// Store a successful output into its originating tab (+ history) and paint it
+// if that tab is still being viewed. Shared by the local and model apply paths.
+function _commitApplyOutput(tab, {
+  inputText,
+  outputText,
+  diffText,
+  model,
+  provider,
+  systemPromptId,
+  systemPromptContent,
+  source,
+  sourceNote = '',
+  sourceStats = null,
+  truncated = false,
+  continuations = 0,
+  params = null,
+  fallbackFrom = []
+} = {}) {
+  if (!tab) return;
+  const html = buildDiffHtml(inputText, outputText);
+
+  // Save into the originating tab
+  tab.modifiedText = outputText;
+  tab.diffHtml = ''; // legacy fallback not needed
+  tab.outputTruncated = !!truncated;
+  tab.errorText = truncated ? _truncatedOutputText(continuations) : '';
+  tab.errorHints = [];
+  tab.retryCount = 0;
+  tab.outputSource = (source === 'local' || source === 'hybrid') ? source : 'model';
+  tab.outputSourceNote = String(sourceNote || '');
+  tab.outputSourceStats = sourceStats || null;
+  tab.outputModel = String(model || '');
+  tab.outputFallbackFrom = Array.isArray(fallbackFrom) ? fallbackFrom : [];
+  tab.outputTarget = _outputTargetFor(tab, inputText);
+
+  // Local applies follow the hunks by construction; review what a model wrote
+  tab.verify = null;
+  if (tab.outputSource !== 'local' && !truncated) {
+    try {
+      const result = initPatcherOnce().verifyOutput(inputText, diffText, outputText);
+      if (result.ok) tab.verify = { result, checked: {} };
+    } catch { }
+  }
+
+  // ✅ Store history at the moment we have a successful output (all heavy fields compressed)
+  // A truncated file is not a result: keep it out of history
+  if (!truncated) {
+    try {
+      const spObj = getSystemPromptById(systemPromptId || DEFAULT_SYS_PROMPT_ID);
+      void initHistoryManagerOnce().addHistoryEntry({
+        ts: Date.now(),
+        model,
+        provider,
+        source: tab.outputSource,
+        sourceStats: tab.outputSourceStats,
+        sysPromptId: systemPromptId,
+        sysPromptName: spObj?.name || 'Default',
+        sysPromptContent: systemPromptContent,
+        diffText,
+        inputText,
+        outputText,
+        inputFileName: tab.originalFileName || originalFileName || 'file.txt',
+        durationMs: tab.lastDurationMs,
+        tokenCount: tab.lastTokenCount,
+        tokensEstimated: tab.lastTokensEstimated,
+        cost: tab.lastCost?.usd,
+        costEstimated: tab.lastCost?.estimated,
+        params,
+        fallbackFrom: tab.outputFallbackFrom
+      });
+    } catch { }
+  }
+
+  // If user is NOT viewing that tab, parse diff into the tab's hidden DOM cache now
+  // (so switching later is instant; no innerHTML parse on tab switch)
+  if (activeTabId !== tab.id) {
+    const holder = ensureTabDiffDom(tab);
+    if (holder) {
+      holder.innerHTML = html;
+      initVerifyManagerOnce().highlight(holder, tab.verify?.result);
+    }
+    updateTabRowFor(tab);
+    return;
+  }
+
+  const outputEl = document.getElementById('output');
+  const diffViewEl = document.getElementById('diffView');
+  const errorEl = document.getElementById('error');
+
+  outputEl.textContent = outputText;
+  autoResizeIfExpanded(outputEl);
+  diffViewEl.innerHTML = html;
+  initVerifyManagerOnce().highlight(diffViewEl, tab.verify?.result);
+  initVerifyManagerOnce().renderBanner(tab);
+  syncDiff2HtmlTheme();
+  requestAnimationFrame(() => {
+    computeDiffNavVisible();
+    updateDiffNavButtons();
+  });
+  errorEl.textContent = tab.errorText;
+  setErrorHintsUi(tab);
+  document.getElementById('download')?.classList.toggle('hidden', !!truncated);
+  document.getElementById('copyBtn')?.classList.toggle('hidden', !!truncated);
+  setOutputSourceUi(tab);
+  try { scheduleCopyOutputTopButtonUpdate(); } catch { }
+  try { scheduleGoOutputDiffButtonUpdate(); } catch { }
+}
+
+// -------------------------
+// Automatic retry (./retry.js)
+// Opt-in (persisted globally): transient failures (429, 5xx, network resets) are retried
+// up to MAX_RETRIES times with backoff, honoring Retry-After. Auth errors, cancellation
+// and "ERROR:" replies are never retried; the manual Retry button stays as before.
+// -------------------------
+const AUTO_RETRY_LS_KEY = 'apply.autoRetry.v1';
+let retryPolicy = null;
+function initRetryPolicyOnce() {
+  if (retryPolicy) return retryPolicy;
+  retryPolicy = createRetryPolicy({ maxRetries: MAX_RETRIES });
+  return retryPolicy;
+}
+
+function isAutoRetryEnabled() {
+  try { return localStorage.getItem(AUTO_RETRY_LS_KEY) === '1'; } catch { return false; }
+}
+
+function setAutoRetryEnabled(on) {
+  try { localStorage.setItem(AUTO_RETRY_LS_KEY, on ? '1' : '0'); } catch { }
+}
+
+function applyI18nToAutoRetryToggle() {
+  const label = document.getElementById('autoRetryLabelText');
+  const wrap = document.getElementById('autoRetryLabel');
+  if (label) label.textContent = t('model.autoRetry', 'Auto retry');
+  if (wrap) wrap.title = t('model.autoRetryTitle', 'Retry rate limits, server errors and dropped connections automatically (with backoff, honoring Retry-After); auth errors and ERROR: replies are never retried');
+}
+
+function wireAutoRetryToggleOnce() {
+  const cb = document.getElementById('autoRetryToggle');
+  if (!cb || cb.dataset.wired === '1') return;
+  cb.dataset.wired = '1';
+  cb.checked = isAutoRetryEnabled();
+  cb.addEventListener('change', () => setAutoRetryEnabled(!!cb.checked));
+  applyI18nToAutoRetryToggle();
+}
+
+// Short reason for the countdown ("429", "503", "Connection lost")
+function _retryReason(err) {
+  const status = Number(err?.status);
+  if (Number.isFinite(status) && status > 0) return String(status);
+  return t('loading.retryNetwork', 'Connection lost');
+}
+
+// Chat runner hook: keeps tab.retryWait current for the loading-area countdown
+function _retryWaitHandlerForTab(tab) {
+  return (info) => {
+    tab.retryWait = info ? {
+      attempt: info.attempt,
+      max: info.max,
+      untilMs: _nowMs() + info.remainingMs,
+      reason: _retryReason(info.error)
+    } : null;
+  };
+}
+
+// -------------------------
+// Model requests: per-tab in-flight bookkeeping + chat runner
+// (shared by single-file and multi-file apply)
+// -------------------------
+function _beginTabRequest(tab) {
+  // Mark tab as in-flight with a unique token
+  const token = `${tab.id}:${++tab.requestSeq}:${Date.now()}`;
+  tab.inFlightToken = token;
+  tab.inFlight = true;
+  tab.inFlightStartMs = _nowMs();      // for live mm:ss timer
+  tab.cancelRequested = false;
+  tab.abortCtrl = new AbortController();
+  tab.abortToken = token;
+  tab.streamText = '';
+  tab.streamTokens = 0;
+  tab.retryWait = null;
+  tab.fallbackStep = null;
+  updateTabRowFor(tab); // fast spinner update
+
+  if (activeTabId === tab.id) {
+    syncInFlightUiForActiveTab();
+  }
+  return token;
+}
+
+function _failTabRequest(tab, token, error) {
+  if (tab.inFlightToken !== token) return;
+  tab.errorHints = [];
+
+  if (_isAbortError(error) || tab.cancelRequested) {
+    tab.errorText = t('cancelApi.cancelled', 'Cancelled.');
+    tab.retryCount = 0;
+  } else {
+    tab.errorText = `Error: ${error.message}. `;
+    if (error?.autoRetries) {
+      tab.errorText += tFmt('loading.autoRetriedFmt', { n: String(error.autoRetries) }, `Failed after ${error.autoRetries} automatic retries. `);
+    }
+    if (error?.fallbackFrom?.length) {
+      const list = _formatFallbackFrom(error.fallbackFrom);
+      tab.errorText += tFmt('fallback.alsoFailedFmt', { list }, `Tried before: ${list}. `);
+    }
+    if (tab.retryCount < MAX_RETRIES) {
+      tab.retryCount++;
+      tab.errorText += `Retry ${tab.retryCount}/${MAX_RETRIES} available.`;
+    } else {
+      tab.errorText += 'Max retries reached.';
+    }
+  }
+
+  if (activeTabId === tab.id) {
+    const errorEl = document.getElementById('error');
+    const retryBtn = document.getElementById('retryBtn');
+    if (errorEl) errorEl.textContent = tab.errorText;
+    setErrorHintsUi(tab);
+    if (tab.retryCount > 0 && tab.retryCount < MAX_RETRIES) retryBtn?.classList.remove('hidden');
+    if (_isAbortError(error) || tab.cancelRequested) retryBtn?.classList.add('hidden');
+  }
+
+  console.error(error);
+}
+
+function _endTabRequest(tab, token) {
+  // Only clear inFlight if this is still the current request for that tab
+  if (tab.inFlightToken === token) {
+    tab.inFlightToken = null;
+    tab.inFlight = false;
+    tab.streamText = '';
+    tab.streamTokens = 0;
+    tab.retryWait = null;
+    tab.fallbackStep = null;
+    updateTabRowFor(tab); // fast spinner update
+  }
+  if (String(tab.abortToken || '') === String(token || '')) {
+    tab.abortToken = null;
+    tab.abortCtrl = null;
+  }
+
+  if (activeTabId === tab.id) {
+    document.getElementById('loading')?.classList.add('hidden');
+    const applyBtn = document.getElementById('applyBtn');
+    const cancelBtn = document.getElementById('cancelBtn');
+    if (applyBtn) applyBtn.disabled = false;
+    if (cancelBtn) cancelBtn.disabled = true;
+    stopLoadingElapsedTimer({ clear: true });
+
+    // Drop a partial stream (cancel / error); on success this is the committed output
+    const outputEl = document.getElementById('output');
+    if (outputEl?.classList.contains('streaming')) {
+      outputEl.classList.remove('streaming');
+      if (!tab.inFlight) {
+        outputEl.textContent = tab.modifiedText || '';
+        autoResizeIfExpanded(outputEl);
+      }
+    }
+  }
+}
+
+// -------------------------
+// Truncated replies (finish_reason === 'length')
+// - Ask the model to continue from where it stopped and stitch the pieces
+// - Still cut off after MAX_CONTINUATIONS => the run is marked truncated
+// -------------------------
+const MAX_CONTINUATIONS = 3;
+const CONTINUE_PROMPT = 'Your previous reply was cut off by the output token limit. Continue exactly where it stopped. Output ONLY the remaining text: do not repeat anything already written, no explanations, no code fences.';
+const STITCH_MIN_OVERLAP = 32;
+const STITCH_MAX_OVERLAP = 4000;
+
+// Models sometimes restart the continuation with a fence or re-send the last line(s)
+function _stitchContinuation(prev, next) {
+  let more = String(next || '').replace(/^```[\w.+-]*[ \t]*\r?\n/, '');
+  const max = Math.min(prev.length, more.length, STITCH_MAX_OVERLAP);
+  for (let k = max; k >= STITCH_MIN_OVERLAP; k--) {
+    if (prev.endsWith(more.slice(0, k))) {
+      more = more.slice(k);
+      break;
+    }
+  }
+  return prev + more;
+}
+
+function _truncatedOutputText(continuations) {
+  const n = String(Number(continuations) || 0);
+  return tFmt(
+    'output.truncatedFmt',
+    { n },
+    `Output is TRUNCATED: the reply hit the max tokens limit (still cut off after ${n} continuation(s)). Download and Copy are disabled; raise Max tokens and apply again.`
+  );
+}
+
+// One streamed chat round-trip per run() (plus continuations when the reply hits
+// max_tokens); tokens accumulate across calls (hybrid / multi-file send several).
+// The wire format is the provider's adapter (./adapters.js); the model's manifest
+// capabilities decide which parameters are sent and whether the reply streams.
+// Prefer API-reported usage; otherwise estimate (system+user+assistant).
+// onStream gets a running count of received tokens; run(prompt, { onText }) also
+// gets the reply text so far. truncatedRuns counts replies that stayed cut off.
+// params are the Confirm Apply parameters (null = defaults); chat.params is what is sent.
+// With auto retry on, a transient failure repeats that one request; onRetryWait gets the
+// countdown ({ attempt, max, remainingMs, error }, then null). The OpenAI SDK's own silent
+// retries stay on unless this loop takes over.
+function _createChatRunner({ apiKey, provider, model, systemPrompt, maxTokens, params = null, signal, onStream, onRetryWait, structured = false } = {}) {
+  const apiKeys = initApiKeysManagerOnce();
+  const autoRetry = isAutoRetryEnabled();
+  const adapter = createProviderAdapter({
+    provider,
+    apiKey,
+    baseURL: apiKeys.baseUrlForProvider(provider),
+    model,
+    OpenAI,
+    azure: apiKeys.azureRouteForModel(model),
+    capabilities: initModelsManagerOnce().capabilitiesForModel(model),
+    maxRetries: autoRetry ? 0 : undefined
+  });
+
+  const gen = _normalizeGenParams(params || _defaultGenParams());
+  const sentParams = _effectiveGenParams(model, gen, maxTokens || 32768);
+  let tokens = 0;
+  let streamedTokens = 0;
+  const usageTotals = { promptTokens: 0, completionTokens: 0, cachedTokens: 0, reasoningTokens: 0, estimated: false };
+  let truncatedRuns = 0;
+  let continuations = 0;
+
+  async function _streamOnce(messages, onText) {
+    if (!autoRetry) return _streamAttempt(messages, onText);
+    return initRetryPolicyOnce().run(() => _streamAttempt(messages, onText), { signal, onRetry: onRetryWait });
+  }
+
+  async function _streamAttempt(messages, onText) {
+    // Aborting tab.abortCtrl rejects with an AbortError
+    let text = '';
+    let attemptTokens = 0;
+    const streamedBefore = streamedTokens;
+    let res = null;
+    try {
+      res = await adapter.stream({
+        messages,
+        maxTokens: maxTokens || 32768,
+        temperature: gen.temperature,
+        topP: gen.topP,
+        seed: gen.seed,
+        reasoningEffort: gen.reasoningEffort,
+        responseFormat: structured ? {
+          type: 'json_schema',
+          json_schema: { name: 'apply_result', strict: true, schema: APPLY_RESULT_SCHEMA }
+        } : null,
+        signal,
+        onDelta: (delta) => {
+          text += delta;
+          attemptTokens += estimateTokensForText(delta, model);
+          streamedTokens = streamedBefore + attemptTokens; // a retried attempt starts over
+          try { onStream?.({ tokens: streamedTokens }); } catch { }
+          try { onText?.(text); } catch { }
+        }
+      });
+    } catch (error) {
+      // Output that streamed before a failure or Cancel was billed all the same
+      if (attemptTokens > 0) {
+        _addUsage({
+          promptTokens: estimateChatTokens(messages, model),
+          completionTokens: attemptTokens,
+          cachedTokens: 0,
+          reasoningTokens: 0,
+          estimated: true
+        });
+      }
+      throw error;
+    }
+
+    // Prompt/completion/cached split (for cost); estimated when the API sent no usage
+    _addUsage(res.usage || {
+      promptTokens: estimateChatTokens(messages, model),
+      completionTokens: estimateTokensForText(res.text, model),
+      cachedTokens: 0,
+      reasoningTokens: 0,
+      estimated: true
+    });
+    return { text: res.text, finishReason: res.finishReason };
+  }
+
+  // One response (or the billed part of a failed one) into the totals and the spend ledger
+  function _addUsage(usage) {
+    tokens += usage.promptTokens + usage.completionTokens;
+    usageTotals.promptTokens += usage.promptTokens;
+    usageTotals.completionTokens += usage.completionTokens;
+    usageTotals.cachedTokens += usage.cachedTokens;
+    usageTotals.reasoningTokens += Number(usage.reasoningTokens) || 0;
+    if (usage.estimated) usageTotals.estimated = true;
+    _recordSpend(provider, model, usage);
+  }
+
+  async function run(userPrompt, { onText } = {}) {
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: structured ? `${userPrompt}\n\n${STRUCTURED_OUTPUT_INSTRUCTIONS}` : userPrompt }
+    ];
+    let { text, finishReason } = await _streamOnce(messages, onText);
+
+    let n = 0;
+    while (finishReason === 'length' && n < MAX_CONTINUATIONS) {
+      n++;
+      continuations++;
+      const soFar = text;
+      const more = await _streamOnce([
+        ...messages,
+        { role: 'assistant', content: soFar },
+        { role: 'user', content: CONTINUE_PROMPT }
+      ], onText ? (partial) => onText(_stitchContinuation(soFar, partial)) : null);
+      text = _stitchContinuation(soFar, more.text);
+      finishReason = more.finishReason;
+    }
+    if (finishReason === 'length') truncatedRuns++;
+    return text;
+  }
+
+  return {
+    run,
+    structured,
+    params: sentParams,
+    get tokens() { return tokens; },
+    get usage() { return { ...usageTotals }; },
+    get truncatedRuns() { return truncatedRuns; },
+    get continuations() { return continuations; }
+  };
+}
+
+function _buildWholeFilePrompt(fileText, diffText) {
+  return `Original file content:\n\n${fileText}\n\nDiff patch to apply:\n\n${diffText}\n\nApply the patch and output the exact resulting file.`;
+}
+
+// Only the failing hunks (plus a window of surrounding lines) go to the model.
+// Returns { ok: true, text } with the spliced file, { ok: false, error, hints },
+// or null when the run went stale.
+async function _runHybridSegments(chat, plan, isStale) {
+  const answers = [];
+  for (const seg of plan.segments) {
+    const raw = await chat.run(_buildHybridSegmentPrompt(plan, seg));
+    if (isStale()) return null;
+    const reply = _interpretModelReply(raw, { structured: chat.structured, keepIndent: true });
+    if (!reply.ok) return reply;
+    answers.push(reply.text);
+  }
+  return { ok: true, text: initPatcherOnce().spliceSegments(plan, answers) };
+}
+
+// Whole-file round-trip; onText (optional) gets the file text streamed so far
+async function _runWholeFile(chat, fileText, diffText, { onText } = {}) {
+  const raw = await chat.run(_buildWholeFilePrompt(fileText, diffText), {
+    onText: onText
+      ? (text) => onText(chat.structured ? _partialStructuredFileContent(text) : text)
+      : null
+  });
+  return _interpretModelReply(raw, { structured: chat.structured });
+}
+
+// -------------------------
+// Fallback chain steps (applyPatch): each model after the tab's own is checked without
+// dialogs (key, context window, budget) and skipped when it cannot run
+// -------------------------
+function _formatFallbackFrom(list) {
+  return (list || []).map(x => (x.reason ? `${x.model} (${x.reason})` : x.model)).join(', ');
+}
+
+// What a chain step that did not answer still cost: { provider, tokens, cost, costEstimated }
+// (spread into its fallbackFrom entry; nothing when no request went out)
+function _fallbackStepSpend(step, chat) {
+  if (!chat || !(chat.tokens > 0)) return {};
+  const usage = chat.usage;
+  const usd = initModelsManagerOnce()?.costForUsage?.(step.model, usage);
+  return {
+    provider: step.provider,
+    tokens: chat.tokens,
+    cost: Number.isFinite(usd) ? usd : null,
+    costEstimated: !!usage.estimated
+  };
+}
+
+// The whole chain's tokens and cost: the steps that failed plus the model that answered
+function _fallbackChainTotals(fallbackFrom, model, chat) {
+  const last = _costForChat(model, chat);
+  let tokens = chat.tokens;
+  let usd = last ? last.usd : null;
+  let estimated = !!chat.usage.estimated;
+  for (const f of (fallbackFrom || [])) {
+    if (!(f.tokens > 0)) continue;
+    tokens += f.tokens;
+    if (Number.isFinite(f.cost)) usd = (usd || 0) + f.cost;
+    if (f.costEstimated) estimated = true;
+  }
+  return { tokens, estimated, cost: Number.isFinite(usd) ? { usd, estimated } : null };
+}
+
+// Short reason shown next to a model that failed ("503", "timeout", "error")
+function _fallbackReason(error) {
+  if (error?.timedOut) return t('fallback.reasonTimeout', 'timeout');
+  const status = Number(error?.status);
+  if (Number.isFinite(status) && status > 0) return String(status);
+  return t('fallback.reasonError', 'error');
+}
+
+// { model, provider, apiKey, maxTokens, release } or { skip: reason }; release() frees the
+// step's budget reservation
+async function _prepareFallbackStep(tab, model, { systemPrompt, fileText, diffText, wholeFile = true } = {}) {
+  const apiKeys = initApiKeysManagerOnce();
+  const models = initModelsManagerOnce();
+  const provider = models.providerForModelId(model);
+  await apiKeys.maybeDecryptProviderInSession(provider);
+  const apiKey = apiKeys.getStoredApiKey(provider);
+  if (!apiKey) return { skip: t('fallback.reasonNoKey', 'no API key') };
+
+  // The tab's max tokens, within what this model allows
+  let maxTokens = 0;
+  try { maxTokens = _clampConfirmApplyMaxTokens(tab?.maxTokens); } catch { }
+  if (!maxTokens) maxTokens = _defaultConfirmApplyMaxTokensForProvider(provider);
+  const manifestMax = models?.manifestMaxTokensForModel?.(model);
+  if (Number.isFinite(manifestMax) && manifestMax > 0) maxTokens = Math.min(maxTokens, manifestMax);
+
+  if (wholeFile && _contextPreflight(model, { systemPrompt, fileText, diffText, maxTokens })) {
+    return { skip: t('fallback.reasonContext', 'file too large for it') };
+  }
+
+  // No dialog in the middle of a run: a provider at its cap is skipped
+  const budget = initBudgetManagerOnce().check({
+    provider,
+    estimate: _estimateRunCost(model, { systemPrompt, fileText, diffText }),
+    reserve: true
+  });
+  if (budget.level === 'block') return { skip: t('fallback.reasonBudget', 'budget cap') };
+
+  return { model, provider, apiKey, maxTokens, release: budget.release };
+}
+
+// One model of the chain gets its own abort signal: Cancel (tab.abortCtrl) aborts it, and
+// so does the fallback timeout, which then rejects with a timeout error (not a cancel)
+async function _runChainStep(tab, timeoutMs, model, fn) {
+  const ctrl = new AbortController();
+  const parent = tab.abortCtrl?.signal;
+  const onAbort = () => ctrl.abort();
+  if (parent?.aborted) ctrl.abort();
+  else parent?.addEventListener('abort', onAbort, { once: true });
+
+  let timedOut = false;
+  const timer = timeoutMs > 0 ? setTimeout(() => { timedOut = true; ctrl.abort(); }, timeoutMs) : null;
+  try {
+    return await fn(ctrl.signal);
+  } catch (error) {
+    if (!timedOut || tab.cancelRequested) throw error;
+    const s = String(Math.round(timeoutMs / 1000));
+    const err = new Error(tFmt('fallback.timedOutFmt', { model, s }, `${model} did not finish within ${s}s`));
+    err.timedOut = true;
+    throw err;
+  } finally {
+    if (timer) clearTimeout(timer);
+    parent?.removeEventListener?.('abort', onAbort);
+  }
+}
+
+// -------------------------
+// Compare models (./compare.js): one whole-file run per model, no tab in-flight state
+// -------------------------
+async function _runCompareModel({ model, snapshot, signal } = {}) {
+  const apiKeys = initApiKeysManagerOnce();
+  const provider = initModelsManagerOnce().providerForModelId(model);
+  await apiKeys.maybeDecryptProviderInSession(provider);
+  const apiKey = apiKeys.getStoredApiKey(provider);
+  if (!apiKey) {
+    return { ok: false, provider, error: tFmt('compare.noKeyFmt', { provider }, `No API key for ${provider}.`) };
+  }
+
+  // Parallel runs cannot each stop for a dialog: a provider at its cap is skipped. The check
+  // reserves the estimate at once, so runs started together cannot all pass it.
+  const budget = initBudgetManagerOnce().check({
+    provider,
+    estimate: _estimateRunCost(model, { systemPrompt: snapshot.systemPromptContent, fileText: snapshot.fileText, diffText: snapshot.diffText }),
+    reserve: true
+  });
+  if (budget.level === 'block') {
+    return { ok: false, provider, error: t('budget.compareBlocked', 'Skipped: budget cap reached for this provider.') };
+  }
+  try {
+    return await _runCompareModelReserved({ model, snapshot, signal, provider, apiKey });
+  } finally {
+    budget.release?.();
+  }
+}
+
+// The compare run itself, while the budget holds its estimate
+async function _runCompareModelReserved({ model, snapshot, signal, provider, apiKey }) {
+  let maxTokens = _defaultConfirmApplyMaxTokensForProvider(provider);
+  const manifestMax = initModelsManagerOnce()?.manifestMaxTokensForModel?.(model);
+  if (Number.isFinite(manifestMax) && manifestMax > 0) maxTokens = Math.min(maxTokens, manifestMax);
+
+  const overflow = _contextPreflight(model, {
+    systemPrompt: snapshot.systemPromptContent,
+    fileText: snapshot.fileText,
+    diffText: snapshot.diffText,
+    maxTokens
+  });
+  if (overflow) return { ok: false, provider, error: _contextOverflowError(overflow) };
+
+  const chat = _createChatRunner({
+    apiKey,
+    provider,
+    model,
+    systemPrompt: snapshot.systemPromptContent,
+    maxTokens,
+    params: _genParamsFor(null, model),
+    signal,
+    structured: structuredOutputForProvider(provider, model)
+  });
+
+  const t0 = _nowMs();
+  const reply = await _runWholeFile(chat, snapshot.fileText, snapshot.diffText);
+  const usage = chat.usage;
+  const truncated = chat.truncatedRuns > 0;
+  return {
+    ok: reply.ok,
+    text: reply.ok ? reply.text : '',
+    error: reply.ok ? '' : ((chat.structured && truncated) ? _truncatedOutputText(chat.continuations) : reply.error),
+    provider,
+    durationMs: Math.max(0, Math.round(_nowMs() - t0)),
+    tokens: chat.tokens,
+    tokensEstimated: !!usage.estimated,
+    reasoningTokens: usage.reasoningTokens,
+    cost: initModelsManagerOnce()?.costForUsage?.(model, usage),
+    truncated,
+    continuations: chat.continuations,
+    params: chat.params
+  };
+}
+
+// "Use this result": stored in the tab the comparison was started from, as a model apply
+function _useCompareResult(snapshot, result) {
+  const tab = tabs.find(tt => String(tt?.id || '') === String(snapshot?.tabId || ''));
+  if (!tab || tab.inFlight) return false;
+
+  tab.diffText = snapshot.diffText;
+  tab.modelText = snapshot.fileText;
+  if (tab.multiFile) {
+    tab.multiFile = null;
+    initMultiFileManagerOnce().renderResults(tab);
+  }
+  tab.lastDurationMs = result.durationMs;
+  tab.lastTokenCount = result.tokens;
+  tab.lastTokensEstimated = !!result.tokensEstimated;
+  tab.lastReasoningTokens = result.reasoningTokens || 0;
+  tab.lastCost = Number.isFinite(result.cost) ? { usd: result.cost, estimated: !!result.tokensEstimated } : null;
+  if (activeTabId === tab.id) {
+    const diffEl = document.getElementById('diff');
+    const modelEl = document.getElementById('model');
+    if (diffEl) diffEl.value = snapshot.diffText;
+    if (modelEl) modelEl.value = snapshot.fileText;
+    setModelTimeUi(tab);
+  }
+  _commitApplyOutput(tab, {
+    inputText: snapshot.fileText,
+    outputText: result.text,
+    diffText: snapshot.diffText,
+    model: result.model,
+    provider: result.provider,
+    systemPromptId: snapshot.systemPromptId,
+    systemPromptContent: snapshot.systemPromptContent,
+    source: 'model',
+    params: result.params
+  });
+  return true;
+}
+
+// Models of the enabled provider groups in #modelSelect (compare / fallback pickers)
+function _enabledModelChoices() {
+  const sel = document.getElementById('modelSelect');
+  const out = [];
+  for (const opt of (sel?.querySelectorAll('optgroup:not([disabled]) option') || [])) {
+    if (!opt.value || opt.disabled) continue;
+    out.push({
+      id: opt.value,
+      label: String(opt.textContent || opt.value),
+      provider: opt.dataset.provider || opt.parentElement?.dataset?.provider || '',
+      current: opt.value === sel.value
+    });
+  }
+  return out;
+}
+
+let compareMgr = null;
+function initCompareManagerOnce() {
+  if (compareMgr) return compareMgr;
+  compareMgr = createCompareManager({
+    document,
+    diffLib: DiffLib,
+    t,
+    tFmt,
+    overlayMgr,
+    getModelChoices: () => _enabledModelChoices(),
+    getSnapshot: () => {
+      const tab = getActiveTab();
+      if (!tab) return null;
+      const systemPromptId = tab.systemPromptId || DEFAULT_SYS_PROMPT_ID;
+      return {
+        tabId: tab.id,
+        diffText: String(document.getElementById('diff')?.value || ''),
+        fileText: String(document.getElementById('model')?.value || ''),
+        systemPromptId,
+        systemPromptContent: getSystemPromptById(systemPromptId)?.content || DEFAULT_SYSTEM_PROMPT
+      };
+    },
+    runModel: _runCompareModel,
+    onUseResult: _useCompareResult,
+    formatDuration: formatDurationMs,
+    formatCost: formatCostUsd
+  });
+  return compareMgr;
+}
+
+// -------------------------
+// Multi-file apply (./multifile.js): each file goes local -> hybrid -> model
+// -------------------------
+async function _applyMultiFilePatch(tab, {
+  diffText,
+  fileDiffs,
+  projectRoot,
+  model,
+  provider,
+  systemPromptId,
+  systemPromptContent
+} = {}) {
+  const mf = initMultiFileManagerOnce();
+  tab.diffText = diffText;
+
+  const t0Local = _nowMs();
+  const files = await mf.loadTargets(projectRoot, fileDiffs);
+
+  // Local first per file; whatever is left needs the model
+  const pending = [];
+  for (const f of files) {
+    if (f.status !== 'pending') continue;
+    let plan = null;
+    if (isLocalFirstEnabled()) {
+      try { plan = initPatcherOnce().planLocalApply(f.inputText, f.entry.diffText); } catch { plan = null; }
+    }
+    if (plan && (plan.mode === 'exact' || plan.mode === 'fuzzy')) {
+      f.status = 'local';
+      f.outputText = plan.text;
+      f.note = plan.mode === 'fuzzy' ? _localFuzzyNoteText(plan) : '';
+    } else {
+      f.plan = (plan && plan.mode === 'hybrid') ? plan : null;
+      pending.push(f);
+    }
+  }
+  const localMs = _nowMs() - t0Local;
+  const commitArgs = { files, projectRoot, model, provider, systemPromptId, systemPromptContent };
+
+  if (!pending.length) {
+    tab.lastDurationMs = Math.max(0, Math.round(localMs));
+    tab.lastTokenCount = null;
+    tab.lastCost = null;
+    _commitMultiFileOutput(tab, commitArgs);
+    return;
+  }
+
+  const apiKeys = initApiKeysManagerOnce();
+  await apiKeys.maybeDecryptProviderInSession(provider);
+  const apiKey = apiKeys.getStoredApiKey(provider);
+  if (!apiKey) { apiKeys.ensureKeyOrPrompt({ provider, blocking: true }); return; }
+
+  let maxTokens = 0;
+  try { maxTokens = _clampConfirmApplyMaxTokens(tab?.maxTokens); } catch { }
+  if (!maxTokens) maxTokens = _defaultConfirmApplyMaxTokensForProvider(provider);
+
+  // A file whose whole-file request cannot fit the context window is not sent
+  for (const f of pending) {
+    if (f.plan) continue;
+    const overflow = _contextPreflight(model, {
+      systemPrompt: systemPromptContent,
+      fileText: f.inputText,
+      diffText: f.entry.diffText,
+      maxTokens
+    });
+    if (!overflow) continue;
+    f.status = 'error';
+    f.note = _contextOverflowError(overflow);
+  }
+  const toSend = pending.filter(f => f.status === 'pending');
+  if (!toSend.length) {
+    tab.lastDurationMs = Math.max(0, Math.round(localMs));
+    tab.lastTokenCount = null;
+    tab.lastCost = null;
+    _commitMultiFileOutput(tab, commitArgs);
+    return;
+  }
+
+  const estimate = toSend.reduce((sum, f) => sum + _estimateRunCost(model, {
+    systemPrompt: systemPromptContent,
+    fileText: f.inputText,
+    diffText: f.entry.diffText
+  }), 0);
+  if (!(await initBudgetManagerOnce().gate({ provider, estimate }))) {
+    tab.errorText = t('budget.notSent', 'Not sent: budget cap.');
+    if (activeTabId === tab.id) {
+      const errorEl = document.getElementById('error');
+      if (errorEl) errorEl.textContent = tab.errorText;
+    }
+    return;
+  }
+  // Held until the run ends, so other requests see this one's spend coming
+  const releaseBudget = initBudgetManagerOnce().reserve({ provider, estimate });
+
+  const token = _beginTabRequest(tab);
+  try {
+    const chat = _createChatRunner({
+      apiKey,
+      provider,
+      model,
+      systemPrompt: systemPromptContent,
+      maxTokens,
+      params: _genParamsFor(tab, model),
+      signal: tab.abortCtrl?.signal,
+      onStream: ({ tokens }) => { tab.streamTokens = tokens; },
+      onRetryWait: _retryWaitHandlerForTab(tab),
+      structured: structuredOutputForProvider(provider, model)
+    });
+    const isStale = () => tab.inFlightToken !== token;
+
+    const t0 = _nowMs();
+    for (const f of toSend) {
+      const truncatedBefore = chat.truncatedRuns;
+      const reply = f.plan
+        ? await _runHybridSegments(chat, f.plan, isStale)
+        : await _runWholeFile(chat, f.inputText, f.entry.diffText);
+      if (reply == null || isStale()) return;
+      if (!reply.ok) {
+        f.status = 'error';
+        f.note = reply.error;
+        continue;
+      }
+      if (chat.truncatedRuns > truncatedBefore) {
+        f.status = 'error';
+        f.note = t('multiFile.noteTruncated', 'reply cut off at the max tokens limit');
+        continue;
+      }
+      f.status = f.plan ? 'hybrid' : 'model';
+      f.outputText = reply.text;
+    }
+
+    tab.lastDurationMs = Math.max(0, Math.round(localMs + (_nowMs() - t0)));
+    tab.lastTokenCount = chat.tokens;
+    tab.lastTokensEstimated = !!chat.usage.estimated;
+    tab.lastReasoningTokens = chat.usage.reasoningTokens;
+    tab.lastCost = _costForChat(model, chat);
+    _commitMultiFileOutput(tab, { ...commitArgs, params: chat.params });
+  } catch (error) {
+    _failTabRequest(tab, token, error);
+  } finally {
+    releaseBudget();
+    _endTabRequest(tab, token);
+  }
+}
+
+function _commitMultiFileOutput(tab, { files, projectRoot, model, provider, systemPromptId, systemPromptContent, params = null } = {}) {
+  const mf = initMultiFileManagerOnce();
+  for (const f of files) {
+    f.diffText = f.entry?.diffText || '';
+    delete f.entry;
+    delete f.plan;
+  }
+
+  const selected = mf.firstAppliedIndex(files);
+  const stats = mf.summarize(files);
+  tab.multiFile = { root: projectRoot, files, selected };
+  tab.modifiedText = selected >= 0 ? (files[selected].outputText || '') : '';
+  tab.diffHtml = '';
+  tab.errorText = selected >= 0 ? '' : t('multiFile.noneApplied', 'No file in this diff could be applied.');
+  tab.retryCount = 0;
+  tab.outputSource = 'multi';
+  tab.outputSourceNote = '';
+  tab.outputSourceStats = { ...stats, failed: stats.failed };
+  tab.outputModel = String(model || '');
+  tab.outputFallbackFrom = [];
+
+  // History keeps one entry per applied file (each reopens as a normal tab).
+  // The run's duration/tokens are recorded once so usage totals stay correct.
+  try {
+    const spObj = getSystemPromptById(systemPromptId || DEFAULT_SYS_PROMPT_ID);
+    let first = true;
+    for (const f of files) {
+      if (!mf.isAppliedStatus(f.status)) continue;
+      void initHistoryManagerOnce().addHistoryEntry({
+        ts: Date.now(),
+        model,
+        provider,
+        source: f.status,
+        sysPromptId: systemPromptId,
+        sysPromptName: spObj?.name || 'Default',
+        sysPromptContent: systemPromptContent,
+        diffText: f.diffText,
+        inputText: f.inputText,
+        outputText: f.outputText,
+        inputFileName: f.path,
+        durationMs: first ? tab.lastDurationMs : null,
+        tokenCount: first ? tab.lastTokenCount : null,
+        tokensEstimated: first ? tab.lastTokensEstimated : false,
+        cost: first ? tab.lastCost?.usd : null,
+        costEstimated: first ? tab.lastCost?.estimated : false,
+        params: f.status === 'local' ? null : params
+      });
+      first = false;
+    }
+  } catch { }
+
+  const html = mf.buildCombinedDiffHtml(files, { dark: document.body.classList.contains('dark') });
+
+  if (activeTabId !== tab.id) {
+    const holder = ensureTabDiffDom(tab);
+    if (holder) holder.innerHTML = html;
+    updateTabRowFor(tab);
+    return;
+  }
+
+  const outputEl = document.getElementById('output');
+  const diffViewEl = document.getElementById('diffView');
+  const hasOutput = !!String(tab.modifiedText || '').trim();
+
+  outputEl.textContent = tab.modifiedText;
+  autoResizeIfExpanded(outputEl);
+  diffViewEl.innerHTML = html;
+  syncDiff2HtmlTheme();
+  requestAnimationFrame(() => {
+    computeDiffNavVisible();
+    updateDiffNavButtons();
+  });
+  document.getElementById('error').textContent = tab.errorText;
+  document.getElementById('download')?.classList.toggle('hidden', !hasOutput);
+  document.getElementById('copyBtn')?.classList.toggle('hidden', !hasOutput);
+  mf.renderResults(tab);
+  setModelTimeUi(tab);
+  setOutputSourceUi(tab);
+  try { scheduleCopyOutputTopButtonUpdate(); } catch { }
+  try { scheduleGoOutputDiffButtonUpdate(); } catch { }
+}
+
 async function applyPatch({ isRetry = false } = {}) {
   const tab = getActiveTab();
   if (!tab) return;
@@ -3098,7 +5226,8 @@ async function applyPatch({ isRetry = false } = {}) {
   const modelContent = document.getElementById('model').value;
   const selectedModelSnapshot = document.getElementById('modelSelect').value;
   const apiKeys = initApiKeysManagerOnce();
-  const provider = apiKeys.providerForModel(selectedModelSnapshot);
+  // Manifest / discovered models route by their provider; unknown ids by name prefix
+  const provider = initModelsManagerOnce().providerForModelId(selectedModelSnapshot);
   // lock model choice into the originating tab + request
   // lock model choice into the originating tab + request
   tab.selectedModel = selectedModelSnapshot;
@@ -3110,10 +5239,6 @@ async function applyPatch({ isRetry = false } = {}) {
 
   const outputEl = document.getElementById('output');
   const errorEl = document.getElementById('error');
-  const loadingEl = document.getElementById('loading');
-  const loadingElapsedEl = document.getElementById('loadingElapsed');
-  const applyBtn = document.getElementById('applyBtn');
-  const cancelBtn = document.getElementById('cancelBtn');
   const retryBtn = document.getElementById('retryBtn');
   const downloadBtn = document.getElementById('download');
   const copyBtn = document.getElementById('copyBtn');
@@ -3126,7 +5251,22 @@ async function applyPatch({ isRetry = false } = {}) {
   // Reset timing for this run (will be set when the model replies)
   tab.lastDurationMs = null;
   tab.lastTokenCount = null;
-  if (activeTabId === tabId) setModelTimeUi(tab);
+  tab.lastCost = null;
+  tab.outputSource = '';
+  tab.outputSourceNote = '';
+  tab.outputSourceStats = null;
+  tab.outputFallbackFrom = [];
+  tab.outputTruncated = false;
+  tab.errorHints = [];
+  setErrorHintsUi(tab);
+  tab.verify = null;
+  initVerifyManagerOnce().renderBanner(tab);
+  tab.writeBackStatus = '';
+  try { initWriteBackManagerOnce().syncUi(tab); } catch { }
+  if (activeTabId === tabId) {
+    setModelTimeUi(tab);
+    setOutputSourceUi(tab);
+  }
   // Also clear cached diff for this tab (we are recomputing)
   if (tab.diffDom) tab.diffDom.replaceChildren();
   tab.diffHtml = '';
@@ -3141,13 +5281,70 @@ async function applyPatch({ isRetry = false } = {}) {
 
   if (!isRetry) tab.retryCount = 0;
 
+  if (tab.multiFile) {
+    tab.multiFile = null;
+    initMultiFileManagerOnce().renderResults(tab);
+  }
+
+  // Multi-file diffs (git diff / format-patch) are applied against the tab's project root
+  const fileDiffs = diffText ? initPatcherOnce().splitFileDiffs(diffText) : [];
+  const projectRoot = String(tab.projectRoot || '').trim();
+  if (fileDiffs.length > 1 || (projectRoot && fileDiffs.length && !modelContent.trim())) {
+    if (!projectRoot) {
+      tab.errorText = tFmt('multiFile.needRootFmt', { n: String(fileDiffs.length) }, `This diff touches ${fileDiffs.length} files. Choose a project root folder to apply it.`);
+      errorEl.textContent = tab.errorText;
+      return;
+    }
+    await _applyMultiFilePatch(tab, {
+      diffText,
+      fileDiffs,
+      projectRoot,
+      model: selectedModelSnapshot,
+      provider,
+      systemPromptId: systemPromptIdSnapshot,
+      systemPromptContent: systemPromptSnapshot
+    });
+    return;
+  }
+
   if (!diffText || !modelContent) {
     errorEl.textContent = 'Please fill Diff Patch and File Content.';
     try { scheduleGoOutputDiffButtonUpdate(); } catch { }
     return;
   }
 
-  // Ensure the correct provider key is available (xAI for grok-*, OpenAI for gpt-*)
+  // Local first: a unified diff that applies (exactly or with offset/fuzz) needs no model
+  // (and no API key). If only some hunks fail, just those windows go to the model.
+  let localFailNote = '';
+  let hybridPlan = null;
+  if (isLocalFirstEnabled()) {
+    const t0Local = _nowMs();
+    let plan = null;
+    try { plan = initPatcherOnce().planLocalApply(modelContent, diffText); } catch { plan = null; }
+    if (plan && (plan.mode === 'exact' || plan.mode === 'fuzzy')) {
+      tab.diffText = diffText;
+      tab.modelText = modelContent;
+      tab.lastDurationMs = Math.max(0, Math.round(_nowMs() - t0Local));
+      tab.lastTokenCount = null;
+      setModelTimeUi(tab);
+      _commitApplyOutput(tab, {
+        inputText: modelContent,
+        outputText: plan.text,
+        diffText,
+        model: selectedModelSnapshot,
+        provider,
+        systemPromptId: systemPromptIdSnapshot,
+        systemPromptContent: systemPromptSnapshot,
+        source: 'local',
+        sourceNote: plan.mode === 'fuzzy' ? _localFuzzyNoteText(plan) : ''
+      });
+      return;
+    }
+    if (plan && plan.mode === 'hybrid') hybridPlan = plan;
+    else localFailNote = _localApplyReasonText(plan?.reason || 'parse_error');
+  }
+
+  // Ensure the correct provider key is available (xAI for grok-*, OpenAI for gpt-*, Anthropic for claude-*, Gemini for gemini-*)
   await apiKeys.maybeDecryptProviderInSession(provider);
   const apiKey = apiKeys.getStoredApiKey(provider);
   if (!apiKey) { apiKeys.ensureKeyOrPrompt({ provider, blocking: true }); return; }
@@ -3160,83 +5357,169 @@ async function applyPatch({ isRetry = false } = {}) {
     }
   }
 
+  // Use per-tab max tokens chosen in Confirm Apply modal (falls back per provider)
+  let maxTokens = 0;
+  try { maxTokens = _clampConfirmApplyMaxTokens(tab?.maxTokens); } catch { }
+  if (!maxTokens) maxTokens = _defaultConfirmApplyMaxTokensForProvider(provider);
+
+  // Whole-file request must fit the model's context window (hybrid runs send only segments)
+  const overflow = hybridPlan ? null : _contextPreflight(selectedModelSnapshot, {
+    systemPrompt: systemPromptSnapshot,
+    fileText: modelContent,
+    diffText,
+    maxTokens
+  });
+  if (overflow) {
+    tab.errorText = _contextOverflowError(overflow);
+    tab.errorHints = _contextOverflowHints(overflow);
+    if (activeTabId === tabId) {
+      errorEl.textContent = tab.errorText;
+      setErrorHintsUi(tab);
+    }
+    return;
+  }
+
+  // Budget cap for this provider: warn / block (PIN override) before anything is sent
+  const budgetEstimate = _estimateRunCost(selectedModelSnapshot, { systemPrompt: systemPromptSnapshot, fileText: modelContent, diffText });
+  const budgetOk = await initBudgetManagerOnce().gate({ provider, estimate: budgetEstimate });
+  if (!budgetOk) {
+    tab.errorText = t('budget.notSent', 'Not sent: budget cap.');
+    if (activeTabId === tabId) errorEl.textContent = tab.errorText;
+    return;
+  }
+  // Each model of the chain holds its estimate while it runs (released when it is done)
+  const releaseFirst = initBudgetManagerOnce().reserve({ provider, estimate: budgetEstimate });
+
   // Snapshot inputs at the time you clicked Apply
   const diffTextSnapshot = diffText;
   const modelContentSnapshot = modelContent;
 
-  // Mark tab as in-flight with a unique token
-  const token = `${tabId}:${++tab.requestSeq}:${Date.now()}`;
-  tab.inFlightToken = token;
-  tab.inFlight = true;
-  tab.inFlightStartMs = _nowMs();      // for live mm:ss timer
-  tab.cancelRequested = false;
-  tab.abortCtrl = new AbortController();
-  tab.abortToken = token;
-  updateTabRowFor(tab); // fast spinner update
-
   // Keep tab state consistent even if user switches tabs
   tab.diffText = diffTextSnapshot || '';
   tab.modelText = modelContentSnapshot || '';
 
-  if (activeTabId === tabId) {
-    syncInFlightUiForActiveTab();
-  }
+  // Fallback chain (./fallback.js): the tab's model, then the fallbacks that are usable now
+  const fallback = initFallbackManagerOnce();
+  const chain = fallback.chainFor(tab, selectedModelSnapshot);
+  const stepTimeoutMs = chain.length > 1 ? fallback.timeoutMs() : 0;
+  const fallbackFrom = [];   // [{ model, reason }] that failed before the one that answered
 
-  try {
-    const openai = new OpenAI({
-      apiKey,
-      baseURL: apiKeys.baseUrlForProvider(provider),
-      dangerouslyAllowBrowser: true  // Enable for Electron renderer; key is user-provided and local
-    });
-    console.log('OpenAI SDK initialized with browser allowance.');
+  const token = _beginTabRequest(tab);
 
-    const userPrompt = `Original file content:\n\n${modelContentSnapshot}\n\nDiff patch to apply:\n\n${diffTextSnapshot}\n\nApply the patch and output the exact resulting file.`;
-    const messages = [
-      { role: 'system', content: systemPromptSnapshot },
-      { role: 'user', content: userPrompt }
-    ];
-
-    // Use per-tab max tokens chosen in Confirm Apply modal (falls back per provider)
-    let maxTokens = 0;
-    try { maxTokens = _clampConfirmApplyMaxTokens(tab?.maxTokens); } catch { }
-    if (!maxTokens) maxTokens = _defaultConfirmApplyMaxTokensForProvider(provider);
- 
+  try {
+    let done = null;
+    let lastFailure = null;  // { result } for an ERROR: reply, { error } for an exception
+    for (let i = 0; i < chain.length; i++) {
+      let step = { model: selectedModelSnapshot, provider, apiKey, maxTokens, release: releaseFirst };
+      if (i > 0) {
+        step = await _prepareFallbackStep(tab, chain[i], {
+          systemPrompt: systemPromptSnapshot,
+          fileText: modelContentSnapshot,
+          diffText: diffTextSnapshot,
+          wholeFile: !hybridPlan
+        });
+        if (tab.inFlightToken !== token) { step.release?.(); return; }
+        if (step.skip) {
+          fallbackFrom.push({ model: chain[i], reason: step.skip });
+          continue;
+        }
+        tab.fallbackStep = { model: step.model, n: i, total: chain.length - 1 };
+        tab.streamText = '';
+        tab.streamTokens = 0;
+      }
 
-    const t0 = _nowMs();
-    const completion = await openai.chat.completions.create({
-      model: selectedModelSnapshot,
-      messages,
-      temperature: 0.2,
-      max_tokens: maxTokens || 32768
-    }, { signal: tab.abortCtrl?.signal });
+      let result = null;
+      let stepChat = null;
+      try {
+        result = await _runChainStep(tab, stepTimeoutMs, step.model, async (signal) => {
+          const chat = stepChat = _createChatRunner({
+            apiKey: step.apiKey,
+            provider: step.provider,
+            model: step.model,
+            systemPrompt: systemPromptSnapshot,
+            maxTokens: step.maxTokens,
+            params: _genParamsFor(tab, step.model),
+            signal,
+            onStream: ({ tokens }) => { tab.streamTokens = tokens; },
+            onRetryWait: _retryWaitHandlerForTab(tab),
+            structured: structuredOutputForProvider(step.provider, step.model)
+          });
+
+          const t0 = _nowMs();
+          let reply = null;
+          if (hybridPlan) {
+            reply = await _runHybridSegments(chat, hybridPlan, () => tab.inFlightToken !== token);
+          } else {
+            reply = await _runWholeFile(chat, modelContentSnapshot, diffTextSnapshot, {
+              onText: (text) => {
+                if (tab.inFlightToken !== token) return;
+                tab.streamText = text;
+                scheduleStreamPaint(tab);
+              }
+            });
+          }
+          return reply == null ? null : { step, chat, reply, durationMs: _nowMs() - t0 };
+        });
+      } catch (error) {
+        // Cancel ends the chain; any other failure moves on to the next model
+        if (tab.cancelRequested || (_isAbortError(error) && !error.timedOut)) throw error;
+        fallbackFrom.push({ model: step.model, reason: _fallbackReason(error), ..._fallbackStepSpend(step, stepChat) });
+        lastFailure = { error, index: fallbackFrom.length - 1 };
+        continue;
+      } finally {
+        step.release?.();
+      }
 
-    const durationMs = _nowMs() - t0;
-    const usageTotalTokens = getUsageTotalTokens(completion);
+      // If this response is stale (user started a newer run), ignore it
+      if (result == null || tab.inFlightToken !== token) return;
 
-    let modified = completion.choices[0].message.content;
-    // Strip any potential code fences
-    modified = modified.replace(/^```[\w]*\n?|\n?```$/g, '').trim();
+      if (!result.reply.ok) {
+        fallbackFrom.push({
+          model: step.model,
+          reason: (result.chat.structured && result.chat.truncatedRuns) ? t('fallback.reasonTruncated', 'cut off') : 'ERROR:',
+          ..._fallbackStepSpend(step, result.chat)
+        });
+        lastFailure = { result, index: fallbackFrom.length - 1 };
+        continue;
+      }
+      done = result;
+      break;
+    }
 
-    // If this response is stale (user started a newer run), ignore it
-    if (tab.inFlightToken !== token) {
-      return;
+    // Every model failed: report the last one that ran, the others as tried before
+    if (!done) {
+      fallbackFrom.splice(lastFailure.index, 1);
+      if (lastFailure.error) {
+        if (fallbackFrom.length) lastFailure.error.fallbackFrom = fallbackFrom;
+        throw lastFailure.error;
+      }
+      done = lastFailure.result;
     }
 
-    // Store + render timing (model replied)
+    const { chat, reply, durationMs } = done;
+    const model = done.step.model;
+    const modelProvider = done.step.provider;
+
+    // Store + render timing (model replied); tokens and cost cover every model that ran
+    const totals = _fallbackChainTotals(fallbackFrom, model, chat);
     tab.lastDurationMs = Math.max(0, Math.round(durationMs));
-    // Prefer API-reported usage when present; otherwise estimate total tokens for (system+user+assistant)
-    if (Number.isFinite(usageTotalTokens)) {
-      tab.lastTokenCount = usageTotalTokens;
-    } else {
-      tab.lastTokenCount = estimateChatTokens([...messages, { role: 'assistant', content: modified }]);
-    }
+    tab.lastTokenCount = totals.tokens;
+    tab.lastTokensEstimated = totals.estimated;
+    tab.lastReasoningTokens = chat.usage.reasoningTokens;
+    tab.lastCost = totals.cost;
     if (activeTabId === tabId) setModelTimeUi(tab);
 
     // If model returned a congruency error, show it as an app error (not as file output)
-    if (/^ERROR:/i.test(modified)) {
+    if (!reply.ok) {
       tab.modifiedText = '';
       tab.diffHtml = '';
-      tab.errorText = modified;
+      // Cut-off JSON cannot parse; say why instead of "invalid JSON"
+      tab.errorText = (chat.structured && chat.truncatedRuns) ? _truncatedOutputText(chat.continuations) : reply.error;
+      tab.errorHints = reply.hints;
+      if (fallbackFrom.length) {
+        const list = _formatFallbackFrom(fallbackFrom);
+        tab.errorHints = [...(tab.errorHints || []), tFmt('fallback.alsoFailedFmt', { list }, `Tried before: ${list}. `).trim()];
+      }
       tab.retryCount = 0;
 
       if (activeTabId === tabId) {
@@ -3246,123 +5529,35 @@ async function applyPatch({ isRetry = false } = {}) {
         downloadBtn.classList.add('hidden');
         copyBtn.classList.add('hidden');
         retryBtn.classList.add('hidden');
-        errorEl.textContent = modified;
+        errorEl.textContent = tab.errorText;
+        setErrorHintsUi(tab);
         try { scheduleGoOutputDiffButtonUpdate(); } catch { }
       }
       return;
     }
 
-    // Build diff HTML
-    const unifiedDiff = createTwoFilesPatch(
-      'original',
-      'modified',
-      modelContentSnapshot,
-      modified,
-      '',
-      '',
-      { context: Number.MAX_SAFE_INTEGER }
-    );
-
-    const html = Diff2Html.html(unifiedDiff, {
-      drawFileList: false,
-      matching: 'none',
-      outputFormat: 'side-by-side',
-      synchronisedScroll: true,
-      colorScheme: document.body.classList.contains('dark') ? 'dark' : 'light'
+    _commitApplyOutput(tab, {
+      inputText: modelContentSnapshot,
+      outputText: reply.text,
+      diffText: diffTextSnapshot,
+      model,
+      provider: modelProvider,
+      systemPromptId: systemPromptIdSnapshot,
+      systemPromptContent: systemPromptSnapshot,
+      source: hybridPlan ? 'hybrid' : 'model',
+      sourceNote: localFailNote,
+      sourceStats: hybridPlan ? { local: hybridPlan.appliedCount, model: hybridPlan.failedCount } : null,
+      truncated: chat.truncatedRuns > 0,
+      continuations: chat.continuations,
+      params: chat.params,
+      fallbackFrom
     });
 
-    // Save into the originating tab
-    tab.modifiedText = modified;
-    tab.diffHtml = ''; // legacy fallback not needed
-    tab.errorText = '';
-    tab.retryCount = 0;
-
-    // ✅ Store history at the moment we have a successful output (all heavy fields compressed)
-    try {
-      const spObj = getSystemPromptById(systemPromptIdSnapshot || DEFAULT_SYS_PROMPT_ID);
-      void initHistoryManagerOnce().addHistoryEntry({
-        ts: Date.now(),
-        model: selectedModelSnapshot,
-        provider,
-        sysPromptId: systemPromptIdSnapshot,
-        sysPromptName: spObj?.name || 'Default',
-        sysPromptContent: systemPromptSnapshot,
-        diffText: diffTextSnapshot,
-        inputText: modelContentSnapshot,
-        outputText: modified,
-        inputFileName: tab.originalFileName || originalFileName || 'file.txt',
-        durationMs: tab.lastDurationMs,
-        tokenCount: tab.lastTokenCount
-      });
-    } catch { }
-
-    // If user is NOT viewing that tab, parse diff into the tab's hidden DOM cache now
-    // (so switching later is instant; no innerHTML parse on tab switch)
-    if (activeTabId !== tabId) {
-      const holder = ensureTabDiffDom(tab);
-      if (holder) holder.innerHTML = html;
-      updateTabRowFor(tab);
-      return;
-    }
-
-    // Only paint UI if user is still viewing that tab
-    if (activeTabId === tabId) {
-      outputEl.textContent = modified;
-      autoResizeIfExpanded(outputEl);
-      diffViewEl.innerHTML = html;
-      syncDiff2HtmlTheme();
-      requestAnimationFrame(() => {
-        computeDiffNavVisible();
-        updateDiffNavButtons();
-      });
-      errorEl.textContent = '';
-      downloadBtn.classList.remove('hidden');
-      copyBtn.classList.remove('hidden');
-      try { scheduleCopyOutputTopButtonUpdate(); } catch { }
-      try { scheduleGoOutputDiffButtonUpdate(); } catch { }
-    }
-
   } catch (error) {
-    if (tab.inFlightToken !== token) return;
-
-    if (_isAbortError(error) || tab.cancelRequested) {
-      tab.errorText = t('cancelApi.cancelled', 'Cancelled.');
-      tab.retryCount = 0;
-    } else {
-      tab.errorText = `Error: ${error.message}. `;
-      if (tab.retryCount < MAX_RETRIES) {
-        tab.retryCount++;
-        tab.errorText += `Retry ${tab.retryCount}/${MAX_RETRIES} available.`;
-      } else {
-        tab.errorText += 'Max retries reached.';
-      }
-    }
-
-    if (activeTabId === tabId) {
-      errorEl.textContent = tab.errorText;
-      if (tab.retryCount > 0 && tab.retryCount < MAX_RETRIES) retryBtn.classList.remove('hidden');
-      if (_isAbortError(error) || tab.cancelRequested) retryBtn.classList.add('hidden');
-    }
-
-    console.error(error);
+    _failTabRequest(tab, token, error);
   } finally {
-    // Only clear inFlight if this is still the current request for that tab
-    if (tab.inFlightToken === token) {
-      tab.inFlightToken = null;
-      tab.inFlight = false;
-      updateTabRowFor(tab); // fast spinner update
-    }
-    if (String(tab.abortToken || '') === String(token || '')) {
-      tab.abortToken = null;
-      tab.abortCtrl = null;
-    }
-
-    if (activeTabId === tabId) {
-      loadingEl.classList.add('hidden');
-      applyBtn.disabled = false;
-      if (cancelBtn) cancelBtn.disabled = true;
-      stopLoadingElapsedTimer({ clear: true });
-    }
+    releaseFirst();
+    _endTabRequest(tab, token);
   }
 }
 
@@ -3377,6 +5572,7 @@ function downloadResult() {
 }
 
 function copyOutput(btnOverride) {
+  if (getActiveTab()?.outputTruncated) return;
   const outputEl = document.getElementById('output');
   const text = String(outputEl?.textContent || '');
   if (!text) return;
@@ -3419,12 +5615,19 @@ document.getElementById('modelFile')?.addEventListener('change', async (e) => {
   setFilePickerName('model', file?.name || '');
   if (!file) return;
   const text = await file.text();
+  let loadedFile = null;
+  try {
+    const bytes = Buffer.from(await file.arrayBuffer());
+    // Electron provides `File.path` for <input type="file"> selections
+    if (file.path) loadedFile = { path: String(file.path), hash: _sha256Hex(bytes), textHash: _loadedTextHash(text) };
+  } catch { }
   document.getElementById('model').value = text;
   originalFileName = file.name;
   try { initTabsManagerOnce(); } catch { }
   const tab = getActiveTab?.();
   if (tab) {
     tab.modelText = text;
+    tab.loadedFile = loadedFile;
     tab.originalFileName = file.name;
     if (!tab.labelCustomized) {
       // CSS ellipsis will truncate visually to fit the sidebar
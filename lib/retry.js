@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Automatic retry for transient model request failures
+ * - Transient: 408, 409, 429, 5xx and network failures (connection reset, timeout, fetch failed)
+ * - Never retried: cancellation (AbortError), auth errors (401/403), other 4xx;
+ *   an "ERROR:" reply is a model answer, not a failure, so it never reaches this code
+ * - Delay: exponential backoff with jitter; a Retry-After header (seconds or HTTP date,
+ *   or OpenAI's retry-after-ms) wins when present. A server asking for a longer wait
+ *   than maxRetryAfterMs is not retried.
+ * - wait() is abortable and reports the remaining time (for a countdown)
+ */
+
+const RETRY_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+function _abortError() {
+  const err = new Error('Request was aborted.');
+  err.name = 'AbortError';
+  return err;
+}
+
+// Header lookup on a plain object (adapters, OpenAI SDK) or a Headers instance
+function _header(headers, name) {
+  if (!headers) return null;
+  try {
+    if (typeof headers.get === 'function') return headers.get(name);
+  } catch { }
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+function createRetryPolicy({
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  maxRetryAfterMs = 60000,
+  tickMs = 250,
+  random = Math.random,
+  now = () => Date.now()
+} = {}) {
+  function isAbort(err) {
+    return String(err?.name || '') === 'AbortError' || String(err?.cause?.name || '') === 'AbortError';
+  }
+
+  function isTransient(err) {
+    if (!err || isAbort(err)) return false;
+    const status = Number(err.status);
+    if (Number.isFinite(status) && status > 0) {
+      return RETRY_STATUSES.includes(status) || (status >= 500 && status < 600);
+    }
+    const codes = [err.code, err.cause?.code].map(c => String(c || '').toUpperCase());
+    if (codes.some(c => NETWORK_ERROR_CODES.includes(c))) return true;
+    const name = String(err.name || err.constructor?.name || '');
+    if (name === 'APIConnectionError' || name === 'APIConnectionTimeoutError') return true;
+    // fetch() rejects with a TypeError when the connection fails
+    const msg = String(err.message || '').toLowerCase();
+    return err instanceof TypeError && (msg.includes('fetch') || msg.includes('network'));
+  }
+
+  // Milliseconds the server asked us to wait, or null when it did not say
+  function retryAfterMs(err) {
+    const headers = err?.headers || err?.response?.headers;
+    const rawMs = _header(headers, 'retry-after-ms');
+    if (rawMs != null && String(rawMs).trim() !== '') {
+      const ms = Number(rawMs);
+      if (Number.isFinite(ms) && ms >= 0) return Math.round(ms);
+    }
+
+    const raw = String(_header(headers, 'retry-after') ?? '').trim();
+    if (!raw) return null;
+    if (/^\d+(\.\d+)?$/.test(raw)) return Math.round(Number(raw) * 1000);
+    const at = Date.parse(raw);
+    return Number.isFinite(at) ? Math.max(0, at - now()) : null;
+  }
+
+  // Delay before retry number `attempt` (1-based), or null when it should not be retried
+  function delayFor(attempt, err) {
+    if (attempt > maxRetries || !isTransient(err)) return null;
+    const asked = retryAfterMs(err);
+    if (asked != null) return asked > maxRetryAfterMs ? null : asked;
+    const exp = Math.min(maxDelayMs, baseDelayMs * (2 ** (attempt - 1)));
+    return Math.round(exp / 2 + random() * (exp / 2));
+  }
+
+  // Sleep that rejects with an AbortError; onTick(remainingMs) drives the countdown
+  function wait(ms, { signal, onTick } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) { reject(_abortError()); return; }
+      const until = now() + ms;
+      let timer = null;
+      let settled = false;
+      const done = (fn) => {
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener?.('abort', onAbort);
+        fn();
+      };
+      const onAbort = () => done(() => reject(_abortError()));
+      const tick = () => {
+        const left = until - now();
+        if (left <= 0) { done(resolve); return; }
+        try { onTick?.(left); } catch { }
+        if (settled) return; // onTick cancelled the wait
+        timer = setTimeout(tick, Math.min(tickMs, left));
+      };
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+      tick();
+    });
+  }
+
+  // run(fn) calls fn(attempt) until it resolves, fails for good or is aborted.
+  // onRetry({ attempt, max, delayMs, remainingMs, error }) fires on every countdown tick,
+  // and once with null when the wait is over. The final error carries .autoRetries.
+  async function run(fn, { signal, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (err) {
+        const delayMs = (signal?.aborted) ? null : delayFor(attempt + 1, err);
+        if (delayMs == null) {
+          if (attempt > 0 && err && typeof err === 'object') err.autoRetries = attempt;
+          throw err;
+        }
+        const info = { attempt: attempt + 1, max: maxRetries, delayMs, error: err };
+        try {
+          await wait(delayMs, { signal, onTick: (remainingMs) => onRetry?.({ ...info, remainingMs }) });
+        } finally {
+          try { onRetry?.(null); } catch { }
+        }
+      }
+    }
+  }
+
+  return {
+    maxRetries,
+    isTransient,
+    retryAfterMs,
+    delayFor,
+    wait,
+    run
+  };
+}
+
+module.exports = { createRetryPolicy, RETRY_STATUSES };
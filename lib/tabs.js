@@ -17,6 +17,10 @@ function createTabsManager(opts) {
     syncDiff2HtmlTheme,
     autoResizeIfExpanded,
     setModelTimeUi,
+    setOutputSourceUi,
+    setErrorHintsUi,
+    renderVerifyBanner,
+    syncMultiFileUi,
     updateSystemPromptButtonForTab,
     openTabRenameModal,
     openTabCloseModal,
@@ -221,13 +225,30 @@ function createTabsManager(opts) {
       diffHtml: '',
       diffDom: null,
       errorText: '',
+      errorHints: [],
+      verify: null,
       retryCount: 0,
+      retryWait: null,
+      fallbackModels: null,
       scrollTop: 0,
       requestSeq: 0,
       inFlightToken: null,
       inFlight: false,
       lastDurationMs: null,
       lastTokenCount: null,
+      lastTokensEstimated: false,
+      lastReasoningTokens: 0,
+      lastCost: null,
+      outputSource: '',
+      outputSourceNote: '',
+      outputSourceStats: null,
+      outputModel: '',
+      outputFallbackFrom: [],
+      outputTarget: null,
+      loadedFile: null,
+      outputTruncated: false,
+      projectRoot: '',
+      multiFile: null,
       diffTaExpanded: '0',
       diffTaCollapsedH: '',
       modelTaExpanded: '0',
@@ -329,8 +350,12 @@ function createTabsManager(opts) {
     restoreDiffDomFromTab(tab);
     if (typeof syncDiff2HtmlTheme === 'function') syncDiff2HtmlTheme();
     if (errEl) errEl.textContent = tab.errorText || '';
+    if (typeof setErrorHintsUi === 'function') setErrorHintsUi(tab);
+    if (typeof renderVerifyBanner === 'function') renderVerifyBanner(tab);
 
     if (typeof setModelTimeUi === 'function') setModelTimeUi(tab);
+    if (typeof setOutputSourceUi === 'function') setOutputSourceUi(tab);
+    if (typeof syncMultiFileUi === 'function') syncMultiFileUi(tab);
     if (typeof updateSystemPromptButtonForTab === 'function') updateSystemPromptButtonForTab(tab);
 
     if (typeof autoResizeIfExpanded === 'function') {
@@ -365,7 +390,8 @@ function createTabsManager(opts) {
     const downloadBtn = document.getElementById('download');
     const copyBtn = document.getElementById('copyBtn');
     const retryBtn = document.getElementById('retryBtn');
-    const hasOutput = !!(tab.modifiedText && tab.modifiedText.trim());
+    // Truncated output must not leave the app (no Download / Copy)
+    const hasOutput = !!(tab.modifiedText && tab.modifiedText.trim()) && !tab.outputTruncated;
     if (downloadBtn) downloadBtn.classList.toggle('hidden', !hasOutput);
     if (copyBtn) copyBtn.classList.toggle('hidden', !hasOutput);
 
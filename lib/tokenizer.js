@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Offline token counting
+ * - BPE encodings bundled with js-tiktoken (no network, no API call)
+ * - The encoding per model comes from the manifest "tokenizer" field (model, else provider)
+ * - Models without a known encoding fall back to ~4 chars per token
+ *
+ * Encoders are built lazily (the rank tables are large) and cached per encoding.
+ * Recent counts are memoized: the same file and diff are counted by the Confirm Apply
+ * estimate, the context preflight and the budget check of one Apply.
+ *
+ * BPE cost grows with the square of a piece's length, and a run without breaks (padding,
+ * "-----" rulers, minified or base64 blobs) is a single piece. Such runs are encoded in
+ * short chunks instead (identical chunks once), and past a per-call budget the remaining
+ * chunks use the chars-per-token rate, so counting never stalls the UI.
+ */
+
+const TOKENIZER_ENCODINGS = ['o200k_base', 'cl100k_base'];
+const TOKENIZER_CHARS_PER_TOKEN = 4;
+const TOKENIZER_MEMO_MAX = 16;
+const TOKENIZER_MEMO_MIN_CHARS = 4096; // shorter texts are cheaper to encode than to key
+const TOKENIZER_RUN_CHUNK = 64;         // long runs are encoded this many chars at a time
+const TOKENIZER_RUN_EXACT_MAX = 8192;   // run chars encoded exactly per call; the rest is estimated
+
+// Runs of one character class long enough to form one huge BPE piece
+const TOKENIZER_LONG_RUN_RE = new RegExp(
+  `\\s{${TOKENIZER_RUN_CHUNK},}(?!\\S)|[\\p{L}\\p{M}]{${TOKENIZER_RUN_CHUNK},}|[^\\s\\p{L}\\p{M}\\p{N}]{${TOKENIZER_RUN_CHUNK},}`,
+  'gu'
+);
+
+// Chat formatting overhead (role/separators), as in OpenAI's counting recipe
+const TOKENIZER_OVERHEAD_PER_MSG = 4;
+const TOKENIZER_FINAL_OVERHEAD = 2;
+
+function createTokenizer({ encodingForModel } = {}) {
+  const encoders = new Map(); // encoding name -> Tiktoken | null (failed to load)
+  const memo = new Map();     // encoding name -> Map(text -> count), oldest first
+
+  function _encoder(name) {
+    if (!TOKENIZER_ENCODINGS.includes(name)) return null;
+    if (encoders.has(name)) return encoders.get(name);
+    let enc = null;
+    try {
+      const { Tiktoken } = require('js-tiktoken/lite');
+      enc = new Tiktoken(require(`js-tiktoken/ranks/${name}`));
+    } catch {
+      enc = null;
+    }
+    encoders.set(name, enc);
+    return enc;
+  }
+
+  function encodingFor(model) {
+    let name = '';
+    try { name = String(encodingForModel?.(model) || '').trim(); } catch { }
+    return TOKENIZER_ENCODINGS.includes(name) ? name : '';
+  }
+
+  function _memoFor(name) {
+    if (!memo.has(name)) memo.set(name, new Map());
+    return memo.get(name);
+  }
+
+  function _heuristic(s) {
+    return Math.max(1, Math.ceil(s.length / TOKENIZER_CHARS_PER_TOKEN));
+  }
+
+  // Ordinary text is encoded as is; long runs chunk by chunk (see the header)
+  function _encodeCount(enc, s) {
+    let total = 0;
+    let from = 0;
+    let exactLeft = TOKENIZER_RUN_EXACT_MAX;
+    const chunks = new Map(); // chunk -> count (a run of one character repeats itself)
+    const plain = (str) => (str ? enc.encode(str, [], []).length : 0);
+
+    for (const m of s.matchAll(TOKENIZER_LONG_RUN_RE)) {
+      total += plain(s.slice(from, m.index));
+      from = m.index + m[0].length;
+      for (let i = 0; i < m[0].length; i += TOKENIZER_RUN_CHUNK) {
+        const chunk = m[0].slice(i, i + TOKENIZER_RUN_CHUNK);
+        if (!chunks.has(chunk)) {
+          const exact = exactLeft > 0;
+          exactLeft -= exact ? chunk.length : 0;
+          chunks.set(chunk, exact ? plain(chunk) : _heuristic(chunk));
+        }
+        total += chunks.get(chunk);
+      }
+    }
+    return total + plain(s.slice(from));
+  }
+
+  // Exact when the model has an encoding (and it loads), heuristic otherwise.
+  function countText(text, model) {
+    const s = String(text || '');
+    if (!s) return 0;
+    const name = encodingFor(model);
+    const enc = _encoder(name);
+    if (enc) {
+      const cache = s.length >= TOKENIZER_MEMO_MIN_CHARS ? _memoFor(name) : null;
+      if (cache?.has(s)) return cache.get(s);
+      try {
+        // Special-token strings in user text are plain text here, not control tokens
+        const n = _encodeCount(enc, s);
+        if (cache) {
+          cache.set(s, n);
+          if (cache.size > TOKENIZER_MEMO_MAX) cache.delete(cache.keys().next().value);
+        }
+        return n;
+      } catch { }
+    }
+    return _heuristic(s);
+  }
+
+  function countChat(messages, model) {
+    const msgs = Array.isArray(messages) ? messages : [];
+    let total = TOKENIZER_FINAL_OVERHEAD;
+    for (const m of msgs) {
+      total += TOKENIZER_OVERHEAD_PER_MSG;
+      total += countText(m?.content || '', model);
+    }
+    return total;
+  }
+
+  return {
+    encodingFor,
+    countText,
+    countChat
+  };
+}
+
+module.exports = { createTokenizer, TOKENIZER_ENCODINGS };
@@ -0,0 +1,430 @@
+'use strict';
+
+/**
+ * Usage view: spend per day / week / month, by provider and model
+ * - Built from saved history (one record per model run; see history.listUsageRecords)
+ * - Cost = what the entry recorded at run time (manifest pricing); entries from before
+ *   costs were recorded are priced now from tokenCount (prompt/completion split estimated)
+ * - Stacked bar chart (SVG, one color per provider) + breakdown table + CSV export
+ *
+ * Local applies never reach a model; they are counted but cost nothing.
+ */
+
+const USAGE_CHART_BUCKETS = { day: 30, week: 12, month: 12 };
+const USAGE_CHARS_PER_TOKEN = 4; // legacy entries: cost estimated from character counts
+const USAGE_PROVIDER_COLORS = ['#4e79a7', '#f28e2b', '#59a14f', '#e15759', '#76b7b2', '#edc948', '#b07aa1'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function createUsageManager({
+  document,
+  t,
+  tFmt,
+  overlayMgr,
+  listRecords,
+  costForUsage,
+  formatCost,
+  saveCsv,
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createUsageManager: document is required');
+
+  const el = {
+    overlayId: ids.overlayId || 'usageOverlay',
+    titleId: ids.titleId || 'usageTitle',
+    closeBtnId: ids.closeBtnId || 'usageCloseBtn',
+    okBtnId: ids.okBtnId || 'usageOkBtn',
+    hintId: ids.hintId || 'usageHint',
+    groupingId: ids.groupingId || 'usageGrouping',
+    groupingLabelId: ids.groupingLabelId || 'usageGroupingLabel',
+    totalsId: ids.totalsId || 'usageTotals',
+    chartId: ids.chartId || 'usageChart',
+    tableId: ids.tableId || 'usageTable',
+    exportBtnId: ids.exportBtnId || 'usageExportBtn'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+  let grouping = 'month';
+  let records = [];
+  let loading = false;
+
+  // -------------------------
+  // Records -> priced runs
+  // -------------------------
+  function _priceRecord(r) {
+    const run = {
+      ts: r.ts,
+      provider: r.provider || '?',
+      model: r.model || '?',
+      local: r.source === 'local',
+      tokens: Number.isFinite(r.tokenCount) ? r.tokenCount : 0,
+      cost: Number.isFinite(r.cost) ? r.cost : null,
+      estimated: !!r.costEstimated
+    };
+    if (run.local) { run.cost = 0; return run; }
+    if (r.legacy && run.tokens > 0) {
+      const promptTokens = Math.min(run.tokens, Math.ceil((r.promptChars || 0) / USAGE_CHARS_PER_TOKEN));
+      const usd = costForUsage?.(r.model, { promptTokens, completionTokens: run.tokens - promptTokens });
+      run.cost = Number.isFinite(usd) ? usd : null;
+      run.estimated = true;
+    }
+    return run;
+  }
+
+  // { ts, provider, model, local, tokens, cost (null = no pricing), estimated } per record
+  function priceRecords(list) {
+    return (list || []).map(_priceRecord);
+  }
+
+  // -------------------------
+  // Periods (local time)
+  // -------------------------
+  function _pad2(n) { return String(n).padStart(2, '0'); }
+  function _dayKey(d) { return `${d.getFullYear()}-${_pad2(d.getMonth() + 1)}-${_pad2(d.getDate())}`; }
+
+  // day: YYYY-MM-DD, week: YYYY-MM-DD of its Monday, month: YYYY-MM
+  function periodKey(ts, g = grouping) {
+    const d = new Date(ts);
+    if (g === 'month') return `${d.getFullYear()}-${_pad2(d.getMonth() + 1)}`;
+    if (g === 'week') {
+      const monday = new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+      return _dayKey(monday);
+    }
+    return _dayKey(d);
+  }
+
+  // The last n periods up to now, oldest first
+  function _recentPeriods(g, n, now = Date.now()) {
+    const keys = [];
+    const d = new Date(now);
+    for (let i = n - 1; i >= 0; i--) {
+      let at;
+      if (g === 'month') at = new Date(d.getFullYear(), d.getMonth() - i, 1);
+      else if (g === 'week') at = new Date(d.getFullYear(), d.getMonth(), d.getDate() - 7 * i);
+      else at = new Date(d.getFullYear(), d.getMonth(), d.getDate() - i);
+      keys.push(periodKey(at.getTime(), g));
+    }
+    return keys;
+  }
+
+  // -------------------------
+  // Aggregation
+  // -------------------------
+  // rows: one per period + provider + model, newest period first, then by cost
+  function aggregate(runs, g = grouping) {
+    const rows = new Map();
+    for (const run of runs) {
+      if (run.local) continue;
+      const period = periodKey(run.ts, g);
+      const key = `${period}\n${run.provider}\n${run.model}`;
+      let row = rows.get(key);
+      if (!row) {
+        row = { period, provider: run.provider, model: run.model, runs: 0, tokens: 0, cost: 0, estimatedRuns: 0, unpricedRuns: 0 };
+        rows.set(key, row);
+      }
+      row.runs++;
+      row.tokens += run.tokens;
+      if (Number.isFinite(run.cost)) row.cost += run.cost;
+      else row.unpricedRuns++;
+      if (run.estimated) row.estimatedRuns++;
+    }
+    return [...rows.values()].sort((a, b) => (a.period < b.period ? 1 : a.period > b.period ? -1 : b.cost - a.cost));
+  }
+
+  function _sum(rows) {
+    const s = { runs: 0, tokens: 0, cost: 0, estimatedRuns: 0, unpricedRuns: 0 };
+    for (const r of rows) {
+      s.runs += r.runs;
+      s.tokens += r.tokens;
+      s.cost += r.cost;
+      s.estimatedRuns += r.estimatedRuns;
+      s.unpricedRuns += r.unpricedRuns;
+    }
+    return s;
+  }
+
+  function _fmtCost(usd) {
+    return formatCost ? formatCost(usd) : `$${usd.toFixed(2)}`;
+  }
+
+  // -------------------------
+  // Rendering
+  // -------------------------
+  function _renderTotals(runs, allRows, rangeRows) {
+    const box = _byId(el.totalsId);
+    if (!box) return;
+    const range = _sum(rangeRows);
+    const all = _sum(allRows);
+    const localCount = runs.filter(r => r.local).length;
+    const lines = [
+      tFmt(
+        `usage.rangeTotalFmt.${grouping}`,
+        { cost: _fmtCost(range.cost), runs: String(range.runs), n: String(USAGE_CHART_BUCKETS[grouping]) },
+        `Last ${USAGE_CHART_BUCKETS[grouping]} ${grouping}s: ${_fmtCost(range.cost)} over ${range.runs} model run(s)`
+      ),
+      tFmt('usage.allTotalFmt', { cost: _fmtCost(all.cost), runs: String(all.runs) }, `All saved history: ${_fmtCost(all.cost)} over ${all.runs} model run(s)`)
+    ];
+    const notes = [];
+    if (all.estimatedRuns) notes.push(tFmt('usage.estimatedRunsFmt', { n: String(all.estimatedRuns) }, `${all.estimatedRuns} run(s) with estimated tokens`));
+    if (all.unpricedRuns) notes.push(tFmt('usage.unpricedRunsFmt', { n: String(all.unpricedRuns) }, `${all.unpricedRuns} run(s) without pricing (not counted)`));
+    if (localCount) notes.push(tFmt('usage.localRunsFmt', { n: String(localCount) }, `${localCount} local apply(s) (free)`));
+    if (notes.length) lines.push(notes.join(' · '));
+
+    box.replaceChildren(...lines.map((line, i) => {
+      const div = document.createElement('div');
+      div.className = i === 0 ? 'usage-total-main' : 'usage-total-line';
+      div.textContent = line;
+      return div;
+    }));
+  }
+
+  function _providerColors(rows) {
+    const providers = [...new Set(rows.map(r => r.provider))].sort();
+    const colors = new Map();
+    providers.forEach((p, i) => colors.set(p, USAGE_PROVIDER_COLORS[i % USAGE_PROVIDER_COLORS.length]));
+    return colors;
+  }
+
+  function _svg(tag, attrs = {}) {
+    const node = document.createElementNS(SVG_NS, tag);
+    for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, String(v));
+    return node;
+  }
+
+  function _renderChart(periods, rangeRows, colors) {
+    const wrap = _byId(el.chartId);
+    if (!wrap) return;
+
+    const byPeriod = new Map(periods.map(p => [p, new Map()]));
+    for (const r of rangeRows) {
+      const m = byPeriod.get(r.period);
+      if (m) m.set(r.provider, (m.get(r.provider) || 0) + r.cost);
+    }
+    const totals = periods.map(p => [...byPeriod.get(p).values()].reduce((a, b) => a + b, 0));
+    const max = Math.max(0, ...totals);
+
+    const W = 600;
+    const H = 180;
+    const padL = 8;
+    const padB = 18;
+    const padT = 14;
+    const slot = (W - padL) / periods.length;
+    const barW = Math.max(2, slot * 0.7);
+    const plotH = H - padB - padT;
+
+    const svg = _svg('svg', { viewBox: `0 0 ${W} ${H}`, class: 'usage-chart-svg', role: 'img' });
+    svg.setAttribute('aria-label', t('usage.chartAria', 'Spend per period by provider'));
+    svg.appendChild(_svg('line', { x1: padL, y1: H - padB, x2: W, y2: H - padB, class: 'usage-axis' }));
+
+    periods.forEach((p, i) => {
+      const x = padL + i * slot + (slot - barW) / 2;
+      let y = H - padB;
+      for (const [provider, cost] of byPeriod.get(p)) {
+        if (!(cost > 0) || !(max > 0)) continue;
+        const h = Math.max(1, (cost / max) * plotH);
+        y -= h;
+        const rect = _svg('rect', { x, y, width: barW, height: h, fill: colors.get(provider) || '#888' });
+        const title = _svg('title');
+        title.textContent = `${p} · ${provider}: ${_fmtCost(cost)}`;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+      }
+      // Label first, last and every few periods so labels do not collide
+      const every = Math.ceil(periods.length / 6);
+      if (i === 0 || i === periods.length - 1 || i % every === 0) {
+        const label = _svg('text', { x: x + barW / 2, y: H - 4, 'text-anchor': 'middle', class: 'usage-label' });
+        label.textContent = grouping === 'month' ? p : p.slice(5);
+        svg.appendChild(label);
+      }
+    });
+    if (max > 0) {
+      const top = _svg('text', { x: padL, y: 10, class: 'usage-label' });
+      top.textContent = tFmt('usage.chartMaxFmt', { cost: _fmtCost(max) }, `max ${_fmtCost(max)}`);
+      svg.appendChild(top);
+    }
+
+    const legend = document.createElement('div');
+    legend.className = 'usage-legend';
+    for (const [provider, color] of colors) {
+      const item = document.createElement('span');
+      item.className = 'usage-legend-item';
+      const sw = document.createElement('span');
+      sw.className = 'usage-swatch';
+      sw.style.background = color;
+      item.appendChild(sw);
+      item.appendChild(document.createTextNode(provider));
+      legend.appendChild(item);
+    }
+
+    wrap.replaceChildren(svg, legend);
+  }
+
+  function _renderTable(rows) {
+    const wrap = _byId(el.tableId);
+    if (!wrap) return;
+    if (!rows.length) {
+      const empty = document.createElement('div');
+      empty.className = 'usage-empty';
+      empty.textContent = t('usage.empty', 'No model runs in this range.');
+      wrap.replaceChildren(empty);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'usage-table';
+    const head = document.createElement('tr');
+    const cols = [
+      t(`usage.col.period.${grouping}`, grouping === 'week' ? 'Week of' : grouping === 'month' ? 'Month' : 'Day'),
+      t('usage.col.provider', 'Provider'),
+      t('usage.col.model', 'Model'),
+      t('usage.col.runs', 'Runs'),
+      t('usage.col.tokens', 'Tokens'),
+      t('usage.col.cost', 'Cost')
+    ];
+    for (const c of cols) {
+      const th = document.createElement('th');
+      th.textContent = c;
+      head.appendChild(th);
+    }
+    const thead = document.createElement('thead');
+    thead.appendChild(head);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    for (const r of rows) {
+      const tr = document.createElement('tr');
+      let cost = _fmtCost(r.cost);
+      if (r.estimatedRuns) cost += ' *';
+      if (r.unpricedRuns) cost += ` (${tFmt('usage.unpricedShortFmt', { n: String(r.unpricedRuns) }, `${r.unpricedRuns} unpriced`)})`;
+      for (const v of [r.period, r.provider, r.model, String(r.runs), String(r.tokens), cost]) {
+        const td = document.createElement('td');
+        td.textContent = v;
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+
+    const foot = document.createElement('div');
+    foot.className = 'usage-footnote';
+    foot.textContent = t('usage.estimatedNote', '* includes runs whose token counts or cost were estimated');
+    wrap.replaceChildren(table, foot);
+  }
+
+  function render() {
+    const hint = _byId(el.hintId);
+    if (hint) {
+      hint.textContent = loading
+        ? t('usage.loading', 'Loading history…')
+        : tFmt('usage.hintFmt', { n: String(records.length) }, `Built from saved history (${records.length} entries; the oldest are dropped when history reaches its limit). Costs use model_manifest.json pricing.`);
+    }
+    const exportBtn = _byId(el.exportBtnId);
+    if (exportBtn) exportBtn.disabled = loading || !records.length;
+    if (loading) return;
+
+    const runs = records.map(_priceRecord);
+    const allRows = aggregate(runs, grouping);
+    const periods = _recentPeriods(grouping, USAGE_CHART_BUCKETS[grouping]);
+    const inRange = new Set(periods);
+    const rangeRows = allRows.filter(r => inRange.has(r.period));
+
+    _renderTotals(runs, allRows, rangeRows);
+    _renderChart(periods, rangeRows, _providerColors(allRows));
+    _renderTable(rangeRows);
+  }
+
+  // -------------------------
+  // CSV export (every period in saved history, current grouping)
+  // -------------------------
+  function _csvField(v) {
+    const s = String(v ?? '');
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function buildCsv(g = grouping) {
+    const rows = aggregate(records.map(_priceRecord), g);
+    const periodCol = g === 'week' ? 'week_start' : g;
+    const lines = [[periodCol, 'provider', 'model', 'runs', 'tokens', 'cost_usd', 'estimated_runs', 'unpriced_runs'].join(',')];
+    for (const r of rows) {
+      lines.push([r.period, r.provider, r.model, r.runs, r.tokens, r.cost.toFixed(6), r.estimatedRuns, r.unpricedRuns].map(_csvField).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  async function exportCsv() {
+    if (!records.length) return;
+    const stamp = _dayKey(new Date()).replace(/-/g, '');
+    try {
+      await saveCsv?.({ filename: `AI-Diff-Usage-${grouping}-${stamp}.csv`, text: buildCsv() });
+    } catch { }
+  }
+
+  // -------------------------
+  // Overlay
+  // -------------------------
+  async function open() {
+    loading = true;
+    render();
+    overlayMgr?.open?.(el.overlayId);
+    try {
+      records = (await listRecords?.()) || [];
+    } catch {
+      records = [];
+    }
+    loading = false;
+    render();
+  }
+
+  function close({ force = false } = {}) {
+    overlayMgr?.close?.(el.overlayId, { force });
+  }
+
+  function applyI18n() {
+    const title = _byId(el.titleId);
+    const closeBtn = _byId(el.closeBtnId);
+    const okBtn = _byId(el.okBtnId);
+    const exportBtn = _byId(el.exportBtnId);
+    const groupingLabel = _byId(el.groupingLabelId);
+    const sel = _byId(el.groupingId);
+    if (title) title.textContent = t('usage.title', 'Usage');
+    if (closeBtn) closeBtn.setAttribute('aria-label', t('usage.closeAria', 'Close usage'));
+    if (okBtn) okBtn.textContent = t('usage.close', 'Close');
+    if (exportBtn) exportBtn.textContent = t('usage.exportCsv', 'Export CSV');
+    if (groupingLabel) groupingLabel.textContent = t('usage.groupBy', 'Group by:');
+    if (sel) {
+      const labels = { day: t('usage.day', 'Day'), week: t('usage.week', 'Week'), month: t('usage.month', 'Month') };
+      for (const opt of sel.options) if (labels[opt.value]) opt.textContent = labels[opt.value];
+    }
+    try { render(); } catch { }
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    const sel = _byId(el.groupingId);
+    if (sel) {
+      sel.value = grouping;
+      sel.addEventListener('change', () => {
+        grouping = USAGE_CHART_BUCKETS[sel.value] ? sel.value : 'month';
+        render();
+      });
+    }
+    _byId(el.closeBtnId)?.addEventListener('click', () => close());
+    _byId(el.okBtnId)?.addEventListener('click', () => close());
+    _byId(el.exportBtnId)?.addEventListener('click', () => { void exportCsv(); });
+    applyI18n();
+  }
+
+  return {
+    open,
+    close,
+    periodKey,
+    priceRecords,
+    aggregate,
+    buildCsv,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createUsageManager };
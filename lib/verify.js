@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Output review ("unexpected-change guard")
+ * - Banner above the diff view summarizing patcher.verifyOutput():
+ *   requested hunks missing / partly applied, and changes outside every hunk
+ * - Review checklist: one tickable item per finding (state kept on the tab)
+ * - Highlights unexpected changes in the diff2html side-by-side view
+ *
+ * A tab's review lives in tab.verify = { result, checked: { [key]: true } }.
+ */
+
+function createVerifyManager({
+  document,
+  t,
+  tFmt,
+  getActiveTab,
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createVerifyManager: document is required');
+
+  const el = {
+    bannerId: ids.bannerId || 'verifyBanner',
+    diffViewId: ids.diffViewId || 'diffView'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+
+  // -------------------------
+  // Findings
+  // -------------------------
+  function _findings(result) {
+    const items = [];
+    for (const h of (result?.hunks || [])) {
+      if (h.status === 'applied') continue;
+      const where = h.line ? tFmt('verify.atLineFmt', { line: String(h.line) }, `line ${h.line}`) : h.header;
+      let text = '';
+      if (h.status === 'missing') {
+        text = tFmt('verify.hunkMissingFmt', { where }, `Requested change not found in output (${where})`);
+      } else if (h.status === 'partial') {
+        text = tFmt('verify.hunkPartialFmt', { where, n: String(h.missingLines.length) }, `Requested change only partly applied (${where}, ${h.missingLines.length} added line(s) missing)`);
+      } else {
+        text = tFmt('verify.hunkUnlocatedFmt', { where: h.header }, `Could not locate requested hunk ${h.header} in the original file`);
+      }
+      items.push({ key: `h${h.index}`, kind: h.status, text, preview: h.missingLines?.[0] ? `+${h.missingLines[0]}` : h.preview });
+    }
+    (result?.unexpected || []).forEach((u, i) => {
+      const line = u.newLines ? u.newStart : u.oldStart;
+      const text = tFmt('verify.unexpectedFmt', { line: String(line) }, `Change outside the patch's hunks (line ${line})`);
+      items.push({ key: `u${i}`, kind: 'unexpected', text, preview: u.preview, changeIndex: i });
+    });
+    return items;
+  }
+
+  // -------------------------
+  // Banner
+  // -------------------------
+  function renderBanner(tab = getActiveTab?.()) {
+    const banner = _byId(el.bannerId);
+    if (!banner) return;
+
+    const result = tab?.verify?.result;
+    if (!result || !result.ok) {
+      banner.replaceChildren();
+      banner.classList.add('hidden');
+      return;
+    }
+
+    const items = _findings(result);
+    const total = result.hunks.length;
+    const applied = result.hunks.filter(h => h.status === 'applied').length;
+    const checked = tab.verify.checked || {};
+
+    const head = document.createElement('div');
+    head.className = 'verify-head';
+    if (!items.length) {
+      head.textContent = tFmt('verify.allGoodFmt', { total: String(total) }, `Review: all ${total} requested hunk(s) found in the output; no changes outside them.`);
+    } else {
+      head.textContent = tFmt(
+        'verify.summaryFmt',
+        { applied: String(applied), total: String(total), unexpected: String(result.unexpected.length) },
+        `Review before trusting this output: ${applied}/${total} requested hunk(s) applied, ${result.unexpected.length} change(s) outside the patch.`
+      );
+    }
+
+    const frag = document.createDocumentFragment();
+    frag.appendChild(head);
+
+    if (items.length) {
+      const list = document.createElement('ul');
+      list.className = 'verify-list';
+      for (const it of items) {
+        const li = document.createElement('li');
+        li.className = `verify-item kind-${it.kind}`;
+        li.classList.toggle('checked', !!checked[it.key]);
+
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.checked = !!checked[it.key];
+        cb.dataset.verifyKey = it.key;
+        cb.setAttribute('aria-label', t('verify.reviewedAria', 'Reviewed'));
+
+        const txt = document.createElement(Number.isInteger(it.changeIndex) ? 'button' : 'span');
+        txt.className = 'verify-text';
+        txt.textContent = it.text;
+        if (Number.isInteger(it.changeIndex)) {
+          txt.type = 'button';
+          txt.dataset.verifyChange = String(it.changeIndex);
+          txt.title = t('verify.showInDiff', 'Show in diff');
+        }
+
+        li.appendChild(cb);
+        li.appendChild(txt);
+        if (it.preview) {
+          const code = document.createElement('code');
+          code.className = 'verify-preview';
+          code.textContent = it.preview;
+          li.appendChild(code);
+        }
+        list.appendChild(li);
+      }
+      frag.appendChild(list);
+    }
+
+    banner.replaceChildren(frag);
+    banner.classList.toggle('is-ok', !items.length);
+    banner.classList.toggle('all-checked', !!items.length && items.every(it => checked[it.key]));
+    banner.classList.remove('hidden');
+  }
+
+  // -------------------------
+  // Diff view highlight (diff2html side-by-side: left = original, right = output)
+  // -------------------------
+  function highlight(container, result) {
+    if (!container || !result?.ok || !result.unexpected?.length) return;
+    const sides = container.querySelectorAll('.d2h-file-side-diff');
+    if (sides.length < 2) return;
+
+    const mark = (side, start, count, idx) => {
+      if (!count) return;
+      for (const num of side.querySelectorAll('.d2h-code-side-linenumber')) {
+        const n = parseInt(String(num.textContent || '').trim(), 10);
+        if (!Number.isFinite(n) || n < start || n >= start + count) continue;
+        const row = num.closest('tr');
+        if (!row) continue;
+        row.classList.add('verify-unexpected');
+        if (!row.dataset.verifyChange) row.dataset.verifyChange = String(idx);
+      }
+    };
+    result.unexpected.forEach((u, i) => {
+      mark(sides[0], u.oldStart, u.oldLines, i);
+      mark(sides[1], u.newStart, u.newLines, i);
+    });
+  }
+
+  function scrollToChange(idx) {
+    const row = _byId(el.diffViewId)?.querySelector(`tr[data-verify-change="${Number(idx)}"]`);
+    if (!row) return;
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    row.classList.add('diff-nav-flash');
+    setTimeout(() => row.classList.remove('diff-nav-flash'), 700);
+  }
+
+  function applyI18n() {
+    try { renderBanner(); } catch { }
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+    const banner = _byId(el.bannerId);
+    if (!banner) return;
+
+    banner.addEventListener('change', (e) => {
+      const key = e.target?.dataset?.verifyKey;
+      const tab = getActiveTab?.();
+      if (!key || !tab?.verify) return;
+      tab.verify.checked = { ...(tab.verify.checked || {}), [key]: !!e.target.checked };
+      renderBanner(tab);
+    });
+    banner.addEventListener('click', (e) => {
+      const btn = e.target?.closest?.('[data-verify-change]');
+      if (btn) scrollToChange(btn.dataset.verifyChange);
+    });
+  }
+
+  return {
+    renderBanner,
+    highlight,
+    scrollToChange,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createVerifyManager };
@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * "Apply to file" + "Revert last write" (per tab)
+ * - Writes the output over the original file (atomic write + backup live in main:
+ *   'output:applyToFile' / 'output:revertWrite')
+ * - Remembers the last write on the tab (tab.lastWrite) so it can be undone
+ * - Buttons follow the Download button: no downloadable output => no Apply to file
+ *
+ * renderer.js decides what the target is (single file vs selected multi-file entry)
+ * through getTargetForTab(tab) -> { path, text, allowCreate, mustNotExist, sourceHash }; main
+ * refuses to overwrite a file that changed after the output was made from it, or one that
+ * was planned as new and exists now.
+ */
+
+function createWriteBackManager({
+  document,
+  ipcRenderer,
+  path,
+  t,
+  tFmt,
+  getActiveTab,
+  getTargetForTab,
+  ids = {}
+} = {}) {
+  if (!document) throw new Error('createWriteBackManager: document is required');
+
+  const el = {
+    applyBtnId: ids.applyBtnId || 'applyToFileBtn',
+    revertBtnId: ids.revertBtnId || 'revertWriteBtn',
+    statusId: ids.statusId || 'writeBackStatus',
+    downloadBtnId: ids.downloadBtnId || 'download',
+    outputId: ids.outputId || 'output'
+  };
+  const _byId = (id) => document.getElementById(id);
+  let wired = false;
+  let busy = false;
+  let syncRaf = null;
+
+  function _target(tab) {
+    try {
+      const tg = getTargetForTab?.(tab) || null;
+      const p = String(tg?.path || '').trim();
+      if (!p) return null;
+      return {
+        path: p,
+        text: String(tg.text || ''),
+        allowCreate: !!tg.allowCreate,
+        mustNotExist: !!tg.mustNotExist,
+        sourceHash: String(tg.sourceHash || '')
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  function _baseName(p) {
+    try { return path.basename(String(p || '')); } catch { return String(p || ''); }
+  }
+
+  function _reasonText(reason) {
+    const map = {
+      no_path: t('writeBack.reason.noPath', 'no original file path for this output'),
+      not_a_file: t('writeBack.reason.notAFile', 'target is not a regular file'),
+      missing: t('writeBack.reason.missing', 'original file no longer exists'),
+      no_backup: t('writeBack.reason.noBackup', 'backup is missing'),
+      changed_since_write: t('writeBack.reason.changed', 'file was modified after it was written; not reverting'),
+      source_changed: t('writeBack.reason.sourceChanged', 'file has changed since this output was made from it'),
+      exists: t('writeBack.reason.exists', 'file was new when the changes were planned but exists now'),
+      not_utf8: t('writeBack.reason.notUtf8', 'file is not UTF-8 text; writing it would change its encoding'),
+      write_failed: t('writeBack.reason.writeFailed', 'could not write the file')
+    };
+    return map[reason] || map.write_failed;
+  }
+
+  // -------------------------
+  // UI
+  // -------------------------
+  function syncUi(tab = getActiveTab?.()) {
+    const applyBtn = _byId(el.applyBtnId);
+    const revertBtn = _byId(el.revertBtnId);
+    const statusEl = _byId(el.statusId);
+    const downloadBtn = _byId(el.downloadBtnId);
+
+    const canDownload = !!downloadBtn && !downloadBtn.classList.contains('hidden');
+    const target = tab ? _target(tab) : null;
+    if (applyBtn) {
+      applyBtn.classList.toggle('hidden', !(canDownload && target));
+      applyBtn.disabled = busy;
+      applyBtn.title = target ? target.path : '';
+    }
+
+    const lw = tab?.lastWrite || null;
+    if (revertBtn) {
+      revertBtn.classList.toggle('hidden', !lw);
+      revertBtn.disabled = busy;
+      revertBtn.title = lw ? (lw.backupPath || lw.path) : '';
+    }
+
+    if (statusEl) {
+      const msg = String(tab?.writeBackStatus || '');
+      statusEl.textContent = msg;
+      statusEl.classList.toggle('hidden', !msg);
+      statusEl.classList.toggle('is-error', !!tab?.writeBackIsError);
+    }
+  }
+
+  function scheduleSync() {
+    if (syncRaf) return;
+    syncRaf = requestAnimationFrame(() => {
+      syncRaf = null;
+      syncUi();
+    });
+  }
+
+  function _setStatus(tab, msg, isError = false) {
+    tab.writeBackStatus = String(msg || '');
+    tab.writeBackIsError = !!isError;
+  }
+
+  // -------------------------
+  // Actions
+  // -------------------------
+  async function applyToFile(tab = getActiveTab?.()) {
+    if (!tab || busy) return;
+    const target = _target(tab);
+    if (!target) return;
+
+    busy = true;
+    syncUi(tab);
+    try {
+      const res = await ipcRenderer.invoke('output:applyToFile', {
+        path: target.path,
+        text: target.text,
+        allowCreate: target.allowCreate,
+        mustNotExist: target.mustNotExist,
+        sourceHash: target.sourceHash
+      });
+      const name = _baseName(target.path);
+      if (!res?.ok) {
+        _setStatus(tab, tFmt('writeBack.failedFmt', { name, reason: _reasonText(res?.reason) }, `Not written to ${name}: ${_reasonText(res?.reason)}`), true);
+        return;
+      }
+      tab.lastWrite = {
+        path: String(res.path || target.path),
+        backupPath: String(res.backupPath || ''),
+        created: !!res.created,
+        hash: String(res.hash || ''),
+        ts: Number(res.ts) || Date.now()
+      };
+      _setStatus(tab, res.created
+        ? tFmt('writeBack.createdFmt', { name }, `Created ${name}`)
+        : tFmt('writeBack.writtenFmt', { name }, `Written to ${name} (backup kept)`));
+    } catch {
+      _setStatus(tab, tFmt('writeBack.failedFmt', { name: _baseName(target.path), reason: _reasonText('write_failed') }, `Not written to ${_baseName(target.path)}: ${_reasonText('write_failed')}`), true);
+    } finally {
+      busy = false;
+      syncUi();
+    }
+  }
+
+  async function revertLastWrite(tab = getActiveTab?.()) {
+    const lw = tab?.lastWrite;
+    if (!lw || busy) return;
+
+    busy = true;
+    syncUi(tab);
+    const name = _baseName(lw.path);
+    try {
+      const res = await ipcRenderer.invoke('output:revertWrite', {
+        path: lw.path,
+        backupPath: lw.backupPath,
+        created: lw.created,
+        hash: lw.hash
+      });
+      if (!res?.ok) {
+        _setStatus(tab, tFmt('writeBack.revertFailedFmt', { name, reason: _reasonText(res?.reason) }, `Could not revert ${name}: ${_reasonText(res?.reason)}`), true);
+        return;
+      }
+      tab.lastWrite = null;
+      _setStatus(tab, res.removed
+        ? tFmt('writeBack.removedFmt', { name }, `Removed ${name}`)
+        : tFmt('writeBack.revertedFmt', { name }, `Restored ${name} from backup`));
+    } catch {
+      _setStatus(tab, tFmt('writeBack.revertFailedFmt', { name, reason: _reasonText('write_failed') }, `Could not revert ${name}: ${_reasonText('write_failed')}`), true);
+    } finally {
+      busy = false;
+      syncUi();
+    }
+  }
+
+  function applyI18n() {
+    const applyBtn = _byId(el.applyBtnId);
+    const revertBtn = _byId(el.revertBtnId);
+    if (applyBtn) applyBtn.textContent = t('writeBack.apply', 'Apply to file');
+    if (revertBtn) revertBtn.textContent = t('writeBack.revert', 'Revert last write');
+    syncUi();
+  }
+
+  function wireDomEvents() {
+    if (wired) return;
+    wired = true;
+
+    _byId(el.applyBtnId)?.addEventListener('click', () => { void applyToFile(); });
+    _byId(el.revertBtnId)?.addEventListener('click', () => { void revertLastWrite(); });
+
+    // Follow the Download button + output (tab switch, apply completion, multi-file selection)
+    try {
+      const mo = new MutationObserver(scheduleSync);
+      const downloadBtn = _byId(el.downloadBtnId);
+      const outputEl = _byId(el.outputId);
+      if (downloadBtn) mo.observe(downloadBtn, { attributes: true, attributeFilter: ['class'] });
+      if (outputEl) mo.observe(outputEl, { childList: true, subtree: true, characterData: true });
+    } catch { }
+
+    applyI18n();
+  }
+
+  return {
+    syncUi,
+    scheduleSync,
+    applyToFile,
+    revertLastWrite,
+    applyI18n,
+    wireDomEvents
+  };
+}
+
+module.exports = { createWriteBackManager };
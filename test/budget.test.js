@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBudgetManager } = require('../lib/budget');
+
+// In-memory localStorage
+function memoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => { data.set(k, String(v)); },
+    removeItem: (k) => { data.delete(k); }
+  };
+}
+
+const NOW = new Date(2026, 4, 15, 12, 0, 0).getTime(); // 15 May, noon (local time)
+const at = (month, day, hour = 12) => new Date(2026, month, day, hour, 0, 0).getTime();
+
+function budget({ storage = memoryStorage(), listRuns } = {}) {
+  return createBudgetManager({ document: {}, storage, listRuns, now: () => NOW });
+}
+
+// -------------------------
+// Windows
+// -------------------------
+test('periodStart is local midnight today or the first of the month', () => {
+  const b = budget();
+  assert.equal(b.periodStart('day'), at(4, 15, 0));
+  assert.equal(b.periodStart('month'), at(4, 1, 0));
+  assert.equal(b.periodStart('month', at(0, 31)), at(0, 1, 0));
+});
+
+test('spendFor sums one provider within the day or month window', () => {
+  const b = budget();
+  b.recordSpend({ provider: 'openai', cost: 1, ts: at(4, 15, 1) });
+  b.recordSpend({ provider: 'openai', cost: 2, ts: at(4, 14, 23) });
+  b.recordSpend({ provider: 'openai', cost: 4, ts: at(3, 30) });
+  b.recordSpend({ provider: 'xai', cost: 8, ts: at(4, 15) });
+  assert.equal(b.spendFor('openai', 'day'), 1);
+  assert.equal(b.spendFor('openai', 'month'), 3);
+  assert.equal(b.spendFor('xai', 'month'), 8);
+});
+
+test('the ledger drops entries from before the current month and ignores unpriced ones', () => {
+  const storage = memoryStorage();
+  const b = budget({ storage });
+  b.recordSpend({ provider: 'openai', cost: 4, ts: at(3, 30) });
+  b.recordSpend({ provider: 'openai', cost: 0, ts: at(4, 15) });
+  b.recordSpend({ provider: '', cost: 1, ts: at(4, 15) });
+  b.recordSpend({ provider: 'openai', model: 'gpt-5', cost: 0.5, ts: at(4, 15) });
+  assert.deepEqual(JSON.parse(storage.getItem('budget.spend.v1')), [
+    { ts: at(4, 15), provider: 'openai', model: 'gpt-5', cost: 0.5 }
+  ]);
+});
+
+test('seedFromHistory fills a missing ledger from this month once', async () => {
+  const storage = memoryStorage();
+  let calls = 0;
+  const listRuns = async () => {
+    calls++;
+    return [
+      { ts: at(4, 2), provider: 'openai', model: 'gpt-5', cost: 1.5 },
+      { ts: at(3, 2), provider: 'openai', model: 'gpt-5', cost: 9 },
+      { ts: at(4, 3), provider: 'openai', model: 'gpt-5', cost: null }
+    ];
+  };
+  const b = budget({ storage, listRuns });
+  await b.seedFromHistory();
+  assert.equal(b.spendFor('openai', 'month'), 1.5);
+
+  // History is cleared: the ledger keeps its spend and is not seeded again
+  await budget({ storage, listRuns: async () => [] }).seedFromHistory();
+  await b.seedFromHistory();
+  assert.equal(calls, 1);
+  assert.equal(b.spendFor('openai', 'month'), 1.5);
+});
+
+// -------------------------
+// Check + reservations
+// -------------------------
+function capped(cap, { period = 'month', warnPct = 80 } = {}) {
+  const b = budget();
+  b.saveCaps({ openai: { cap, period, warnPct } });
+  return b;
+}
+
+test('check is ok below the warning threshold, warns at it and blocks past the cap', () => {
+  const b = capped(10);
+  b.recordSpend({ provider: 'openai', cost: 5, ts: at(4, 10) });
+  assert.equal(b.check({ provider: 'openai', estimate: 1 }).level, 'ok');
+  assert.equal(b.check({ provider: 'openai', estimate: 3 }).level, 'warn');
+  const res = b.check({ provider: 'openai', estimate: 6 });
+  assert.equal(res.level, 'block');
+  assert.equal(res.spent, 5);
+  assert.equal(res.projected, 11);
+  assert.equal(b.check({ provider: 'xai', estimate: 100 }).level, 'ok');
+});
+
+test('a daily cap only counts today', () => {
+  const b = capped(2, { period: 'day' });
+  b.recordSpend({ provider: 'openai', cost: 5, ts: at(4, 14) });
+  assert.equal(b.check({ provider: 'openai', estimate: 1 }).level, 'ok');
+});
+
+test('requests in flight reserve their estimate until released', () => {
+  const b = capped(10);
+  const first = b.check({ provider: 'openai', estimate: 6, reserve: true });
+  assert.equal(first.level, 'ok');
+  assert.equal(typeof first.release, 'function');
+
+  // A parallel run would pass on its own, but not on top of the first one
+  assert.equal(b.check({ provider: 'openai', estimate: 6 }).level, 'block');
+  const blocked = b.check({ provider: 'openai', estimate: 6, reserve: true });
+  assert.equal(blocked.level, 'block');
+  assert.equal(blocked.release, undefined);
+
+  first.release();
+  first.release();
+  assert.equal(b.check({ provider: 'openai', estimate: 6 }).level, 'ok');
+});
+
+test('caps are normalized when loaded', () => {
+  const b = budget({ storage: memoryStorage({ 'budget.caps.v1': JSON.stringify({ openai: { cap: 5, period: 'week', warnPct: 500 }, xai: { cap: 0 } }) }) });
+  assert.deepEqual(b.loadCaps(), { openai: { cap: 5, period: 'month', warnPct: 80 } });
+});
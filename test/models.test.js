@@ -0,0 +1,221 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createModelsManager } = require('../lib/models');
+
+const BUNDLED = {
+  manifest_version: 1,
+  unit: 'usd_per_million_tokens',
+  defaults: { model: 'gpt-a' },
+  providers: [
+    {
+      id: 'openai',
+      tokenizer: 'o200k_base',
+      models: [
+        { id: 'gpt-a', label: 'GPT A', pricing: { input: 1, cached_input: 0.1, output: 8 }, context_tokens: 1000, max_tokens: 100 },
+        { id: 'gpt-b', label: 'GPT B', pricing: { input: 2, output: 16 }, context_tokens: 2000 }
+      ]
+    },
+    {
+      id: 'xai',
+      models: [{ id: 'grok-a', label: 'Grok A', context_tokens: 4000 }]
+    }
+  ]
+};
+
+// Manager over a temp folder holding model_manifest.json (and the user override, when given)
+function setup(t, { bundled = BUNDLED, user = null, apiKeys = {}, storage = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aidiff-models-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'model_manifest.json'), JSON.stringify(bundled));
+  const userManifestPath = path.join(dir, 'model_manifest.user.json');
+  if (user != null) fs.writeFileSync(userManifestPath, typeof user === 'string' ? user : JSON.stringify(user));
+  return createModelsManager({ fs, path, cwd: dir, appDirname: dir, userManifestPath, apiKeys, storage });
+}
+
+const models = createModelsManager({});
+
+// -------------------------
+// Validation
+// -------------------------
+test('the bundled model_manifest.json validates', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'model_manifest.json'), 'utf8'));
+  assert.deepEqual(models.validateManifest(manifest), []);
+});
+
+test('validateManifest names the entries it rejects', () => {
+  assert.deepEqual(models.validateManifest([]), ['The manifest must be a JSON object.']);
+  assert.deepEqual(models.validateManifest({ manifest_version: 1, providers: [] }), ['providers must be a non-empty array.']);
+
+  const errors = models.validateManifest({
+    manifest_version: 2,
+    defaults: { model: 'missing' },
+    providers: [
+      { models: [] },
+      {
+        id: 'openai',
+        tokenizer: 5,
+        models: [
+          { id: 'gpt-a', pricing: { input: -1, output: '2' }, context_tokens: 1.5 },
+          { id: 'gpt-a' },
+          { label: 'no id' }
+        ]
+      }
+    ]
+  });
+  assert.deepEqual(errors, [
+    'manifest_version must be 1 (found 2).',
+    'providers[0].id is missing.',
+    'provider "openai".tokenizer must be a string.',
+    'model "gpt-a".pricing.input must be a number >= 0 or null.',
+    'model "gpt-a".pricing.output must be a number >= 0 or null.',
+    'model "gpt-a".context_tokens must be a positive integer.',
+    'model "gpt-a": model id "gpt-a" appears more than once.',
+    'provider "openai".models[2].id is missing.',
+    'defaults.model "missing" is not a model in the manifest.'
+  ]);
+});
+
+// -------------------------
+// User overlay merge
+// -------------------------
+test('mergeManifests merges providers and models by id and deep-merges objects', () => {
+  const merged = models.mergeManifests(BUNDLED, {
+    defaults: { model: 'grok-a' },
+    providers: [
+      { id: 'openai', models: [{ id: 'gpt-a', pricing: { output: 10 } }, { id: 'gpt-c', label: 'GPT C' }] },
+      { id: 'local', models: [{ id: 'llama' }] }
+    ]
+  });
+  assert.equal(merged.defaults.model, 'grok-a');
+  assert.deepEqual(merged.providers.map(p => p.id), ['openai', 'xai', 'local']);
+  const openai = merged.providers[0];
+  assert.equal(openai.tokenizer, 'o200k_base');
+  assert.deepEqual(openai.models.map(m => m.id), ['gpt-a', 'gpt-b', 'gpt-c']);
+  assert.deepEqual(openai.models[0].pricing, { input: 1, cached_input: 0.1, output: 10 });
+  assert.equal(openai.models[0].label, 'GPT A');
+
+  // The inputs are left alone
+  assert.equal(BUNDLED.providers[0].models[0].pricing.output, 8);
+  assert.equal(BUNDLED.providers[0].models.length, 2);
+});
+
+test('mergeManifests keeps the bundled manifest for an overlay that is not an object', () => {
+  assert.deepEqual(models.mergeManifests(BUNDLED, null), BUNDLED);
+  assert.deepEqual(models.mergeManifests(BUNDLED, { unit: 'usd_per_million_tokens' }).providers, BUNDLED.providers);
+});
+
+// -------------------------
+// Loading
+// -------------------------
+test('a valid user override is merged into the loaded manifest', (t) => {
+  const m = setup(t, { user: { providers: [{ id: 'openai', models: [{ id: 'gpt-a', context_tokens: 5000 }] }] } });
+  assert.ok(m._loadModelManifestSync());
+  assert.equal(m.manifestContextTokensForModel('gpt-a'), 5000);
+  assert.equal(m.manifestTokenizerForModel('gpt-b'), 'o200k_base');
+  assert.equal(m.manifestTokenizerForModel('grok-a'), '');
+  assert.equal(m.providerForModelId('grok-a'), 'xai');
+  assert.deepEqual(m.manifestStatus().errors, []);
+});
+
+test('an invalid user override is reported and the bundled manifest is used', (t) => {
+  const m = setup(t, { user: { providers: [{ id: 'openai', models: [{ id: 'gpt-a', max_tokens: -1 }] }] } });
+  assert.ok(m._loadModelManifestSync());
+  assert.equal(m.manifestMaxTokensForModel('gpt-a'), 100);
+  assert.deepEqual(m.manifestStatus().errors, [{ source: 'user', message: 'model "gpt-a".max_tokens must be a positive integer.' }]);
+
+  const broken = setup(t, { user: '{ not json' });
+  assert.ok(broken._loadModelManifestSync());
+  assert.equal(broken.manifestStatus().errors[0].source, 'user');
+  assert.match(broken.manifestStatus().errors[0].message, /^Invalid JSON in /);
+});
+
+test('checkUserManifestText validates an override against the bundled manifest', (t) => {
+  const m = setup(t);
+  assert.deepEqual(m.checkUserManifestText(JSON.stringify({ providers: [{ id: 'xai', models: [{ id: 'grok-b' }] }] })), []);
+  assert.deepEqual(m.checkUserManifestText(JSON.stringify({ providers: [{ id: 'xai', models: [{ id: 'gpt-a' }] }] })), [
+    'model "gpt-a": model id "gpt-a" appears more than once.'
+  ]);
+  assert.deepEqual(m.checkUserManifestText('[]'), ['The override must be a JSON object.']);
+  assert.match(m.checkUserManifestText('{')[0], /^Invalid JSON: /);
+});
+
+// -------------------------
+// Capabilities
+// -------------------------
+const WITH_CAPABILITIES = models.mergeManifests(BUNDLED, {
+  providers: [{
+    id: 'openai',
+    capabilities: { token_param: 'max_completion_tokens', params: ['temperature', 'seed'] },
+    models: [{ id: 'gpt-b', capabilities: { params: ['temperature'], streaming: false, reasoning_effort: ['low', 'high'] } }]
+  }]
+});
+
+test('validateManifest checks provider and model capabilities', () => {
+  assert.deepEqual(models.validateManifest(WITH_CAPABILITIES), []);
+  const bad = models.mergeManifests(BUNDLED, {
+    providers: [{
+      id: 'openai',
+      capabilities: { api: 'completions', token_param: 'max_output_tokens' },
+      models: [{ id: 'gpt-a', capabilities: { params: 'temperature', streaming: 'yes', reasoning_effort: [1] } }, { id: 'gpt-b', capabilities: [] }]
+    }]
+  });
+  assert.deepEqual(models.validateManifest(bad), [
+    'provider "openai".capabilities.api must be one of chat_completions, responses.',
+    'provider "openai".capabilities.token_param must be one of max_tokens, max_completion_tokens.',
+    'model "gpt-a".capabilities.params must be an array of parameter names.',
+    'model "gpt-a".capabilities.streaming must be true or false.',
+    'model "gpt-a".capabilities.reasoning_effort must be an array of levels.',
+    'model "gpt-b".capabilities must be an object.'
+  ]);
+});
+
+test('model capabilities replace the provider defaults field by field', (t) => {
+  const m = setup(t, { bundled: WITH_CAPABILITIES });
+  m._loadModelManifestSync();
+  assert.deepEqual(m.capabilitiesForModel('gpt-a'), {
+    api: 'chat_completions',
+    params: ['temperature', 'seed'],
+    tokenParam: 'max_completion_tokens',
+    streaming: true,
+    reasoningEffort: []
+  });
+  assert.deepEqual(m.capabilitiesForModel('gpt-b'), {
+    api: 'chat_completions',
+    params: ['temperature'],
+    tokenParam: 'max_completion_tokens',
+    streaming: false,
+    reasoningEffort: ['low', 'high']
+  });
+  assert.equal(m.modelSupportsParam('gpt-a', 'seed'), true);
+  assert.equal(m.modelSupportsParam('gpt-b', 'seed'), false);
+
+  // No capabilities at all: every parameter, the adapter's own token parameter
+  assert.deepEqual(m.capabilitiesForModel('grok-a'), { api: 'chat_completions', params: null, tokenParam: '', streaming: true, reasoningEffort: [] });
+  assert.equal(m.modelSupportsParam('grok-a', 'response_format'), true);
+});
+
+// -------------------------
+// Azure deployments
+// -------------------------
+test('Azure deployments borrow the mapped model but always use Chat Completions', (t) => {
+  const bundled = models.mergeManifests(BUNDLED, {
+    providers: [{ id: 'openai', models: [{ id: 'gpt-a', capabilities: { api: 'responses', params: ['temperature'] } }] }]
+  });
+  const apiKeys = { getAzureConfig: () => ({ endpoint: 'https://example.openai.azure.com', deployments: [{ deployment: 'prod', model: 'gpt-a' }, { deployment: 'gone', model: 'gpt-z' }] }) };
+  const m = setup(t, { bundled, apiKeys });
+  m._loadModelManifestSync();
+
+  assert.equal(m.providerForModelId('azure:prod'), 'azure');
+  assert.equal(m.manifestContextTokensForModel('azure:prod'), 1000);
+  assert.equal(m.manifestTokenizerForModel('azure:prod'), 'o200k_base');
+  assert.deepEqual(m.manifestPricingForModel('azure:prod'), { input: 1, cachedInput: 0.1, output: 8 });
+  assert.equal(m.capabilitiesForModel('azure:prod').api, 'chat_completions');
+  assert.deepEqual(m.capabilitiesForModel('azure:prod').params, ['temperature']);
+  assert.equal(m.capabilitiesForModel('gpt-a').api, 'responses');
+  assert.equal(m.modelManifestIndex.modelMeta.has('azure:gone'), false);
+});
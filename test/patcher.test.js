@@ -0,0 +1,219 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiffLib = require('diff');
+const { createPatcher } = require('../lib/patcher');
+
+const patcher = createPatcher({ diffLib: DiffLib });
+
+const ORIGINAL = ['one', 'two', 'three', 'four', 'five', ''].join('\n');
+
+function diffOf(before, after, name = 'file.txt') {
+  return DiffLib.createTwoFilesPatch(`a/${name}`, `b/${name}`, before, after, '', '', { context: 1 });
+}
+
+// -------------------------
+// Strict apply
+// -------------------------
+test('createPatcher requires the diff package', () => {
+  assert.throws(() => createPatcher({}), /diffLib/);
+});
+
+test('applyStrict applies a clean diff', () => {
+  const res = patcher.applyStrict(ORIGINAL, diffOf(ORIGINAL, ORIGINAL.replace('three', 'THREE')));
+  assert.equal(res.ok, true);
+  assert.equal(res.text, ORIGINAL.replace('three', 'THREE'));
+  assert.equal(res.hunkCount, 1);
+});
+
+test('applyStrict keeps CRLF line endings', () => {
+  const crlf = ORIGINAL.replace(/\n/g, '\r\n');
+  const res = patcher.applyStrict(crlf, diffOf(ORIGINAL, ORIGINAL.replace('two', 'TWO')));
+  assert.equal(res.ok, true);
+  assert.equal(res.text, crlf.replace('two', 'TWO'));
+});
+
+test('applyStrict reports why a diff cannot be applied', () => {
+  assert.equal(patcher.applyStrict(ORIGINAL, '   ').reason, 'empty');
+  assert.equal(patcher.applyStrict(ORIGINAL, 'not a diff').reason, 'no_hunks');
+
+  const changed = diffOf(ORIGINAL, ORIGINAL.replace('three', 'THREE'));
+  assert.equal(patcher.applyStrict(ORIGINAL.replace('two', 'deux'), changed).reason, 'context_mismatch');
+
+  const twoFiles = diffOf('a\n', 'b\n', 'x.txt') + diffOf('c\n', 'd\n', 'y.txt');
+  assert.equal(patcher.applyStrict('a\n', twoFiles).reason, 'multi_file');
+});
+
+test('applyStrict refuses hunks whose header counts do not match the body', () => {
+  const diff = ['--- a/file.txt', '+++ b/file.txt', '@@ -2,3 +2,3 @@', ' two', '-three', '+THREE', ''].join('\n');
+  const res = patcher.applyStrict(ORIGINAL, diff);
+  assert.equal(res.ok, false);
+  assert.equal(res.reason, 'malformed_hunk');
+});
+
+// -------------------------
+// Hybrid plan (offset / fuzz / whitespace, failing hunks as segments)
+// -------------------------
+const LINES = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+const LONG = `${LINES.join('\n')}\n`;
+const LONG_CHANGED = LONG.replace('line 5\n', 'line five\n').replace('line 25\n', 'line twenty-five\n');
+
+test('planLocalApply uses the strict result when the diff applies cleanly', () => {
+  const plan = patcher.planLocalApply(LONG, diffOf(LONG, LONG_CHANGED));
+  assert.equal(plan.mode, 'exact');
+  assert.equal(plan.text, LONG_CHANGED);
+});
+
+test('planLocalApply places hunks despite whitespace drift and edited edge context', () => {
+  const drifted = LONG.replace('line 4\n', 'line   4  \n').replace('line 26\n', 'line 26 (edited)\n');
+  const plan = patcher.planLocalApply(drifted, diffOf(LONG, LONG_CHANGED));
+  assert.equal(plan.mode, 'fuzzy');
+  assert.equal(plan.failedCount, 0);
+  assert.equal(plan.loose, true);
+  assert.equal(plan.maxFuzz, 1);
+  // Context lines keep the file's own text
+  assert.equal(plan.text, LONG_CHANGED.replace('line 4\n', 'line   4  \n').replace('line 26\n', 'line 26 (edited)\n'));
+});
+
+test('planLocalApply sends only the failing hunk to the model and splices the answer back', () => {
+  const local = LONG.replace('line 25\n', 'line 25 (local)\n');
+  const plan = patcher.planLocalApply(local, diffOf(LONG, LONG_CHANGED), { maxFuzz: 0, windowLines: 2 });
+  assert.equal(plan.mode, 'hybrid');
+  assert.equal(plan.appliedCount, 1);
+  assert.equal(plan.failedCount, 1);
+  assert.equal(plan.segments.length, 1);
+  assert.equal(plan.segments[0].excerpt, ['line 22', 'line 23', 'line 24', 'line 25 (local)', 'line 26', 'line 27', 'line 28'].join('\n'));
+  assert.match(plan.segments[0].hunkText, /^@@ -24,3 \+24,3 @@\n line 24\n-line 25\n\+line twenty-five\n line 26$/);
+
+  const answer = plan.segments[0].excerpt.replace('line 25 (local)', 'line twenty-five (local)');
+  const text = patcher.spliceSegments(plan, [answer]);
+  assert.equal(text, LONG_CHANGED.replace('line twenty-five\n', 'line twenty-five (local)\n'));
+});
+
+test('planLocalApply merges failing hunks whose windows overlap into one segment', () => {
+  const changed = LONG.replace('line 10\n', 'line ten\n').replace('line 14\n', 'line fourteen\n').replace('line 25\n', 'line twenty-five\n');
+  const local = LONG.replace('line 10\n', 'line 10 (local)\n').replace('line 14\n', 'line 14 (local)\n');
+  const plan = patcher.planLocalApply(local, diffOf(LONG, changed), { maxFuzz: 0, windowLines: 3 });
+  assert.equal(plan.mode, 'hybrid');
+  assert.equal(plan.segments.length, 1);
+  assert.equal(plan.segments[0].hunks.length, 2);
+});
+
+test('planLocalApply gives up when no hunk can be placed', () => {
+  const plan = patcher.planLocalApply('something else entirely\n', diffOf(LONG, LONG_CHANGED));
+  assert.equal(plan.mode, 'none');
+  assert.equal(plan.reason, 'context_mismatch');
+  assert.equal(patcher.planLocalApply(LONG, diffOf(LONG, LONG)).mode, 'none');
+});
+
+test('spliceSegments keeps blank window edges the model dropped and the file line endings', () => {
+  const blanks = LONG.replace('line 24\n', '\n').replace('line 26\n', '\n');
+  const changed = blanks.replace('line 5\n', 'line five\n').replace('line 25\n', 'line twenty-five\n');
+  const local = blanks.replace('line 25', 'line 25 (local)').replace(/\n/g, '\r\n');
+  const plan = patcher.planLocalApply(local, diffOf(blanks, changed), { maxFuzz: 0, windowLines: 0 });
+  assert.equal(plan.mode, 'hybrid');
+  assert.equal(plan.segments[0].excerpt, '\nline 25 (local)\n');
+
+  const text = patcher.spliceSegments(plan, ['line twenty-five (local)']);
+  assert.equal(text, changed.replace('line twenty-five', 'line twenty-five (local)').replace(/\n/g, '\r\n'));
+  assert.throws(() => patcher.spliceSegments(plan, []), /one answer per segment/);
+});
+
+// -------------------------
+// Multi-file diffs
+// -------------------------
+test('splitFileDiffs splits a git diff into one entry per file', () => {
+  const diff = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1 +1 @@',
+    '-old',
+    '+new',
+    'diff --git a/docs/new.md b/docs/new.md',
+    'new file mode 100644',
+    'index 0000000..3333333',
+    '--- /dev/null',
+    '+++ b/docs/new.md',
+    '@@ -0,0 +1 @@',
+    '+hello',
+    'diff --git a/gone.txt b/gone.txt',
+    'deleted file mode 100644',
+    'index 4444444..0000000',
+    '--- a/gone.txt',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-bye',
+    'diff --git a/old/name.js b/new/name.js',
+    'similarity index 100%',
+    'rename from old/name.js',
+    'rename to new/name.js',
+    'diff --git a/logo.png b/logo.png',
+    'index 5555555..6666666 100644',
+    'Binary files a/logo.png and b/logo.png differ',
+    ''
+  ].join('\n');
+
+  const files = patcher.splitFileDiffs(diff);
+  assert.deepEqual(files.map(f => f.path), ['src/app.js', 'docs/new.md', 'gone.txt', 'new/name.js', 'logo.png']);
+  assert.deepEqual(files.map(f => f.hasHunks), [true, true, true, false, false]);
+  assert.equal(files[1].isNew, true);
+  assert.equal(files[1].oldPath, '');
+  assert.equal(files[2].isDeleted, true);
+  assert.equal(files[3].isRename, true);
+  assert.equal(files[3].oldPath, 'old/name.js');
+  assert.equal(files[4].isBinary, true);
+
+  // Each chunk is a diff of its own
+  assert.equal(patcher.applyStrict('old\n', files[0].diffText).text, 'new\n');
+});
+
+test('splitFileDiffs splits plain ---/+++ pairs without git headers', () => {
+  const diff = diffOf('a\n', 'b\n', 'x.txt') + diffOf('c\n', 'd\n', 'y.txt');
+  const files = patcher.splitFileDiffs(diff);
+  assert.deepEqual(files.map(f => f.path), ['x.txt', 'y.txt']);
+  assert.equal(patcher.splitFileDiffs('').length, 0);
+});
+
+// -------------------------
+// Output review
+// -------------------------
+test('verifyOutput marks every hunk applied for a faithful output', () => {
+  const res = patcher.verifyOutput(LONG, diffOf(LONG, LONG_CHANGED), LONG_CHANGED);
+  assert.equal(res.ok, true);
+  assert.deepEqual(res.hunks.map(h => h.status), ['applied', 'applied']);
+  assert.deepEqual(res.hunks.map(h => h.line), [4, 24]);
+  assert.deepEqual(res.unexpected, []);
+});
+
+test('verifyOutput finds missing hunks and changes outside the requested ones', () => {
+  const output = LONG_CHANGED.replace('line twenty-five\n', 'line 25\n').replace('line 15\n', 'line 15 // rewritten\n');
+  const res = patcher.verifyOutput(LONG, diffOf(LONG, LONG_CHANGED), output);
+  assert.deepEqual(res.hunks.map(h => h.status), ['applied', 'missing']);
+  assert.equal(res.unexpected.length, 1);
+  assert.equal(res.unexpected[0].oldStart, 15);
+  assert.equal(res.unexpected[0].preview, '+line 15 // rewritten');
+});
+
+test('verifyOutput reports a hunk whose added lines did not all arrive as partial', () => {
+  const changed = LONG.replace('line 5\n', 'line five\nline five and a half\n');
+  const output = LONG.replace('line 5\n', 'line five\n');
+  const res = patcher.verifyOutput(LONG, diffOf(LONG, changed), output);
+  assert.equal(res.hunks[0].status, 'partial');
+  assert.deepEqual(res.hunks[0].missingLines, ['line five and a half']);
+});
+
+test('verifyOutput locates hunks in a drifted original and refuses multi-file diffs', () => {
+  const shifted = `header\nheader\n${LONG}`;
+  const res = patcher.verifyOutput(shifted, diffOf(LONG, LONG_CHANGED), `header\nheader\n${LONG_CHANGED}`);
+  assert.deepEqual(res.hunks.map(h => h.status), ['applied', 'applied']);
+  assert.deepEqual(res.hunks.map(h => h.line), [6, 26]);
+
+  const unlocated = patcher.verifyOutput('unrelated\n', diffOf(LONG, LONG_CHANGED), 'unrelated\n');
+  assert.deepEqual(unlocated.hunks.map(h => h.status), ['unlocated', 'unlocated']);
+
+  const twoFiles = diffOf('a\n', 'b\n', 'x.txt') + diffOf('c\n', 'd\n', 'y.txt');
+  assert.equal(patcher.verifyOutput('a\n', twoFiles, 'b\n').reason, 'multi_file');
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRetryPolicy, RETRY_STATUSES } = require('../lib/retry');
+
+function httpError(status, headers) {
+  const err = new Error(`HTTP ${status}`);
+  err.status = status;
+  if (headers) err.headers = headers;
+  return err;
+}
+
+function abortError() {
+  const err = new Error('aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+// -------------------------
+// Classification
+// -------------------------
+test('isTransient retries rate limits, server errors and network failures only', () => {
+  const policy = createRetryPolicy();
+  for (const status of [...RETRY_STATUSES, 599]) assert.equal(policy.isTransient(httpError(status)), true, `status ${status}`);
+  for (const status of [400, 401, 403, 404, 422]) assert.equal(policy.isTransient(httpError(status)), false, `status ${status}`);
+
+  assert.equal(policy.isTransient(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(policy.isTransient(new Error('wrapped', { cause: { code: 'ETIMEDOUT' } })), true);
+  assert.equal(policy.isTransient(new TypeError('fetch failed')), true);
+  assert.equal(policy.isTransient(Object.assign(new Error('x'), { name: 'APIConnectionTimeoutError' })), true);
+
+  assert.equal(policy.isTransient(abortError()), false);
+  assert.equal(policy.isTransient(Object.assign(httpError(503), { name: 'AbortError' })), false);
+  assert.equal(policy.isTransient(new TypeError('x is not a function')), false);
+  assert.equal(policy.isTransient(null), false);
+});
+
+test('retryAfterMs reads seconds, milliseconds and HTTP dates', () => {
+  const now = Date.parse('2026-05-15T12:00:00Z');
+  const policy = createRetryPolicy({ now: () => now });
+  assert.equal(policy.retryAfterMs(httpError(429, { 'Retry-After': '3' })), 3000);
+  assert.equal(policy.retryAfterMs(httpError(429, { 'retry-after': '1.5' })), 1500);
+  assert.equal(policy.retryAfterMs(httpError(429, { 'retry-after-ms': '250', 'retry-after': '9' })), 250);
+  assert.equal(policy.retryAfterMs(httpError(503, { 'retry-after': 'Fri, 15 May 2026 12:00:10 GMT' })), 10000);
+  assert.equal(policy.retryAfterMs(httpError(503, { 'retry-after': 'Fri, 15 May 2026 11:00:00 GMT' })), 0);
+  assert.equal(policy.retryAfterMs(httpError(503, new Headers({ 'retry-after': '2' }))), 2000);
+  assert.equal(policy.retryAfterMs({ response: { headers: { 'retry-after': '4' } } }), 4000);
+  assert.equal(policy.retryAfterMs(httpError(503, { 'retry-after': 'soon' })), null);
+  assert.equal(policy.retryAfterMs(httpError(503)), null);
+});
+
+// -------------------------
+// Delays
+// -------------------------
+test('delayFor backs off exponentially with jitter up to the cap', () => {
+  const policy = createRetryPolicy({ maxRetries: 5, baseDelayMs: 1000, maxDelayMs: 6000, random: () => 0.5 });
+  const err = httpError(503);
+  assert.deepEqual([1, 2, 3, 4, 5].map(n => policy.delayFor(n, err)), [750, 1500, 3000, 4500, 4500]);
+  assert.equal(policy.delayFor(6, err), null);
+  assert.equal(createRetryPolicy({ random: () => 0 }).delayFor(1, err), 500);
+  assert.equal(createRetryPolicy({ random: () => 1 }).delayFor(1, err), 1000);
+});
+
+test('delayFor follows Retry-After unless the server asks for too long a wait', () => {
+  const policy = createRetryPolicy({ maxRetryAfterMs: 60000 });
+  assert.equal(policy.delayFor(1, httpError(429, { 'retry-after': '20' })), 20000);
+  assert.equal(policy.delayFor(1, httpError(429, { 'retry-after': '120' })), null);
+  assert.equal(policy.delayFor(1, httpError(401, { 'retry-after': '1' })), null);
+});
+
+// -------------------------
+// wait() + run()
+// -------------------------
+test('wait reports the remaining time and can be aborted', async () => {
+  const policy = createRetryPolicy({ tickMs: 5 });
+  const ticks = [];
+  await policy.wait(20, { onTick: (left) => ticks.push(left) });
+  assert.ok(ticks.length >= 2);
+  assert.ok(ticks.every((left, i) => left > 0 && (i === 0 || left <= ticks[i - 1])));
+
+  const controller = new AbortController();
+  const waiting = policy.wait(10000, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+  await assert.rejects(policy.wait(10, { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('run retries transient failures until the request succeeds', async () => {
+  const policy = createRetryPolicy({ maxRetries: 3, baseDelayMs: 1, tickMs: 1 });
+  const attempts = [];
+  const retries = [];
+  const result = await policy.run(async (attempt) => {
+    attempts.push(attempt);
+    if (attempt < 2) throw httpError(503);
+    return 'done';
+  }, { onRetry: (info) => retries.push(info && { attempt: info.attempt, max: info.max }) });
+  assert.equal(result, 'done');
+  assert.deepEqual(attempts, [0, 1, 2]);
+  // Countdown ticks for each wait, then null once it is over
+  assert.deepEqual(retries.filter(r => r === null).length, 2);
+  assert.deepEqual([...new Set(retries.filter(Boolean).map(r => r.attempt))], [1, 2]);
+  assert.ok(retries.filter(Boolean).every(r => r.max === 3));
+});
+
+test('run gives up on permanent errors and after the last retry', async () => {
+  const policy = createRetryPolicy({ maxRetries: 2, baseDelayMs: 1, tickMs: 1 });
+
+  let calls = 0;
+  await assert.rejects(policy.run(async () => { calls++; throw httpError(401); }), (err) => err.status === 401 && err.autoRetries === undefined);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(policy.run(async () => { calls++; throw httpError(429); }), (err) => err.status === 429 && err.autoRetries === 2);
+  assert.equal(calls, 3);
+});
+
+test('run stops when the request is cancelled during a wait', async () => {
+  const policy = createRetryPolicy({ maxRetries: 3, baseDelayMs: 10000, tickMs: 5 });
+  const controller = new AbortController();
+  let calls = 0;
+  let ticks = 0;
+  const running = policy.run(async () => { calls++; throw httpError(503); }, {
+    signal: controller.signal,
+    onRetry: (info) => { if (info) { ticks++; controller.abort(); } }
+  });
+  await assert.rejects(running, { name: 'AbortError' });
+  assert.equal(calls, 1);
+
+  // The countdown stops with the wait
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(ticks, 1);
+});
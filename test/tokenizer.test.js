@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenizer, TOKENIZER_ENCODINGS } = require('../lib/tokenizer');
+
+const ENCODINGS = { 'gpt-test': 'o200k_base', 'old-test': 'cl100k_base', 'odd-test': 'p50k_base' };
+const tokenizer = createTokenizer({ encodingForModel: (m) => ENCODINGS[m] || '' });
+
+test('encodingFor only returns bundled encodings', () => {
+  assert.deepEqual(TOKENIZER_ENCODINGS, ['o200k_base', 'cl100k_base']);
+  assert.equal(tokenizer.encodingFor('gpt-test'), 'o200k_base');
+  assert.equal(tokenizer.encodingFor('old-test'), 'cl100k_base');
+  assert.equal(tokenizer.encodingFor('odd-test'), '');
+  assert.equal(tokenizer.encodingFor('grok-test'), '');
+  assert.equal(createTokenizer({ encodingForModel: () => { throw new Error('boom'); } }).encodingFor('x'), '');
+});
+
+test('countText is exact with an encoding and ~4 chars per token without one', () => {
+  assert.equal(tokenizer.countText('hello world', 'gpt-test'), 2);
+  assert.equal(tokenizer.countText('hello world', 'grok-test'), 3);
+  assert.equal(tokenizer.countText('', 'gpt-test'), 0);
+});
+
+// -------------------------
+// Long runs
+// -------------------------
+test('a long run of one character is counted chunk by chunk', () => {
+  const chunk = tokenizer.countText('a'.repeat(64), 'gpt-test');
+  assert.equal(tokenizer.countText('a'.repeat(200000), 'gpt-test'), (200000 / 64) * chunk);
+});
+
+test('text around a long run is still encoded exactly', () => {
+  const lead = '// ruler ';
+  const tail = ' end\n';
+  const expected = tokenizer.countText(lead, 'gpt-test') + 10 * tokenizer.countText('='.repeat(64), 'gpt-test') + tokenizer.countText(tail, 'gpt-test');
+  assert.equal(tokenizer.countText(`${lead}${'='.repeat(640)}${tail}`, 'gpt-test'), expected);
+});
+
+test('distinct chunks past the exact budget fall back to the chars-per-token rate', () => {
+  // Pseudo-random letters: every 64-char chunk differs, and only the first 8192 chars are exact
+  let s = '';
+  for (let x = 1; s.length < 16384;) {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    s += String.fromCharCode(97 + ((x >> 16) % 26));
+  }
+  const n = tokenizer.countText(s, 'gpt-test');
+  assert.ok(n > 0);
+
+  const exactPart = s.slice(0, 8192);
+  let exact = 0;
+  for (let i = 0; i < exactPart.length; i += 64) exact += tokenizer.countText(exactPart.slice(i, i + 64), 'gpt-test');
+  assert.equal(n, exact + (16384 - 8192) / 4);
+});
+
+test('countChat adds the per-message and final overhead', () => {
+  const messages = [{ role: 'system', content: 'hello world' }, { role: 'user', content: '' }];
+  assert.equal(tokenizer.countChat(messages, 'gpt-test'), 2 + 4 + 2 + 4 + 0);
+  assert.equal(tokenizer.countChat(null, 'gpt-test'), 2);
+});